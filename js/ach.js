@@ -0,0 +1,351 @@
+/*
+  PayTrax Payroll Management
+  Copyright (c) 2025 greenwh
+
+  Developed by greenwh with substantial assistance from AI coding tools (Claude, ChatGPT, Gemini).
+  This file is original work based on documentation and prompts by greenwh.
+  Licensed under the MIT License.
+*/
+// js/ach.js - NACHA direct deposit (ACH) file generation (v24)
+//
+// Builds a NACHA PPD file crediting each employee's net pay for one pay
+// date to their direct deposit accounts (employee.bankAccounts), split by
+// amount or percent with the remainder to one account. The file has one
+// batch: file header (1), batch header (5), entry details (6), batch control
+// (8) and file control (9) records of 94 characters, padded with 9s to a
+// multiple of 10 records. Generated files are recorded in appData.achBatches
+// and the pay date's bank register entries reference the batch number.
+
+import { appData } from './state.js';
+import { toDisplayDate, toLocalDateString } from './utils.js';
+import { addTransaction } from './banking.js';
+import { validateBankAccounts, validateAchSettings } from './validation.js';
+
+/** NACHA transaction codes by account type. */
+export const ACH_TRANSACTION_CODES = {
+    checking: { credit: '22', debit: '27' },
+    savings: { credit: '32', debit: '37' }
+};
+
+/** Characters used, in order, for the file ID modifier of files created on the same day. */
+const FILE_ID_MODIFIERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+/** The records of a NACHA file are grouped in blocks of this many lines. */
+const BLOCKING_FACTOR = 10;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * An alphanumeric field: upper case, printable ASCII, left-justified and
+ * space-filled (truncated to fit).
+ * @param {*} value
+ * @param {number} length
+ * @returns {string}
+ */
+function alphaField(value, length) {
+    const text = String(value ?? '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x20-\x7E]/g, '')
+        .toUpperCase();
+    return text.slice(0, length).padEnd(length, ' ');
+}
+
+/**
+ * A numeric field: right-justified and zero-filled (keeping the rightmost digits).
+ * @param {number|string} value
+ * @param {number} length
+ * @returns {string}
+ */
+function numericField(value, length) {
+    return String(value).padStart(length, '0').slice(-length);
+}
+
+/**
+ * YYMMDD from a YYYY-MM-DD date.
+ * @param {string} date
+ * @returns {string}
+ */
+function yymmdd(date) {
+    return date.slice(2, 4) + date.slice(5, 7) + date.slice(8, 10);
+}
+
+/**
+ * The text appended to a bank register description that references an ACH batch.
+ * @param {number} batchNumber
+ * @returns {string}
+ */
+export function describeAchReference(batchNumber) {
+    return ` (ACH #${batchNumber})`;
+}
+
+/**
+ * Splits a net pay across direct deposit accounts. Amount and percent
+ * accounts are paid first, in order, each capped at what is left; the
+ * remainder account gets the rest. Accounts that would get nothing are left out.
+ * @param {number} netPay
+ * @param {Array} accounts - employee.bankAccounts
+ * @returns {Array} [{ account, amount }]
+ */
+export function splitNetPay(netPay, accounts) {
+    let remaining = round2(netPay);
+    const splits = (accounts || []).filter(a => a.splitType !== 'remainder').map(account => {
+        const wanted = account.splitType === 'percent'
+            ? round2(netPay * (Number(account.splitValue) || 0) / 100)
+            : round2(Number(account.splitValue) || 0);
+        const amount = Math.min(wanted, remaining);
+        remaining = round2(remaining - amount);
+        return { account, amount };
+    });
+    const remainderAccount = (accounts || []).find(a => a.splitType === 'remainder');
+    if (remainderAccount) {
+        splits.push({ account: remainderAccount, amount: remaining });
+    }
+    return splits.filter(s => s.amount > 0);
+}
+
+/**
+ * Pay dates (ascending) with net pay to deposit, regular and off-cycle.
+ * @returns {string[]} YYYY-MM-DD dates
+ */
+export function getAchPayDates() {
+    const dates = new Set();
+    Object.values(appData.payPeriods).flat().forEach(p => {
+        if (p.payDate && p.netPay > 0) dates.add(p.payDate);
+    });
+    return [...dates].sort();
+}
+
+/**
+ * Works out, without changing any data, the direct deposits for a pay date.
+ * Every paid period on the date is split across its employee's accounts;
+ * employees without accounts (paid by check) or with invalid ones are listed
+ * as skipped. `errors` lists missing or invalid originator settings.
+ * @param {string} payDate - YYYY-MM-DD
+ * @returns {object} { payDate, entries: [{ employee, period, account, amount }], skipped: [{ employee, period, reason }], totalCredit, errors }
+ */
+export function previewAchBatch(payDate) {
+    const preview = {
+        payDate,
+        entries: [],
+        skipped: [],
+        totalCredit: 0,
+        errors: validateAchSettings(appData.settings.ach).map(e => e.message)
+    };
+
+    appData.employees.forEach(employee => {
+        (appData.payPeriods[employee.id] || [])
+            .filter(p => p.payDate === payDate && p.netPay > 0)
+            .forEach(period => {
+                const accounts = employee.bankAccounts || [];
+                if (accounts.length === 0) {
+                    preview.skipped.push({ employee, period, reason: 'No direct deposit account (paid by check)' });
+                    return;
+                }
+                const accountErrors = validateBankAccounts(accounts);
+                if (accountErrors.length > 0) {
+                    preview.skipped.push({ employee, period, reason: accountErrors[0].message });
+                    return;
+                }
+                splitNetPay(period.netPay, accounts).forEach(({ account, amount }) => {
+                    preview.entries.push({ employee, period, account, amount });
+                });
+            });
+    });
+
+    preview.totalCredit = round2(preview.entries.reduce((sum, e) => sum + e.amount, 0));
+    return preview;
+}
+
+/**
+ * Builds the NACHA file text for a batch preview. With an offset account in
+ * settings.ach the batch also debits the company's account for the total
+ * (a balanced file, service class 200); otherwise it is credits only (220).
+ * Trace numbers are the bank's 8-digit routing prefix and the entry's
+ * sequence number.
+ * @param {object} preview - From previewAchBatch
+ * @param {object} options - { effectiveDate (YYYY-MM-DD), createdAt (Date), fileIdModifier, batchNumber }
+ * @returns {string} The file, one 94-character record per line
+ */
+export function buildNachaFile(preview, { effectiveDate, createdAt = new Date(), fileIdModifier = 'A', batchNumber = 1 }) {
+    const ach = appData.settings.ach;
+    const companyName = appData.settings.companyName;
+    const odfi = String(ach.bankRoutingNumber).slice(0, 8);
+    // File creation date and time, both local
+    const createdDate = toLocalDateString(createdAt);
+    const createdTime = String(createdAt.getHours()).padStart(2, '0') + String(createdAt.getMinutes()).padStart(2, '0');
+
+    const details = preview.entries.map(entry => ({
+        code: ACH_TRANSACTION_CODES[entry.account.accountType].credit,
+        routingNumber: entry.account.routingNumber,
+        accountNumber: entry.account.accountNumber,
+        cents: Math.round(entry.amount * 100),
+        // Left blank: idNumber can hold an SSN (it is the W-2's employee ID)
+        individualId: '',
+        name: entry.employee.name
+    }));
+    const creditCents = details.reduce((sum, d) => sum + d.cents, 0);
+    let debitCents = 0;
+    if (ach.offsetAccountNumber) {
+        debitCents = creditCents;
+        details.push({
+            code: ACH_TRANSACTION_CODES[ach.offsetAccountType === 'savings' ? 'savings' : 'checking'].debit,
+            routingNumber: ach.bankRoutingNumber,
+            accountNumber: ach.offsetAccountNumber,
+            cents: creditCents,
+            individualId: ach.companyId,
+            name: companyName
+        });
+    }
+    const serviceClass = debitCents > 0 ? '200' : '220';
+    const entryHash = details.reduce((sum, d) => sum + Number(d.routingNumber.slice(0, 8)), 0);
+
+    const records = [];
+    records.push('1' + '01'
+        + ' ' + numericField(ach.bankRoutingNumber, 9)
+        + String(ach.companyId).slice(0, 10).padStart(10, ' ')
+        + yymmdd(createdDate) + createdTime
+        + fileIdModifier + '094' + numericField(BLOCKING_FACTOR, 2) + '1'
+        + alphaField(ach.bankName, 23)
+        + alphaField(companyName, 23)
+        + alphaField('', 8));
+    records.push('5' + serviceClass
+        + alphaField(companyName, 16)
+        + alphaField('', 20)
+        + alphaField(ach.companyId, 10)
+        + 'PPD'
+        + alphaField('PAYROLL', 10)
+        + alphaField(yymmdd(preview.payDate), 6)
+        + yymmdd(effectiveDate)
+        + '   ' + '1'
+        + odfi
+        + numericField(batchNumber, 7));
+    details.forEach((d, index) => {
+        records.push('6' + d.code
+            + d.routingNumber.slice(0, 8) + d.routingNumber.slice(8, 9)
+            + alphaField(d.accountNumber, 17)
+            + numericField(d.cents, 10)
+            + alphaField(d.individualId, 15)
+            + alphaField(d.name, 22)
+            + '  ' + '0'
+            + odfi + numericField(index + 1, 7));
+    });
+    records.push('8' + serviceClass
+        + numericField(details.length, 6)
+        + numericField(entryHash, 10)
+        + numericField(debitCents, 12)
+        + numericField(creditCents, 12)
+        + alphaField(ach.companyId, 10)
+        + ' '.repeat(19) + ' '.repeat(6)
+        + odfi
+        + numericField(batchNumber, 7));
+
+    const blockCount = Math.ceil((records.length + 1) / BLOCKING_FACTOR);
+    records.push('9' + numericField(1, 6)
+        + numericField(blockCount, 6)
+        + numericField(details.length, 8)
+        + numericField(entryHash, 10)
+        + numericField(debitCents, 12)
+        + numericField(creditCents, 12)
+        + ' '.repeat(39));
+    while (records.length % BLOCKING_FACTOR !== 0) {
+        records.push('9'.repeat(94));
+    }
+
+    return records.join('\n') + '\n';
+}
+
+/**
+ * Generates the ACH file for a pay date and records it:
+ * - The batch is added to appData.achBatches with the next batch number;
+ *   an earlier batch for the same pay date is marked superseded.
+ * - Each period's payroll debit in the bank register gets `achBatch` and
+ *   its description references the batch. Without automatic subtraction
+ *   there is no per-period debit, so one debit for the batch total is
+ *   posted on the effective date instead (replacing a superseded batch's).
+ * @param {string} payDate - YYYY-MM-DD
+ * @param {object} options - { effectiveDate (YYYY-MM-DD, default the pay date), createdAt (Date, default now) }
+ * @returns {object} { errors } or { batch, content, fileName }
+ */
+export function generateAchFile(payDate, { effectiveDate = payDate, createdAt = new Date() } = {}) {
+    const preview = previewAchBatch(payDate);
+    if (preview.errors.length > 0) return { errors: preview.errors };
+    if (preview.entries.length === 0) {
+        return { errors: [`There are no direct deposits to make on ${toDisplayDate(payDate)}.`] };
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveDate || '')) {
+        return { errors: ['Choose the effective entry date (the day the deposits settle).'] };
+    }
+
+    if (!Array.isArray(appData.achBatches)) {
+        appData.achBatches = [];
+    }
+    const number = appData.achBatches.reduce((max, b) => Math.max(max, b.number), 0) + 1;
+    const createdDate = toLocalDateString(createdAt);
+    const sameDay = appData.achBatches.filter(b => b.createdDate === createdDate).length;
+    const fileIdModifier = FILE_ID_MODIFIERS[sameDay % FILE_ID_MODIFIERS.length];
+    const content = buildNachaFile(preview, { effectiveDate, createdAt, fileIdModifier, batchNumber: 1 });
+    const odfi = String(appData.settings.ach.bankRoutingNumber).slice(0, 8);
+
+    const batch = {
+        id: crypto.randomUUID?.() || 'ach_' + Date.now() + '_' + Math.random().toString(36).slice(2),
+        number,
+        payDate,
+        effectiveDate,
+        createdAt: createdAt.toISOString(),
+        createdDate,
+        fileIdModifier,
+        fileName: `PayTrax_ACH_${payDate}_${number}.txt`,
+        entryCount: preview.entries.length,
+        totalCredit: preview.totalCredit,
+        entries: preview.entries.map((entry, index) => ({
+            employeeId: entry.employee.id,
+            name: entry.employee.name,
+            period: entry.period.period,
+            amount: entry.amount,
+            accountType: entry.account.accountType,
+            accountLast4: String(entry.account.accountNumber).slice(-4),
+            traceNumber: odfi + numericField(index + 1, 7)
+        })),
+        superseded: false
+    };
+
+    appData.achBatches.forEach(previous => {
+        if (previous.payDate !== payDate || previous.superseded) return;
+        previous.superseded = true;
+        appData.bankRegister = appData.bankRegister.filter(t => t.id !== `ach-${previous.id}`);
+    });
+    appData.achBatches.push(batch);
+
+    const reference = / \(ACH #\d+\)/;
+    new Set(preview.entries.map(e => `payroll-${e.employee.id}-${e.period.period}-${appData.settings.taxYear}`)).forEach(id => {
+        const transaction = appData.bankRegister.find(t => t.id === id);
+        if (!transaction) return;
+        transaction.achBatch = number;
+        transaction.description = transaction.description.replace(reference, '') + describeAchReference(number);
+    });
+    if (appData.settings.autoSubtraction === false) {
+        const id = `ach-${batch.id}`;
+        addTransaction(effectiveDate, `ACH Direct Deposit #${number}: ${batch.entryCount} deposits for ${toDisplayDate(payDate)}`, 'debit', batch.totalCredit, id, true);
+        const transaction = appData.bankRegister.find(t => t.id === id);
+        if (transaction) transaction.achBatch = number;
+    }
+
+    return { batch, content, fileName: batch.fileName };
+}
+
+/**
+ * Saves an ACH file as a download.
+ * @param {string} content - From generateAchFile
+ * @param {string} fileName
+ */
+export function downloadAchFile(content, fileName) {
+    const blob = new Blob([content], { type: 'text/plain;charset=utf-8;' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', fileName);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
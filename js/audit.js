@@ -17,17 +17,23 @@ const MAX_AUDIT_ENTRIES = 500;
  * Auto-prunes to MAX_AUDIT_ENTRIES.
  * @param {string} action - The action performed (e.g. "Employee Added")
  * @param {string} details - Human-readable details
+ * @param {object} [changes] - Optional { before, after } values of the record changed
  */
-export function logAudit(action, details) {
+export function logAudit(action, details, changes = null) {
     if (!Array.isArray(appData.auditLog)) {
         appData.auditLog = [];
     }
 
-    appData.auditLog.unshift({
+    const entry = {
         timestamp: new Date().toISOString(),
         action,
         details
-    });
+    };
+    if (changes) {
+        entry.before = changes.before ?? null;
+        entry.after = changes.after ?? null;
+    }
+    appData.auditLog.unshift(entry);
 
     // Auto-prune
     if (appData.auditLog.length > MAX_AUDIT_ENTRIES) {
@@ -10,10 +10,11 @@
 
 import { appData, saveData, saveDataImmediate } from './state.js';
 import { generateBasePayPeriods } from './logic.js';
-import { fromStorageDate, toDisplayDate } from './utils.js';
+import { fromStorageDate, toDisplayDate, parseCsvLine, normalizeCsvDate } from './utils.js';
 import { showToast } from './toast.js';
 import { createSnapshot, pushUndo } from './undo.js';
 import { logAudit } from './audit.js';
+import { describeCheckReference } from './checks.js';
 
 // --- EVENT HANDLER FUNCTIONS (Internal to this module) ---
 
@@ -139,7 +140,22 @@ function addTransactionFromForm() {
     const desc = document.getElementById('transDesc').value;
     const type = document.getElementById('transType').value;
     const amount = parseFloat(document.getElementById('transAmount').value);
-    addTransaction(date, desc, type, amount);
+    const checkNumber = parseInt(document.getElementById('transCheckNumber')?.value, 10);
+    if (type !== 'debit' || !(checkNumber > 0)) {
+        addTransaction(date, desc, type, amount);
+        return;
+    }
+
+    // A check written from the account (v26) is listed in Positive Pay files;
+    // the payroll check sequence skips past its number
+    const id = crypto.randomUUID?.() || 'trans_' + Date.now() + '_' + Math.random().toString(36).slice(2);
+    addTransaction(date, desc + describeCheckReference(checkNumber), type, amount, id);
+    const transaction = appData.bankRegister.find(t => t.id === id);
+    if (!transaction) return;
+    transaction.checkNumber = checkNumber;
+    if (checkNumber >= (appData.settings.nextCheckNumber || 0)) {
+        appData.settings.nextCheckNumber = checkNumber + 1;
+    }
 }
 
 export function addTransaction(date, description, type, amount, id = null, silent = false, reconciled = false) {
@@ -600,31 +616,6 @@ function hidePurgeModal() {
 
 // --- CSV IMPORT FUNCTIONS ---
 
-function parseCsvLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        if (char === '"') {
-            if (inQuotes && line[i + 1] === '"') {
-                current += '"';
-                i++;
-            } else {
-                inQuotes = !inQuotes;
-            }
-        } else if (char === ',' && !inQuotes) {
-            result.push(current.trim());
-            current = '';
-        } else {
-            current += char;
-        }
-    }
-    result.push(current.trim());
-    return result;
-}
-
 function detectCsvFormat(headerLine) {
     const header = headerLine.toLowerCase();
 
@@ -644,13 +635,21 @@ function detectCsvFormat(headerLine) {
     return 0; // Unknown format
 }
 
-function parseTransactionFromCsv(row, format) {
-    let date, description, debit, credit;
+/**
+ * Reads one bank CSV row. Formats with a Check column also give the
+ * cleared check's number (v25), without leading zeros.
+ * @param {string[]} row - The parsed CSV fields
+ * @param {number} format - From detectCsvFormat
+ * @returns {object|null} { date, description, debit, credit, checkNumber } or null if unreadable
+ */
+export function parseTransactionFromCsv(row, format) {
+    let date, description, debit, credit, checkCell = '';
 
     if (format === 1) {
         // Format 1: Account,Date,Pending?,Description,Category,Check,Credit,Debit
         date = row[1];
         description = row[3];
+        checkCell = row[5];
         credit = Math.abs(parseFloat(row[6]) || 0);
         debit = Math.abs(parseFloat(row[7]) || 0);
     } else if (format === 2) {
@@ -668,6 +667,7 @@ function parseTransactionFromCsv(row, format) {
     } else if (format === 3) {
         // Format 3: Account Number,Post Date,Check,Description,Debit,Credit
         date = row[1];
+        checkCell = row[2];
         description = row[3];
         debit = Math.abs(parseFloat(row[4]) || 0);
         credit = Math.abs(parseFloat(row[5]) || 0);
@@ -676,38 +676,13 @@ function parseTransactionFromCsv(row, format) {
     }
 
     // Normalize date to MM/DD/YYYY format
-    const normalizedDate = normalizeDate(date);
+    const normalizedDate = normalizeCsvDate(date);
     if (!normalizedDate) return null;
 
-    return { date: normalizedDate, description, debit, credit };
-}
+    const checkDigits = String(checkCell || '').trim();
+    const checkNumber = /^\d+$/.test(checkDigits) && Number(checkDigits) > 0 ? String(Number(checkDigits)) : '';
 
-function normalizeDate(dateStr) {
-    if (!dateStr) return null;
-
-    // Format: MM/DD/YYYY or M/D/YYYY → convert to YYYY-MM-DD
-    if (dateStr.includes('/')) {
-        const parts = dateStr.split('/');
-        if (parts.length === 3) {
-            const month = parts[0].padStart(2, '0');
-            const day = parts[1].padStart(2, '0');
-            const year = parts[2];
-            return `${year}-${month}-${day}`;
-        }
-    }
-
-    // Format: YYYY-MM-DD → already correct
-    if (dateStr.includes('-')) {
-        const parts = dateStr.split('-');
-        if (parts.length === 3) {
-            const year = parts[0];
-            const month = parts[1].padStart(2, '0');
-            const day = parts[2].padStart(2, '0');
-            return `${year}-${month}-${day}`;
-        }
-    }
-
-    return null;
+    return { date: normalizedDate, description, debit, credit, checkNumber };
 }
 
 function fuzzyMatchTransaction(newTrans) {
@@ -730,6 +705,22 @@ function fuzzyMatchTransaction(newTrans) {
     });
 }
 
+/**
+ * Finds the register transaction an imported bank row is for. A cleared
+ * paper check matches the debit carrying its check number (v25) — that
+ * debit can be the employer's whole payroll cost, not the check amount —
+ * and anything else falls back to fuzzyMatchTransaction.
+ * @param {object} newTrans - From parseTransactionFromCsv
+ * @returns {object|undefined} The matching register transaction
+ */
+export function matchImportedTransaction(newTrans) {
+    if (newTrans.checkNumber) {
+        const check = appData.bankRegister.find(t => t.checkNumber && String(t.checkNumber) === newTrans.checkNumber);
+        if (check) return check;
+    }
+    return fuzzyMatchTransaction(newTrans);
+}
+
 function importCsvTransactions(csvContent, autoReconcile) {
     const lines = csvContent.split('\n').filter(line => line.trim());
     if (lines.length < 2) {
@@ -757,7 +748,7 @@ function importCsvTransactions(csvContent, autoReconcile) {
             continue; // Skip invalid or zero-amount transactions
         }
 
-        const existingMatch = fuzzyMatchTransaction(transaction);
+        const existingMatch = matchImportedTransaction(transaction);
 
         if (existingMatch) {
             if (autoReconcile && !existingMatch.reconciled) {
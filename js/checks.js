@@ -0,0 +1,156 @@
+/*
+  PayTrax Payroll Management
+  Copyright (c) 2025 greenwh
+
+  Developed by greenwh with substantial assistance from AI coding tools (Claude, ChatGPT, Gemini).
+  This file is original work based on documentation and prompts by greenwh.
+  Licensed under the MIT License.
+*/
+// js/checks.js - Paper paycheck numbering (v25)
+//
+// Employees without direct deposit accounts are paid by paper check. The
+// first time a period's check is printed it takes settings.nextCheckNumber,
+// which is stored on the period (period.checkNumber); reprints keep it. The
+// period's bank register debit carries the number (transaction.checkNumber
+// and a "(Check #n)" description suffix) so bank CSV imports can reconcile
+// the cleared check by number. Voiding a period moves its number to the
+// voided check record, so a reissued check gets a new one. The PDF itself
+// is drawn by exportChecksToPDF in pdf-export.js.
+
+import { appData } from './state.js';
+import { addTransaction } from './banking.js';
+
+/** Where the check sits on the printed page; the pay stub vouchers fill the rest. */
+export const CHECK_LAYOUTS = {
+    top: 'Check on top, stubs below',
+    middle: 'Check in the middle, stubs above and below'
+};
+
+const ONES = ['', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+    'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = ['', 'thousand', 'million'];
+
+/**
+ * Words for a whole number from 1 to 999.
+ * @param {number} n
+ * @returns {string}
+ */
+function wordsBelowThousand(n) {
+    const words = [];
+    if (n >= 100) {
+        words.push(`${ONES[Math.floor(n / 100)]} hundred`);
+        n %= 100;
+    }
+    if (n >= 20) {
+        words.push(TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : ''));
+    } else if (n > 0) {
+        words.push(ONES[n]);
+    }
+    return words.join(' ');
+}
+
+/**
+ * The amount line of a check: "One thousand two hundred thirty-four and 56/100".
+ * @param {number} amount - Dollars, less than one billion
+ * @returns {string}
+ */
+export function amountToWords(amount) {
+    const cents = Math.round(Math.abs(amount) * 100);
+    let dollars = Math.floor(cents / 100);
+
+    const groups = [];
+    for (let scale = 0; dollars > 0; scale++) {
+        const group = dollars % 1000;
+        if (group > 0) {
+            groups.unshift(wordsBelowThousand(group) + (SCALES[scale] ? ` ${SCALES[scale]}` : ''));
+        }
+        dollars = Math.floor(dollars / 1000);
+    }
+    const words = groups.length > 0 ? groups.join(' ') : 'zero';
+    return `${words.charAt(0).toUpperCase()}${words.slice(1)} and ${String(cents % 100).padStart(2, '0')}/100`;
+}
+
+/**
+ * The amount box of a check, with leading asterisks so it can't be altered: "**1,234.56".
+ * @param {number} amount
+ * @returns {string}
+ */
+export function formatCheckAmount(amount) {
+    return '**' + amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * The text appended to a bank register description that references a check.
+ * @param {number} checkNumber
+ * @returns {string}
+ */
+export function describeCheckReference(checkNumber) {
+    return ` (Check #${checkNumber})`;
+}
+
+/**
+ * Paid periods on a pay date whose employees have no direct deposit
+ * account, in employee order.
+ * @param {string} payDate - YYYY-MM-DD
+ * @returns {Array} [{ employee, period }]
+ */
+export function getCheckPeriods(payDate) {
+    const checks = [];
+    appData.employees.forEach(employee => {
+        if ((employee.bankAccounts || []).length > 0) return;
+        (appData.payPeriods[employee.id] || [])
+            .filter(p => p.payDate === payDate && p.netPay > 0)
+            .forEach(period => checks.push({ employee, period }));
+    });
+    return checks;
+}
+
+/**
+ * Pay dates (ascending) with at least one paper check to print.
+ * @returns {string[]} YYYY-MM-DD dates
+ */
+export function getCheckPayDates() {
+    const dates = new Set();
+    appData.employees.forEach(employee => {
+        if ((employee.bankAccounts || []).length > 0) return;
+        (appData.payPeriods[employee.id] || []).forEach(p => {
+            if (p.payDate && p.netPay > 0) dates.add(p.payDate);
+        });
+    });
+    return [...dates].sort();
+}
+
+/**
+ * Gives a period's check its number, or returns the one it already has.
+ * A new number is taken from settings.nextCheckNumber, which moves on by
+ * one, and the period's payroll debit is tagged with it. Without automatic
+ * subtraction there is no payroll debit, so a debit for the check's net pay
+ * is posted on the pay date instead.
+ * @param {string} employeeId
+ * @param {number} periodNum
+ * @returns {number|null} The check number, or null if the period has no net pay
+ */
+export function assignCheckNumber(employeeId, periodNum) {
+    const employee = appData.employees.find(e => e.id === employeeId);
+    const period = appData.payPeriods[employeeId]?.find(p => p.period == periodNum);
+    if (!employee || !period || !(period.netPay > 0)) return null;
+    if (period.checkNumber) return period.checkNumber;
+
+    const checkNumber = appData.settings.nextCheckNumber || 1001;
+    appData.settings.nextCheckNumber = checkNumber + 1;
+    period.checkNumber = checkNumber;
+
+    const taxYear = appData.settings.taxYear;
+    const payrollDebit = appData.bankRegister.find(t => t.id === `payroll-${employeeId}-${period.period}-${taxYear}`);
+    if (payrollDebit) {
+        payrollDebit.checkNumber = checkNumber;
+        payrollDebit.description = payrollDebit.description.replace(/ \(Check #\d+\)/, '') + describeCheckReference(checkNumber);
+    } else if (appData.settings.autoSubtraction === false) {
+        const id = `check-${employeeId}-${period.period}-${taxYear}`;
+        addTransaction(period.payDate, `Check #${checkNumber}: ${employee.name}`, 'debit', period.netPay, id, true);
+        const transaction = appData.bankRegister.find(t => t.id === id);
+        if (transaction) transaction.checkNumber = checkNumber;
+    }
+    return checkNumber;
+}
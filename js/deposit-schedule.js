@@ -0,0 +1,200 @@
+/*
+  PayTrax Payroll Management
+  Copyright (c) 2025 greenwh
+
+  Developed by greenwh with substantial assistance from AI coding tools (Claude, ChatGPT, Gemini).
+  This file is original work based on documentation and prompts by greenwh.
+  Licensed under the MIT License.
+*/
+// js/deposit-schedule.js - Federal (941) depositor schedule (v28)
+//
+// The IRS sets an employer's 941 deposit schedule for a calendar year from
+// the lookback period, the four quarters ending the June 30 before the prior
+// year: $50,000 or less of 941 taxes makes a monthly depositor, more a
+// semiweekly one. The $100,000 next-day rule overrides it: when the 941
+// taxes accumulated in a deposit period reach $100,000 on a pay date, they
+// are due the next business day, and a monthly depositor becomes semiweekly
+// for the rest of that year and all of the next. Both are computed from the
+// pay periods on record (including closed years). With
+// settings.lookbackDepositSchedule on, the computed schedule replaces the
+// Federal (941) frequency chosen in Settings.
+//
+// Each year's schedule depends on the year before, so the functions below
+// share a cache (createDepositScheduleCache) that a report or view builds
+// once and passes along: every year is worked out once, not once per pay date.
+
+import { appData } from './state.js';
+import { fromStorageDate } from './utils.js';
+import { getReportPayPeriods } from './reports.js';
+import { periodTaxLiability } from './tax-deposits.js';
+
+/** 941 taxes in the lookback period above which an employer deposits semiweekly. */
+export const MONTHLY_DEPOSITOR_LIMIT = 50000;
+
+/** 941 taxes accumulated in a deposit period that must be deposited the next business day. */
+export const NEXT_DAY_DEPOSIT_THRESHOLD = 100000;
+
+/** Deposit frequencies where each pay date's taxes are deposited separately. */
+export const PER_PAY_DATE_FREQUENCIES = ['weekly', 'bi-weekly', 'semiweekly'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * A cache of the 941 deposit schedules for one pass over the pay periods,
+ * e.g. one report or one refresh of a view. Pay periods are read on first
+ * use; build a new cache after they change.
+ * @returns {object} Pass it unchanged to the functions of this module
+ */
+export function createDepositScheduleCache() {
+    return { byDate: null, schedules: {}, triggers: {} };
+}
+
+/**
+ * 941 liability of every pay date on record in a date range, summed over
+ * employees.
+ * @param {object} cache - From createDepositScheduleCache
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {object} { [payDate]: amount }
+ */
+function federalLiabilityByPayDate(cache, startDate, endDate) {
+    if (!cache.byDate) {
+        cache.byDate = {};
+        Object.values(getReportPayPeriods()).forEach(periods => periods.forEach(p => {
+            if (!(p.grossPay > 0)) return;
+            cache.byDate[p.payDate] = (cache.byDate[p.payDate] || 0) + periodTaxLiability(p, 'federal');
+        }));
+    }
+    const byDate = {};
+    Object.entries(cache.byDate).forEach(([date, amount]) => {
+        if (date >= startDate && date <= endDate) byDate[date] = amount;
+    });
+    return byDate;
+}
+
+/**
+ * The deposit period a pay date falls in: its month for a monthly
+ * depositor; for a semiweekly one, Wednesday to Friday or Saturday to
+ * Tuesday, named by the Wednesday or Saturday that starts it.
+ * @param {string} payDate - YYYY-MM-DD
+ * @param {string} schedule - 'monthly' or 'semiweekly'
+ * @returns {string}
+ */
+function depositPeriodKey(payDate, schedule) {
+    if (schedule === 'monthly') return payDate.slice(0, 7);
+    const d = fromStorageDate(payDate);
+    const day = d.getDay();
+    const back = day >= 3 && day <= 5 ? day - 3 : (day + 1) % 7;
+    d.setDate(d.getDate() - back);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * The lookback period for a calendar year: July 1 two years before through
+ * June 30 of the prior year, with each quarter's 941 liability.
+ * @param {number} year
+ * @param {object} cache - From createDepositScheduleCache (default: a new one)
+ * @returns {object} { year, start, end, quarters: [{ label, start, end, liability }], liability }
+ */
+export function computeLookback(year, cache = createDepositScheduleCache()) {
+    const quarters = [
+        { label: `Q3 ${year - 2}`, start: `${year - 2}-07-01`, end: `${year - 2}-09-30` },
+        { label: `Q4 ${year - 2}`, start: `${year - 2}-10-01`, end: `${year - 2}-12-31` },
+        { label: `Q1 ${year - 1}`, start: `${year - 1}-01-01`, end: `${year - 1}-03-31` },
+        { label: `Q2 ${year - 1}`, start: `${year - 1}-04-01`, end: `${year - 1}-06-30` }
+    ];
+    const byDate = federalLiabilityByPayDate(cache, quarters[0].start, quarters[3].end);
+    quarters.forEach(q => {
+        q.liability = round2(Object.entries(byDate)
+            .filter(([date]) => date >= q.start && date <= q.end)
+            .reduce((sum, [, amount]) => sum + amount, 0));
+    });
+    return {
+        year,
+        start: quarters[0].start,
+        end: quarters[3].end,
+        quarters,
+        liability: round2(quarters.reduce((sum, q) => sum + q.liability, 0))
+    };
+}
+
+/**
+ * The 941 deposit schedule a year starts with: semiweekly when the lookback
+ * liability is over $50,000 or the next-day rule applied in the prior year,
+ * otherwise monthly (including a new employer with no lookback payroll).
+ * @param {number} year
+ * @param {object} cache - From createDepositScheduleCache (default: a new one)
+ * @returns {object} { year, schedule: 'monthly'|'semiweekly', reason: 'lookback'|'next-day', lookback }
+ */
+export function determineDepositSchedule(year, cache = createDepositScheduleCache()) {
+    if (!cache.schedules[year]) {
+        const lookback = computeLookback(year, cache);
+        cache.schedules[year] = findNextDayDeposits(year - 1, cache).length > 0
+            ? { year, schedule: 'semiweekly', reason: 'next-day', lookback }
+            : { year, schedule: lookback.liability > MONTHLY_DEPOSITOR_LIMIT ? 'semiweekly' : 'monthly', reason: 'lookback', lookback };
+    }
+    return cache.schedules[year];
+}
+
+/**
+ * Pay dates in a year on which the 941 taxes accumulated in the deposit
+ * period reached $100,000. Accumulation starts over after each one, and
+ * the schedule is semiweekly from then on.
+ * @param {number} year
+ * @param {object} cache - From createDepositScheduleCache (default: a new one)
+ * @returns {Array} [{ payDate, accumulated, schedule }] - schedule is the one in force before the pay date
+ */
+export function findNextDayDeposits(year, cache = createDepositScheduleCache()) {
+    if (cache.triggers[year]) return cache.triggers[year];
+    const byDate = federalLiabilityByPayDate(cache, `${year}-01-01`, `${year}-12-31`);
+    const payDates = Object.keys(byDate).sort();
+    if (payDates.length === 0) return (cache.triggers[year] = []);
+
+    let schedule = determineDepositSchedule(year, cache).schedule;
+    let periodKey = null;
+    let accumulated = 0;
+    const triggers = [];
+    payDates.forEach(payDate => {
+        const key = depositPeriodKey(payDate, schedule);
+        if (key !== periodKey) {
+            periodKey = key;
+            accumulated = 0;
+        }
+        accumulated += byDate[payDate];
+        if (accumulated >= NEXT_DAY_DEPOSIT_THRESHOLD) {
+            triggers.push({ payDate, accumulated: round2(accumulated), schedule });
+            accumulated = 0;
+            schedule = 'semiweekly';
+            periodKey = depositPeriodKey(payDate, schedule);
+        }
+    });
+    return (cache.triggers[year] = triggers);
+}
+
+/**
+ * The 941 deposit schedule in force on a date: the year's schedule, or
+ * semiweekly after a next-day deposit earlier in the year.
+ * @param {string} date - YYYY-MM-DD
+ * @param {object} cache - From createDepositScheduleCache (default: a new one)
+ * @returns {string} 'monthly' or 'semiweekly'
+ */
+export function getFederalDepositSchedule(date, cache = createDepositScheduleCache()) {
+    const year = fromStorageDate(date).getFullYear();
+    if (findNextDayDeposits(year, cache).some(t => t.payDate < date)) return 'semiweekly';
+    return determineDepositSchedule(year, cache).schedule;
+}
+
+/**
+ * The deposit frequency of a tax on a date: the one chosen in Settings, or
+ * for 941 taxes the lookback schedule when settings.lookbackDepositSchedule is on.
+ * @param {string} taxType - 'federal', 'futa', 'suta', 'state' or 'local'
+ * @param {string} date - YYYY-MM-DD
+ * @param {object} cache - From createDepositScheduleCache (optional)
+ * @returns {string} Lower-case frequency, e.g. 'monthly' or 'semiweekly'
+ */
+export function getTaxFrequency(taxType, date, cache) {
+    if (taxType === 'federal' && appData.settings.lookbackDepositSchedule) {
+        return getFederalDepositSchedule(date, cache);
+    }
+    return (appData.settings.taxFrequencies?.[taxType] || 'quarterly').toLowerCase();
+}
@@ -14,8 +14,44 @@ import { generateBasePayPeriods } from './logic.js';
 
 // --- EMPLOYEE MANAGEMENT ---
 
-/** The four employee fields that carry effective-dated rate histories (v13). */
-export const RATE_HISTORY_FIELDS = ['rate', 'fedTaxRate', 'stateTaxRate', 'localTaxRate'];
+/** The employee fields that carry effective-dated rate histories (v13; annualSalary v14). */
+export const RATE_HISTORY_FIELDS = ['rate', 'annualSalary', 'fedTaxRate', 'stateTaxRate', 'localTaxRate'];
+
+/**
+ * Employment statuses (v23). Only active employees are listed in the
+ * dashboard and employee dropdowns by default; a terminated employee must
+ * have a termination date.
+ */
+export const EMPLOYMENT_STATUSES = {
+    active: 'Active',
+    leave: 'On Leave',
+    terminated: 'Terminated'
+};
+
+/**
+ * Whether an employee's status is active (records without one are).
+ * @param {object} employee
+ * @returns {boolean}
+ */
+export function isEmployeeActive(employee) {
+    return (employee.status || 'active') === 'active';
+}
+
+/**
+ * Whether a regular pay period overlaps the employee's hire–termination
+ * dates (v23). Periods outside them are not generated and cannot be paid.
+ * Off-cycle runs, such as a final paycheck after the termination date, are
+ * always in employment.
+ * @param {object} employee
+ * @param {object} period - A pay period
+ * @returns {boolean}
+ */
+export function isPeriodInEmployment(employee, period) {
+    if (period.offCycle) return true;
+    if (employee.hireDate && period.endDate < employee.hireDate) return false;
+    if (employee.terminationDate && period.startDate > employee.terminationDate) return false;
+    return true;
+}
 
 /**
  * Inserts or replaces a { effectiveDate, value } entry in a rate history.
@@ -68,66 +104,138 @@ export function saveEmployeeFromForm() {
         idNumber: document.getElementById('idNumber').value,
         name: document.getElementById('employeeName').value,
         address: document.getElementById('employeeAddress').value,
+        payType: document.getElementById('payType')?.value === 'salary' ? 'salary' : 'hourly',
         rate: parseFloat(document.getElementById('hourlyRate').value) || 0,
+        annualSalary: parseFloat(document.getElementById('annualSalary')?.value) || 0,
+        hireDate: document.getElementById('hireDate')?.value || '',
+        dateOfBirth: document.getElementById('dateOfBirth')?.value || '',
+        terminationDate: document.getElementById('terminationDate')?.value || '',
+        status: EMPLOYMENT_STATUSES[document.getElementById('employmentStatus')?.value] ? document.getElementById('employmentStatus').value : 'active',
         overtimeMultiplier: parseFloat(document.getElementById('overtimeRate').value) || 1.5,
         holidayMultiplier: parseFloat(document.getElementById('holidayRate').value) || 2.0,
         fedTaxRate: parseFloat(document.getElementById('federalTax').value) || 0,
+        federalWithholdingMethod: document.getElementById('federalWithholdingMethod')?.value === 'w4' ? 'w4' : 'flat',
+        w4: {
+            filingStatus: document.getElementById('w4FilingStatus')?.value || 'single',
+            multipleJobs: !!document.getElementById('w4MultipleJobs')?.checked,
+            dependentsAmount: parseFloat(document.getElementById('w4DependentsAmount')?.value) || 0,
+            otherIncome: parseFloat(document.getElementById('w4OtherIncome')?.value) || 0,
+            deductions: parseFloat(document.getElementById('w4Deductions')?.value) || 0,
+            extraWithholding: parseFloat(document.getElementById('w4ExtraWithholding')?.value) || 0
+        },
         stateTaxRate: parseFloat(document.getElementById('stateTax').value) || 0,
         localTaxRate: parseFloat(document.getElementById('localTax').value) || 0,
         ptoAccrualRate: parseFloat(document.getElementById('ptoAccrualRate').value) || 0,
         // The form edits the starting balance; ptoBalance is computed from it
         // by recalculateAllPeriodsForEmployee.
         ptoStartingBalance: parseFloat(document.getElementById('ptoBalance').value) || 0,
+        bankAccounts: readBankAccountsFromForm()
     };
 
     if (employeeId) {
-        const index = appData.employees.findIndex(e => e.id === employeeId);
-        if (index > -1) {
-            const existing = appData.employees[index];
-            // When editing, preserve the existing remainders, deductions, and
-            // computed PTO balance to not lose data (all recomputed on next recalc)
-            const existingRemainders = existing.taxRemainders || { federal: 0, fica: 0, medicare: 0, state: 0, local: 0, suta: 0, futa: 0 };
-            const existingDeductions = existing.deductions || [];
-            const existingPtoBalance = existing.ptoBalance || 0;
-
-            // Effective-dated rates (v13): a changed rate field becomes a new
-            // history entry at the form's effective date (default today) —
-            // unchanged fields are left alone. Editing an entry to the same
-            // date replaces it (correction).
-            const effectiveDate = document.getElementById('rateEffectiveDate')?.value || formatDate(new Date());
-            const histories = existing.rateHistories || {};
-            RATE_HISTORY_FIELDS.forEach(field => {
-                if (!Array.isArray(histories[field]) || histories[field].length === 0) {
-                    histories[field] = [{ effectiveDate: '2000-01-01', value: existing[field] || 0 }];
-                }
-                const inForce = resolveRate(histories[field], effectiveDate, existing[field] || 0);
-                if (employeeData[field] !== inForce) {
-                    upsertRateEntry(histories[field], effectiveDate, employeeData[field]);
-                }
-            });
-
-            appData.employees[index] = { ...employeeData, rateHistories: histories, taxRemainders: existingRemainders, deductions: existingDeductions, ptoBalance: existingPtoBalance };
-        }
+        // Effective-dated rates (v13): changed rates take effect on the
+        // form's effective date (default today)
+        updateEmployee(employeeData, document.getElementById('rateEffectiveDate')?.value || formatDate(new Date()));
     } else {
-        // For a new employee, create a fresh taxRemainders object, empty
-        // deductions, and rate histories seeded from the entered rates
-        const newEmployee = {
-            ...employeeData,
-            ptoBalance: employeeData.ptoStartingBalance,
-            rateHistories: {
-                rate: [{ effectiveDate: '2000-01-01', value: employeeData.rate }],
-                fedTaxRate: [{ effectiveDate: '2000-01-01', value: employeeData.fedTaxRate }],
-                stateTaxRate: [{ effectiveDate: '2000-01-01', value: employeeData.stateTaxRate }],
-                localTaxRate: [{ effectiveDate: '2000-01-01', value: employeeData.localTaxRate }]
-            },
-            taxRemainders: { federal: 0, fica: 0, medicare: 0, state: 0, local: 0, suta: 0, futa: 0 },
-            deductions: []
-        };
-        appData.employees.push(newEmployee);
-        appData.payPeriods[newEmployee.id] = generateBasePayPeriods();
+        addEmployee(employeeData);
     }
 }
 
+/**
+ * Reads the direct deposit accounts (v24) from the employee form: the
+ * primary account takes the remainder of net pay, the optional split
+ * account a fixed amount or percent of it. An account with neither a
+ * routing nor an account number is left out.
+ * @returns {Array} [{ routingNumber, accountNumber, accountType, splitType, splitValue }]
+ */
+export function readBankAccountsFromForm() {
+    const value = (id) => (document.getElementById(id)?.value || '').trim();
+    const accounts = [];
+    const primary = {
+        routingNumber: value('ddRoutingNumber'),
+        accountNumber: value('ddAccountNumber'),
+        accountType: value('ddAccountType') === 'savings' ? 'savings' : 'checking',
+        splitType: 'remainder',
+        splitValue: 0
+    };
+    const split = {
+        routingNumber: value('ddSplitRoutingNumber'),
+        accountNumber: value('ddSplitAccountNumber'),
+        accountType: value('ddSplitAccountType') === 'savings' ? 'savings' : 'checking',
+        splitType: value('ddSplitType') === 'percent' ? 'percent' : 'amount',
+        splitValue: parseFloat(value('ddSplitValue')) || 0
+    };
+    [primary, split].forEach(account => {
+        if (account.routingNumber || account.accountNumber) accounts.push(account);
+    });
+    return accounts;
+}
+
+/**
+ * Adds a new employee with a fresh taxRemainders object, empty deductions,
+ * employer contributions and garnishments, rate histories seeded from the
+ * entered rates, and pay periods for their employment dates.
+ * @param {object} employeeData - The employee's fields, including its id
+ * @returns {object} The new employee
+ */
+export function addEmployee(employeeData) {
+    const newEmployee = {
+        ...employeeData,
+        ptoBalance: employeeData.ptoStartingBalance,
+        rateHistories: {
+            rate: [{ effectiveDate: '2000-01-01', value: employeeData.rate }],
+            annualSalary: [{ effectiveDate: '2000-01-01', value: employeeData.annualSalary }],
+            fedTaxRate: [{ effectiveDate: '2000-01-01', value: employeeData.fedTaxRate }],
+            stateTaxRate: [{ effectiveDate: '2000-01-01', value: employeeData.stateTaxRate }],
+            localTaxRate: [{ effectiveDate: '2000-01-01', value: employeeData.localTaxRate }]
+        },
+        taxRemainders: { federal: 0, fica: 0, medicare: 0, state: 0, local: 0, suta: 0, futa: 0 },
+        deductions: [],
+        employerContributions: [],
+        garnishments: [],
+        bankAccounts: employeeData.bankAccounts || []
+    };
+    appData.employees.push(newEmployee);
+    appData.payPeriods[newEmployee.id] = generateBasePayPeriods().filter(p => isPeriodInEmployment(newEmployee, p));
+    return newEmployee;
+}
+
+/**
+ * Replaces an existing employee's fields. The remainders, deductions,
+ * employer contributions, garnishments and computed PTO balance are
+ * preserved (all recomputed on next recalc). A changed rate field becomes
+ * a new history entry at the effective date — unchanged fields are left
+ * alone, and editing an entry to the same date replaces it (correction).
+ * @param {object} employeeData - The employee's fields, including its id
+ * @param {string} effectiveDate - YYYY-MM-DD the changed rates take effect
+ * @returns {object|null} The updated employee, or null if not found
+ */
+export function updateEmployee(employeeData, effectiveDate) {
+    const index = appData.employees.findIndex(e => e.id === employeeData.id);
+    if (index === -1) return null;
+
+    const existing = appData.employees[index];
+    const existingRemainders = existing.taxRemainders || { federal: 0, fica: 0, medicare: 0, state: 0, local: 0, suta: 0, futa: 0 };
+    const existingDeductions = existing.deductions || [];
+    const existingContributions = existing.employerContributions || [];
+    const existingGarnishments = existing.garnishments || [];
+    const existingPtoBalance = existing.ptoBalance || 0;
+
+    const histories = existing.rateHistories || {};
+    RATE_HISTORY_FIELDS.forEach(field => {
+        if (!Array.isArray(histories[field]) || histories[field].length === 0) {
+            histories[field] = [{ effectiveDate: '2000-01-01', value: existing[field] || 0 }];
+        }
+        const inForce = resolveRate(histories[field], effectiveDate, existing[field] || 0);
+        if (employeeData[field] !== inForce) {
+            upsertRateEntry(histories[field], effectiveDate, employeeData[field]);
+        }
+    });
+
+    appData.employees[index] = { ...employeeData, rateHistories: histories, taxRemainders: existingRemainders, deductions: existingDeductions, employerContributions: existingContributions, garnishments: existingGarnishments, ptoBalance: existingPtoBalance };
+    return appData.employees[index];
+}
+
 /**
  * Deletes an employee from the appData state.
  */
@@ -140,14 +248,88 @@ export function deleteEmployee() {
 
 // --- DEDUCTION MANAGEMENT ---
 
+/** Taxes whose wage base a pre-tax deduction can reduce. */
+export const TAXABLE_WAGE_TYPES = ['federal', 'state', 'local', 'fica', 'medicare', 'futa', 'suta'];
+
+/**
+ * Tax treatment of a deduction (v16). `exempt` lists the taxes whose taxable
+ * wages the deduction reduces; `box12` is the W-2 Box 12 code it reports under.
+ * `box12Codes` lists the codes a deduction of that treatment may pick instead
+ * in its `box12Code` (v30; '' reports nothing).
+ * - 401k: traditional elective deferral — reduces federal and state income
+ *   tax wages only; still subject to local tax, FICA, Medicare, FUTA and SUTA
+ * - section125: cafeteria plan election — reduces every wage base; health
+ *   premiums report as DD, HSA contributions as W, FSA elections not at all
+ * - roth: Roth 401(k) deferral — taxed like post-tax pay but reported in Box 12
+ * - post-tax: no effect on any wage base
+ */
+export const DEDUCTION_TAX_TREATMENTS = {
+    'post-tax':   { label: 'Post-tax', exempt: [], box12: null },
+    '401k':       { label: 'Pre-tax 401(k)', exempt: ['federal', 'state'], box12: 'D' },
+    'section125': { label: 'Section 125 (cafeteria)', exempt: TAXABLE_WAGE_TYPES, box12: 'DD', box12Codes: ['DD', 'W', ''] },
+    'roth':       { label: 'Roth 401(k)', exempt: [], box12: 'AA' }
+};
+
+/**
+ * The W-2 Box 12 code a deduction reports under: its own `box12Code` when its
+ * treatment lets it pick one, otherwise the treatment's code.
+ * @param {object} deduction - A deduction, or a period's calculated copy
+ * @returns {string|null} The code, or null when it is not reported
+ */
+export function getDeductionBox12Code(deduction) {
+    const treatment = DEDUCTION_TAX_TREATMENTS[deduction.taxTreatment];
+    if (!treatment) return null;
+    const code = treatment.box12Codes ? (deduction.box12Code ?? treatment.box12) : treatment.box12;
+    return code || null;
+}
+
+/**
+ * IRS 402(g) elective deferral limits by tax year. `catchUp` is the extra
+ * amount for employees age 50+ by year end; `catchUp60to63` (SECURE 2.0,
+ * 2025+) replaces it for ages 60–63. A year without an entry uses the most
+ * recent earlier one.
+ */
+export const ELECTIVE_DEFERRAL_LIMITS = {
+    2024: { base: 23000, catchUp: 7500 },
+    2025: { base: 23500, catchUp: 7500, catchUp60to63: 11250 },
+    2026: { base: 24500, catchUp: 8000, catchUp60to63: 11250 }
+};
+
+/** Annual limit types a deduction can carry (v18). */
+export const DEDUCTION_LIMIT_TYPES = ['none', '402g', 'fixed'];
+
+/**
+ * Returns the employee's 402(g) limit for a year, including any catch-up for
+ * the age attained by December 31. No date of birth means no catch-up.
+ * @param {number} year - The tax year
+ * @param {string} dateOfBirth - YYYY-MM-DD, or '' when unknown
+ * @returns {number}
+ */
+export function getElectiveDeferralLimit(year, dateOfBirth = '') {
+    const years = Object.keys(ELECTIVE_DEFERRAL_LIMITS).map(Number).sort((a, b) => a - b);
+    const tableYear = years.filter(y => y <= year).pop() ?? years[0];
+    const limits = ELECTIVE_DEFERRAL_LIMITS[tableYear];
+    if (!dateOfBirth) return limits.base;
+
+    const age = year - parseInt(dateOfBirth.slice(0, 4), 10);
+    if (age >= 60 && age <= 63 && limits.catchUp60to63) return limits.base + limits.catchUp60to63;
+    if (age >= 50) return limits.base + limits.catchUp;
+    return limits.base;
+}
+
 /**
  * Adds a deduction to an employee.
  * @param {string} employeeId - The ID of the employee
  * @param {string} name - Name of the deduction (e.g., "401k", "Health Insurance")
  * @param {number} amount - Amount of the deduction (per pay period)
  * @param {string} type - Type: "fixed" for fixed amount or "percent" for percentage of gross
+ * @param {string} taxTreatment - Key of DEDUCTION_TAX_TREATMENTS (default "post-tax")
+ * @param {string} limitType - Annual limit: "none", "402g" (shared IRS deferral limit), or "fixed"
+ * @param {number} limitAmount - The annual limit ($) when limitType is "fixed"
+ * @param {string} [box12Code] - W-2 Box 12 code ('' for none) for a treatment
+ *   with a choice of codes; defaults to the treatment's code
  */
-export function addDeduction(employeeId, name, amount, type = 'fixed') {
+export function addDeduction(employeeId, name, amount, type = 'fixed', taxTreatment = 'post-tax', limitType = 'none', limitAmount = 0, box12Code = null) {
     const employee = appData.employees.find(e => e.id === employeeId);
     if (!employee) return false;
 
@@ -160,9 +342,17 @@ export function addDeduction(employeeId, name, amount, type = 'fixed') {
         name: name,
         amount: parseFloat(amount),
         type: type,
+        taxTreatment: taxTreatment,
+        limitType: limitType,
+        limitAmount: limitType === 'fixed' ? parseFloat(limitAmount) : 0,
         createdDate: new Date().toISOString().split('T')[0] // YYYY-MM-DD format
     };
 
+    const treatment = DEDUCTION_TAX_TREATMENTS[taxTreatment];
+    if (treatment?.box12Codes) {
+        deduction.box12Code = box12Code ?? treatment.box12;
+    }
+
     employee.deductions.push(deduction);
     return true;
 }
@@ -174,8 +364,10 @@ export function addDeduction(employeeId, name, amount, type = 'fixed') {
  * @param {string} name - New name of the deduction
  * @param {number} amount - New amount of the deduction
  * @param {string} type - New type: "fixed" or "percent"
+ * @param {string} [taxTreatment] - New tax treatment (unchanged when omitted)
+ * @param {string} [box12Code] - New W-2 Box 12 code, '' for none (unchanged when omitted)
  */
-export function updateDeduction(employeeId, deductionId, name, amount, type) {
+export function updateDeduction(employeeId, deductionId, name, amount, type, taxTreatment, box12Code) {
     const employee = appData.employees.find(e => e.id === employeeId);
     if (!employee || !employee.deductions) return false;
 
@@ -185,6 +377,15 @@ export function updateDeduction(employeeId, deductionId, name, amount, type) {
     deduction.name = name;
     deduction.amount = parseFloat(amount);
     deduction.type = type;
+    if (taxTreatment) deduction.taxTreatment = taxTreatment;
+    const treatment = DEDUCTION_TAX_TREATMENTS[deduction.taxTreatment];
+    if (!treatment?.box12Codes) {
+        delete deduction.box12Code;
+    } else if (box12Code !== undefined && box12Code !== null) {
+        deduction.box12Code = box12Code;
+    } else if (deduction.box12Code === undefined) {
+        deduction.box12Code = treatment.box12;
+    }
     return true;
 }
 
@@ -204,12 +405,17 @@ export function deleteDeduction(employeeId, deductionId) {
 /**
  * Calculates total deductions for an employee in a pay period.
  * Only applies deductions that were created on or before the pay period date.
+ * Deductions with an annual limit take only what is left of the limit after
+ * the year-to-date amounts in `ytd`, then stop; all "402g" deductions share
+ * one elective deferral limit. A limited deduction that hits its limit is
+ * flagged `limitReached` (shown on the pay stub).
  * @param {object} employee - The employee object
  * @param {number} grossPay - The gross pay for the period
- * @param {string} payDate - The pay date for the period (YYYY-MM-DD format)
+ * @param {string} payDate - The pay period date (YYYY-MM-DD format)
+ * @param {object} ytd - Amounts already taken this year before this period, keyed by deduction id
  * @returns {object} - Object with deductions array and total
  */
-export function calculateDeductions(employee, grossPay, payDate = null) {
+export function calculateDeductions(employee, grossPay, payDate = null, ytd = {}) {
     if (!employee.deductions || employee.deductions.length === 0) {
         return { deductions: [], total: 0 };
     }
@@ -228,6 +434,13 @@ export function calculateDeductions(employee, grossPay, payDate = null) {
         });
     }
 
+    // The 402(g) limit is one pool shared by every deferral that carries it
+    const year = payDate ? fromStorageDate(payDate).getFullYear() : appData.settings.taxYear;
+    const deferralLimit = getElectiveDeferralLimit(year, employee.dateOfBirth);
+    let deferralUsed = employee.deductions
+        .filter(ded => ded.limitType === '402g')
+        .reduce((sum, ded) => sum + (ytd[ded.id] || 0), 0);
+
     const calculatedDeductions = applicableDeductions.map(ded => {
         let amount = 0;
         if (ded.type === 'percent') {
@@ -235,9 +448,23 @@ export function calculateDeductions(employee, grossPay, payDate = null) {
         } else {
             amount = ded.amount;
         }
+
+        let limitReached = false;
+        if (ded.limitType === '402g' || (ded.limitType === 'fixed' && ded.limitAmount > 0)) {
+            const limit = ded.limitType === '402g' ? deferralLimit : ded.limitAmount;
+            const used = ded.limitType === '402g' ? deferralUsed : (ytd[ded.id] || 0);
+            const remaining = Math.max(0, Math.round((limit - used) * 100) / 100);
+            if (amount >= remaining) {
+                amount = remaining;
+                limitReached = true;
+            }
+            if (ded.limitType === '402g') deferralUsed += amount;
+        }
+
         return {
             ...ded,
-            calculatedAmount: amount
+            calculatedAmount: amount,
+            limitReached
         };
     });
 
@@ -248,3 +475,203 @@ export function calculateDeductions(employee, grossPay, payDate = null) {
         total: Math.round(total * 100) / 100
     };
 }
+
+// --- GARNISHMENTS ---
+
+/**
+ * Adds a garnishment or support order to an employee (v19). Withholding is
+ * computed by calculateGarnishments in garnishments.js after taxes.
+ * @param {string} employeeId - The ID of the employee
+ * @param {object} order - { payee, caseNumber, orderType, amountType ("fixed" | "percent"
+ *   of disposable earnings), amount, priority, balance (0 = no set balance),
+ *   priorPaid, supportsOtherFamily, arrearsOver12Weeks, startDate (blank = all periods) }
+ */
+export function addGarnishment(employeeId, order) {
+    const employee = appData.employees.find(e => e.id === employeeId);
+    if (!employee) return false;
+
+    if (!employee.garnishments) {
+        employee.garnishments = [];
+    }
+
+    employee.garnishments.push({
+        id: crypto.randomUUID?.() || 'garn_' + Date.now() + '_' + Math.random().toString(36).slice(2),
+        payee: order.payee,
+        caseNumber: order.caseNumber || '',
+        orderType: order.orderType,
+        amountType: order.amountType || 'fixed',
+        amount: parseFloat(order.amount),
+        priority: parseInt(order.priority) || 1,
+        balance: parseFloat(order.balance) || 0,
+        priorPaid: parseFloat(order.priorPaid) || 0,
+        supportsOtherFamily: !!order.supportsOtherFamily,
+        arrearsOver12Weeks: !!order.arrearsOver12Weeks,
+        startDate: order.startDate || '',
+        createdDate: new Date().toISOString().split('T')[0] // YYYY-MM-DD format
+    });
+    return true;
+}
+
+/**
+ * Deletes a garnishment order from an employee.
+ * @param {string} employeeId - The ID of the employee
+ * @param {string} garnishmentId - The ID of the order to delete
+ */
+export function deleteGarnishment(employeeId, garnishmentId) {
+    const employee = appData.employees.find(e => e.id === employeeId);
+    if (!employee || !employee.garnishments) return false;
+
+    employee.garnishments = employee.garnishments.filter(g => g.id !== garnishmentId);
+    return true;
+}
+
+// --- EMPLOYER CONTRIBUTIONS ---
+
+/**
+ * Kinds of employer-paid benefit contributions (v17). `box12` is the W-2 Box 12
+ * code the contribution is reported under (null when not reported). None of
+ * these kinds are taxable wages, so they never change a tax's wage base.
+ * - 401k-match: employer match on the employee's 401(k)/Roth deferral
+ * - health: employer share of health premiums (part of Box 12 DD)
+ * - hsa: employer HSA contribution (Box 12 W)
+ * - other: any other employer-paid benefit (cost reporting only)
+ */
+export const EMPLOYER_CONTRIBUTION_KINDS = {
+    '401k-match': { label: 'Employer 401(k) match', box12: null },
+    'health':     { label: 'Employer health premium', box12: 'DD' },
+    'hsa':        { label: 'Employer HSA contribution', box12: 'W' },
+    'other':      { label: 'Other employer benefit', box12: null }
+};
+
+/** Deduction tax treatments that count as the employee's deferral for matching. */
+export const DEFERRAL_TAX_TREATMENTS = ['401k', 'roth'];
+
+/**
+ * Adds an employer contribution rule to an employee.
+ * @param {string} employeeId - The ID of the employee
+ * @param {string} name - Name of the contribution (e.g., "401k Match")
+ * @param {string} kind - Key of EMPLOYER_CONTRIBUTION_KINDS
+ * @param {string} type - "fixed" (per pay period), "percent" (of gross), or "match"
+ * @param {number} amount - Dollar amount or percentage (unused for "match")
+ * @param {Array<{matchPercent: number, ofPayPercent: number}>} matchTiers - For "match":
+ *   successive tiers, e.g. [{ matchPercent: 100, ofPayPercent: 3 }, { matchPercent: 50, ofPayPercent: 2 }]
+ *   = 100% of the first 3% of pay deferred plus 50% of the next 2%
+ */
+export function addEmployerContribution(employeeId, name, kind, type = 'fixed', amount = 0, matchTiers = []) {
+    const employee = appData.employees.find(e => e.id === employeeId);
+    if (!employee) return false;
+
+    if (!employee.employerContributions) {
+        employee.employerContributions = [];
+    }
+
+    const contribution = {
+        id: crypto.randomUUID?.() || 'ec_' + Date.now() + '_' + Math.random().toString(36).slice(2),
+        name: name,
+        kind: kind,
+        type: type,
+        amount: type === 'match' ? 0 : parseFloat(amount),
+        matchTiers: type === 'match' ? matchTiers.map(t => ({ matchPercent: parseFloat(t.matchPercent), ofPayPercent: parseFloat(t.ofPayPercent) })) : [],
+        createdDate: new Date().toISOString().split('T')[0] // YYYY-MM-DD format
+    };
+
+    employee.employerContributions.push(contribution);
+    return true;
+}
+
+/**
+ * Deletes an employer contribution rule from an employee.
+ * @param {string} employeeId - The ID of the employee
+ * @param {string} contributionId - The ID of the contribution to delete
+ */
+export function deleteEmployerContribution(employeeId, contributionId) {
+    const employee = appData.employees.find(e => e.id === employeeId);
+    if (!employee || !employee.employerContributions) return false;
+
+    employee.employerContributions = employee.employerContributions.filter(c => c.id !== contributionId);
+    return true;
+}
+
+/**
+ * Computes a tiered match on a deferral. The deferral is expressed as a
+ * percentage of gross and consumed tier by tier: each tier matches
+ * matchPercent of the next ofPayPercent of pay.
+ * @param {Array<{matchPercent: number, ofPayPercent: number}>} tiers - Match tiers
+ * @param {number} grossPay - The gross pay for the period
+ * @param {number} deferral - The employee's deferral for the period ($)
+ * @returns {number} - The employer match ($, unrounded)
+ */
+export function calculateMatch(tiers, grossPay, deferral) {
+    if (!grossPay || grossPay <= 0 || !deferral || deferral <= 0) return 0;
+    let remainingPercent = (deferral / grossPay) * 100;
+    let match = 0;
+    (tiers || []).forEach(tier => {
+        const portion = Math.min(remainingPercent, tier.ofPayPercent);
+        if (portion <= 0) return;
+        match += grossPay * (portion / 100) * (tier.matchPercent / 100);
+        remainingPercent -= portion;
+    });
+    return match;
+}
+
+/**
+ * Calculates the employer contributions for an employee in a pay period.
+ * Like deductions, only rules created on or before the pay date apply. A
+ * match is driven by the period's deferral deductions (DEFERRAL_TAX_TREATMENTS).
+ * @param {object} employee - The employee object
+ * @param {number} grossPay - The gross pay for the period
+ * @param {object[]} deductions - The period's calculated deductions
+ * @param {string} payDate - The pay date for the period (YYYY-MM-DD format)
+ * @returns {object} - Object with contributions array and total
+ */
+export function calculateEmployerContributions(employee, grossPay, deductions = [], payDate = null) {
+    if (!employee.employerContributions || employee.employerContributions.length === 0 || grossPay <= 0) {
+        return { contributions: [], total: 0 };
+    }
+
+    const applicable = employee.employerContributions.filter(c =>
+        !payDate || !c.createdDate || fromStorageDate(c.createdDate) <= fromStorageDate(payDate));
+
+    const deferral = deductions
+        .filter(ded => DEFERRAL_TAX_TREATMENTS.includes(ded.taxTreatment))
+        .reduce((sum, ded) => sum + ded.calculatedAmount, 0);
+
+    const contributions = applicable.map(c => {
+        let amount;
+        if (c.type === 'match') {
+            amount = calculateMatch(c.matchTiers, grossPay, deferral);
+        } else if (c.type === 'percent') {
+            amount = (grossPay * c.amount) / 100;
+        } else {
+            amount = c.amount;
+        }
+        return { ...c, calculatedAmount: Math.round(amount * 100) / 100 };
+    });
+
+    const total = contributions.reduce((sum, c) => sum + c.calculatedAmount, 0);
+
+    return {
+        contributions,
+        total: Math.round(total * 100) / 100
+    };
+}
+
+/**
+ * Computes the taxable wage base for each tax after pre-tax deductions.
+ * Each deduction reduces the wages of the taxes its treatment exempts;
+ * deductions without a (known) treatment are post-tax. Wages never go below zero.
+ * @param {number} grossPay - The gross pay for the period
+ * @param {object[]} deductions - Calculated deductions (with calculatedAmount)
+ * @returns {object} - Taxable wages keyed by TAXABLE_WAGE_TYPES
+ */
+export function calculateTaxableWages(grossPay, deductions = []) {
+    const wages = {};
+    TAXABLE_WAGE_TYPES.forEach(tax => { wages[tax] = grossPay; });
+    deductions.forEach(ded => {
+        const treatment = DEDUCTION_TAX_TREATMENTS[ded.taxTreatment];
+        if (!treatment) return;
+        treatment.exempt.forEach(tax => { wages[tax] -= ded.calculatedAmount; });
+    });
+    TAXABLE_WAGE_TYPES.forEach(tax => { wages[tax] = Math.max(0, Math.round(wages[tax] * 100) / 100); });
+    return wages;
+}
@@ -0,0 +1,145 @@
+/*
+  PayTrax Payroll Management
+  Copyright (c) 2025 greenwh
+
+  Developed by greenwh with substantial assistance from AI coding tools (Claude, ChatGPT, Gemini).
+  This file is original work based on documentation and prompts by greenwh.
+  Licensed under the MIT License.
+*/
+// js/form-941x.js - Filed Form 941 snapshots and 941-X corrections (v29)
+//
+// Marking a quarter's 941 as filed stores its figures in
+// appData.filed941s, keyed "2025-Q1". Payroll recalculated afterwards
+// (an unlocked period, a voided check, a late timesheet) changes
+// compute941Data but not the snapshot, so the two can be compared line by
+// line the way Form 941-X reports a correction: the amount originally
+// reported, the corrected amount and the difference, with the tax
+// correction for each line.
+
+import { appData } from './state.js';
+import { parseDateInput, getQuarterForDate, toLocalDateString } from './utils.js';
+import { compute941Data } from './reports.js';
+
+/** 941 figures kept when a quarter is marked filed. */
+const FILED_941_FIELDS = [
+    'line1', 'line2', 'line3', 'line5a_col1', 'line5a_col2', 'line5c_col1', 'line5c_col2',
+    'line5d_col1', 'line5d_col2', 'line5e', 'line6', 'line7', 'line10', 'line12', 'line13'
+];
+
+/**
+ * Lines a 941-X corrects: each 941 line, and the figure its tax correction
+ * comes from (none for wages on line 2, which carry no tax of their own).
+ */
+export const FORM_941X_LINES = [
+    { key: 'line2', line: '2', label: 'Wages, tips and other compensation', tax: null },
+    { key: 'line3', line: '3', label: 'Federal income tax withheld', tax: 'line3' },
+    { key: 'line5a_col1', line: '5a', label: 'Taxable social security wages', tax: 'line5a_col2' },
+    { key: 'line5c_col1', line: '5c', label: 'Taxable Medicare wages & tips', tax: 'line5c_col2' },
+    { key: 'line5d_col1', line: '5d', label: 'Taxable wages subject to Additional Medicare Tax withholding', tax: 'line5d_col2' },
+    { key: 'line7', line: '7', label: 'Tax adjustments (fractions of cents)', tax: 'line7' }
+];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * The key of the quarter a period string names.
+ * @param {string} periodStr - Quarter, e.g. "Q1 2025"
+ * @returns {object} { key: "2025-Q1", title } or { error }
+ */
+function resolveQuarter(periodStr) {
+    const { start, title } = parseDateInput(periodStr, 'quarterly');
+    if (!start) return { error: 'Invalid period. Use format "Q1 2025".' };
+    const quarter = getQuarterForDate(start);
+    return { key: `${quarter.year}-${quarter.quarter}`, title };
+}
+
+/**
+ * The filed snapshot of a quarter, if it was marked filed.
+ * @param {string} periodStr - Quarter, e.g. "Q1 2025"
+ * @returns {object|null} { quarter, title, filedDate, figures }
+ */
+export function getFiled941(periodStr) {
+    const { key, error } = resolveQuarter(periodStr);
+    if (error) return null;
+    return appData.filed941s?.[key] || null;
+}
+
+/**
+ * Marks a quarter's 941 as filed, keeping its current figures.
+ * @param {string} periodStr - Quarter, e.g. "Q1 2025"
+ * @param {string} filedDate - YYYY-MM-DD (default today)
+ * @returns {object} { snapshot } or { error }
+ */
+export function markQuarterFiled(periodStr, filedDate = toLocalDateString(new Date())) {
+    const { key, error } = resolveQuarter(periodStr);
+    if (error) return { error };
+
+    const data = compute941Data(periodStr);
+    if (data.error) return { error: data.error };
+    if (appData.filed941s?.[key]) return { error: `Form 941 for ${data.title} is already marked as filed.` };
+
+    const figures = {};
+    FILED_941_FIELDS.forEach(field => { figures[field] = field === 'line1' ? data[field] : round2(data[field]); });
+    figures.monthlyLiabilities = data.monthlyLiabilities.map(round2);
+
+    const snapshot = { quarter: key, title: data.title, filedDate, figures };
+    if (!appData.filed941s || typeof appData.filed941s !== 'object') {
+        appData.filed941s = {};
+    }
+    appData.filed941s[key] = snapshot;
+    return { snapshot };
+}
+
+/**
+ * Removes a quarter's filed snapshot.
+ * @param {string} periodStr - Quarter, e.g. "Q1 2025"
+ * @returns {object|null} The removed snapshot
+ */
+export function unmarkQuarterFiled(periodStr) {
+    const { key, error } = resolveQuarter(periodStr);
+    if (error || !appData.filed941s?.[key]) return null;
+    const snapshot = appData.filed941s[key];
+    delete appData.filed941s[key];
+    return snapshot;
+}
+
+/**
+ * Compares a filed quarter's snapshot to its figures today, 941-X style.
+ * A quarter whose checks were all voided since has corrected figures of 0.
+ * @param {string} periodStr - Quarter, e.g. "Q1 2025"
+ * @returns {object} { title, filedDate, rows: [{ line, label, original, corrected, difference, taxCorrection }], totalTaxCorrection, line12: { original, corrected, difference }, hasChanges } or { error }
+ */
+export function compute941XData(periodStr) {
+    const { error } = resolveQuarter(periodStr);
+    if (error) return { error };
+    const filed = getFiled941(periodStr);
+    if (!filed) return { error: `Form 941 for ${parseDateInput(periodStr, 'quarterly').title} has not been marked as filed.` };
+
+    const data = compute941Data(periodStr);
+    const corrected = data.error ? {} : data;
+    const value = (figures, field) => round2(figures[field] || 0);
+
+    const rows = FORM_941X_LINES.map(({ key, line, label, tax }) => {
+        const original = value(filed.figures, key);
+        const current = value(corrected, key);
+        return {
+            line, label, original,
+            corrected: current,
+            difference: round2(current - original),
+            taxCorrection: tax ? round2(value(corrected, tax) - value(filed.figures, tax)) : null
+        };
+    });
+
+    const line12 = { original: value(filed.figures, 'line12'), corrected: value(corrected, 'line12') };
+    line12.difference = round2(line12.corrected - line12.original);
+
+    return {
+        title: filed.title,
+        filedDate: filed.filedDate,
+        rows,
+        totalTaxCorrection: round2(rows.reduce((sum, r) => sum + (r.taxCorrection || 0), 0)),
+        line12,
+        hasChanges: rows.some(r => r.difference !== 0 || (r.taxCorrection || 0) !== 0) || line12.difference !== 0,
+        error: null
+    };
+}
@@ -0,0 +1,129 @@
+/*
+  PayTrax Payroll Management
+  Copyright (c) 2025 greenwh
+
+  Developed by greenwh with substantial assistance from AI coding tools (Claude, ChatGPT, Gemini).
+  This file is original work based on documentation and prompts by greenwh.
+  Licensed under the MIT License.
+*/
+// js/garnishments.js - Wage garnishments and support orders (CCPA Title III limits)
+//
+// Computes how much of each garnishment order may be withheld from a pay
+// period under the Consumer Credit Protection Act. This module is pure — it
+// never touches appData — so it can be tested directly.
+
+/** Federal minimum wage used for the CCPA 30× floor. */
+export const FEDERAL_MINIMUM_WAGE = 7.25;
+
+/** Weeks in each pay frequency, for scaling the weekly 30× floor. */
+export const WEEKS_PER_PAY_PERIOD = { 'weekly': 1, 'bi-weekly': 2, 'semi-monthly': 52 / 24, 'monthly': 52 / 12 };
+
+/**
+ * Garnishment order types (v19).
+ * - child-support: support orders — 50% of disposable earnings (60% when the
+ *   employee supports no other spouse/child), +5% with arrears over 12 weeks.
+ *   The 30× floor does not apply, and support is always withheld first.
+ * - student-loan: federal administrative wage garnishment — 15%.
+ * - creditor: ordinary garnishment — 25%, and never below the 30× floor.
+ * Support already withheld counts toward the 25% ceiling of the other types.
+ */
+export const GARNISHMENT_ORDER_TYPES = {
+    'child-support': { label: 'Child/spousal support', support: true },
+    'student-loan':  { label: 'Federal student loan', capPercent: 15 },
+    'creditor':      { label: 'Creditor garnishment', capPercent: 25 }
+};
+
+/**
+ * Disposable earnings: gross pay less the withholdings required by law
+ * (income taxes, Social Security and Medicare). Voluntary deductions such as
+ * 401(k) or health premiums are NOT subtracted.
+ * @param {number} grossPay - The gross pay for the period
+ * @param {object} taxes - The period's rounded employee taxes
+ * @returns {number}
+ */
+export function calculateDisposableEarnings(grossPay, taxes) {
+    const required = (taxes.federal || 0) + (taxes.state || 0) + (taxes.local || 0)
+        + (taxes.fica || 0) + (taxes.medicare || 0);
+    return Math.max(0, grossPay - required);
+}
+
+/**
+ * The percentage of disposable earnings a support order may take.
+ * @param {object} order - The garnishment order
+ * @returns {number}
+ */
+export function supportCapPercent(order) {
+    return (order.supportsOtherFamily ? 50 : 60) + (order.arrearsOver12Weeks ? 5 : 0);
+}
+
+/**
+ * Orders garnishments for withholding: support first, then by the order's
+ * priority number (lower first, e.g. order of receipt), then by date added.
+ * @param {object[]} orders - Garnishment orders
+ * @returns {object[]} - A new, sorted array
+ */
+export function sortGarnishmentsByPriority(orders) {
+    return orders.slice().sort((a, b) => {
+        const aSupport = GARNISHMENT_ORDER_TYPES[a.orderType]?.support ? 0 : 1;
+        const bSupport = GARNISHMENT_ORDER_TYPES[b.orderType]?.support ? 0 : 1;
+        if (aSupport !== bSupport) return aSupport - bSupport;
+        if ((a.priority || 0) !== (b.priority || 0)) return (a.priority || 0) - (b.priority || 0);
+        return (a.createdDate || '').localeCompare(b.createdDate || '');
+    });
+}
+
+/**
+ * Calculates the amount withheld for each garnishment order in a pay period.
+ * Each order asks for a fixed amount or a percentage of disposable earnings,
+ * limited to its remaining balance (when it has one), the CCPA caps, and the
+ * net pay left after taxes and other deductions.
+ * @param {object[]} orders - The garnishment orders in force this period
+ * @param {object} context
+ * @param {number} context.disposableEarnings - From calculateDisposableEarnings
+ * @param {string} context.payFrequency - Pay frequency key of WEEKS_PER_PAY_PERIOD
+ * @param {number} context.availableNet - Net pay before garnishments
+ * @param {object} [context.paidToDate] - Amount already withheld per order id
+ * @returns {{garnishments: object[], total: number}}
+ */
+export function calculateGarnishments(orders, { disposableEarnings, payFrequency, availableNet, paidToDate = {} }) {
+    if (!orders || orders.length === 0) return { garnishments: [], total: 0 };
+
+    const de = Math.max(0, disposableEarnings);
+    const floor = 30 * FEDERAL_MINIMUM_WAGE * (WEEKS_PER_PAY_PERIOD[payFrequency] || 2);
+    // Aggregate ceiling for non-support orders: lesser of 25% of DE or DE above the floor
+    const ordinaryCeiling = Math.max(0, Math.min(de * 0.25, de - floor));
+
+    let supportWithheld = 0;
+    let totalWithheld = 0;
+
+    const garnishments = sortGarnishmentsByPriority(orders).map(order => {
+        const type = GARNISHMENT_ORDER_TYPES[order.orderType] || GARNISHMENT_ORDER_TYPES.creditor;
+
+        let requested = order.amountType === 'percent' ? de * (order.amount / 100) : order.amount;
+        let balanceRemaining = null;
+        if (order.balance > 0) {
+            balanceRemaining = Math.max(0, order.balance - (order.priorPaid || 0) - (paidToDate[order.id] || 0));
+            requested = Math.min(requested, balanceRemaining);
+        }
+
+        const legalRoom = type.support
+            ? de * supportCapPercent(order) / 100 - supportWithheld
+            : Math.min(de * type.capPercent / 100, ordinaryCeiling - totalWithheld);
+        const room = Math.max(0, Math.min(legalRoom, availableNet - totalWithheld));
+
+        const requestedCents = Math.round(requested * 100) / 100;
+        const amount = Math.round(Math.min(requested, room) * 100) / 100;
+        if (type.support) supportWithheld += amount;
+        totalWithheld += amount;
+
+        return {
+            ...order,
+            calculatedAmount: amount,
+            requestedAmount: requestedCents,
+            capApplied: amount < requestedCents,
+            balanceRemaining: balanceRemaining === null ? null : Math.round((balanceRemaining - amount) * 100) / 100
+        };
+    });
+
+    return { garnishments, total: Math.round(totalWithheld * 100) / 100 };
+}
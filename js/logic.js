@@ -12,16 +12,155 @@
 // Reports and CSV exports are in reports.js
 
 import { appData } from './state.js';
-import { formatDate, fromStorageDate, toDisplayDate, getQuarterForDate, resolveRate } from './utils.js';
+import { formatDate, fromStorageDate, toDisplayDate, toLocalDateString, getQuarterForDate, resolveRate, comparePayPeriods, resolveTaxConstants, TAX_CONSTANT_FIELDS } from './utils.js';
 import { addTransaction } from './banking.js';
-import { calculateDeductions, upsertRateEntry } from './employees.js';
+import { describeAchReference } from './ach.js';
+import { describeCheckReference } from './checks.js';
+import { calculateDeductions, calculateTaxableWages, calculateEmployerContributions, upsertRateEntry, isEmployeeActive, isPeriodInEmployment } from './employees.js';
+import { calculateFederalWithholding } from './withholding.js';
+import { applyTimesheetHours } from './timesheet.js';
+import { calculateDisposableEarnings, calculateGarnishments, GARNISHMENT_ORDER_TYPES } from './garnishments.js';
 
 // Re-export from sub-modules so existing `import * as logic` continues to work
-export { saveEmployeeFromForm, deleteEmployee, addDeduction, updateDeduction, deleteDeduction, calculateDeductions, upsertRateEntry, deleteRateHistoryEntry, RATE_HISTORY_FIELDS } from './employees.js';
-export { generateTaxDepositReportFromData, generateTaxDepositReport, generateW2Report, generate941Report, generate940Report, compute941Data, compute940Data, exportW2ReportToCSV, export941ReportToCSV, export940ReportToCSV, exportDateRangeEmployeeReportToCSV, exportDateRangeEmployerReportToCSV, generateDateRangeEmployeeReport, generateDateRangeEmployerReport } from './reports.js';
+export { saveEmployeeFromForm, deleteEmployee, addDeduction, updateDeduction, deleteDeduction, calculateDeductions, calculateTaxableWages, upsertRateEntry, deleteRateHistoryEntry, RATE_HISTORY_FIELDS, DEDUCTION_TAX_TREATMENTS, getDeductionBox12Code, addEmployerContribution, deleteEmployerContribution, calculateMatch, calculateEmployerContributions, EMPLOYER_CONTRIBUTION_KINDS, getElectiveDeferralLimit, ELECTIVE_DEFERRAL_LIMITS, addGarnishment, deleteGarnishment, EMPLOYMENT_STATUSES, isEmployeeActive, isPeriodInEmployment, readBankAccountsFromForm } from './employees.js';
+export { generateTaxDepositReportFromData, generateTaxDepositReport, generateW2Report, computeW2Data, W2_BOX12_DESCRIPTIONS, generate941Report, generate940Report, compute941Data, computeScheduleBData, generateScheduleBReport, exportScheduleBToCSV, generate941XReport, export941XToCSV, compute940Data, exportW2ReportToCSV, export941ReportToCSV, export940ReportToCSV, exportDateRangeEmployeeReportToCSV, exportDateRangeEmployerReportToCSV, generateDateRangeEmployeeReport, generateDateRangeEmployerReport, computeGarnishmentRemittance, generateGarnishmentRemittanceReport, exportGarnishmentRemittanceToCSV, computeVoidedChecks, generateVoidedChecksReport, exportVoidedChecksToCSV, generateTaxDepositReconciliationReport, generateTaxCalendarReport, exportTaxCalendarToCSV, getReportPayPeriods, getReportEmployees } from './reports.js';
+export { OVERTIME_RULES, WORKWEEK_HOURS, splitTimesheetHours, getTimesheetSplit, getPeriodDates } from './timesheet.js';
+export { calculateDisposableEarnings, calculateGarnishments, sortGarnishmentsByPriority, GARNISHMENT_ORDER_TYPES } from './garnishments.js';
+export { getAchPayDates } from './ach.js';
+export { getCheckPayDates, getCheckPeriods } from './checks.js';
+export { TAX_DEPOSIT_TYPES, getLinkableDebits } from './tax-deposits.js';
+export { buildTaxCalendar, getNextDueItem } from './tax-calendar.js';
+export { FORM_941X_LINES, getFiled941, compute941XData } from './form-941x.js';
+export { PER_PAY_DATE_FREQUENCIES, MONTHLY_DEPOSITOR_LIMIT, NEXT_DAY_DEPOSIT_THRESHOLD, createDepositScheduleCache, computeLookback, determineDepositSchedule, findNextDayDeposits, getFederalDepositSchedule, getTaxFrequency } from './deposit-schedule.js';
 
 // --- PAYROLL & PAY PERIODS ---
 
+/** Pay periods per year for each pay frequency, used to divide an annual salary. */
+export const PAY_PERIODS_PER_YEAR = { 'weekly': 52, 'bi-weekly': 26, 'semi-monthly': 24, 'monthly': 12 };
+
+/** Standard full-time hours per year, used for a salaried employee's hourly equivalent. */
+export const STANDARD_ANNUAL_HOURS = 2080;
+
+/**
+ * Earning codes for supplemental earnings lines (v20), entered per pay period
+ * on top of the hour-based earnings. A non-cash line (cash: false) is a
+ * taxable fringe benefit: it is wages for every tax but is not paid out, so
+ * it is left out of net pay and the payroll bank debit.
+ */
+export const EARNING_CODES = {
+    'bonus':      { label: 'Bonus', cash: true },
+    'commission': { label: 'Commission', cash: true },
+    'retro':      { label: 'Retro Pay', cash: true },
+    'fringe':     { label: 'Taxable Fringe Benefit', cash: false },
+    'other':      { label: 'Other Earnings', cash: true }
+};
+
+/** IRS optional flat rate for supplemental wages (Pub 15, section 7). */
+export const SUPPLEMENTAL_FLAT_RATE = 22;
+
+/** Mandatory flat rate on supplemental wages over $1 million in a calendar year. */
+export const SUPPLEMENTAL_MANDATORY_RATE = 37;
+export const SUPPLEMENTAL_MANDATORY_THRESHOLD = 1000000;
+
+/**
+ * Off-cycle runs are numbered from here (1001, 1002, ...) so they never
+ * collide with the regular schedule's period numbers.
+ */
+export const OFF_CYCLE_PERIOD_BASE = 1000;
+
+/** Reasons offered for an off-cycle run. */
+export const OFF_CYCLE_REASONS = {
+    'bonus':      'Bonus / commission check',
+    'final':      'Final paycheck',
+    'correction': 'Correction check',
+    'other':      'Other'
+};
+
+/**
+ * A short label for a pay period: "Period 5" or "Off-cycle 2".
+ * @param {object} period - The pay period
+ * @returns {string}
+ */
+export function describePeriod(period) {
+    return period.offCycle ? `Off-cycle ${period.period - OFF_CYCLE_PERIOD_BASE}` : `Period ${period.period}`;
+}
+
+/**
+ * Whether a pay period has anything to pay: hours entered or supplemental
+ * earnings lines (a bonus-only period has no hours). Given the employee, a
+ * salaried employee's regular period within the employment dates pays the
+ * salary without hours once its pay date has arrived, unless its check was
+ * voided and not yet reissued. An employee on leave or terminated gets no
+ * further automatic salary, but keeps the periods already paid.
+ * @param {object} period - The pay period
+ * @param {object} [employee] - The period's employee
+ * @returns {boolean}
+ */
+export function periodHasPay(period, employee = null) {
+    const totalHours = period.hours ? Object.values(period.hours).reduce((a, b) => a + b, 0) : 0;
+    if (totalHours > 0 || (period.supplementalEarnings || []).length > 0) return true;
+    return !!employee && employee.payType === 'salary' && !period.offCycle && !period.awaitingReissue
+        && isPeriodInEmployment(employee, period)
+        && (isEmployeeActive(employee) || period.grossPay > 0)
+        && period.payDate <= toLocalDateString(new Date());
+}
+
+/**
+ * Computes a salaried employee's salary for a pay period.
+ *
+ * The period's share of the annual salary (annual / pay periods per year) is
+ * spread evenly over the period's workdays (Mon–Fri). Each workday earns at
+ * the annual salary in force on that day (rateHistories.annualSalary), and
+ * only days between hireDate and terminationDate are paid. A full period with
+ * no changes therefore pays exactly annual / periods per year, while a
+ * partial period at hire/termination or a mid-period raise is prorated by
+ * workday.
+ * @param {object} employee - The employee object
+ * @param {object} period - The pay period ({ startDate, endDate })
+ * @returns {{amount: number, paidDays: number, workdays: number, annualSalary: number}}
+ */
+export function calculateSalaryForPeriod(employee, period) {
+    const periodsPerYear = PAY_PERIODS_PER_YEAR[appData.settings.payFrequency] || 26;
+    const fallback = employee.annualSalary || 0;
+
+    // Iterate in UTC so day stepping is immune to DST and local offsets
+    const workdays = [];
+    const cursor = new Date(period.startDate + 'T00:00:00Z');
+    const end = new Date(period.endDate + 'T00:00:00Z');
+    while (cursor <= end) {
+        const day = cursor.getUTCDay();
+        if (day !== 0 && day !== 6) workdays.push(formatDate(cursor));
+        cursor.setUTCDate(cursor.getUTCDate() + 1);
+    }
+
+    const annualSalary = resolveRate(employee.rateHistories?.annualSalary, period.endDate, fallback);
+    if (workdays.length === 0) return { amount: 0, paidDays: 0, workdays: 0, annualSalary };
+
+    let amount = 0;
+    let paidDays = 0;
+    workdays.forEach(dateStr => {
+        if (employee.hireDate && dateStr < employee.hireDate) return;
+        if (employee.terminationDate && dateStr > employee.terminationDate) return;
+        const dailyShare = resolveRate(employee.rateHistories?.annualSalary, dateStr, fallback) / periodsPerYear / workdays.length;
+        amount += dailyShare;
+        paidDays++;
+    });
+
+    return { amount: Math.round(amount * 100) / 100, paidDays, workdays: workdays.length, annualSalary };
+}
+
+/**
+ * Describes a salaried period's earnings line for pay stubs (HTML and PDF).
+ * @param {object} period - A period calculated with payType 'salary'
+ * @returns {{label: string, rate: number}} The line label and the full per-period salary
+ */
+export function describeSalaryLine(period) {
+    const periodsPerYear = PAY_PERIODS_PER_YEAR[appData.settings.payFrequency] || 26;
+    const { annual, paidDays, workdays } = period.salary;
+    const label = paidDays < workdays ? `Salary (prorated ${paidDays}/${workdays} days)` : 'Salary';
+    return { label, rate: annual / periodsPerYear };
+}
+
 /**
  * Generates the base structure for pay periods for a given year and frequency.
  * @returns {Array} An array of pay period objects.
@@ -78,15 +217,27 @@ export function generateBasePayPeriods() {
     return periods.map(p => ({
         ...p,
         hours: { regular: 0, overtime: 0, pto: 0, holiday: 0 },
-        earnings: { regular: 0, overtime: 0, pto: 0, holiday: 0 },
-        grossPay: 0, netPay: 0, ptoAccrued: 0,
+        supplementalEarnings: [],
+        ptoAccrued: 0,
+        ...unpaidPeriodValues()
+    }));
+}
+
+/**
+ * The calculated fields of a pay period that has not been paid.
+ * @returns {object}
+ */
+function unpaidPeriodValues() {
+    return {
+        earnings: { regular: 0, overtime: 0, pto: 0, holiday: 0, supplemental: 0 },
+        grossPay: 0, netPay: 0,
         taxes: {
             federal: 0, fica: 0, medicare: 0, state: 0, local: 0, suta: 0, futa: 0, total: 0,
             unrounded: { federal: 0, fica: 0, medicare: 0, state: 0, local: 0, suta: 0, futa: 0 }
         },
         deductions: [],
         totalDeductions: 0
-    }));
+    };
 }
 
 /**
@@ -120,18 +271,89 @@ export function generatePayPeriods() {
                 });
             }
 
-            const totalHours = oldPeriod && oldPeriod.hours ? Object.values(oldPeriod.hours).reduce((a, b) => a + b, 0) : 0;
-            if (oldPeriod && totalHours > 0) {
+            // A finalized period is kept exactly as paid
+            if (oldPeriod && oldPeriod.finalized) {
+                return oldPeriod;
+            }
+            // A period with voided checks is kept even while unpaid
+            if (oldPeriod && (periodHasPay(oldPeriod, emp) || oldPeriod.voidedChecks?.length)) {
                 return { ...oldPeriod, startDate: newPeriod.startDate, endDate: newPeriod.endDate, payDate: newPeriod.payDate };
             }
             return { ...newPeriod };
         });
 
+        // Periods outside the hire–termination dates (v23) are only kept
+        // for their pay records
+        appData.payPeriods[emp.id] = appData.payPeriods[emp.id].filter(p =>
+            isPeriodInEmployment(emp, p) || periodHasPay(p, emp) || p.voidedChecks?.length || p.finalized);
+
+        // Off-cycle runs keep their own dates; those paid in the tax
+        // year are slotted back in pay-date order
+        const offCycleRuns = existingData.filter(p => p.offCycle
+            && fromStorageDate(p.payDate).getFullYear() === appData.settings.taxYear);
+        if (offCycleRuns.length > 0) {
+            appData.payPeriods[emp.id] = [...appData.payPeriods[emp.id], ...offCycleRuns].sort(comparePayPeriods);
+        }
+
         // After preserving old data, recalculate all periods in sequence to fix remainders
         recalculateAllPeriodsForEmployee(emp.id);
     });
 }
 
+/**
+ * Creates an off-cycle pay run for one employee: a bonus check, a
+ * final paycheck or a correction paid outside the regular schedule. The run
+ * is stored with the employee's pay periods in pay-date order and is paid
+ * from its hours and supplemental earnings lines like any other period.
+ * @param {string} employeeId - The ID of the employee
+ * @param {object} run - { payDate, startDate, endDate (default: payDate),
+ *   reason (key of OFF_CYCLE_REASONS), applyDeductions (recurring deductions
+ *   and employer benefits; default false) }
+ * @returns {number|null} The new run's period number, or null if invalid
+ */
+export function addOffCycleRun(employeeId, run) {
+    const periods = appData.payPeriods[employeeId];
+    if (!periods || !run.payDate) return null;
+
+    const lastNumber = periods.filter(p => p.offCycle).reduce((max, p) => Math.max(max, p.period), OFF_CYCLE_PERIOD_BASE);
+    const periodNum = lastNumber + 1;
+
+    periods.push({
+        period: periodNum,
+        offCycle: true,
+        reason: OFF_CYCLE_REASONS[run.reason] ? run.reason : 'other',
+        applyDeductions: !!run.applyDeductions,
+        startDate: run.startDate || run.payDate,
+        endDate: run.endDate || run.payDate,
+        payDate: run.payDate,
+        hours: { regular: 0, overtime: 0, pto: 0, holiday: 0 },
+        supplementalEarnings: [],
+        ptoAccrued: 0,
+        ...unpaidPeriodValues()
+    });
+    periods.sort(comparePayPeriods);
+    return periodNum;
+}
+
+/**
+ * Deletes an off-cycle run and its payroll (or printed check) debit. Regular periods, and runs
+ * with a voided check, cannot be deleted. The caller recalculates the employee's periods afterwards.
+ * @param {string} employeeId - The ID of the employee
+ * @param {number} periodNum - The off-cycle run's period number
+ * @returns {boolean} - True if the run was deleted
+ */
+export function deleteOffCycleRun(employeeId, periodNum) {
+    const periods = appData.payPeriods[employeeId];
+    const run = periods?.find(p => p.period == periodNum);
+    // A run with a voided check keeps its record
+    if (!run || !run.offCycle || run.finalized || run.voidedChecks?.length) return false;
+
+    appData.payPeriods[employeeId] = periods.filter(p => p !== run);
+    const transactionIds = ['payroll', 'check'].map(prefix => `${prefix}-${employeeId}-${run.period}-${appData.settings.taxYear}`);
+    appData.bankRegister = appData.bankRegister.filter(t => !transactionIds.includes(t.id));
+    return true;
+}
+
 /**
  * Recalculates all pay periods for an employee in strict chronological sequence
  * to ensure tax remainders accumulate correctly.
@@ -150,22 +372,36 @@ export function recalculateAllPeriodsForEmployee(employeeId) {
         federal: 0, fica: 0, medicare: 0, state: 0, local: 0, suta: 0, futa: 0
     };
 
-    // Sort periods by period number to ensure sequential processing
-    const sortedPeriods = periods.slice().sort((a, b) => a.period - b.period);
+    // Hours worked on a daily timesheet set the regular/overtime split
+    applyTimesheetHours(employee, periods);
+
+    // Sort periods by pay date so off-cycle runs slot into the sequence
+    const sortedPeriods = periods.slice().sort(comparePayPeriods);
 
     // Derive PTO from scratch alongside the remainder reset (audit F1)
     let ptoBalance = employee.ptoStartingBalance || 0;
-    const periodsInYear = sortedPeriods.length;
+    const periodsInYear = sortedPeriods.filter(p => !p.offCycle).length;
 
     // Recalculate each period in sequence
     sortedPeriods.forEach(period => {
-        const totalHours = period.hours ? Object.values(period.hours).reduce((a, b) => a + b, 0) : 0;
-
-        // Only recalculate periods that have hours entered
-        if (totalHours > 0) {
+        if (period.finalized?.taxRemainders) {
+            // A finalized period keeps its amounts; the sequence resumes
+            // from the remainders frozen with it
+            employee.taxRemainders = { ...period.finalized.taxRemainders };
+            ptoBalance = ptoBalance + (period.ptoAccrued || 0) - (period.hours.pto || 0);
+            period.ptoBalanceAfter = Math.round(ptoBalance * 100) / 100;
+        } else if (periodHasPay(period, employee)) {
+            // Only recalculate periods that have pay: hours or supplemental
+            // earnings entered, or a salary
             recalculatePeriod(employeeId, period.period);
-            // Accrue only on periods with worked (regular/overtime) hours
-            const worked = (period.hours.regular || 0) + (period.hours.overtime || 0) > 0;
+            if (period.finalized) {
+                // Just finalized: freeze the remainders as of this period
+                period.finalized.taxRemainders = { ...employee.taxRemainders };
+            }
+            // Accrue only on regular periods with worked (regular/overtime)
+            // hours, or paid a salary
+            const worked = !period.offCycle && (employee.payType === 'salary'
+                || (period.hours.regular || 0) + (period.hours.overtime || 0) > 0);
             const accrued = worked && periodsInYear > 0
                 ? employee.ptoAccrualRate / periodsInYear
                 : 0;
@@ -189,6 +425,9 @@ export function recalculateAllPeriodsForEmployee(employeeId) {
         employee.fedTaxRate = resolveRate(employee.rateHistories.fedTaxRate, today, employee.fedTaxRate);
         employee.stateTaxRate = resolveRate(employee.rateHistories.stateTaxRate, today, employee.stateTaxRate);
         employee.localTaxRate = resolveRate(employee.rateHistories.localTaxRate, today, employee.localTaxRate);
+        if (employee.rateHistories.annualSalary) {
+            employee.annualSalary = resolveRate(employee.rateHistories.annualSalary, today, employee.annualSalary);
+        }
     }
 }
 
@@ -220,48 +459,100 @@ export function recalculatePeriod(employeeId, periodNum) {
     // Effective-dated rates (v13): each period uses the rate in force on its
     // pay date, so mid-year changes never rewrite already-paid periods.
     // Scalars are the fallback for un-migrated data.
-    const hourlyRate = resolveRate(employee.rateHistories?.rate, payDate, employee.rate);
+    let hourlyRate;
+    let earnings;
+    let salary = null;
+
+    if (employee.payType === 'salary' && !period.offCycle) {
+        // Salaried: the period's salary covers regular, PTO and holiday hours
+        // (those hours are still recorded for PTO tracking). Overtime, if any,
+        // is paid at the salary's hourly equivalent.
+        salary = calculateSalaryForPeriod(employee, period);
+        hourlyRate = salary.annualSalary / STANDARD_ANNUAL_HOURS;
+        earnings = {
+            regular: salary.amount,
+            overtime: hours.overtime * hourlyRate * employee.overtimeMultiplier,
+            holiday: 0,
+            pto: 0
+        };
+    } else {
+        // An off-cycle run never pays the scheduled salary; a salaried
+        // employee's hours on it are paid at the salary's hourly equivalent
+        hourlyRate = employee.payType === 'salary'
+            ? resolveRate(employee.rateHistories?.annualSalary, payDate, employee.annualSalary) / STANDARD_ANNUAL_HOURS
+            : resolveRate(employee.rateHistories?.rate, payDate, employee.rate);
+        earnings = {
+            regular: hours.regular * hourlyRate,
+            overtime: hours.overtime * hourlyRate * employee.overtimeMultiplier,
+            holiday: hours.holiday * hourlyRate * employee.holidayMultiplier,
+            pto: hours.pto * hourlyRate
+        };
+    }
 
-    const earnings = {
-        regular: hours.regular * hourlyRate,
-        overtime: hours.overtime * hourlyRate * employee.overtimeMultiplier,
-        holiday: hours.holiday * hourlyRate * employee.holidayMultiplier,
-        pto: hours.pto * hourlyRate
-    };
+    // Supplemental earnings lines (v20): bonuses, commissions, retro pay and
+    // taxable fringe benefits. They are wages for every tax; federal income
+    // tax is withheld at the flat rate or aggregated with regular wages.
+    const supplementalEarnings = (period.supplementalEarnings || []).map(line => ({
+        ...line,
+        amount: Math.round((parseFloat(line.amount) || 0) * 100) / 100
+    }));
+    earnings.supplemental = supplementalEarnings.reduce((sum, line) => sum + line.amount, 0);
+    const nonCashEarnings = supplementalEarnings
+        .filter(line => EARNING_CODES[line.code]?.cash === false)
+        .reduce((sum, line) => sum + line.amount, 0);
 
     const grossPay = Object.values(earnings).reduce((sum, val) => sum + val, 0);
-    const { socialSecurity, medicare, sutaRate, futaRate } = appData.settings;
-    const effectiveSutaRate = resolveRate(appData.settings.sutaRateHistory, payDate, sutaRate);
+    const effectiveSutaRate = resolveRate(appData.settings.sutaRateHistory, payDate, appData.settings.sutaRate);
 
-    // Compute YTD gross wages BEFORE this period for wage base cap enforcement
+    // Calculate deductions (only apply those created on or before this pay date).
+    // Pre-tax deductions reduce the wage base of the taxes their treatment
+    // exempts, so they must be known before any tax is computed.
+    // Annual limits (v18) count what each deduction already took this year
     const year = fromStorageDate(period.payDate).getFullYear();
+    // Rates and wage bases come from the pay date's year (v22)
+    const { socialSecurity, medicare, futaRate, ssWageBase, futaWageBase, sutaWageBase } = resolveTaxConstants(appData.settings, year);
     const allPeriodsForEmployee = appData.payPeriods[employeeId] || [];
-    let ytdGrossBeforeThisPeriod = 0;
-
-    allPeriodsForEmployee.forEach(p => {
-        if (p.period < period.period
-            && fromStorageDate(p.payDate).getFullYear() === year
-            && p.grossPay > 0) {
-            ytdGrossBeforeThisPeriod += p.grossPay;
-        }
+    // Includes a closed year's last periods paid in this year (v21)
+    const priorPeriodsThisYear = getPeriodsPaidInYear(employeeId, year)
+        .filter(p => comparePayPeriods(p, period) < 0 && p.grossPay > 0);
+    const ytdDeductions = {};
+    priorPeriodsThisYear.forEach(p => {
+        (p.deductions || []).forEach(ded => {
+            ytdDeductions[ded.id] = (ytdDeductions[ded.id] || 0) + ded.calculatedAmount;
+        });
+    });
+    // An off-cycle run takes recurring deductions and employer benefits
+    // only when the run asks for them
+    const benefitsEmployee = period.offCycle && !period.applyDeductions
+        ? { ...employee, deductions: [], employerContributions: [] }
+        : employee;
+    const { deductions: voluntaryDeductions, total: voluntaryDeductionsTotal } = calculateDeductions(benefitsEmployee, grossPay, payDate, ytdDeductions);
+    const taxableWages = calculateTaxableWages(grossPay, voluntaryDeductions);
+    // Employer-paid benefits (v17) — a match follows the deferral deductions
+    const { contributions: employerContributions, total: totalEmployerContributions } =
+        calculateEmployerContributions(benefitsEmployee, grossPay, voluntaryDeductions, payDate);
+
+    // Compute YTD taxable wages BEFORE this period for wage base cap enforcement
+    // (periods saved before v16 have no taxableWages; their gross was the base)
+    const ytdWagesBeforeThisPeriod = { fica: 0, futa: 0, suta: 0 };
+
+    priorPeriodsThisYear.forEach(p => {
+        Object.keys(ytdWagesBeforeThisPeriod).forEach(tax => {
+            ytdWagesBeforeThisPeriod[tax] += p.taxableWages?.[tax] ?? p.grossPay;
+        });
     });
-
-    // Retrieve wage base settings
-    const ssWageBase = appData.settings.ssWageBase;
-    const futaWageBase = appData.settings.futaWageBase;
-    const sutaWageBase = appData.settings.sutaWageBase;
 
     // Calculate taxable wages for each capped tax type
     // If YTD already exceeds the cap, taxable wages for this period = 0
-    // If this period's gross crosses the cap, only the portion below the cap is taxable
-    function getTaxableWages(ytdBefore, currentGross, wageBase) {
+    // If this period's wages cross the cap, only the portion below the cap is taxable
+    function getTaxableWages(ytdBefore, currentWages, wageBase) {
         if (ytdBefore >= wageBase) return 0;
-        return Math.min(currentGross, wageBase - ytdBefore);
+        return Math.min(currentWages, wageBase - ytdBefore);
     }
 
-    const ssTaxableWages = getTaxableWages(ytdGrossBeforeThisPeriod, grossPay, ssWageBase);
-    const futaTaxableWages = getTaxableWages(ytdGrossBeforeThisPeriod, grossPay, futaWageBase);
-    const sutaTaxableWages = getTaxableWages(ytdGrossBeforeThisPeriod, grossPay, sutaWageBase);
+    const ssTaxableWages = getTaxableWages(ytdWagesBeforeThisPeriod.fica, taxableWages.fica, ssWageBase);
+    const futaTaxableWages = getTaxableWages(ytdWagesBeforeThisPeriod.futa, taxableWages.futa, futaWageBase);
+    const sutaTaxableWages = getTaxableWages(ytdWagesBeforeThisPeriod.suta, taxableWages.suta, sutaWageBase);
 
     // Running Remainder Calculation Logic
     const unrounded = {};
@@ -277,11 +568,30 @@ export function recalculatePeriod(employeeId, periodNum) {
         newRemainders[taxName] = totalToConsider - rounded[taxName];
     };
 
-    calculateTaxWithRemainder('federal', grossPay * (resolveRate(employee.rateHistories?.fedTaxRate, payDate, employee.fedTaxRate) / 100));   // NO cap
-    calculateTaxWithRemainder('state', grossPay * (resolveRate(employee.rateHistories?.stateTaxRate, payDate, employee.stateTaxRate) / 100)); // NO cap
-    calculateTaxWithRemainder('local', grossPay * (resolveRate(employee.rateHistories?.localTaxRate, payDate, employee.localTaxRate) / 100)); // NO cap
+    // Supplemental wages (v20): flat-rate lines are withheld at 22% and kept
+    // out of the regular wages below; supplemental wages over $1 million this
+    // year are withheld at the mandatory 37%, taken from flat lines first.
+    const flatSupplemental = supplementalEarnings
+        .filter(line => line.withholding === 'flat')
+        .reduce((sum, line) => sum + line.amount, 0);
+    const ytdSupplemental = priorPeriodsThisYear.reduce((sum, p) => sum + (p.earnings?.supplemental || 0), 0);
+    const mandatorySupplemental = Math.min(earnings.supplemental,
+        Math.max(0, ytdSupplemental + earnings.supplemental - Math.max(SUPPLEMENTAL_MANDATORY_THRESHOLD, ytdSupplemental)));
+    const mandatoryFromFlat = Math.min(flatSupplemental, mandatorySupplemental);
+    const regularFederalWages = Math.max(0, taxableWages.federal - flatSupplemental - (mandatorySupplemental - mandatoryFromFlat));
+    const supplementalWithholding = (flatSupplemental - mandatoryFromFlat) * (SUPPLEMENTAL_FLAT_RATE / 100)
+        + mandatorySupplemental * (SUPPLEMENTAL_MANDATORY_RATE / 100);
+
+    // Federal withholding: Pub 15-T percentage method from the employee's W-4
+    // profile (v15), or the legacy flat percentage when the employee opts out
+    const federalWithholding = supplementalWithholding + (employee.federalWithholdingMethod === 'w4'
+        ? calculateFederalWithholding(regularFederalWages, PAY_PERIODS_PER_YEAR[appData.settings.payFrequency] || 26, employee.w4, year)
+        : regularFederalWages * (resolveRate(employee.rateHistories?.fedTaxRate, payDate, employee.fedTaxRate) / 100));
+    calculateTaxWithRemainder('federal', federalWithholding);   // NO cap
+    calculateTaxWithRemainder('state', taxableWages.state * (resolveRate(employee.rateHistories?.stateTaxRate, payDate, employee.stateTaxRate) / 100)); // NO cap
+    calculateTaxWithRemainder('local', taxableWages.local * (resolveRate(employee.rateHistories?.localTaxRate, payDate, employee.localTaxRate) / 100)); // NO cap
     calculateTaxWithRemainder('fica', ssTaxableWages * (socialSecurity / 100));            // CAPPED by SS wage base
-    calculateTaxWithRemainder('medicare', grossPay * (medicare / 100));                    // NO cap
+    calculateTaxWithRemainder('medicare', taxableWages.medicare * (medicare / 100));       // NO cap
     calculateTaxWithRemainder('suta', sutaTaxableWages * (effectiveSutaRate / 100));       // CAPPED by SUTA wage base
     calculateTaxWithRemainder('futa', futaTaxableWages * (futaRate / 100));                // CAPPED by FUTA wage base
 
@@ -290,32 +600,84 @@ export function recalculatePeriod(employeeId, periodNum) {
 
     const employeeTaxes = rounded.federal + rounded.state + rounded.local + rounded.fica + rounded.medicare;
 
-    // Calculate deductions (only apply those created on or before this pay date)
-    const { deductions, total: totalDeductions } = calculateDeductions(employee, grossPay, payDate);
+    // Garnishments (v19) come out of disposable earnings after taxes, within
+    // the CCPA limits. They are itemized with the deductions (post-tax).
+    const garnishmentPaidToDate = {};
+    allPeriodsForEmployee.forEach(p => {
+        if (comparePayPeriods(p, period) >= 0 || !(p.grossPay > 0)) return;
+        (p.deductions || []).filter(ded => ded.garnishment).forEach(ded => {
+            garnishmentPaidToDate[ded.id] = (garnishmentPaidToDate[ded.id] || 0) + ded.calculatedAmount;
+        });
+    });
+    // An order applies from its effective date (blank = every period)
+    const ordersInForce = (employee.garnishments || []).filter(g =>
+        !g.startDate || fromStorageDate(g.startDate) <= fromStorageDate(payDate));
+    const { garnishments, total: totalGarnishments } = calculateGarnishments(ordersInForce, {
+        disposableEarnings: calculateDisposableEarnings(grossPay, rounded),
+        payFrequency: appData.settings.payFrequency,
+        availableNet: grossPay - nonCashEarnings - employeeTaxes - voluntaryDeductionsTotal,
+        paidToDate: garnishmentPaidToDate
+    });
+    // Orders whose balance was paid off in an earlier period drop off the stub
+    const garnishmentLines = garnishments.filter(g => !(g.balanceRemaining === 0 && g.calculatedAmount === 0)).map(g => ({
+        id: g.id,
+        name: `${GARNISHMENT_ORDER_TYPES[g.orderType]?.label || 'Garnishment'} — ${g.payee}`,
+        type: 'garnishment',
+        taxTreatment: 'post-tax',
+        garnishment: true,
+        orderType: g.orderType,
+        payee: g.payee,
+        caseNumber: g.caseNumber,
+        calculatedAmount: g.calculatedAmount,
+        capApplied: g.capApplied,
+        balanceRemaining: g.balanceRemaining
+    }));
+    const deductions = [...voluntaryDeductions, ...garnishmentLines];
+    const totalDeductions = Math.round((voluntaryDeductionsTotal + totalGarnishments) * 100) / 100;
 
-    const netPay = grossPay - employeeTaxes - totalDeductions;
+    // A non-cash fringe benefit was taxed but is not paid out
+    const netPay = grossPay - nonCashEarnings - employeeTaxes - totalDeductions;
 
     // Update Period Data
     // (PTO accrual/balance is owned by recalculateAllPeriodsForEmployee, which
     // derives it sequentially from ptoStartingBalance — see audit F1.)
     period.earnings = earnings;
+    period.supplementalEarnings = supplementalEarnings;
+    period.nonCashEarnings = nonCashEarnings;
     period.grossPay = grossPay;
     period.netPay = netPay;
     period.appliedHourlyRate = hourlyRate; // rate in force on this pay date, for stubs/PDFs
+    period.payType = salary ? 'salary' : 'hourly';
+    if (salary) {
+        // Stubs show the salary basis and any proration of this period
+        period.salary = { annual: salary.annualSalary, paidDays: salary.paidDays, workdays: salary.workdays };
+    } else {
+        delete period.salary;
+    }
     period.taxes = { ...rounded, total: employeeTaxes, unrounded };
     period.deductions = deductions;
     period.totalDeductions = totalDeductions;
+    period.taxableWages = taxableWages; // per-tax wage base after pre-tax deductions (W-2/941/940)
+    period.employerContributions = employerContributions;
+    period.totalEmployerContributions = totalEmployerContributions;
 
     // Update Bank Register (only if autoSubtraction is enabled)
     if (appData.settings.autoSubtraction !== false) {
-        const totalPayrollCost = grossPay + rounded.suta + rounded.futa + rounded.fica + rounded.medicare;
+        const totalPayrollCost = grossPay - nonCashEarnings + rounded.suta + rounded.futa + rounded.fica + rounded.medicare + totalEmployerContributions;
         const transactionId = `payroll-${employee.id}-${period.period}-${appData.settings.taxYear}`;
-        // Preserve reconciled status before removing
+        // Preserve reconciled status and the ACH batch reference (v24) before removing
         const existingTransaction = appData.bankRegister.find(t => t.id === transactionId);
         const wasReconciled = existingTransaction ? existingTransaction.reconciled : false;
+        const achBatch = existingTransaction?.achBatch;
         appData.bankRegister = appData.bankRegister.filter(t => t.id !== transactionId);
         if (totalPayrollCost > 0) {
-            addTransaction(period.payDate, `Payroll: ${employee.name} - P${period.period}`, 'debit', totalPayrollCost, transactionId, true, wasReconciled);
+            const label = period.offCycle ? describePeriod(period) : `P${period.period}`;
+            const reference = (achBatch ? describeAchReference(achBatch) : '') + (period.checkNumber ? describeCheckReference(period.checkNumber) : '');
+            addTransaction(period.payDate, `Payroll: ${employee.name} - ${label}${reference}`, 'debit', totalPayrollCost, transactionId, true, wasReconciled);
+            const transaction = appData.bankRegister.find(t => t.id === transactionId);
+            if (achBatch) transaction.achBatch = achBatch;
+            // The printed check's number (v25) lives on the period
+            if (period.checkNumber) transaction.checkNumber = period.checkNumber;
         }
     }
 
@@ -344,11 +706,10 @@ export function updateHoursFromPeriod(employeeId, periodNum) {
     document.getElementById('ptoHours').value = period.hours.pto > 0 ? period.hours.pto : '';
     document.getElementById('holidayHours').value = period.hours.holiday > 0 ? period.hours.holiday : '';
 
-    // Only request a recalculation when the period actually has hours —
+    // Only request a recalculation when the period actually has pay —
     // merely browsing an empty period must not mutate data, save, or write
-    // audit entries (audit F12)
-    const totalHours = period.hours ? Object.values(period.hours).reduce((a, b) => a + b, 0) : 0;
-    return totalHours > 0;
+    // audit entries (audit F12). A finalized period is never recalculated.
+    return periodHasPay(period) && !period.finalized;
 }
 
 /**
@@ -371,6 +732,10 @@ export function calculatePayFromData(employeeId, periodNum, hours) {
     const period = periods.find(p => p.period == periodNum);
     if (!period) return null;
 
+    // A finalized period refuses edits until it is unlocked, and a
+    // period outside the employee's employment dates (v23) cannot be paid
+    if (period.finalized || !isPeriodInEmployment(appData.employees[employeeIndex], period)) return period;
+
     // Store the hours into the period
     period.hours = {
         regular: parseFloat(hours.regular) || 0,
@@ -388,6 +753,239 @@ export function calculatePayFromData(employeeId, periodNum, hours) {
     return appData.payPeriods[employeeId].find(p => p.period == periodNum);
 }
 
+/**
+ * Saves a regular period's daily timesheet and pays it: the hours
+ * worked are split into regular and overtime by workweek under
+ * settings.overtimeRule and written to the period's hours. Days outside the
+ * period are ignored; an empty timesheet removes it and clears the worked
+ * hours. PTO and holiday hours are left as entered.
+ * @param {string} employeeId - The ID of the employee
+ * @param {number} periodNum - The period number
+ * @param {object} days - Hours worked keyed by YYYY-MM-DD
+ * @returns {object|null} The recalculated period, or null if it cannot be edited
+ */
+export function saveTimesheet(employeeId, periodNum, days) {
+    const employee = appData.employees.find(e => e.id === employeeId);
+    const period = appData.payPeriods[employeeId]?.find(p => p.period == periodNum);
+    if (!employee || !period || period.offCycle || period.finalized || !isPeriodInEmployment(employee, period)) return null;
+
+    const entries = {};
+    Object.entries(days || {}).forEach(([date, hours]) => {
+        const value = Math.round((parseFloat(hours) || 0) * 100) / 100;
+        if (value > 0 && date >= period.startDate && date <= period.endDate) entries[date] = value;
+    });
+
+    if (Object.keys(entries).length > 0) {
+        period.timesheet = { days: entries };
+    } else {
+        delete period.timesheet;
+        period.hours.regular = 0;
+        period.hours.overtime = 0;
+        if (!periodHasPay(period, employee)) {
+            clearPeriodPay(period);
+            const transactionId = `payroll-${employeeId}-${period.period}-${appData.settings.taxYear}`;
+            appData.bankRegister = appData.bankRegister.filter(t => t.id !== transactionId);
+        }
+    }
+
+    recalculateAllPeriodsForEmployee(employeeId);
+    return appData.payPeriods[employeeId].find(p => p.period == periodNum);
+}
+
+/**
+ * Adds a supplemental earnings line (v20) to a pay period. The caller
+ * recalculates the employee's periods afterwards.
+ * @param {string} employeeId - The ID of the employee
+ * @param {number} periodNum - The period number
+ * @param {object} line - { code (key of EARNING_CODES), description, amount,
+ *   withholding ("flat" = 22% supplemental rate | "aggregate" = with regular wages) }
+ * @returns {boolean} - True if the line was added
+ */
+export function addSupplementalEarning(employeeId, periodNum, line) {
+    const period = appData.payPeriods[employeeId]?.find(p => p.period == periodNum);
+    const employee = appData.employees.find(e => e.id === employeeId);
+    if (!period || period.finalized || !employee || !isPeriodInEmployment(employee, period)) return false;
+
+    if (!period.supplementalEarnings) {
+        period.supplementalEarnings = [];
+    }
+
+    period.supplementalEarnings.push({
+        id: crypto.randomUUID?.() || 'earn_' + Date.now() + '_' + Math.random().toString(36).slice(2),
+        code: line.code,
+        description: line.description || EARNING_CODES[line.code]?.label || line.code,
+        amount: Math.round(parseFloat(line.amount) * 100) / 100,
+        withholding: line.withholding === 'aggregate' ? 'aggregate' : 'flat'
+    });
+    return true;
+}
+
+/**
+ * Removes a supplemental earnings line from a pay period. A period left with
+ * no hours and no lines is cleared back to unpaid, since the sequential
+ * recalculation skips periods without pay.
+ * @param {string} employeeId - The ID of the employee
+ * @param {number} periodNum - The period number
+ * @param {string} earningId - The ID of the line to remove
+ * @returns {boolean} - True if the line was removed
+ */
+export function deleteSupplementalEarning(employeeId, periodNum, earningId) {
+    const period = appData.payPeriods[employeeId]?.find(p => p.period == periodNum);
+    if (!period || period.finalized || !period.supplementalEarnings) return false;
+
+    const before = period.supplementalEarnings.length;
+    period.supplementalEarnings = period.supplementalEarnings.filter(line => line.id !== earningId);
+    if (period.supplementalEarnings.length === before) return false;
+
+    if (!periodHasPay(period, appData.employees.find(e => e.id === employeeId))) {
+        clearPeriodPay(period);
+        const transactionId = `payroll-${employeeId}-${period.period}-${appData.settings.taxYear}`;
+        appData.bankRegister = appData.bankRegister.filter(t => t.id !== transactionId);
+    }
+    return true;
+}
+
+/**
+ * Finalizes a paid period: its earnings, taxes, deductions and bank
+ * debit are frozen, and the tax remainders after it are stored with it so
+ * later periods continue from them. Recalculation skips a finalized period
+ * and edits to it are refused until it is unlocked.
+ * @param {string} employeeId - The ID of the employee
+ * @param {number} periodNum - The period number
+ * @returns {boolean} - True if the period was finalized
+ */
+export function finalizePeriod(employeeId, periodNum) {
+    const period = appData.payPeriods[employeeId]?.find(p => p.period == periodNum);
+    if (!period || period.finalized || !(period.grossPay > 0)) return false;
+
+    period.finalized = { finalizedAt: new Date().toISOString() };
+    // Recalculate once more so the period is frozen with current values
+    // and the remainders as of its place in the sequence
+    recalculateAllPeriodsForEmployee(employeeId);
+    return true;
+}
+
+/**
+ * Unlocks a finalized period so it can be edited and recalculated again.
+ * The caller records the unlock in the audit log and recalculates.
+ * @param {string} employeeId - The ID of the employee
+ * @param {number} periodNum - The period number
+ * @returns {object|null} The finalization record that was removed, or null
+ */
+export function unlockPeriod(employeeId, periodNum) {
+    const period = appData.payPeriods[employeeId]?.find(p => p.period == periodNum);
+    if (!period || !period.finalized) return null;
+
+    const finalized = period.finalized;
+    delete period.finalized;
+    return finalized;
+}
+
+/**
+ * Clears a period's calculated pay back to unpaid values.
+ * @param {object} period - The pay period
+ */
+function clearPeriodPay(period) {
+    Object.assign(period, unpaidPeriodValues());
+    ['taxableWages', 'employerContributions', 'totalEmployerContributions', 'nonCashEarnings'].forEach(key => delete period[key]);
+}
+
+/**
+ * Voids a paid period's check. Nothing is deleted: the paid values are
+ * kept in period.voidedChecks with the void date and reason, the original
+ * payroll debit stays in the bank register (re-keyed so recalculation leaves
+ * it alone), and a reversing credit is posted on the void date. The period
+ * itself goes back to unpaid so it can be reissued. The caller recalculates
+ * the employee's periods afterwards.
+ * @param {string} employeeId - The ID of the employee
+ * @param {number} periodNum - The period number
+ * @param {object} details - { voidDate (YYYY-MM-DD), reason }
+ * @returns {object|null} The voided check record, or null if the period is not paid
+ */
+export function voidPeriod(employeeId, periodNum, { voidDate, reason = '' }) {
+    const employee = appData.employees.find(e => e.id === employeeId);
+    const period = appData.payPeriods[employeeId]?.find(p => p.period == periodNum);
+    if (!employee || !period || period.finalized || !(period.grossPay > 0) || !voidDate) return null;
+
+    if (!period.voidedChecks) {
+        period.voidedChecks = [];
+    }
+    const voidNumber = period.voidedChecks.length + 1;
+
+    const voided = {
+        ...JSON.parse(JSON.stringify({
+            hours: period.hours,
+            supplementalEarnings: period.supplementalEarnings || [],
+            timesheet: period.timesheet,
+            earnings: period.earnings,
+            taxes: period.taxes,
+            deductions: period.deductions,
+            taxableWages: period.taxableWages,
+            employerContributions: period.employerContributions || []
+        })),
+        payDate: period.payDate,
+        grossPay: period.grossPay,
+        nonCashEarnings: period.nonCashEarnings || 0,
+        netPay: period.netPay,
+        totalDeductions: period.totalDeductions,
+        totalEmployerContributions: period.totalEmployerContributions || 0,
+        bankDebit: 0,
+        voidDate,
+        reason
+    };
+    // The check number (v25) goes with the voided check; a reissue gets a new one
+    if (period.checkNumber) {
+        voided.checkNumber = period.checkNumber;
+        delete period.checkNumber;
+    }
+
+    // Keep the original debit and post its reversal. Without automatic
+    // subtraction a printed check has its own net pay debit (v25).
+    const taxYear = appData.settings.taxYear;
+    const original = appData.bankRegister.find(t => t.id === `payroll-${employeeId}-${period.period}-${taxYear}`)
+        || appData.bankRegister.find(t => t.id === `check-${employeeId}-${period.period}-${taxYear}`);
+    if (original) {
+        const transactionId = original.id;
+        const label = period.offCycle ? describePeriod(period) : `P${period.period}`;
+        original.id = `${transactionId}-void${voidNumber}`;
+        original.description += ' (VOIDED)';
+        voided.bankDebit = original.debit;
+        addTransaction(voidDate, `Void: Payroll: ${employee.name} - ${label}${reason ? ` (${reason})` : ''}`, 'credit', original.debit, `${transactionId}-void${voidNumber}-reversal`, true);
+    }
+
+    period.voidedChecks.push(voided);
+    // Keeps a salaried period from paying its salary again until reissued
+    period.awaitingReissue = true;
+    period.hours = { regular: 0, overtime: 0, pto: 0, holiday: 0 };
+    period.supplementalEarnings = [];
+    delete period.timesheet;
+    clearPeriodPay(period);
+    return voided;
+}
+
+/**
+ * Reissues the most recently voided check of a period by restoring
+ * its hours, supplemental earnings lines and timesheet. The caller
+ * recalculates the employee's periods afterwards, which pays the period
+ * again under a new payroll debit.
+ * @param {string} employeeId - The ID of the employee
+ * @param {number} periodNum - The period number
+ * @returns {boolean} - True if the check was restored for reissue
+ */
+export function reissuePeriod(employeeId, periodNum) {
+    const period = appData.payPeriods[employeeId]?.find(p => p.period == periodNum);
+    if (!period || !period.voidedChecks?.length || periodHasPay(period)) return false;
+
+    const voided = period.voidedChecks[period.voidedChecks.length - 1];
+    delete period.awaitingReissue;
+    period.hours = { ...voided.hours };
+    period.supplementalEarnings = JSON.parse(JSON.stringify(voided.supplementalEarnings || []));
+    if (voided.timesheet) {
+        period.timesheet = JSON.parse(JSON.stringify(voided.timesheet));
+    }
+    return true;
+}
+
 /**
  * Calculates pay based on the hours in the UI and updates the appData object.
  * This function now uses a "running remainder" strategy for tax calculations.
@@ -422,23 +1020,132 @@ export function getPayStubData(employeeId, periodNum) {
     const employee = appData.employees.find(e => e.id === employeeId);
     if (!employee) return {};
 
-    const employeePayPeriods = appData.payPeriods[employeeId];
-    const period = employeePayPeriods.find(p => p.period == periodNum);
+    const period = (appData.payPeriods[employeeId] || []).find(p => p.period == periodNum);
     if (!period) return {};
 
-    let ytd = { gross: 0, federal: 0, fica: 0, medicare: 0, state: 0, local: 0, earnings: {} };
-    for (let i = 0; i < period.period; i++) {
-        const p = employeePayPeriods[i];
-        if(p && p.grossPay > 0) {
+    let ytd = { gross: 0, federal: 0, fica: 0, medicare: 0, state: 0, local: 0, earnings: {}, supplemental: {} };
+    getPeriodsThrough(employeeId, periodNum).forEach(p => {
+        if(p.grossPay > 0) {
             ytd.gross += p.grossPay;
             ytd.federal += p.taxes.federal; ytd.fica += p.taxes.fica; ytd.medicare += p.taxes.medicare;
             ytd.state += p.taxes.state; ytd.local += p.taxes.local;
             Object.keys(p.earnings).forEach(key => { ytd.earnings[key] = (ytd.earnings[key] || 0) + p.earnings[key]; });
+            // Supplemental lines (v20) accumulate by earning code
+            (p.supplementalEarnings || []).forEach(line => { ytd.supplemental[line.code] = (ytd.supplemental[line.code] || 0) + line.amount; });
         }
-    }
+    });
     return { employee, period, ytd };
 }
 
+/**
+ * An employee's pay periods paid in a calendar year: the open year's plus
+ * any archived ones (v21), such as a closed year's last period whose pay
+ * date falls after January 1. Wage bases, annual limits and YTD figures
+ * all count by pay date.
+ * @param {string} employeeId - The ID of the employee
+ * @param {number} year - Pay date year
+ * @returns {object[]}
+ */
+export function getPeriodsPaidInYear(employeeId, year) {
+    const archived = Object.entries(appData.archivedYears || {})
+        .filter(([archiveYear]) => Number(archiveYear) !== appData.settings.taxYear)
+        .flatMap(([, archive]) => archive.payPeriods?.[employeeId] || []);
+    return [...archived, ...(appData.payPeriods[employeeId] || [])]
+        .filter(p => p.payDate && fromStorageDate(p.payDate).getFullYear() === year);
+}
+
+/**
+ * The employee's pay periods paid in the given one's year, up to and
+ * including it, in pay-date order — the basis for every YTD figure on
+ * a pay stub.
+ * @param {string} employeeId - The ID of the employee
+ * @param {number} periodNum - The period number
+ * @returns {object[]}
+ */
+export function getPeriodsThrough(employeeId, periodNum) {
+    const period = (appData.payPeriods[employeeId] || []).find(p => p.period == periodNum);
+    if (!period) return [];
+    return getPeriodsPaidInYear(employeeId, fromStorageDate(period.payDate).getFullYear())
+        .filter(p => comparePayPeriods(p, period) <= 0)
+        .sort(comparePayPeriods);
+}
+
+// --- BULK HOURS ENTRY ---
+
+/**
+ * The employer's cost of a paid period — the amount its payroll bank debit
+ * is written for: cash wages, employer taxes and employer contributions.
+ * @param {object} period - A calculated pay period
+ * @returns {number}
+ */
+export function getPeriodPayrollCost(period) {
+    if (!(period.grossPay > 0)) return 0;
+    const taxes = period.taxes || {};
+    return Math.round((period.grossPay - (period.nonCashEarnings || 0) + (taxes.suta || 0) + (taxes.futa || 0)
+        + (taxes.fica || 0) + (taxes.medicare || 0) + (period.totalEmployerContributions || 0)) * 100) / 100;
+}
+
+/**
+ * The distinct pay dates of the open year's regular pay periods, for the
+ * bulk hours grid.
+ * @returns {string[]} Pay dates in order
+ */
+export function getRegularPayDates() {
+    const dates = new Set();
+    Object.values(appData.payPeriods).flat().forEach(p => {
+        if (!p.offCycle) dates.add(p.payDate);
+    });
+    return [...dates].sort((a, b) => fromStorageDate(a) - fromStorageDate(b));
+}
+
+/**
+ * The bulk hours grid for one pay date: a row for every active
+ * employee with a regular period paid that day, and the totals.
+ * - A finalized period, or one outside the employment dates, is locked;
+ *   a period with a daily timesheet takes its regular and overtime hours
+ *   from the timesheet.
+ * - bankBalanceAfter is the register balance through the pay date. With
+ *   automatic subtraction off the payroll is not in the register yet, so
+ *   its cost is taken off.
+ * @param {string} payDate - A pay date (storage format)
+ * @returns {object} { payDate, rows: [{ employee, period, locked, timesheet, payrollCost }], totals, bankBalanceAfter }
+ */
+export function getPayDateGrid(payDate) {
+    const rows = [];
+    appData.employees.filter(isEmployeeActive).forEach(employee => {
+        const period = (appData.payPeriods[employee.id] || []).find(p => !p.offCycle && p.payDate === payDate);
+        if (!period) return;
+        rows.push({
+            employee,
+            period,
+            locked: !!period.finalized || !isPeriodInEmployment(employee, period),
+            timesheet: !!period.timesheet,
+            payrollCost: getPeriodPayrollCost(period)
+        });
+    });
+
+    const totals = { regular: 0, overtime: 0, pto: 0, holiday: 0, grossPay: 0, netPay: 0, payrollCost: 0 };
+    rows.forEach(({ period, payrollCost }) => {
+        ['regular', 'overtime', 'pto', 'holiday'].forEach(key => { totals[key] += period.hours[key] || 0; });
+        if (period.grossPay > 0) {
+            totals.grossPay += period.grossPay;
+            totals.netPay += period.netPay;
+        }
+        totals.payrollCost += payrollCost;
+    });
+    Object.keys(totals).forEach(key => { totals[key] = Math.round(totals[key] * 100) / 100; });
+
+    const payDateValue = fromStorageDate(payDate);
+    let bankBalanceAfter = appData.bankRegister
+        .filter(t => fromStorageDate(t.date) <= payDateValue)
+        .reduce((balance, t) => balance + t.credit - t.debit, 0);
+    if (appData.settings.autoSubtraction === false) {
+        bankBalanceAfter -= totals.payrollCost;
+    }
+
+    return { payDate, rows, totals, bankBalanceAfter: Math.round(bankBalanceAfter * 100) / 100 };
+}
+
 // --- SETTINGS MANAGEMENT ---
 
 /**
@@ -450,13 +1157,30 @@ export function updateSettingsFromUI() {
     const num = (v, fallback) => { const n = parseFloat(v); return isNaN(n) ? fallback : n; };
     const int = (v, fallback) => { const n = parseInt(v); return isNaN(n) ? fallback : n; };
 
+    const previousTaxYear = appData.settings.taxYear;
     appData.settings.companyName = document.getElementById('companyName').value;
     appData.settings.taxYear = int(document.getElementById('taxYear').value, appData.settings.taxYear);
     appData.settings.payFrequency = document.getElementById('payFrequency').value;
     appData.settings.firstPayPeriodStartDate = document.getElementById('firstPayPeriodStartDate').value;
     appData.settings.daysUntilPayday = int(document.getElementById('daysUntilPayday').value, appData.settings.daysUntilPayday);
+    appData.settings.overtimeRule = document.getElementById('overtimeRule')?.value || 'flsa';
     appData.settings.companyAddress = document.getElementById('companyAddress').value;
     appData.settings.companyPhone = document.getElementById('companyPhone').value;
+    appData.settings.ach = {
+        companyId: (document.getElementById('achCompanyId')?.value || '').trim(),
+        bankName: (document.getElementById('achBankName')?.value || '').trim(),
+        bankRoutingNumber: (document.getElementById('achBankRoutingNumber')?.value || '').trim(),
+        offsetAccountNumber: (document.getElementById('achOffsetAccountNumber')?.value || '').trim(),
+        offsetAccountType: document.getElementById('achOffsetAccountType')?.value === 'savings' ? 'savings' : 'checking'
+    };
+    appData.settings.nextCheckNumber = num(document.getElementById('nextCheckNumber')?.value, appData.settings.nextCheckNumber);
+    appData.settings.checkLayout = document.getElementById('checkLayout')?.value === 'middle' ? 'middle' : 'top';
+    appData.settings.positivePay = {
+        accountNumber: (document.getElementById('positivePayAccountNumber')?.value || '').trim(),
+        layout: document.getElementById('positivePayLayout')?.value || 'csv',
+        issueIndicator: (document.getElementById('positivePayIssueIndicator')?.value || '').trim().toUpperCase(),
+        voidIndicator: (document.getElementById('positivePayVoidIndicator')?.value || '').trim().toUpperCase()
+    };
     appData.settings.socialSecurity = num(document.getElementById('socialSecurity').value, appData.settings.socialSecurity);
     appData.settings.medicare = num(document.getElementById('medicare').value, appData.settings.medicare);
     // SUTA is effective-dated (v13): a changed value becomes a history entry
@@ -477,11 +1201,24 @@ export function updateSettingsFromUI() {
     appData.settings.sutaWageBase = num(document.getElementById('sutaWageBase').value, appData.settings.sutaWageBase);
     appData.settings.additionalMedicareThreshold = num(document.getElementById('additionalMedicareThreshold').value, appData.settings.additionalMedicareThreshold);
     appData.settings.additionalMedicareRate = num(document.getElementById('additionalMedicareRate').value, appData.settings.additionalMedicareRate);
+    // Tax constants are kept per year (v22) and the form edits the open
+    // year's. Switching the tax year loads that year's constants rather than
+    // copying the previous year's form values over them.
+    if (appData.settings.taxYear !== previousTaxYear) {
+        Object.assign(appData.settings, resolveTaxConstants(appData.settings, appData.settings.taxYear));
+    }
+    if (!appData.settings.taxConstants) {
+        appData.settings.taxConstants = {};
+    }
+    const constants = {};
+    TAX_CONSTANT_FIELDS.forEach(field => { constants[field] = appData.settings[field]; });
+    appData.settings.taxConstants[appData.settings.taxYear] = constants;
     appData.settings.taxFrequencies.federal = document.getElementById('federalTaxFrequency').value;
     appData.settings.taxFrequencies.futa = document.getElementById('futaTaxFrequency').value;
     appData.settings.taxFrequencies.suta = document.getElementById('sutaTaxFrequency').value;
     appData.settings.taxFrequencies.state = document.getElementById('stateTaxFrequency').value;
     appData.settings.taxFrequencies.local = document.getElementById('localTaxFrequency').value;
+    appData.settings.lookbackDepositSchedule = document.getElementById('lookbackDepositSchedule').checked;
     appData.settings.autoSubtraction = document.getElementById('autoSubtraction').checked;
     appData.settings.quarterlyEarningsTarget = parseFloat(document.getElementById('quarterlyEarningsTarget').value) || 0;
     appData.settings.minimumWeeklyHours = parseFloat(document.getElementById('minimumWeeklyHours').value) || 0;
@@ -531,12 +1268,14 @@ export function calculateQuarterlyEarningsStatus(employeeId, today) {
         nextPeriodPayDate: '',
         schedule: [],
         projectedQuarterGross: 0,
-        projectedQuarterHours: 0
+        projectedQuarterHours: 0,
+        salaried: false
     };
 
     if (!employee) return emptyResult;
 
     const rate = employee.rate || 0;
+    const isSalaried = employee.payType === 'salary';
     const periods = appData.payPeriods[employeeId] || [];
 
     if (periods.length === 0) return emptyResult;
@@ -552,8 +1291,8 @@ export function calculateQuarterlyEarningsStatus(employeeId, today) {
 
     if (quarterPeriods.length === 0) return emptyResult;
 
-    // Sort by period number
-    quarterPeriods.sort((a, b) => a.period - b.period);
+    // Sort by pay date
+    quarterPeriods.sort(comparePayPeriods);
 
     // Categorize periods
     const completed = [];
@@ -564,6 +1303,8 @@ export function calculateQuarterlyEarningsStatus(employeeId, today) {
         const totalHours = p.hours ? Object.values(p.hours).reduce((a, b) => a + b, 0) : 0;
         if (p.grossPay > 0 || totalHours > 0) {
             completed.push(p);
+        } else if (p.offCycle) {
+            continue; // an unpaid off-cycle run is not a scheduled period
         } else if (p.payDate >= todayStr) {
             remaining.push(p);
         } else {
@@ -590,8 +1331,22 @@ export function calculateQuarterlyEarningsStatus(employeeId, today) {
     let schedule = [];
     let targetReachable = true;
     let shortfall = 0;
+    // Salaried pay doesn't depend on hours: project each remaining period's
+    // (possibly prorated) salary instead of recommending hours
+    let salaryProjection = null;
 
-    if (targetMet) {
+    if (isSalaried) {
+        salaryProjection = remaining.reduce((sum, p) => sum + calculateSalaryForPeriod(employee, p).amount, 0);
+        schedule = remaining.map(p => ({
+            period: p.period,
+            payDate: toDisplayDate(p.payDate),
+            hours: minHours
+        }));
+        if (!targetMet && quarterGross + salaryProjection < target) {
+            targetReachable = false;
+            shortfall = target - quarterGross - salaryProjection;
+        }
+    } else if (targetMet) {
         // Target already met — schedule all remaining at minHours
         schedule = remaining.map(p => ({
             period: p.period,
@@ -656,7 +1411,7 @@ export function calculateQuarterlyEarningsStatus(employeeId, today) {
 
     // Calculate projected totals
     const scheduledHours = schedule.reduce((sum, s) => sum + s.hours, 0);
-    const projectedQuarterGross = Math.round((quarterGross + scheduledHours * rate) * 100) / 100;
+    const projectedQuarterGross = Math.round((quarterGross + (salaryProjection ?? scheduledHours * rate)) * 100) / 100;
     const projectedQuarterHours = quarterHours + scheduledHours;
 
     return {
@@ -680,6 +1435,7 @@ export function calculateQuarterlyEarningsStatus(employeeId, today) {
         nextPeriodPayDate: schedule.length > 0 ? schedule[0].payDate : '',
         schedule,
         projectedQuarterGross,
-        projectedQuarterHours
+        projectedQuarterHours,
+        salaried: isSalaried
     };
 }
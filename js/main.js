@@ -19,6 +19,15 @@ import * as validation from './validation.js';
 import { showToast } from './toast.js';
 import { createSnapshot, pushUndo } from './undo.js';
 import { logAudit, getAuditLog, clearAuditLog } from './audit.js';
+import { comparePayPeriods, formatDate } from './utils.js';
+import { closeTaxYear, getYearCloseBlockers } from './year-end.js';
+import { exportRosterToCSV, previewRosterImport, applyRosterImport } from './roster.js';
+import { DEFAULT_TIME_CLOCK_PROFILE, readCsvHeader, previewTimeClockImport, applyTimeClockImport, saveTimeClockProfile } from './timeclock.js';
+import { previewAchBatch, generateAchFile, downloadAchFile } from './ach.js';
+import { assignCheckNumber, getCheckPeriods } from './checks.js';
+import { getIssuedChecks, generatePositivePayFile, downloadPositivePayFile } from './positive-pay.js';
+import { recordTaxDeposit, deleteTaxDeposit } from './tax-deposits.js';
+import { markQuarterFiled, unmarkQuarterFiled } from './form-941x.js';
 
 // --- EVENT HANDLER FUNCTIONS ---
 // These functions connect user actions to the application's logic and UI updates.
@@ -35,6 +44,25 @@ function handleTabClick(event) {
             ui.refreshQuarterlyEarningsWidget();
             ui.refreshComplianceSummary();
         }
+        if (tabButton.dataset.tab === 'payroll') {
+            ui.renderBulkHoursGrid();
+        }
+        if (tabButton.dataset.tab === 'reports') {
+            ui.renderTaxDeposits();
+        }
+        if (tabButton.dataset.tab === 'banking') {
+            ui.populateAchPayDates();
+            ui.renderAchBatchHistory();
+            ui.populateCheckPayDates();
+            // Positive Pay (v26) defaults to this month so far
+            const startInput = document.getElementById('positivePayStartDate');
+            const endInput = document.getElementById('positivePayEndDate');
+            if (!startInput.value && !endInput.value) {
+                const today = formatDate(new Date());
+                startInput.value = today.slice(0, 8) + '01';
+                endInput.value = today;
+            }
+        }
     }
 }
 
@@ -62,12 +90,55 @@ async function handleSettingsChange() {
         }
     }
 
+    // A closed year (v21) lives in the archive; reopening it would regenerate
+    // its periods empty alongside the archived ones
+    if (appData.settings.taxYear !== settingsBefore.taxYear && appData.archivedYears?.[appData.settings.taxYear]) {
+        showToast(`${appData.settings.taxYear} has been closed. Its data is available in Reports.`, 'error');
+        appData.settings = settingsBefore;
+        ui.displaySettings();
+        return;
+    }
+
     logic.generatePayPeriods();
+    if (appData.settings.taxYear !== settingsBefore.taxYear) {
+        ui.displaySettings(); // show the new year's tax constants (v22)
+    }
     handleEmployeeChange(); // Refresh dropdowns and data (also refreshes quarterly widget)
+    ui.renderArchivedYears();
+    ui.renderDepositSchedule();
     await saveDataImmediate();
     logAudit('Settings Changed', `Company: ${appData.settings.companyName}, Year: ${appData.settings.taxYear}`);
 }
 
+/**
+ * Handles closing the tax year after confirmation: archives the year and
+ * opens the next one.
+ */
+async function handleCloseYear() {
+    const blockers = getYearCloseBlockers();
+    if (blockers.length > 0) {
+        showToast(blockers.join(' '), 'error');
+        return;
+    }
+
+    const year = appData.settings.taxYear;
+    if (!confirm(`Close tax year ${year}? Its pay periods will be archived (still available in Reports) and payroll will move to ${year + 1}. Export a backup first if you have not.`)) return;
+
+    const result = closeTaxYear();
+    if (result) {
+        ui.displaySettings();
+        ui.renderArchivedYears();
+        handleEmployeeChange();
+        ui.toggleReportInputs();
+        banking.updateBankProjectionsUI();
+        await saveDataImmediate();
+
+        const pto = result.pto.map(e => `${e.name} ${e.carried.toFixed(2)}h${e.carried < e.balance ? ` (${(e.balance - e.carried).toFixed(2)}h over the carry-over limit)` : ''}`).join('; ');
+        logAudit('Year Closed', `Closed ${result.year}, opened ${result.newYear}. PTO carried forward: ${pto || 'none'}`);
+        showToast(`${result.year} closed. Payroll is now on ${result.newYear}.`, 'success');
+    }
+}
+
 /**
  * Handles the main employee selection dropdown change.
  */
@@ -94,10 +165,45 @@ function handlePeriodChange() {
     }
 }
 
+/**
+ * Warns and returns true when the selected period is finalized;
+ * handlers refuse to edit it until it is unlocked.
+ * @param {string} employeeId - The ID of the employee
+ * @param {string} periodNum - The period number
+ * @returns {boolean}
+ */
+function refuseIfFinalized(employeeId, periodNum) {
+    const period = appData.payPeriods[employeeId]?.find(p => p.period == periodNum);
+    if (!period?.finalized) return false;
+    showToast(`${logic.describePeriod(period)} is finalized. Unlock it before making changes.`, 'warning');
+    return true;
+}
+
+/**
+ * Warns and returns true when the selected regular period falls outside the
+ * employee's hire and termination dates (v23); it cannot be paid.
+ * @param {string} employeeId - The ID of the employee
+ * @param {string} periodNum - The period number
+ * @returns {boolean}
+ */
+function refuseIfOutsideEmployment(employeeId, periodNum) {
+    const employee = appData.employees.find(e => e.id === employeeId);
+    const period = appData.payPeriods[employeeId]?.find(p => p.period == periodNum);
+    if (!employee || !period || logic.isPeriodInEmployment(employee, period)) return false;
+    showToast(`${logic.describePeriod(period)} falls outside ${employee.name}'s employment dates.`, 'warning');
+    return true;
+}
+
 /**
  * Handles changes to any of the hour input fields on the dashboard.
  */
 function handleHoursChange() {
+    if (refuseIfFinalized(document.getElementById('currentEmployee').value, document.getElementById('currentPeriod').value)
+        || refuseIfOutsideEmployment(document.getElementById('currentEmployee').value, document.getElementById('currentPeriod').value)) {
+        logic.updateHoursFromPeriod(document.getElementById('currentEmployee').value, document.getElementById('currentPeriod').value);
+        return;
+    }
+
     // Validate hours input
     const hours = {
         regular: parseFloat(document.getElementById('regularHours').value) || 0,
@@ -133,6 +239,161 @@ function handleHoursChange() {
     }
 }
 
+/**
+ * Handles a change to an hours cell of the bulk hours grid: pays that
+ * row's period and refreshes the row, totals and the rest of the app.
+ * @param {Event} event - The change event
+ */
+function handleBulkHoursChange(event) {
+    const row = event.target.closest('tr[data-employee-id]');
+    if (!row || !event.target.classList.contains('bulk-hours-input')) return;
+    const employeeId = row.dataset.employeeId;
+    const periodNum = row.dataset.period;
+
+    if (refuseIfFinalized(employeeId, periodNum) || refuseIfOutsideEmployment(employeeId, periodNum)) {
+        ui.renderBulkHoursGrid();
+        return;
+    }
+
+    const hours = {};
+    row.querySelectorAll('.bulk-hours-input').forEach(input => {
+        hours[input.dataset.field] = parseFloat(input.value) || 0;
+    });
+    const hoursErrors = validation.validateHours(hours);
+    if (hoursErrors.length > 0) {
+        validation.displayValidationErrors(hoursErrors);
+        ui.renderBulkHoursGrid();
+        return;
+    }
+
+    logic.calculatePayFromData(employeeId, periodNum, hours);
+    const emp = appData.employees.find(e => e.id === employeeId);
+    logAudit('Period Calculated', `${emp.name} Period ${periodNum} (bulk entry)`);
+
+    ui.refreshBulkHoursTotals();
+    const currentEmployeeId = document.getElementById('currentEmployee').value;
+    const currentPeriod = document.getElementById('currentPeriod').value;
+    if (currentEmployeeId === employeeId && currentPeriod == periodNum) {
+        logic.updateHoursFromPeriod(employeeId, periodNum);
+        ui.updateDashboardUI(employeeId, periodNum);
+    }
+    ui.displayPayPeriods(currentEmployeeId);
+    banking.updateBankProjectionsUI();
+    banking.displayRegister();
+    ui.refreshQuarterlyEarningsWidget();
+    ui.refreshComplianceSummary();
+    saveData();
+    const currentBalance = banking.getCurrentBankBalance();
+    if (currentBalance < 0) {
+        banking.showInsufficientFundsModal(currentBalance);
+    }
+}
+
+/**
+ * Spreadsheet-style keyboard navigation in the bulk hours grid.
+ * @param {KeyboardEvent} event
+ */
+function handleBulkHoursKeydown(event) {
+    if (!event.target.classList.contains('bulk-hours-input')) return;
+    // Arrow keys move between cells instead of stepping the number
+    if (ui.moveBulkHoursFocus(event.target, event.key) || event.key.startsWith('Arrow')) {
+        event.preventDefault();
+    }
+}
+
+// The time-clock file being imported and its last preview
+let timeClockCsv = '';
+let timeClockPreview = null;
+
+/**
+ * Discards the time-clock preview, so Apply needs a fresh one after the
+ * file or mapping changes.
+ */
+function resetTimeClockPreview() {
+    timeClockPreview = null;
+    document.getElementById('applyTimeClockBtn').disabled = true;
+    document.getElementById('timeClockPreview').innerHTML = '';
+}
+
+/**
+ * Loads the chosen time-clock CSV and offers its headers for the mapping.
+ * @param {Event} event - The file input's change event
+ */
+function handleTimeClockFileChange(event) {
+    const file = event.target.files[0];
+    resetTimeClockPreview();
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        timeClockCsv = e.target.result;
+        ui.displayTimeClockProfile(ui.readTimeClockProfileForm(), readCsvHeader(timeClockCsv));
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Shows the chosen mapping profile (or the defaults for a new one).
+ */
+function handleTimeClockProfileChange() {
+    const name = document.getElementById('timeClockProfile').value;
+    const profile = (appData.settings.timeClockProfiles || []).find(p => p.name === name) || DEFAULT_TIME_CLOCK_PROFILE;
+    ui.displayTimeClockProfile(profile, readCsvHeader(timeClockCsv));
+    resetTimeClockPreview();
+}
+
+/**
+ * Saves the mapping in the form as a named profile.
+ */
+function handleSaveTimeClockProfile() {
+    const profile = ui.readTimeClockProfileForm();
+    if (!saveTimeClockProfile(profile)) {
+        showToast('Please enter a profile name.', 'warning');
+        return;
+    }
+    ui.populateTimeClockProfiles(profile.name);
+    saveData();
+    showToast(`Mapping profile "${profile.name}" saved.`, 'success');
+}
+
+/**
+ * Previews the loaded time-clock file through the mapping in the form.
+ */
+function handlePreviewTimeClock() {
+    if (!timeClockCsv) {
+        showToast('Please choose a time clock CSV file first.', 'warning');
+        return;
+    }
+    timeClockPreview = previewTimeClockImport(timeClockCsv, ui.readTimeClockProfileForm());
+    ui.renderTimeClockPreview(timeClockPreview);
+    document.getElementById('applyTimeClockBtn').disabled = !timeClockPreview.groups.some(g => !g.issue);
+}
+
+/**
+ * Applies the previewed time-clock hours and refreshes the app.
+ */
+async function handleApplyTimeClock() {
+    if (!timeClockPreview) return;
+    const applied = applyTimeClockImport(timeClockPreview);
+    const skipped = timeClockPreview.groups.length - applied.length;
+    resetTimeClockPreview();
+    if (applied.length === 0) return;
+
+    const employeeId = document.getElementById('currentEmployee').value;
+    const periodNum = document.getElementById('currentPeriod').value;
+    logic.updateHoursFromPeriod(employeeId, periodNum);
+    ui.updateDashboardUI(employeeId, periodNum);
+    ui.displayPayPeriods(employeeId);
+    ui.renderBulkHoursGrid();
+    banking.updateBankProjectionsUI();
+    banking.displayRegister();
+    ui.refreshQuarterlyEarningsWidget();
+    ui.refreshComplianceSummary();
+    await saveDataImmediate();
+    logAudit('Time Clock Import', applied.map(g => `${g.employee.name} ${logic.describePeriod(g.period)}`).join(', '));
+    showToast(`Imported hours for ${applied.length} pay period${applied.length === 1 ? '' : 's'}${skipped > 0 ? `; ${skipped} skipped` : ''}.`, 'success');
+}
+
 /**
  * Handles the submission of the employee form (add/edit).
  * @param {Event} event - The form submission event.
@@ -143,14 +404,29 @@ async function handleEmployeeFormSubmit(event) {
     // Gather employee data from form
     const employeeData = {
         name: document.getElementById('employeeName').value,
+        payType: document.getElementById('payType').value,
         rate: parseFloat(document.getElementById('hourlyRate').value) || 0,
+        annualSalary: parseFloat(document.getElementById('annualSalary').value) || 0,
+        hireDate: document.getElementById('hireDate').value,
+        dateOfBirth: document.getElementById('dateOfBirth').value,
+        terminationDate: document.getElementById('terminationDate').value,
+        status: document.getElementById('employmentStatus').value,
         overtimeMultiplier: parseFloat(document.getElementById('overtimeRate').value) || 1.5,
         holidayMultiplier: parseFloat(document.getElementById('holidayRate').value) || 2.0,
         fedTaxRate: parseFloat(document.getElementById('federalTax').value) || 0,
+        federalWithholdingMethod: document.getElementById('federalWithholdingMethod').value,
+        w4: {
+            filingStatus: document.getElementById('w4FilingStatus').value,
+            dependentsAmount: parseFloat(document.getElementById('w4DependentsAmount').value) || 0,
+            otherIncome: parseFloat(document.getElementById('w4OtherIncome').value) || 0,
+            deductions: parseFloat(document.getElementById('w4Deductions').value) || 0,
+            extraWithholding: parseFloat(document.getElementById('w4ExtraWithholding').value) || 0
+        },
         stateTaxRate: parseFloat(document.getElementById('stateTax').value) || 0,
         localTaxRate: parseFloat(document.getElementById('localTax').value) || 0,
         ptoAccrualRate: parseFloat(document.getElementById('ptoAccrualRate').value) || 0,
-        ptoBalance: parseFloat(document.getElementById('ptoBalance').value) || 0
+        ptoBalance: parseFloat(document.getElementById('ptoBalance').value) || 0,
+        bankAccounts: logic.readBankAccountsFromForm()
     };
 
     // Validate employee data
@@ -162,8 +438,12 @@ async function handleEmployeeFormSubmit(event) {
 
     const editedEmployeeId = document.getElementById('employeeId').value;
     const isEdit = !!editedEmployeeId;
+    const previous = appData.employees.find(e => e.id === editedEmployeeId);
     logic.saveEmployeeFromForm();
-    if (isEdit) {
+    if (isEdit && previous && (previous.hireDate !== employeeData.hireDate || previous.terminationDate !== employeeData.terminationDate)) {
+        // Changed employment dates (v23) add or drop pay periods
+        logic.generatePayPeriods();
+    } else if (isEdit) {
         // Re-derive PTO and remainders so a changed starting balance or rate
         // takes effect immediately
         logic.recalculateAllPeriodsForEmployee(editedEmployeeId);
@@ -174,6 +454,307 @@ async function handleEmployeeFormSubmit(event) {
     logAudit(isEdit ? 'Employee Edited' : 'Employee Added', employeeData.name);
 }
 
+// The roster file being imported and its last preview
+let rosterCsv = '';
+let rosterPreview = null;
+
+/**
+ * Discards the roster preview, so Apply needs a fresh one.
+ */
+function resetRosterPreview() {
+    rosterPreview = null;
+    document.getElementById('applyRosterBtn').disabled = true;
+    document.getElementById('rosterPreview').innerHTML = '';
+}
+
+/**
+ * Loads the chosen roster CSV.
+ * @param {Event} event - The file input's change event
+ */
+function handleRosterFileChange(event) {
+    const file = event.target.files[0];
+    resetRosterPreview();
+    rosterCsv = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => { rosterCsv = e.target.result; };
+    reader.readAsText(file);
+}
+
+/**
+ * Previews the loaded roster file.
+ */
+function handlePreviewRoster() {
+    if (!rosterCsv) {
+        showToast('Please choose a roster CSV file first.', 'warning');
+        return;
+    }
+    const updateExisting = document.getElementById('rosterUpdateExisting').checked;
+    rosterPreview = previewRosterImport(rosterCsv);
+    ui.renderRosterPreview(rosterPreview, updateExisting);
+    document.getElementById('applyRosterBtn').disabled = !rosterPreview.rows.some(row =>
+        row.errors.length === 0 && (row.action === 'create' || updateExisting));
+}
+
+/**
+ * Applies the previewed roster import and refreshes the app.
+ */
+async function handleApplyRoster() {
+    if (!rosterPreview) return;
+    const result = applyRosterImport(rosterPreview, {
+        updateExisting: document.getElementById('rosterUpdateExisting').checked,
+        effectiveDate: document.getElementById('rosterEffectiveDate').value || undefined
+    });
+    resetRosterPreview();
+    document.getElementById('rosterFile').value = '';
+    rosterCsv = '';
+
+    ui.populateEmployeeDropdowns();
+    ui.resetEmployeeForm();
+    handleEmployeeChange();
+    banking.updateBankProjectionsUI();
+    banking.displayRegister();
+    await saveDataImmediate();
+    logAudit('Roster Imported', `${result.created.length} created (${result.created.map(e => e.name).join(', ') || 'none'}), ${result.updated.length} updated (${result.updated.map(e => e.name).join(', ') || 'none'}), ${result.skipped} skipped`);
+    showToast(`Roster imported: ${result.created.length} added, ${result.updated.length} updated, ${result.skipped} skipped.`, 'success');
+}
+
+/**
+ * Shows the direct deposits (v24) an ACH file for the chosen pay date would hold.
+ */
+function handlePreviewAch() {
+    const payDate = document.getElementById('achPayDate').value;
+    if (!payDate) {
+        showToast('There are no pay dates with net pay yet.', 'warning');
+        return;
+    }
+    ui.renderAchPreview(previewAchBatch(payDate));
+}
+
+/**
+ * Generates and downloads the ACH file for the chosen pay date. A pay date
+ * that already has a file asks first, since only one of them may be sent.
+ */
+async function handleGenerateAch() {
+    const payDate = document.getElementById('achPayDate').value;
+    if (!payDate) {
+        showToast('There are no pay dates with net pay yet.', 'warning');
+        return;
+    }
+    const existing = (appData.achBatches || []).find(b => b.payDate === payDate && !b.superseded);
+    if (existing && !confirm(`ACH file #${existing.number} was already generated for ${payDate}. Generate a replacement? Upload only the new file to your bank.`)) return;
+
+    const result = generateAchFile(payDate, { effectiveDate: document.getElementById('achEffectiveDate').value });
+    ui.renderAchPreview(previewAchBatch(payDate));
+    if (result.errors) {
+        showToast(result.errors[0], 'error');
+        return;
+    }
+
+    downloadAchFile(result.content, result.fileName);
+    ui.renderAchBatchHistory();
+    banking.updateBankProjectionsUI();
+    banking.displayRegister();
+    await saveDataImmediate();
+    const { batch } = result;
+    logAudit('ACH File Generated', `Batch #${batch.number}, pay date ${batch.payDate}, effective ${batch.effectiveDate}: ${batch.entryCount} deposits, $${batch.totalCredit.toFixed(2)}${existing ? ` (replaces #${existing.number})` : ''}`);
+    showToast(`ACH file #${batch.number} saved: ${batch.entryCount} deposits totaling $${batch.totalCredit.toFixed(2)}.`, 'success');
+}
+
+/**
+ * Numbers and prints paper checks (v25). Checks printed before keep their
+ * numbers; new ones take the next numbers and tag their register debits.
+ * @param {Array} checks - [{ employee, period }]
+ * @param {string} fileName - The PDF file name
+ */
+async function printChecks(checks, fileName) {
+    const reprints = checks.filter(c => c.period.checkNumber).length;
+    const numbers = checks.map(c => assignCheckNumber(c.employee.id, c.period.period));
+    pdfExport.exportChecksToPDF(checks, fileName);
+
+    document.getElementById('nextCheckNumber').value = appData.settings.nextCheckNumber;
+    ui.renderCheckList();
+    banking.updateBankProjectionsUI();
+    banking.displayRegister();
+    await saveDataImmediate();
+    logAudit('Checks Printed', checks.map((c, i) => `#${numbers[i]} ${c.employee.name} ${logic.describePeriod(c.period)} $${c.period.netPay.toFixed(2)}`).join(', ') + (reprints ? ` (${reprints} reprinted)` : ''));
+    showToast(`Printed ${checks.length} check${checks.length === 1 ? '' : 's'} (#${Math.min(...numbers)}${checks.length > 1 ? `–#${Math.max(...numbers)}` : ''}).`, 'success');
+}
+
+/**
+ * Prints the checks for everyone without direct deposit on the chosen pay date.
+ */
+async function handlePrintChecks() {
+    const payDate = document.getElementById('checkPayDate').value;
+    const checks = payDate ? getCheckPeriods(payDate) : [];
+    if (checks.length === 0) {
+        showToast('There are no paper checks to print for this pay date.', 'warning');
+        return;
+    }
+    await printChecks(checks, `PayTrax_Checks_${payDate}.pdf`);
+}
+
+/**
+ * Prints the check for the employee and period chosen on the Pay Stub tab.
+ */
+async function handlePrintCheck() {
+    const employeeId = document.getElementById('currentEmployee').value;
+    const periodNum = document.getElementById('currentPeriod').value;
+    const employee = appData.employees.find(e => e.id === employeeId);
+    const period = appData.payPeriods[employeeId]?.find(p => p.period == periodNum);
+    if (!employee || !period) {
+        showToast('Please select an employee and pay period first.', 'warning');
+        return;
+    }
+    if (!(period.netPay > 0)) {
+        showToast('This period has no net pay to pay by check.', 'warning');
+        return;
+    }
+    if ((employee.bankAccounts || []).length > 0 && !period.checkNumber
+        && !confirm(`${employee.name} is paid by direct deposit. Print a paper check anyway?`)) return;
+    await printChecks([{ employee, period }], `PayTrax_Check_${employee.name.replace(/\s+/g, '_')}_${period.payDate}.pdf`);
+}
+
+/**
+ * Shows the checks issued or voided in the Positive Pay date range (v26).
+ */
+function handlePreviewPositivePay() {
+    const startDate = document.getElementById('positivePayStartDate').value;
+    const endDate = document.getElementById('positivePayEndDate').value;
+    if (!startDate || !endDate || startDate > endDate) {
+        showToast('Choose a start date on or before the end date.', 'warning');
+        return;
+    }
+    ui.renderPositivePayPreview(getIssuedChecks(startDate, endDate));
+}
+
+/**
+ * Downloads the Positive Pay issued-check file for the date range.
+ */
+function handleExportPositivePay() {
+    const startDate = document.getElementById('positivePayStartDate').value;
+    const endDate = document.getElementById('positivePayEndDate').value;
+    const result = generatePositivePayFile(startDate, endDate);
+    if (result.errors) {
+        showToast(result.errors[0], 'error');
+        return;
+    }
+
+    downloadPositivePayFile(result.content, result.fileName);
+    ui.renderPositivePayPreview(result.checks);
+    const voided = result.checks.filter(c => c.voided).length;
+    logAudit('Positive Pay Exported', `${startDate} to ${endDate}: ${result.checks.length - voided} issued, ${voided} voided (${appData.settings.positivePay.layout})`);
+    showToast(`Positive Pay file saved: ${result.checks.length} check${result.checks.length === 1 ? '' : 's'}${voided ? `, ${voided} voided` : ''}.`, 'success');
+}
+
+/**
+ * Handles recording a tax deposit (v27) from the Reports tab.
+ */
+async function handleRecordTaxDeposit() {
+    const fields = {
+        taxType: document.getElementById('taxDepositType').value,
+        periodStart: document.getElementById('taxDepositPeriodStart').value,
+        periodEnd: document.getElementById('taxDepositPeriodEnd').value,
+        amount: document.getElementById('taxDepositAmount').value,
+        datePaid: document.getElementById('taxDepositDatePaid').value,
+        confirmationNumber: document.getElementById('taxDepositConfirmation').value
+    };
+    const result = recordTaxDeposit(fields, document.getElementById('taxDepositTransaction').value || null);
+    if (result.errors) {
+        showToast('Please correct the following errors:\n' + result.errors.map(e => `• ${e}`).join('\n'), 'error');
+        return;
+    }
+
+    ['taxDepositAmount', 'taxDepositConfirmation'].forEach(id => { document.getElementById(id).value = ''; });
+    ui.renderTaxDeposits();
+    banking.updateBankProjectionsUI();
+    banking.displayRegister();
+    await saveDataImmediate();
+    const { deposit } = result;
+    logAudit('Tax Deposit Recorded', `${logic.TAX_DEPOSIT_TYPES[deposit.taxType]} $${deposit.amount.toFixed(2)} paid ${deposit.datePaid} for ${deposit.periodStart} to ${deposit.periodEnd}`);
+    showToast('Tax deposit recorded.', 'success');
+}
+
+/**
+ * Handles deleting a tax deposit (delegated event handler).
+ * @param {Event} event - The click event
+ */
+async function handleDeleteTaxDeposit(event) {
+    const deleteButton = event.target.closest('.delete-tax-deposit-btn');
+    if (!deleteButton) return;
+
+    const deposit = (appData.taxDeposits || []).find(d => d.id === deleteButton.dataset.depositId);
+    if (!deposit) return;
+    const transaction = appData.bankRegister.find(t => t.id === deposit.transactionId);
+    const snapshot = createSnapshot({ deposit, transaction: transaction || null });
+
+    deleteTaxDeposit(deposit.id);
+    ui.renderTaxDeposits();
+    banking.updateBankProjectionsUI();
+    banking.displayRegister();
+    await saveDataImmediate();
+    const label = `${logic.TAX_DEPOSIT_TYPES[deposit.taxType]} $${deposit.amount.toFixed(2)} paid ${deposit.datePaid}`;
+    logAudit('Tax Deposit Deleted', label);
+
+    pushUndo(`Deleted tax deposit ${label}`, snapshot, async (snap) => {
+        appData.taxDeposits.push(snap.deposit);
+        if (snap.transaction) {
+            // Put back the posted debit, or re-link the existing one
+            appData.bankRegister = appData.bankRegister.filter(t => t.id !== snap.transaction.id);
+            appData.bankRegister.push(snap.transaction);
+        }
+        ui.renderTaxDeposits();
+        banking.updateBankProjectionsUI();
+        banking.displayRegister();
+        await saveDataImmediate();
+        logAudit('Undo', `Restored tax deposit ${label}`);
+    });
+}
+
+/**
+ * Handles marking a quarter's Form 941 as filed (v29), saving its figures
+ * for later 941-X comparisons.
+ * @param {string} periodStr - Quarter, e.g. "Q1 2025"
+ */
+async function handleMarkQuarterFiled(periodStr) {
+    const result = markQuarterFiled(periodStr);
+    if (result.error) {
+        showToast(result.error, 'error');
+        return;
+    }
+
+    ui.renderReportUI();
+    await saveDataImmediate();
+    const { snapshot } = result;
+    logAudit('Form 941 Filed', `${snapshot.title} marked filed on ${snapshot.filedDate}: line 12 $${snapshot.figures.line12.toFixed(2)}`);
+    showToast(`Form 941 for ${snapshot.title} marked as filed.`, 'success');
+}
+
+/**
+ * Handles removing a quarter's filed Form 941 snapshot (v29), after
+ * confirmation.
+ * @param {string} periodStr - Quarter, e.g. "Q1 2025"
+ */
+async function handleUnmarkQuarterFiled(periodStr) {
+    const filed = logic.getFiled941(periodStr);
+    if (!filed) return;
+    if (!confirm(`Unmark Form 941 for ${filed.title} as filed? The figures saved when it was filed will be discarded, and 941-X comparisons will no longer be possible.`)) return;
+
+    const snapshot = createSnapshot(filed);
+    unmarkQuarterFiled(periodStr);
+    ui.renderReportUI();
+    await saveDataImmediate();
+    logAudit('Form 941 Unmarked Filed', `${filed.title} (filed ${filed.filedDate})`);
+
+    pushUndo(`Unmarked Form 941 ${filed.title} as filed`, snapshot, async (snap) => {
+        appData.filed941s[snap.quarter] = snap;
+        ui.renderReportUI();
+        await saveDataImmediate();
+        logAudit('Undo', `Restored filed Form 941 ${snap.title}`);
+    });
+}
+
 /**
  * Handles the employee selection in the settings tab for editing.
  */
@@ -227,27 +808,37 @@ async function handleAddDeduction() {
     const name = document.getElementById('deductionName').value.trim();
     const amount = parseFloat(document.getElementById('deductionAmount').value);
     const type = document.getElementById('deductionType').value;
+    const taxTreatment = document.getElementById('deductionTaxTreatment').value;
+    const box12Code = taxTreatment === 'section125' ? document.getElementById('deductionBox12Code').value : null;
+    const limitType = document.getElementById('deductionLimitType').value;
+    const limitAmount = parseFloat(document.getElementById('deductionLimitAmount').value);
 
     // Validate deduction data
-    const deductionData = { name, amount, type };
+    const deductionData = { name, amount, type, taxTreatment, limitType, limitAmount, box12Code };
     const errors = validation.validateDeduction(deductionData);
     if (errors.length > 0) {
         validation.displayValidationErrors(errors);
         return;
     }
 
-    const success = logic.addDeduction(employeeId, name, amount, type);
+    const success = logic.addDeduction(employeeId, name, amount, type, taxTreatment, limitType, limitAmount, box12Code);
     if (success) {
         ui.renderDeductionsTable(employeeId);
         // Clear the form
         document.getElementById('deductionName').value = '';
         document.getElementById('deductionAmount').value = '';
         document.getElementById('deductionType').value = 'fixed';
+        document.getElementById('deductionTaxTreatment').value = 'post-tax';
+        document.getElementById('deductionBox12Code').value = 'DD';
+        document.getElementById('deductionLimitType').value = 'none';
+        document.getElementById('deductionLimitAmount').value = '';
+        ui.toggleDeductionLimitFields();
+        ui.toggleDeductionBox12Field();
 
         // Trigger recalculation of all periods for this employee
         logic.recalculateAllPeriodsForEmployee(employeeId);
         await saveDataImmediate();
-        logAudit('Deduction Added', `${name} (${type}: ${amount}) for ${appData.employees.find(e => e.id === employeeId)?.name || employeeId}`);
+        logAudit('Deduction Added', `${name} (${type}: ${amount}, ${taxTreatment}${box12Code !== null ? `, Box 12 ${box12Code || 'none'}` : ''}) for ${appData.employees.find(e => e.id === employeeId)?.name || employeeId}`);
     }
 }
 
@@ -292,6 +883,477 @@ async function handleDeleteDeduction(event) {
     }
 }
 
+/**
+ * Handles adding a new employer contribution rule to the current employee.
+ */
+async function handleAddEmployerContribution() {
+    const employeeId = document.getElementById('employeeId').value;
+    if (!employeeId) {
+        showToast('Please save the employee first before adding employer contributions.', 'warning');
+        return;
+    }
+
+    const name = document.getElementById('contributionName').value.trim();
+    const kind = document.getElementById('contributionKind').value;
+    const type = document.getElementById('contributionType').value;
+    const amount = parseFloat(document.getElementById('contributionAmount').value);
+    const matchTiers = [
+        { matchPercent: parseFloat(document.getElementById('matchTier1Percent').value), ofPayPercent: parseFloat(document.getElementById('matchTier1OfPay').value) },
+        { matchPercent: parseFloat(document.getElementById('matchTier2Percent').value), ofPayPercent: parseFloat(document.getElementById('matchTier2OfPay').value) }
+    ].filter(t => t.ofPayPercent > 0); // a blank/zero second tier is omitted
+
+    const errors = validation.validateEmployerContribution({ name, kind, type, amount, matchTiers });
+    if (errors.length > 0) {
+        validation.displayValidationErrors(errors);
+        return;
+    }
+
+    const success = logic.addEmployerContribution(employeeId, name, kind, type, amount, matchTiers);
+    if (success) {
+        ui.renderEmployerContributionsTable(employeeId);
+        document.getElementById('contributionName').value = '';
+        document.getElementById('contributionAmount').value = '';
+
+        logic.recalculateAllPeriodsForEmployee(employeeId);
+        await saveDataImmediate();
+        logAudit('Employer Contribution Added', `${name} (${kind}, ${type}) for ${appData.employees.find(e => e.id === employeeId)?.name || employeeId}`);
+    }
+}
+
+/**
+ * Handles deleting an employer contribution rule (delegated event handler).
+ * @param {Event} event - The click event
+ */
+async function handleDeleteEmployerContribution(event) {
+    const deleteButton = event.target.closest('.delete-contribution-btn');
+    if (!deleteButton) return;
+
+    const contributionId = deleteButton.dataset.contributionId;
+    const employeeId = document.getElementById('employeeId').value;
+
+    const employee = appData.employees.find(e => e.id === employeeId);
+    if (!employee) return;
+
+    const contribution = (employee.employerContributions || []).find(c => c.id === contributionId);
+    if (!contribution) return;
+
+    const snapshot = createSnapshot(contribution);
+    const contributionName = contribution.name;
+
+    const success = logic.deleteEmployerContribution(employeeId, contributionId);
+    if (success) {
+        ui.renderEmployerContributionsTable(employeeId);
+        logic.recalculateAllPeriodsForEmployee(employeeId);
+        await saveDataImmediate();
+
+        logAudit('Employer Contribution Deleted', `${contributionName} from ${employee.name}`);
+
+        pushUndo(`Deleted employer contribution ${contributionName}`, snapshot, async (snap) => {
+            const emp = appData.employees.find(e => e.id === employeeId);
+            if (emp) {
+                emp.employerContributions.push(snap);
+                ui.renderEmployerContributionsTable(employeeId);
+                logic.recalculateAllPeriodsForEmployee(employeeId);
+                await saveDataImmediate();
+                logAudit('Undo', `Restored employer contribution ${snap.name}`);
+            }
+        });
+    }
+}
+
+/**
+ * Handles creating an off-cycle pay run for the selected employee and
+ * selecting it so hours or earnings can be entered.
+ */
+async function handleAddOffCycleRun() {
+    const employeeId = document.getElementById('currentEmployee').value;
+    if (!employeeId) {
+        showToast('Please select an employee first.', 'warning');
+        return;
+    }
+
+    const run = {
+        payDate: document.getElementById('offCyclePayDate').value,
+        startDate: document.getElementById('offCycleStartDate').value,
+        endDate: document.getElementById('offCycleEndDate').value,
+        reason: document.getElementById('offCycleReason').value,
+        applyDeductions: document.getElementById('offCycleApplyDeductions').checked
+    };
+
+    const errors = validation.validateOffCycleRun(run, appData.settings.taxYear);
+    if (errors.length > 0) {
+        validation.displayValidationErrors(errors);
+        return;
+    }
+
+    const periodNum = logic.addOffCycleRun(employeeId, run);
+    if (periodNum) {
+        ['offCyclePayDate', 'offCycleStartDate', 'offCycleEndDate'].forEach(id => { document.getElementById(id).value = ''; });
+        document.getElementById('offCycleRunPanel').open = false;
+
+        ui.populatePeriodDropdown(employeeId);
+        document.getElementById('currentPeriod').value = periodNum;
+        handlePeriodChange();
+        ui.displayPayPeriods(employeeId);
+        await saveDataImmediate();
+        const emp = appData.employees.find(e => e.id === employeeId);
+        logAudit('Off-Cycle Run Created', `${emp?.name || employeeId} ${logic.OFF_CYCLE_REASONS[run.reason]} paid ${run.payDate}`);
+        showToast('Off-cycle run created. Enter its hours or additional earnings.', 'success');
+    }
+}
+
+/**
+ * Handles deleting the selected off-cycle pay run.
+ */
+async function handleDeleteOffCycleRun() {
+    const employeeId = document.getElementById('currentEmployee').value;
+    const periodNum = document.getElementById('currentPeriod').value;
+    const run = appData.payPeriods[employeeId]?.find(p => p.period == periodNum);
+    if (!run || !run.offCycle) return;
+    if (refuseIfFinalized(employeeId, periodNum)) return;
+    if (run.voidedChecks?.length) {
+        showToast('This run has a voided check on record and cannot be deleted.', 'warning');
+        return;
+    }
+
+    const snapshot = createSnapshot(run);
+    const label = logic.describePeriod(run);
+
+    if (logic.deleteOffCycleRun(employeeId, periodNum)) {
+        logic.recalculateAllPeriodsForEmployee(employeeId);
+        ui.populatePeriodDropdown(employeeId);
+        handlePeriodChange();
+        ui.displayPayPeriods(employeeId);
+        banking.displayRegister();
+        await saveDataImmediate();
+
+        const emp = appData.employees.find(e => e.id === employeeId);
+        logAudit('Off-Cycle Run Deleted', `${emp?.name || employeeId} ${label} paid ${run.payDate}`);
+
+        pushUndo(`Deleted ${label}`, snapshot, async (snap) => {
+            const periods = appData.payPeriods[employeeId];
+            if (periods) {
+                periods.push(snap);
+                periods.sort(comparePayPeriods);
+                logic.recalculateAllPeriodsForEmployee(employeeId);
+                ui.populatePeriodDropdown(employeeId);
+                ui.displayPayPeriods(employeeId);
+                banking.displayRegister();
+                await saveDataImmediate();
+                logAudit('Undo', `Restored ${label}`);
+            }
+        });
+    }
+}
+
+/**
+ * Handles finalizing the selected period's payroll so later recalculations
+ * cannot change it.
+ */
+async function handleFinalizePeriod() {
+    const employeeId = document.getElementById('currentEmployee').value;
+    const periodNum = document.getElementById('currentPeriod').value;
+    const period = appData.payPeriods[employeeId]?.find(p => p.period == periodNum);
+    if (!period) return;
+
+    if (logic.finalizePeriod(employeeId, periodNum)) {
+        ui.updateDashboardUI(employeeId, periodNum);
+        ui.displayPayPeriods(employeeId);
+        banking.displayRegister();
+        await saveDataImmediate();
+
+        const emp = appData.employees.find(e => e.id === employeeId);
+        logAudit('Period Finalized', `${emp?.name || employeeId} ${logic.describePeriod(period)} paid ${period.payDate}: gross $${period.grossPay.toFixed(2)}, net $${period.netPay.toFixed(2)}`);
+        showToast('Payroll finalized. This period will not change until it is unlocked.', 'success');
+    }
+}
+
+/**
+ * Handles unlocking a finalized period after confirmation. The period is
+ * recalculated right away, and the audit entry records its pay before and
+ * after.
+ */
+async function handleUnlockPeriod() {
+    const employeeId = document.getElementById('currentEmployee').value;
+    const periodNum = document.getElementById('currentPeriod').value;
+    const period = appData.payPeriods[employeeId]?.find(p => p.period == periodNum);
+    if (!period?.finalized) return;
+
+    const label = logic.describePeriod(period);
+    if (!confirm(`Unlock ${label}? It will be recalculated with current rates and settings, and its amounts may no longer match what was filed.`)) return;
+
+    const before = { status: 'finalized', grossPay: period.grossPay, taxes: period.taxes.total, netPay: period.netPay };
+    if (logic.unlockPeriod(employeeId, periodNum)) {
+        handlePeriodChange(); // recalculates, refreshes the dashboard and saves
+        ui.displayPayPeriods(employeeId);
+        banking.displayRegister();
+        await saveDataImmediate();
+
+        const emp = appData.employees.find(e => e.id === employeeId);
+        logAudit('Period Unlocked', `${emp?.name || employeeId} ${label} paid ${period.payDate}`, {
+            before,
+            after: { status: 'unlocked', grossPay: period.grossPay, taxes: period.taxes.total, netPay: period.netPay }
+        });
+    }
+}
+
+/**
+ * Handles voiding the selected period's paid check. The check is kept on the
+ * period with a reversing bank entry, and the audit entry records the
+ * period's pay before and after the void.
+ */
+async function handleVoidCheck() {
+    const employeeId = document.getElementById('currentEmployee').value;
+    const periodNum = document.getElementById('currentPeriod').value;
+    const period = appData.payPeriods[employeeId]?.find(p => p.period == periodNum);
+    if (!period || !(period.grossPay > 0)) return;
+    if (refuseIfFinalized(employeeId, periodNum)) return;
+
+    const voidInfo = {
+        voidDate: document.getElementById('voidDate').value,
+        reason: document.getElementById('voidReason').value.trim()
+    };
+
+    const errors = validation.validateCheckVoid(voidInfo, period);
+    if (errors.length > 0) {
+        validation.displayValidationErrors(errors);
+        return;
+    }
+
+    const voided = logic.voidPeriod(employeeId, periodNum, voidInfo);
+    if (voided) {
+        ['voidDate', 'voidReason'].forEach(id => { document.getElementById(id).value = ''; });
+        document.getElementById('voidCheckPanel').open = false;
+
+        logic.recalculateAllPeriodsForEmployee(employeeId);
+        handlePeriodChange();
+        ui.displayPayPeriods(employeeId);
+        banking.displayRegister();
+        ui.refreshQuarterlyEarningsWidget();
+        await saveDataImmediate();
+
+        const emp = appData.employees.find(e => e.id === employeeId);
+        logAudit('Check Voided', `${emp?.name || employeeId} ${logic.describePeriod(period)} paid ${voided.payDate}, voided ${voided.voidDate}: ${voided.reason}`, {
+            before: { grossPay: voided.grossPay, taxes: voided.taxes.total, netPay: voided.netPay, bankDebit: voided.bankDebit },
+            after: { grossPay: period.grossPay, taxes: period.taxes.total, netPay: period.netPay, bankCredit: voided.bankDebit }
+        });
+        showToast('Check voided. A reversing entry was added to the bank register.', 'success');
+    }
+}
+
+/**
+ * Handles reissuing the selected period's last voided check with its
+ * original hours and earnings lines.
+ */
+function handleReissueCheck() {
+    const employeeId = document.getElementById('currentEmployee').value;
+    const periodNum = document.getElementById('currentPeriod').value;
+    const period = appData.payPeriods[employeeId]?.find(p => p.period == periodNum);
+    if (!period) return;
+
+    if (logic.reissuePeriod(employeeId, periodNum)) {
+        handlePeriodChange(); // recalculates, refreshes the dashboard and saves
+        const emp = appData.employees.find(e => e.id === employeeId);
+        logAudit('Check Reissued', `${emp?.name || employeeId} ${logic.describePeriod(period)} paid ${period.payDate}`, {
+            before: { grossPay: 0, taxes: 0, netPay: 0 },
+            after: { grossPay: period.grossPay, taxes: period.taxes.total, netPay: period.netPay }
+        });
+    }
+}
+
+/**
+ * Handles saving the selected period's daily timesheet, which splits
+ * the hours worked into regular and overtime and pays the period.
+ * @param {boolean} clear - Remove the timesheet instead
+ */
+async function handleSaveTimesheet(clear = false) {
+    const employeeId = document.getElementById('currentEmployee').value;
+    const periodNum = document.getElementById('currentPeriod').value;
+    const emp = appData.employees.find(e => e.id === employeeId);
+    if (!emp || !periodNum) return;
+    if (refuseIfFinalized(employeeId, periodNum) || refuseIfOutsideEmployment(employeeId, periodNum)) return;
+
+    const days = {};
+    if (!clear) {
+        document.querySelectorAll('#timesheetTableBody .timesheet-hours').forEach(input => {
+            if (input.value !== '') days[input.dataset.date] = parseFloat(input.value);
+        });
+    }
+
+    const errors = validation.validateTimesheet(days);
+    if (errors.length > 0) {
+        validation.displayValidationErrors(errors);
+        return;
+    }
+
+    const period = logic.saveTimesheet(employeeId, periodNum, days);
+    if (!period) return;
+
+    logic.updateHoursFromPeriod(employeeId, periodNum);
+    ui.updateDashboardUI(employeeId, periodNum);
+    ui.displayPayPeriods(employeeId);
+    banking.updateBankProjectionsUI();
+    banking.displayRegister();
+    ui.refreshQuarterlyEarningsWidget();
+    ui.refreshComplianceSummary();
+    await saveDataImmediate();
+    logAudit(clear ? 'Timesheet Cleared' : 'Timesheet Saved',
+        `${emp.name} ${logic.describePeriod(period)}: ${period.hours.regular} regular, ${period.timesheet?.overtime || 0} overtime, ${period.timesheet?.doubleTime || 0} double time`);
+}
+
+/**
+ * Handles adding a supplemental earnings line to the selected pay period.
+ */
+function handleAddSupplementalEarning() {
+    const employeeId = document.getElementById('currentEmployee').value;
+    const periodNum = document.getElementById('currentPeriod').value;
+    if (!employeeId || !periodNum) {
+        showToast('Please select an employee and pay period first.', 'warning');
+        return;
+    }
+    if (refuseIfFinalized(employeeId, periodNum) || refuseIfOutsideEmployment(employeeId, periodNum)) return;
+
+    const line = {
+        code: document.getElementById('supplementalCode').value,
+        description: document.getElementById('supplementalDescription').value.trim(),
+        amount: document.getElementById('supplementalAmount').value,
+        withholding: document.getElementById('supplementalWithholding').value
+    };
+
+    const errors = validation.validateSupplementalEarning(line);
+    if (errors.length > 0) {
+        validation.displayValidationErrors(errors);
+        return;
+    }
+
+    if (logic.addSupplementalEarning(employeeId, periodNum, line)) {
+        document.getElementById('supplementalDescription').value = '';
+        document.getElementById('supplementalAmount').value = '';
+        const emp = appData.employees.find(e => e.id === employeeId);
+        logAudit('Earnings Added', `${logic.EARNING_CODES[line.code].label} $${parseFloat(line.amount).toFixed(2)} for ${emp?.name || employeeId} Period ${periodNum}`);
+        handleHoursChange(); // recalculates, refreshes the dashboard and saves
+    }
+}
+
+/**
+ * Handles deleting a supplemental earnings line (delegated event handler).
+ * @param {Event} event - The click event
+ */
+function handleDeleteSupplementalEarning(event) {
+    const deleteButton = event.target.closest('.delete-supplemental-btn');
+    if (!deleteButton) return;
+
+    const employeeId = document.getElementById('currentEmployee').value;
+    const periodNum = document.getElementById('currentPeriod').value;
+    const period = appData.payPeriods[employeeId]?.find(p => p.period == periodNum);
+    const line = period?.supplementalEarnings?.find(l => l.id === deleteButton.dataset.earningId);
+    if (!line) return;
+    if (refuseIfFinalized(employeeId, periodNum)) return;
+
+    const snapshot = createSnapshot(line);
+
+    if (logic.deleteSupplementalEarning(employeeId, periodNum, line.id)) {
+        const emp = appData.employees.find(e => e.id === employeeId);
+        logAudit('Earnings Deleted', `${line.description} $${line.amount.toFixed(2)} from ${emp?.name || employeeId} Period ${periodNum}`);
+        handleHoursChange();
+
+        pushUndo(`Deleted earnings ${line.description}`, snapshot, async (snap) => {
+            const p = appData.payPeriods[employeeId]?.find(x => x.period == periodNum);
+            if (p) {
+                p.supplementalEarnings = [...(p.supplementalEarnings || []), snap];
+                logic.recalculateAllPeriodsForEmployee(employeeId);
+                ui.updateDashboardUI(document.getElementById('currentEmployee').value, document.getElementById('currentPeriod').value);
+                ui.displayPayPeriods(document.getElementById('currentEmployee').value);
+                await saveDataImmediate();
+                logAudit('Undo', `Restored earnings ${snap.description}`);
+            }
+        });
+    }
+}
+
+/**
+ * Handles adding a garnishment or support order to the current employee.
+ */
+async function handleAddGarnishment() {
+    const employeeId = document.getElementById('employeeId').value;
+    if (!employeeId) {
+        showToast('Please save the employee first before adding garnishments.', 'warning');
+        return;
+    }
+
+    const order = {
+        payee: document.getElementById('garnishmentPayee').value.trim(),
+        caseNumber: document.getElementById('garnishmentCaseNumber').value.trim(),
+        orderType: document.getElementById('garnishmentOrderType').value,
+        amountType: document.getElementById('garnishmentAmountType').value,
+        amount: document.getElementById('garnishmentAmount').value,
+        priority: document.getElementById('garnishmentPriority').value,
+        balance: document.getElementById('garnishmentBalance').value,
+        priorPaid: document.getElementById('garnishmentPriorPaid').value,
+        startDate: document.getElementById('garnishmentStartDate').value,
+        supportsOtherFamily: document.getElementById('garnishmentSupportsOtherFamily').checked,
+        arrearsOver12Weeks: document.getElementById('garnishmentArrears').checked
+    };
+
+    const errors = validation.validateGarnishment(order);
+    if (errors.length > 0) {
+        validation.displayValidationErrors(errors);
+        return;
+    }
+
+    const success = logic.addGarnishment(employeeId, order);
+    if (success) {
+        logic.recalculateAllPeriodsForEmployee(employeeId);
+        ui.renderGarnishmentsTable(employeeId);
+        ['garnishmentPayee', 'garnishmentCaseNumber', 'garnishmentAmount', 'garnishmentBalance', 'garnishmentStartDate']
+            .forEach(id => { document.getElementById(id).value = ''; });
+        document.getElementById('garnishmentPriorPaid').value = '0';
+
+        await saveDataImmediate();
+        logAudit('Garnishment Added', `${order.payee} (${order.orderType}) for ${appData.employees.find(e => e.id === employeeId)?.name || employeeId}`);
+    }
+}
+
+/**
+ * Handles deleting a garnishment order (delegated event handler).
+ * @param {Event} event - The click event
+ */
+async function handleDeleteGarnishment(event) {
+    const deleteButton = event.target.closest('.delete-garnishment-btn');
+    if (!deleteButton) return;
+
+    const garnishmentId = deleteButton.dataset.garnishmentId;
+    const employeeId = document.getElementById('employeeId').value;
+
+    const employee = appData.employees.find(e => e.id === employeeId);
+    if (!employee) return;
+
+    const order = (employee.garnishments || []).find(g => g.id === garnishmentId);
+    if (!order) return;
+
+    const snapshot = createSnapshot(order);
+
+    const success = logic.deleteGarnishment(employeeId, garnishmentId);
+    if (success) {
+        logic.recalculateAllPeriodsForEmployee(employeeId);
+        ui.renderGarnishmentsTable(employeeId);
+        await saveDataImmediate();
+
+        logAudit('Garnishment Deleted', `${order.payee} from ${employee.name}`);
+
+        pushUndo(`Deleted garnishment ${order.payee}`, snapshot, async (snap) => {
+            const emp = appData.employees.find(e => e.id === employeeId);
+            if (emp) {
+                emp.garnishments.push(snap);
+                logic.recalculateAllPeriodsForEmployee(employeeId);
+                ui.renderGarnishmentsTable(employeeId);
+                await saveDataImmediate();
+                logAudit('Undo', `Restored garnishment ${snap.payee}`);
+            }
+        });
+    }
+}
+
 /**
  * Handles deleting a rate-history entry (delegated event handler).
  * The last entry of a history cannot be deleted.
@@ -353,11 +1415,38 @@ function setupEventListeners() {
     document.getElementById('holidayHours').addEventListener('change', handleHoursChange);
     document.getElementById('generatePayStubBtn').addEventListener('click', handleGeneratePayStub);
 
+    // Pay Periods
+    document.getElementById('bulkPayDate').addEventListener('change', ui.renderBulkHoursGrid);
+    document.getElementById('bulkHoursBody').addEventListener('change', handleBulkHoursChange);
+    document.getElementById('bulkHoursBody').addEventListener('keydown', handleBulkHoursKeydown);
+    document.getElementById('timeClockFile').addEventListener('change', handleTimeClockFileChange);
+    document.getElementById('timeClockProfile').addEventListener('change', handleTimeClockProfileChange);
+    document.querySelectorAll('.time-clock-column, .time-clock-codes').forEach(el => el.addEventListener('change', resetTimeClockPreview));
+    document.getElementById('saveTimeClockProfileBtn').addEventListener('click', handleSaveTimeClockProfile);
+    document.getElementById('previewTimeClockBtn').addEventListener('click', handlePreviewTimeClock);
+    document.getElementById('applyTimeClockBtn').addEventListener('click', handleApplyTimeClock);
+
     // Settings
     document.getElementById('companySettingsForm').addEventListener('change', handleSettingsChange);
     document.getElementById('taxSettingsForm').addEventListener('change', handleSettingsChange);
     document.getElementById('employeeForm').addEventListener('submit', handleEmployeeFormSubmit);
     document.getElementById('employeeList').addEventListener('change', handleEditEmployeeSelect);
+    document.getElementById('exportRosterBtn').addEventListener('click', () => {
+        exportRosterToCSV();
+        logAudit('Roster Exported', `${appData.employees.length} employees`);
+    });
+    document.getElementById('rosterFile').addEventListener('change', handleRosterFileChange);
+    document.getElementById('rosterUpdateExisting').addEventListener('change', resetRosterPreview);
+    document.getElementById('previewRosterBtn').addEventListener('click', handlePreviewRoster);
+    document.getElementById('applyRosterBtn').addEventListener('click', handleApplyRoster);
+    document.getElementById('saveTimesheetBtn').addEventListener('click', () => handleSaveTimesheet());
+    document.getElementById('clearTimesheetBtn').addEventListener('click', () => handleSaveTimesheet(true));
+    document.getElementById('showInactiveEmployees').addEventListener('change', () => {
+        ui.populateEmployeeDropdowns();
+        handleEmployeeChange();
+    });
+    document.getElementById('payType').addEventListener('change', ui.togglePayTypeFields);
+    document.getElementById('federalWithholdingMethod').addEventListener('change', ui.toggleWithholdingFields);
     document.getElementById('newEmployeeBtn').addEventListener('click', ui.resetEmployeeForm);
     document.getElementById('deleteEmployeeBtn').addEventListener('click', handleDeleteEmployee);
     document.getElementById('importDataBtn').addEventListener('click', importData);
@@ -369,11 +1458,31 @@ function setupEventListeners() {
     // Deductions Management
     document.getElementById('addDeductionBtn').addEventListener('click', handleAddDeduction);
     document.getElementById('deductionsTableBody').addEventListener('click', handleDeleteDeduction);
+
+    // Employer Contributions
+    document.getElementById('addContributionBtn').addEventListener('click', handleAddEmployerContribution);
+    document.getElementById('employerContributionsTableBody').addEventListener('click', handleDeleteEmployerContribution);
+    document.getElementById('contributionType').addEventListener('change', ui.toggleContributionTypeFields);
+    document.getElementById('addOffCycleRunBtn').addEventListener('click', handleAddOffCycleRun);
+    document.getElementById('deleteOffCycleRunBtn').addEventListener('click', handleDeleteOffCycleRun);
+    document.getElementById('voidCheckBtn').addEventListener('click', handleVoidCheck);
+    document.getElementById('finalizePeriodBtn').addEventListener('click', handleFinalizePeriod);
+    document.getElementById('unlockPeriodBtn').addEventListener('click', handleUnlockPeriod);
+    document.getElementById('reissueCheckBtn').addEventListener('click', handleReissueCheck);
+    document.getElementById('addSupplementalBtn').addEventListener('click', handleAddSupplementalEarning);
+    document.getElementById('supplementalEarningsTableBody').addEventListener('click', handleDeleteSupplementalEarning);
+    document.getElementById('addGarnishmentBtn').addEventListener('click', handleAddGarnishment);
+    document.getElementById('garnishmentsTableBody').addEventListener('click', handleDeleteGarnishment);
+    document.getElementById('garnishmentOrderType').addEventListener('change', ui.toggleGarnishmentFields);
+    document.getElementById('deductionLimitType').addEventListener('change', ui.toggleDeductionLimitFields);
+    document.getElementById('deductionTaxTreatment').addEventListener('change', ui.toggleDeductionBox12Field);
     document.getElementById('rateHistoryTableBody').addEventListener('click', handleDeleteRateEntry);
     
     // Reports
     document.getElementById('reportType').addEventListener('change', ui.toggleReportInputs);
     document.getElementById('generateReportBtn').addEventListener('click', ui.renderReportUI);
+    document.getElementById('recordTaxDepositBtn').addEventListener('click', handleRecordTaxDeposit);
+    document.getElementById('taxDepositsList').addEventListener('click', handleDeleteTaxDeposit);
 
     // NEW: Add a delegated event listener to the static 'reports' tab container
     document.getElementById('reports').addEventListener('change', (event) => {
@@ -385,6 +1494,13 @@ function setupEventListeners() {
 
     // Delegated event listeners for CSV and PDF export buttons
     document.getElementById('reportOutput').addEventListener('click', (event) => {
+        if (event.target.id === 'markFiled941Btn') {
+            handleMarkQuarterFiled(event.target.dataset.period);
+        }
+        if (event.target.id === 'unmarkFiled941Btn') {
+            handleUnmarkQuarterFiled(event.target.dataset.period);
+        }
+
         if (event.target.id === 'exportReportCSVBtn') {
             const reportType = event.target.dataset.reportType;
             const period = event.target.dataset.period;
@@ -399,6 +1515,12 @@ function setupEventListeners() {
                 case '941':
                     logic.export941ReportToCSV(period);
                     break;
+                case '941-scheduleb':
+                    logic.exportScheduleBToCSV(period);
+                    break;
+                case '941x':
+                    logic.export941XToCSV(period);
+                    break;
                 case '940':
                     logic.export940ReportToCSV(period);
                     break;
@@ -408,6 +1530,15 @@ function setupEventListeners() {
                 case 'daterange-employer':
                     logic.exportDateRangeEmployerReportToCSV(start, end, employeeId);
                     break;
+                case 'daterange-garnishment':
+                    logic.exportGarnishmentRemittanceToCSV(start, end, employeeId);
+                    break;
+                case 'daterange-void':
+                    logic.exportVoidedChecksToCSV(start, end, employeeId);
+                    break;
+                case 'taxcalendar':
+                    logic.exportTaxCalendarToCSV(period);
+                    break;
             }
         }
 
@@ -426,6 +1557,9 @@ function setupEventListeners() {
                 case '941':
                     pdfExport.export941ReportToPDF(period);
                     break;
+                case '941-scheduleb':
+                    pdfExport.exportScheduleBToPDF(period);
+                    break;
                 case '940':
                     pdfExport.export940ReportToPDF(period);
                     break;
@@ -447,6 +1581,10 @@ function setupEventListeners() {
         }
         pdfExport.exportPayStubToPDF(employeeId, periodNum);
     });
+    document.getElementById('printCheckBtn').addEventListener('click', handlePrintCheck);
+
+    // Year-End Close
+    document.getElementById('closeYearBtn').addEventListener('click', handleCloseYear);
 
     // Audit Log
     document.getElementById('auditLogToggle').addEventListener('click', () => {
@@ -464,6 +1602,18 @@ function setupEventListeners() {
         showToast('Audit log cleared.', 'success');
     });
 
+    // Direct Deposit (ACH)
+    document.getElementById('achPayDate').addEventListener('change', () => {
+        document.getElementById('achEffectiveDate').value = document.getElementById('achPayDate').value;
+        document.getElementById('achPreview').innerHTML = '';
+    });
+    document.getElementById('previewAchBtn').addEventListener('click', handlePreviewAch);
+    document.getElementById('generateAchBtn').addEventListener('click', handleGenerateAch);
+    document.getElementById('checkPayDate').addEventListener('change', ui.renderCheckList);
+    document.getElementById('printChecksBtn').addEventListener('click', handlePrintChecks);
+    document.getElementById('previewPositivePayBtn').addEventListener('click', handlePreviewPositivePay);
+    document.getElementById('exportPositivePayBtn').addEventListener('click', handleExportPositivePay);
+
     // Banking event listeners are now handled within the banking module
 }
 
@@ -473,7 +1623,12 @@ function setupEventListeners() {
 async function init() {
     await loadData(); // Await data loading before proceeding
     ui.displaySettings();
+    ui.renderArchivedYears();
     ui.populateEmployeeDropdowns();
+    const timeClockProfile = appData.settings.timeClockProfiles?.[0] || DEFAULT_TIME_CLOCK_PROFILE;
+    ui.populateTimeClockProfiles(timeClockProfile.name);
+    ui.displayTimeClockProfile(timeClockProfile, []);
+    document.getElementById('rosterEffectiveDate').value = formatDate(new Date());
     logic.generatePayPeriods(); // This modifies state based on loaded settings
     banking.displayRegister(); // Delegated to banking module
     ui.toggleReportInputs();
@@ -8,7 +8,7 @@
 */
 // The authoritative data version number lives here in migration.js.
 // state.js and data-io.js import it from here.
-export const CURRENT_VERSION = 13;
+export const CURRENT_VERSION = 30;
 
 /**
  * Migrates a data object to a new version by adding a new setting with a default value.
@@ -305,6 +305,408 @@ function migrateToV13(data) {
     data.version = 13; // IMPORTANT: Stamp the data with its new version.
 }
 
+/**
+ * Migrates from version 13 to version 14.
+ * - Adds salaried pay support: employee.payType ('hourly' for all existing
+ *   employees), employee.annualSalary with its own effective-dated history
+ *   (rateHistories.annualSalary, seeded like the v13 histories), and
+ *   optional hireDate/terminationDate used to prorate partial periods.
+ * @param {object} data - The application data object to migrate.
+ */
+function migrateToV14(data) {
+    console.log("Running migration to v14...");
+
+    if (Array.isArray(data.employees)) {
+        data.employees.forEach(emp => {
+            if (emp.payType === undefined) {
+                emp.payType = 'hourly';
+            }
+            if (emp.annualSalary === undefined) {
+                emp.annualSalary = 0;
+            }
+            if (emp.rateHistories && emp.rateHistories.annualSalary === undefined) {
+                emp.rateHistories.annualSalary = [{ effectiveDate: '2000-01-01', value: emp.annualSalary }];
+            }
+            if (emp.hireDate === undefined) {
+                emp.hireDate = '';
+            }
+            if (emp.terminationDate === undefined) {
+                emp.terminationDate = '';
+            }
+        });
+    }
+
+    data.version = 14; // IMPORTANT: Stamp the data with its new version.
+}
+
+/**
+ * Migrates from version 14 to version 15.
+ * - Adds the Pub 15-T federal withholding engine: employee.w4 (2020+ Form W-4
+ *   profile) and employee.federalWithholdingMethod. Existing employees keep
+ *   the flat fedTaxRate ('flat') so already-paid periods don't change; the
+ *   W-4 profile is seeded empty (single, no adjustments) ready to switch.
+ * @param {object} data - The application data object to migrate.
+ */
+function migrateToV15(data) {
+    console.log("Running migration to v15...");
+
+    if (Array.isArray(data.employees)) {
+        data.employees.forEach(emp => {
+            if (emp.federalWithholdingMethod === undefined) {
+                emp.federalWithholdingMethod = 'flat';
+            }
+            if (emp.w4 === undefined) {
+                emp.w4 = {
+                    filingStatus: 'single',
+                    multipleJobs: false,
+                    dependentsAmount: 0,
+                    otherIncome: 0,
+                    deductions: 0,
+                    extraWithholding: 0
+                };
+            }
+        });
+    }
+
+    data.version = 15; // IMPORTANT: Stamp the data with its new version.
+}
+
+/**
+ * Migrates from version 15 to version 16.
+ * - Adds deduction.taxTreatment (post-tax, 401k, section125, roth). Existing
+ *   deductions were always taken after every tax, so they become 'post-tax'
+ *   and already-paid periods don't change.
+ * @param {object} data - The application data object to migrate.
+ */
+function migrateToV16(data) {
+    console.log("Running migration to v16...");
+
+    if (Array.isArray(data.employees)) {
+        data.employees.forEach(emp => {
+            (emp.deductions || []).forEach(ded => {
+                if (ded.taxTreatment === undefined) {
+                    ded.taxTreatment = 'post-tax';
+                }
+            });
+        });
+    }
+
+    data.version = 16; // IMPORTANT: Stamp the data with its new version.
+}
+
+/**
+ * Migrates from version 16 to version 17.
+ * - Adds employee.employerContributions (employer 401(k) match, health
+ *   premium share, HSA and other employer-paid benefits). Existing employees
+ *   start with none, so payroll costs don't change.
+ * @param {object} data - The application data object to migrate.
+ */
+function migrateToV17(data) {
+    console.log("Running migration to v17...");
+
+    if (Array.isArray(data.employees)) {
+        data.employees.forEach(emp => {
+            if (emp.employerContributions === undefined) {
+                emp.employerContributions = [];
+            }
+        });
+    }
+
+    data.version = 17; // IMPORTANT: Stamp the data with its new version.
+}
+
+/**
+ * Migrates from version 17 to version 18.
+ * - Adds optional annual limits to deductions (limitType 'none' | '402g' |
+ *   'fixed', limitAmount). Existing deductions get no limit so already-paid
+ *   periods don't change.
+ * - Adds employee.dateOfBirth ('' = unknown, no 402(g) catch-up).
+ * @param {object} data - The application data object to migrate.
+ */
+function migrateToV18(data) {
+    console.log("Running migration to v18...");
+
+    if (Array.isArray(data.employees)) {
+        data.employees.forEach(emp => {
+            if (emp.dateOfBirth === undefined) {
+                emp.dateOfBirth = '';
+            }
+            (emp.deductions || []).forEach(ded => {
+                if (ded.limitType === undefined) {
+                    ded.limitType = 'none';
+                }
+                if (ded.limitAmount === undefined) {
+                    ded.limitAmount = 0;
+                }
+            });
+        });
+    }
+
+    data.version = 18; // IMPORTANT: Stamp the data with its new version.
+}
+
+/**
+ * Migrates from version 18 to version 19.
+ * - Adds employee.garnishments (child support, student loan and creditor
+ *   orders withheld within the CCPA limits). Existing employees start with
+ *   none, so net pay doesn't change.
+ * @param {object} data - The application data object to migrate.
+ */
+function migrateToV19(data) {
+    console.log("Running migration to v19...");
+
+    if (Array.isArray(data.employees)) {
+        data.employees.forEach(emp => {
+            if (emp.garnishments === undefined) {
+                emp.garnishments = [];
+            }
+        });
+    }
+
+    data.version = 19; // IMPORTANT: Stamp the data with its new version.
+}
+
+/**
+ * Migrates from version 19 to version 20.
+ * - Adds period.supplementalEarnings (bonus, commission, retro pay and
+ *   taxable fringe lines) and period.earnings.supplemental. Existing periods
+ *   have none, so their pay is unchanged.
+ * @param {object} data - The application data object to migrate.
+ */
+function migrateToV20(data) {
+    console.log("Running migration to v20...");
+
+    if (data.payPeriods && typeof data.payPeriods === 'object') {
+        Object.values(data.payPeriods).forEach(periods => {
+            if (!Array.isArray(periods)) return;
+            periods.forEach(p => {
+                if (p.supplementalEarnings === undefined) {
+                    p.supplementalEarnings = [];
+                }
+                if (p.earnings && p.earnings.supplemental === undefined) {
+                    p.earnings.supplemental = 0;
+                }
+            });
+        });
+    }
+
+    data.version = 20; // IMPORTANT: Stamp the data with its new version.
+}
+
+/**
+ * Migrates from version 20 to version 21.
+ * - Adds data.archivedYears: closed tax years, each with its pay periods,
+ *   employees, settings and bank register state as of the year-end close.
+ *   Existing data has no closed years.
+ * @param {object} data - The application data object to migrate.
+ */
+function migrateToV21(data) {
+    console.log("Running migration to v21...");
+
+    if (!data.archivedYears || typeof data.archivedYears !== 'object') {
+        data.archivedYears = {};
+    }
+
+    data.version = 21; // IMPORTANT: Stamp the data with its new version.
+}
+
+/**
+ * Migrates from version 21 to version 22.
+ * - Adds settings.taxConstants: the FICA/Medicare rates, wage bases and
+ *   Additional Medicare threshold/rate per year, so a new year's values no
+ *   longer overwrite the last year's.
+ * - Seeds the open tax year from the current settings scalars, and each
+ *   closed year (v21) from its archived settings.
+ * @param {object} data - The application data object to migrate.
+ */
+function migrateToV22(data) {
+    console.log("Running migration to v22...");
+
+    const fields = ['socialSecurity', 'medicare', 'ssWageBase', 'futaRate', 'futaWageBase',
+        'sutaWageBase', 'additionalMedicareThreshold', 'additionalMedicareRate'];
+    const pick = (settings) => {
+        const constants = {};
+        fields.forEach(field => {
+            if (settings[field] !== undefined) constants[field] = settings[field];
+        });
+        return constants;
+    };
+
+    if (data.settings) {
+        if (!data.settings.taxConstants || typeof data.settings.taxConstants !== 'object') {
+            data.settings.taxConstants = {};
+        }
+        Object.entries(data.archivedYears || {}).forEach(([year, archive]) => {
+            if (archive?.settings && !data.settings.taxConstants[year]) {
+                data.settings.taxConstants[year] = pick(archive.settings);
+            }
+        });
+        if (data.settings.taxYear && !data.settings.taxConstants[data.settings.taxYear]) {
+            data.settings.taxConstants[data.settings.taxYear] = pick(data.settings);
+        }
+    }
+
+    data.version = 22; // IMPORTANT: Stamp the data with its new version.
+}
+
+/**
+ * Migrates from version 22 to version 23.
+ * - Adds employee.status ('active' | 'leave' | 'terminated'). Employees
+ *   with a termination date become 'terminated'; everyone else is 'active'.
+ * @param {object} data - The application data object to migrate.
+ */
+function migrateToV23(data) {
+    console.log("Running migration to v23...");
+
+    if (data.employees && Array.isArray(data.employees)) {
+        data.employees.forEach(emp => {
+            if (emp.status === undefined) {
+                emp.status = emp.terminationDate ? 'terminated' : 'active';
+            }
+        });
+    }
+
+    data.version = 23; // IMPORTANT: Stamp the data with its new version.
+}
+
+/**
+ * Migrates from version 23 to version 24.
+ * - Adds employee.bankAccounts (direct deposit accounts), empty for
+ *   everyone: existing employees keep being paid by check until entered.
+ * - Adds settings.ach (the NACHA originator details) and appData.achBatches
+ *   (the history of generated ACH files).
+ * @param {object} data - The application data object to migrate.
+ */
+function migrateToV24(data) {
+    console.log("Running migration to v24...");
+
+    if (data.employees && Array.isArray(data.employees)) {
+        data.employees.forEach(emp => {
+            if (!Array.isArray(emp.bankAccounts)) {
+                emp.bankAccounts = [];
+            }
+        });
+    }
+    if (data.settings && (!data.settings.ach || typeof data.settings.ach !== 'object')) {
+        data.settings.ach = { companyId: '', bankName: '', bankRoutingNumber: '', offsetAccountNumber: '', offsetAccountType: 'checking' };
+    }
+    if (!Array.isArray(data.achBatches)) {
+        data.achBatches = [];
+    }
+
+    data.version = 24; // IMPORTANT: Stamp the data with its new version.
+}
+
+/**
+ * Migrates from version 24 to version 25.
+ * - Adds settings.nextCheckNumber (the next paper check's number, starting
+ *   at 1001) and settings.checkLayout ('top' or 'middle': where the check
+ *   sits on the page, the pay stub vouchers filling the rest).
+ * @param {object} data - The application data object to migrate.
+ */
+function migrateToV25(data) {
+    console.log("Running migration to v25...");
+
+    if (data.settings) {
+        if (!Number.isInteger(data.settings.nextCheckNumber) || data.settings.nextCheckNumber < 1) {
+            data.settings.nextCheckNumber = 1001;
+        }
+        if (data.settings.checkLayout !== 'top' && data.settings.checkLayout !== 'middle') {
+            data.settings.checkLayout = 'top';
+        }
+    }
+
+    data.version = 25; // IMPORTANT: Stamp the data with its new version.
+}
+
+/**
+ * Migrates from version 25 to version 26.
+ * - Adds settings.positivePay (the account number, file layout and
+ *   issue/void indicators for Positive Pay issued-check files).
+ * @param {object} data - The application data object to migrate.
+ */
+function migrateToV26(data) {
+    console.log("Running migration to v26...");
+
+    if (data.settings && (!data.settings.positivePay || typeof data.settings.positivePay !== 'object')) {
+        data.settings.positivePay = { accountNumber: '', layout: 'csv', issueIndicator: 'I', voidIndicator: 'V' };
+    }
+
+    data.version = 26; // IMPORTANT: Stamp the data with its new version.
+}
+
+/**
+ * Migrates from version 26 to version 27.
+ * - Adds appData.taxDeposits, the ledger of tax payments made (tax type,
+ *   period covered, amount, date paid, confirmation number and the linked
+ *   bank register debit).
+ * @param {object} data - The application data object to migrate.
+ */
+function migrateToV27(data) {
+    console.log("Running migration to v27...");
+
+    if (!Array.isArray(data.taxDeposits)) {
+        data.taxDeposits = [];
+    }
+
+    data.version = 27; // IMPORTANT: Stamp the data with its new version.
+}
+
+/**
+ * Migrates from version 27 to version 28.
+ * - Adds settings.lookbackDepositSchedule (off), which sets the 941
+ *   deposit frequency from the lookback period and the $100,000 next-day
+ *   rule instead of the Federal (941) frequency chosen in Settings.
+ * @param {object} data - The application data object to migrate.
+ */
+function migrateToV28(data) {
+    console.log("Running migration to v28...");
+
+    if (data.settings && typeof data.settings.lookbackDepositSchedule !== 'boolean') {
+        data.settings.lookbackDepositSchedule = false;
+    }
+
+    data.version = 28; // IMPORTANT: Stamp the data with its new version.
+}
+
+/**
+ * Migrates from version 28 to version 29.
+ * - Adds appData.filed941s, the Form 941 figures saved when a quarter is
+ *   marked filed (keyed "2025-Q1"), which 941-X comparisons start from.
+ * @param {object} data - The application data object to migrate.
+ */
+function migrateToV29(data) {
+    console.log("Running migration to v29...");
+
+    if (!data.filed941s || typeof data.filed941s !== 'object' || Array.isArray(data.filed941s)) {
+        data.filed941s = {};
+    }
+
+    data.version = 29; // IMPORTANT: Stamp the data with its new version.
+}
+
+/**
+ * Migrates from version 29 to version 30.
+ * - Adds box12Code to Section 125 deductions (the W-2 Box 12 code: 'DD',
+ *   'W' or '' for none). Existing ones keep reporting as DD.
+ * @param {object} data - The application data object to migrate.
+ */
+function migrateToV30(data) {
+    console.log("Running migration to v30...");
+
+    if (Array.isArray(data.employees)) {
+        data.employees.forEach(emp => {
+            (emp.deductions || []).forEach(ded => {
+                if (ded.taxTreatment === 'section125' && ded.box12Code === undefined) {
+                    ded.box12Code = 'DD';
+                }
+            });
+        });
+    }
+
+    data.version = 30; // IMPORTANT: Stamp the data with its new version.
+}
+
 /**
  * Sequentially runs all necessary migration scripts on a data object.
  * @param {object} data - The application data object, potentially from an old version.
@@ -351,6 +753,57 @@ export function migrateData(data) {
             // Fall-through is intentional
         case 12:
             migrateToV13(data);
+            // Fall-through is intentional
+        case 13:
+            migrateToV14(data);
+            // Fall-through is intentional
+        case 14:
+            migrateToV15(data);
+            // Fall-through is intentional
+        case 15:
+            migrateToV16(data);
+            // Fall-through is intentional
+        case 16:
+            migrateToV17(data);
+            // Fall-through is intentional
+        case 17:
+            migrateToV18(data);
+            // Fall-through is intentional
+        case 18:
+            migrateToV19(data);
+            // Fall-through is intentional
+        case 19:
+            migrateToV20(data);
+            // Fall-through is intentional
+        case 20:
+            migrateToV21(data);
+            // Fall-through is intentional
+        case 21:
+            migrateToV22(data);
+            // Fall-through is intentional
+        case 22:
+            migrateToV23(data);
+            // Fall-through is intentional
+        case 23:
+            migrateToV24(data);
+            // Fall-through is intentional
+        case 24:
+            migrateToV25(data);
+            // Fall-through is intentional
+        case 25:
+            migrateToV26(data);
+            // Fall-through is intentional
+        case 26:
+            migrateToV27(data);
+            // Fall-through is intentional
+        case 27:
+            migrateToV28(data);
+            // Fall-through is intentional
+        case 28:
+            migrateToV29(data);
+            // Fall-through is intentional
+        case 29:
+            migrateToV30(data);
             // Fall-through is intentional for future migrations
             break;
     }
@@ -11,7 +11,9 @@
 import { appData } from './state.js';
 import { fromStorageDate, toDisplayDate } from './utils.js';
 import { showToast } from './toast.js';
-import { compute941Data, compute940Data } from './reports.js';
+import { compute941Data, computeScheduleBData, compute940Data, computeW2Data } from './reports.js';
+import { describeSalaryLine, getPeriodsThrough, EARNING_CODES } from './logic.js';
+import { amountToWords, formatCheckAmount } from './checks.js';
 
 /**
  * Exports pay stub to PDF
@@ -72,70 +74,37 @@ export function exportPayStubToPDF(employeeId, periodNum) {
     doc.text(`Pay Period: ${toDisplayDate(period.startDate)} - ${toDisplayDate(period.endDate)}`, 20, employeeInfoY + 7);
     doc.text(`Pay Date: ${toDisplayDate(period.payDate)}`, 20, employeeInfoY + 14);
 
-    // Calculate YTD earnings
-    const ytdEarnings = calculateYTDEarnings(employeeId, periodNum);
-
-    // Hours and earnings table with YTD — use the rate actually applied to
-    // this period (v13), so historical stubs stay correct after a raise
-    const stubRate = period.appliedHourlyRate ?? employee.rate;
-    const earningsData = [
-        ['Type', 'Hours', 'Rate', 'Current', 'YTD'],
-        ['Regular', (period.hours.regular || 0).toFixed(2), `$${stubRate.toFixed(2)}`, `$${(period.earnings.regular || 0).toFixed(2)}`, `$${ytdEarnings.regular.toFixed(2)}`],
-        ['Overtime', (period.hours.overtime || 0).toFixed(2), `$${(stubRate * employee.overtimeMultiplier).toFixed(2)}`, `$${(period.earnings.overtime || 0).toFixed(2)}`, `$${ytdEarnings.overtime.toFixed(2)}`],
-        ['Holiday', (period.hours.holiday || 0).toFixed(2), `$${(stubRate * employee.holidayMultiplier).toFixed(2)}`, `$${(period.earnings.holiday || 0).toFixed(2)}`, `$${ytdEarnings.holiday.toFixed(2)}`],
-        ['PTO', (period.hours.pto || 0).toFixed(2), `$${stubRate.toFixed(2)}`, `$${(period.earnings.pto || 0).toFixed(2)}`, `$${ytdEarnings.pto.toFixed(2)}`]
-    ];
+    const rows = buildPayStubRows(employee, period);
 
     const tableStartY = employee.address ? 90 : 82;
     doc.autoTable({
         startY: tableStartY,
-        head: [earningsData[0]],
-        body: earningsData.slice(1),
+        head: [rows.earnings[0]],
+        body: rows.earnings.slice(1),
         theme: 'striped',
         headStyles: { fillColor: [44, 62, 80] }
     });
 
     // Taxes table
-    const taxesData = [
-        ['Tax Type', 'Current', 'YTD'],
-        ['Federal', `$${period.taxes.federal.toFixed(2)}`, calculateYTD(employeeId, periodNum, 'federal')],
-        ['FICA', `$${period.taxes.fica.toFixed(2)}`, calculateYTD(employeeId, periodNum, 'fica')],
-        ['Medicare', `$${period.taxes.medicare.toFixed(2)}`, calculateYTD(employeeId, periodNum, 'medicare')],
-        ['State', `$${period.taxes.state.toFixed(2)}`, calculateYTD(employeeId, periodNum, 'state')],
-        ['Local', `$${period.taxes.local.toFixed(2)}`, calculateYTD(employeeId, periodNum, 'local')]
-    ];
-
     doc.autoTable({
         startY: doc.lastAutoTable.finalY + 10,
-        head: [taxesData[0]],
-        body: taxesData.slice(1),
+        head: [rows.taxes[0]],
+        body: rows.taxes.slice(1),
         theme: 'striped',
         headStyles: { fillColor: [44, 62, 80] }
     });
 
     // Deductions (if any)
-    if (period.deductions && period.deductions.length > 0) {
-        const deductionsData = [
-            ['Deduction', 'Amount']
-        ];
-        period.deductions.forEach(ded => {
-            deductionsData.push([ded.name, `$${ded.calculatedAmount.toFixed(2)}`]);
-        });
-
+    if (rows.deductions.length > 1) {
         doc.autoTable({
             startY: doc.lastAutoTable.finalY + 10,
-            head: [deductionsData[0]],
-            body: deductionsData.slice(1),
+            head: [rows.deductions[0]],
+            body: rows.deductions.slice(1),
             theme: 'striped',
             headStyles: { fillColor: [44, 62, 80] }
         });
     }
 
-    // Calculate YTD totals
-    const ytdGross = ytdEarnings.regular + ytdEarnings.overtime + ytdEarnings.holiday + ytdEarnings.pto;
-    const ytdTaxes = calculateYTDTotal(employeeId, periodNum, ['federal', 'fica', 'medicare', 'state', 'local']);
-    const ytdDeductions = calculateYTDDeductions(employeeId, periodNum);
-
     // Current Period Summary
     let summaryY = doc.lastAutoTable.finalY + 10;
     doc.setFontSize(11);
@@ -154,9 +123,9 @@ export function exportPayStubToPDF(employeeId, periodNum) {
     doc.text('YEAR-TO-DATE TOTALS', 20, summaryY);
     doc.setFont(undefined, 'normal');
     doc.setFontSize(10);
-    doc.text(`YTD Earnings: $${ytdGross.toFixed(2)}`, 20, summaryY + 7);
-    doc.text(`YTD Taxes: $${ytdTaxes.toFixed(2)}`, 20, summaryY + 14);
-    doc.text(`YTD Deductions: $${ytdDeductions.toFixed(2)}`, 20, summaryY + 21);
+    doc.text(`YTD Earnings: $${rows.ytd.gross.toFixed(2)}`, 20, summaryY + 7);
+    doc.text(`YTD Taxes: $${rows.ytd.taxes.toFixed(2)}`, 20, summaryY + 14);
+    doc.text(`YTD Deductions: $${rows.ytd.deductions.toFixed(2)}`, 20, summaryY + 21);
 
     // Net Pay
     summaryY = summaryY + 32;
@@ -196,18 +165,233 @@ export function exportPayStubToPDF(employeeId, periodNum) {
     doc.save(`PayStub_${employee.name.replace(/\s+/g, '_')}_${period.payDate}.pdf`);
 }
 
+/** Height of each third of a letter page (mm): the check and two pay stub vouchers. */
+const CHECK_SECTION_HEIGHT = 279.4 / 3;
+
+/**
+ * Prints paper paychecks (v25), one letter page per check. The check sits
+ * on top or in the middle of the page per settings.checkLayout and the two
+ * other thirds are identical pay stub vouchers (employee's and employer's
+ * copies). Each period must already have its check number (assignCheckNumber).
+ * @param {Array} checks - [{ employee, period }]
+ * @param {string} fileName - The PDF file name
+ */
+export function exportChecksToPDF(checks, fileName) {
+    if (checks.length === 0) {
+        showToast('There are no checks to print', 'error');
+        return;
+    }
+
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({ unit: 'mm', format: 'letter' });
+    const checkOnTop = appData.settings.checkLayout !== 'middle';
+    const checkTop = checkOnTop ? 0 : CHECK_SECTION_HEIGHT;
+    const voucherTops = checkOnTop ? [CHECK_SECTION_HEIGHT, CHECK_SECTION_HEIGHT * 2] : [0, CHECK_SECTION_HEIGHT * 2];
+
+    checks.forEach(({ employee, period }, index) => {
+        if (index > 0) doc.addPage();
+        drawCheck(doc, employee, period, checkTop);
+        const rows = buildPayStubRows(employee, period);
+        voucherTops.forEach(top => drawCheckVoucher(doc, employee, period, rows, top));
+
+        // Perforations between the thirds
+        doc.setLineDashPattern([1, 1], 0);
+        doc.setDrawColor(150);
+        doc.line(0, CHECK_SECTION_HEIGHT, 215.9, CHECK_SECTION_HEIGHT);
+        doc.line(0, CHECK_SECTION_HEIGHT * 2, 215.9, CHECK_SECTION_HEIGHT * 2);
+        doc.setLineDashPattern([], 0);
+        doc.setDrawColor(0);
+    });
+
+    doc.save(fileName);
+}
+
+/**
+ * Draws the check itself: payer, check number and date, payee and amount,
+ * the amount in words, the payee's address for a window envelope, the memo
+ * and the signature line. There is no MICR line; print on check stock that
+ * carries it.
+ * @param {object} doc - jsPDF document
+ * @param {object} employee
+ * @param {object} period - A paid period with its checkNumber
+ * @param {number} top - Top of the check section (mm)
+ */
+function drawCheck(doc, employee, period, top) {
+    const settings = appData.settings;
+
+    // Payer
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.text(settings.companyName || 'Company Name', 15, top + 13);
+    doc.setFont(undefined, 'normal');
+    doc.setFontSize(8);
+    if (settings.companyAddress) doc.text(settings.companyAddress, 15, top + 18);
+    if (settings.companyPhone) doc.text(settings.companyPhone, 15, top + 22);
+
+    // Check number and date
+    doc.setFontSize(11);
+    doc.setFont(undefined, 'bold');
+    doc.text(String(period.checkNumber), 200, top + 13, { align: 'right' });
+    doc.setFont(undefined, 'normal');
+    doc.setFontSize(9);
+    doc.text(`DATE   ${toDisplayDate(period.payDate)}`, 200, top + 25, { align: 'right' });
+
+    // Payee and amount box
+    doc.setFontSize(7);
+    doc.text('PAY TO THE', 15, top + 36);
+    doc.text('ORDER OF', 15, top + 39.5);
+    doc.setFontSize(11);
+    doc.setFont(undefined, 'bold');
+    doc.text(employee.name, 35, top + 39.5);
+    doc.setFont(undefined, 'normal');
+    doc.line(33, top + 41, 155, top + 41);
+    doc.rect(160, top + 33, 40, 9);
+    doc.text(`$${formatCheckAmount(period.netPay)}`, 197, top + 39.5, { align: 'right' });
+
+    // Amount in words, filled out with asterisks
+    doc.setFontSize(10);
+    let words = `${amountToWords(period.netPay)} `;
+    while (doc.getTextWidth(words + '*') < 165) words += '*';
+    doc.text(words, 15, top + 50);
+    doc.line(15, top + 51.5, 182, top + 51.5);
+    doc.setFontSize(8);
+    doc.text('DOLLARS', 200, top + 50, { align: 'right' });
+
+    // Payee address, placed for a window envelope
+    doc.setFontSize(10);
+    const [street, ...rest] = (employee.address || '').split(',');
+    const addressLines = [employee.name, street.trim(), rest.join(',').trim()].filter(Boolean);
+    doc.text(addressLines, 25, top + 60);
+
+    // Memo and signature
+    doc.setFontSize(8);
+    doc.text(`MEMO   Pay period ${toDisplayDate(period.startDate)} - ${toDisplayDate(period.endDate)}`, 15, top + 84);
+    doc.line(125, top + 82, 200, top + 82);
+    doc.setFontSize(7);
+    doc.text('AUTHORIZED SIGNATURE', 162.5, top + 85.5, { align: 'center' });
+}
+
+/**
+ * Draws a pay stub voucher: earnings on the left, taxes and deductions on
+ * the right, and the period and YTD totals along the bottom.
+ * @param {object} doc - jsPDF document
+ * @param {object} employee
+ * @param {object} period - A paid period with its checkNumber
+ * @param {object} rows - From buildPayStubRows
+ * @param {number} top - Top of the voucher section (mm)
+ */
+function drawCheckVoucher(doc, employee, period, rows, top) {
+    doc.setFontSize(9);
+    doc.setFont(undefined, 'bold');
+    doc.text(`${appData.settings.companyName || 'Company Name'} - ${employee.name}`, 15, top + 10);
+    doc.text(`Check #${period.checkNumber}`, 200, top + 10, { align: 'right' });
+    doc.setFont(undefined, 'normal');
+    doc.setFontSize(8);
+    doc.text(`Pay Period: ${toDisplayDate(period.startDate)} - ${toDisplayDate(period.endDate)}    Pay Date: ${toDisplayDate(period.payDate)}`, 15, top + 15);
+
+    const tableOptions = {
+        theme: 'plain',
+        styles: { fontSize: 7, cellPadding: 0.6 },
+        headStyles: { fontStyle: 'bold', fillColor: [236, 240, 241] }
+    };
+    doc.autoTable({ ...tableOptions, startY: top + 18, head: [rows.earnings[0]], body: rows.earnings.slice(1), margin: { left: 15, right: 112 } });
+    doc.autoTable({ ...tableOptions, startY: top + 18, head: [rows.taxes[0]], body: rows.taxes.slice(1), margin: { left: 110, right: 15 } });
+
+    // Long deduction lists are summed after the first five to fit the voucher
+    if (rows.deductions.length > 1) {
+        let deductions = rows.deductions.slice(1);
+        if (deductions.length > 6) {
+            const others = period.deductions.slice(5).reduce((sum, ded) => sum + ded.calculatedAmount, 0);
+            deductions = [...deductions.slice(0, 5), ['Other deductions', `$${others.toFixed(2)}`]];
+        }
+        doc.autoTable({ ...tableOptions, startY: doc.lastAutoTable.finalY + 2, head: [rows.deductions[0]], body: deductions, margin: { left: 110, right: 15 } });
+    }
+
+    const totalsY = top + CHECK_SECTION_HEIGHT - 8;
+    doc.setFontSize(8);
+    doc.text(`Gross: $${period.grossPay.toFixed(2)}    Taxes: $${period.taxes.total.toFixed(2)}    Deductions: $${(period.totalDeductions || 0).toFixed(2)}`, 15, totalsY);
+    doc.text(`YTD Gross: $${rows.ytd.gross.toFixed(2)}    YTD Taxes: $${rows.ytd.taxes.toFixed(2)}    YTD Deductions: $${rows.ytd.deductions.toFixed(2)}`, 15, totalsY + 4);
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'bold');
+    doc.text(`NET PAY: $${period.netPay.toFixed(2)}`, 200, totalsY + 2, { align: 'right' });
+    doc.setFont(undefined, 'normal');
+}
+
+/**
+ * The earnings, taxes and deductions table rows (each with its header row
+ * first) and YTD totals of a pay stub, shared by the pay stub PDF and the
+ * vouchers of a printed check (v25).
+ * @param {object} employee
+ * @param {object} period - A calculated pay period
+ * @returns {object} { earnings, taxes, deductions, ytd: { gross, taxes, deductions } }
+ */
+function buildPayStubRows(employee, period) {
+    const employeeId = employee.id;
+    const periodNum = period.period;
+
+    // Calculate YTD earnings
+    const ytdEarnings = calculateYTDEarnings(employeeId, periodNum);
+
+    // Hours and earnings table with YTD — use the rate actually applied to
+    // this period (v13), so historical stubs stay correct after a raise
+    const stubRate = period.appliedHourlyRate ?? employee.rate;
+    // Salaried periods (v14) show the full per-period salary as the rate
+    let regularLabel = 'Regular';
+    let regularRate = stubRate;
+    if (period.payType === 'salary' && period.salary) {
+        ({ label: regularLabel, rate: regularRate } = describeSalaryLine(period));
+    }
+    const regularRow = [regularLabel, (period.hours.regular || 0).toFixed(2), `$${regularRate.toFixed(2)}`, `$${(period.earnings.regular || 0).toFixed(2)}`, `$${ytdEarnings.regular.toFixed(2)}`];
+    const earnings = [
+        ['Type', 'Hours', 'Rate', 'Current', 'YTD'],
+        regularRow,
+        ['Overtime', (period.hours.overtime || 0).toFixed(2), `$${(stubRate * employee.overtimeMultiplier).toFixed(2)}`, `$${(period.earnings.overtime || 0).toFixed(2)}`, `$${ytdEarnings.overtime.toFixed(2)}`],
+        ['Holiday', (period.hours.holiday || 0).toFixed(2), `$${(stubRate * employee.holidayMultiplier).toFixed(2)}`, `$${(period.earnings.holiday || 0).toFixed(2)}`, `$${ytdEarnings.holiday.toFixed(2)}`],
+        ['PTO', (period.hours.pto || 0).toFixed(2), `$${stubRate.toFixed(2)}`, `$${(period.earnings.pto || 0).toFixed(2)}`, `$${ytdEarnings.pto.toFixed(2)}`]
+    ];
+    // Supplemental earnings (v20), one line each with YTD by earning code
+    (period.supplementalEarnings || []).forEach(line => {
+        const label = EARNING_CODES[line.code]?.cash === false ? `${line.description} (non-cash)` : line.description;
+        earnings.push([label, '', '', `$${line.amount.toFixed(2)}`, `$${(ytdEarnings.byCode[line.code] || 0).toFixed(2)}`]);
+    });
+
+    const taxes = [
+        ['Tax Type', 'Current', 'YTD'],
+        ['Federal', `$${period.taxes.federal.toFixed(2)}`, calculateYTD(employeeId, periodNum, 'federal')],
+        ['FICA', `$${period.taxes.fica.toFixed(2)}`, calculateYTD(employeeId, periodNum, 'fica')],
+        ['Medicare', `$${period.taxes.medicare.toFixed(2)}`, calculateYTD(employeeId, periodNum, 'medicare')],
+        ['State', `$${period.taxes.state.toFixed(2)}`, calculateYTD(employeeId, periodNum, 'state')],
+        ['Local', `$${period.taxes.local.toFixed(2)}`, calculateYTD(employeeId, periodNum, 'local')]
+    ];
+
+    const deductions = [['Deduction', 'Amount']];
+    (period.deductions || []).forEach(ded => {
+        const note = ded.limitReached ? ' (limit reached)' : ded.capApplied ? ' (CCPA limit applied)' : '';
+        deductions.push([`${ded.name}${note}`, `$${ded.calculatedAmount.toFixed(2)}`]);
+    });
+
+    return {
+        earnings,
+        taxes,
+        deductions,
+        ytd: {
+            gross: ytdEarnings.regular + ytdEarnings.overtime + ytdEarnings.holiday + ytdEarnings.pto + ytdEarnings.supplemental,
+            taxes: calculateYTDTotal(employeeId, periodNum, ['federal', 'fica', 'medicare', 'state', 'local']),
+            deductions: calculateYTDDeductions(employeeId, periodNum)
+        }
+    };
+}
+
 /**
  * Helper function to calculate YTD tax amounts
  */
 function calculateYTD(employeeId, periodNum, taxType) {
-    const periods = appData.payPeriods[employeeId] || [];
     let ytd = 0;
-    for (let i = 0; i < periodNum; i++) {
-        const p = periods[i];
-        if (p && p.taxes) {
+    getPeriodsThrough(employeeId, periodNum).forEach(p => {
+        if (p.taxes) {
             ytd += p.taxes[taxType] || 0;
         }
-    }
+    });
     return `$${ytd.toFixed(2)}`;
 }
 
@@ -215,17 +399,17 @@ function calculateYTD(employeeId, periodNum, taxType) {
  * Helper function to calculate YTD earnings by type
  */
 function calculateYTDEarnings(employeeId, periodNum) {
-    const periods = appData.payPeriods[employeeId] || [];
-    const ytd = { regular: 0, overtime: 0, holiday: 0, pto: 0 };
-    for (let i = 0; i < periodNum; i++) {
-        const p = periods[i];
-        if (p && p.earnings) {
+    const ytd = { regular: 0, overtime: 0, holiday: 0, pto: 0, supplemental: 0, byCode: {} };
+    getPeriodsThrough(employeeId, periodNum).forEach(p => {
+        if (p.earnings) {
             ytd.regular += p.earnings.regular || 0;
             ytd.overtime += p.earnings.overtime || 0;
             ytd.holiday += p.earnings.holiday || 0;
             ytd.pto += p.earnings.pto || 0;
+            ytd.supplemental += p.earnings.supplemental || 0;
+            (p.supplementalEarnings || []).forEach(line => { ytd.byCode[line.code] = (ytd.byCode[line.code] || 0) + line.amount; });
         }
-    }
+    });
     return ytd;
 }
 
@@ -233,16 +417,14 @@ function calculateYTDEarnings(employeeId, periodNum) {
  * Helper function to calculate YTD total for multiple tax types
  */
 function calculateYTDTotal(employeeId, periodNum, taxTypes) {
-    const periods = appData.payPeriods[employeeId] || [];
     let total = 0;
-    for (let i = 0; i < periodNum; i++) {
-        const p = periods[i];
-        if (p && p.taxes) {
+    getPeriodsThrough(employeeId, periodNum).forEach(p => {
+        if (p.taxes) {
             taxTypes.forEach(type => {
                 total += p.taxes[type] || 0;
             });
         }
-    }
+    });
     return total;
 }
 
@@ -250,14 +432,12 @@ function calculateYTDTotal(employeeId, periodNum, taxTypes) {
  * Helper function to calculate YTD deductions
  */
 function calculateYTDDeductions(employeeId, periodNum) {
-    const periods = appData.payPeriods[employeeId] || [];
     let ytd = 0;
-    for (let i = 0; i < periodNum; i++) {
-        const p = periods[i];
-        if (p && p.totalDeductions) {
+    getPeriodsThrough(employeeId, periodNum).forEach(p => {
+        if (p.totalDeductions) {
             ytd += p.totalDeductions;
         }
-    }
+    });
     return ytd;
 }
 
@@ -266,8 +446,8 @@ function calculateYTDDeductions(employeeId, periodNum) {
  * @param {string} yearStr - The tax year
  */
 export function exportW2ReportToPDF(yearStr) {
-    const year = parseInt(yearStr) || appData.settings.taxYear;
-    const ssWageBase = appData.settings.ssWageBase;
+    const data = computeW2Data(yearStr);
+    const year = data.year;
 
     const { jsPDF } = window.jspdf;
     const doc = new jsPDF();
@@ -278,54 +458,30 @@ export function exportW2ReportToPDF(yearStr) {
     doc.setFontSize(10);
     doc.text(appData.settings.companyName || 'Company Name', 105, 28, { align: 'center' });
 
-    const tableData = [];
-
-    appData.employees.forEach(emp => {
-        const periodsInYear = (appData.payPeriods[emp.id] || []).filter(
-            p => fromStorageDate(p.payDate).getFullYear() === year && p.grossPay > 0
-        );
-
-        if (periodsInYear.length === 0) return;
-
-        let totals = { gross: 0, federal: 0, fica: 0, medicare: 0, state: 0, local: 0 };
-        let ssWages = 0;
-
-        periodsInYear.forEach(p => {
-            const grossBeforeThisPeriod = ssWages;
-            if (grossBeforeThisPeriod < ssWageBase) {
-                ssWages += Math.min(p.grossPay, ssWageBase - grossBeforeThisPeriod);
-            }
-            totals.gross += p.grossPay;
-            totals.federal += p.taxes.federal;
-            totals.fica += p.taxes.fica;
-            totals.medicare += p.taxes.medicare;
-            totals.state += p.taxes.state;
-            totals.local += p.taxes.local;
-        });
-
-        tableData.push([
-            emp.name,
-            emp.idNumber,
-            `$${totals.gross.toFixed(2)}`,
-            `$${totals.federal.toFixed(2)}`,
-            `$${totals.fica.toFixed(2)}`,
-            `$${totals.medicare.toFixed(2)}`,
-            `$${ssWages.toFixed(2)}`,
-            `$${totals.state.toFixed(2)}`,
-            `$${totals.local.toFixed(2)}`
-        ]);
-    });
+    const tableData = data.employees.map(w2 => [
+        w2.employee.name,
+        w2.employee.idNumber,
+        `$${w2.box1.toFixed(2)}`,
+        `$${w2.box2.toFixed(2)}`,
+        `$${w2.box4.toFixed(2)}`,
+        `$${w2.box6.toFixed(2)}`,
+        `$${w2.box3.toFixed(2)}`,
+        `$${w2.box5.toFixed(2)}`,
+        `$${w2.box17.toFixed(2)}`,
+        `$${w2.box19.toFixed(2)}`,
+        w2.box12.map(({ code, amount }) => `${code} $${amount.toFixed(2)}`).join('\n')
+    ]);
 
     doc.autoTable({
         startY: 35,
-        head: [['Employee', 'ID', 'Wages', 'Fed Tax', 'FICA', 'Medicare', 'SS Wages', 'State', 'Local']],
+        head: [['Employee', 'ID', 'Wages', 'Fed Tax', 'FICA', 'Medicare', 'SS Wages', 'Medicare Wages', 'State', 'Local', 'Box 12']],
         body: tableData,
         theme: 'striped',
-        headStyles: { fillColor: [44, 62, 80], fontSize: 8 },
-        bodyStyles: { fontSize: 8 },
+        headStyles: { fillColor: [44, 62, 80], fontSize: 7 },
+        bodyStyles: { fontSize: 7 },
         columnStyles: {
-            0: { cellWidth: 35 },
-            1: { cellWidth: 20 }
+            0: { cellWidth: 28 },
+            1: { cellWidth: 16 }
         }
     });
 
@@ -367,7 +523,8 @@ export function export941ReportToPDF(periodStr) {
         ['Adjustment for Fractions of Cents', `$${data.line7.toFixed(2)}`],
         ['Total Taxes After Adjustments', `$${data.line10.toFixed(2)}`],
         ['Total Deposits for This Quarter', `$${data.line13.toFixed(2)}`],
-        ['Balance Due (overpayment shown as negative)', `$${(data.line12 - data.line13).toFixed(2)}`],
+        ['Balance Due', `$${data.line14.toFixed(2)}`],
+        ['Overpayment', `$${data.line15.toFixed(2)}`],
         ['Month 1 Tax Liability', `$${data.monthlyLiabilities[0].toFixed(2)}`],
         ['Month 2 Tax Liability', `$${data.monthlyLiabilities[1].toFixed(2)}`],
         ['Month 3 Tax Liability', `$${data.monthlyLiabilities[2].toFixed(2)}`],
@@ -388,6 +545,52 @@ export function export941ReportToPDF(periodStr) {
     doc.save(`Form_941_${periodStr.replace(/\s+/g, '_')}.pdf`);
 }
 
+/**
+ * Exports Form 941 Schedule B to PDF
+ * @param {string} periodStr - Quarter, e.g. "Q1 2025"
+ */
+export function exportScheduleBToPDF(periodStr) {
+    const data = computeScheduleBData(periodStr);
+    if (data.error) {
+        showToast(data.error, 'warning');
+        return;
+    }
+
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF();
+
+    // Title
+    doc.setFontSize(16);
+    doc.text(`Form 941 Schedule B - ${periodStr}`, 105, 20, { align: 'center' });
+    doc.setFontSize(10);
+    doc.text(appData.settings.companyName || 'Company Name', 105, 28, { align: 'center' });
+
+    const body = [];
+    data.months.forEach((m, i) => {
+        m.days.forEach(d => body.push([`Month ${i + 1} (${m.label})`, d.day.toString(), toDisplayDate(d.payDate), `$${d.liability.toFixed(2)}`]));
+        body.push([`Tax Liability for Month ${i + 1}`, '', '', `$${m.total.toFixed(2)}`]);
+    });
+    body.push(['Total Liability for Quarter', '', '', `$${data.total.toFixed(2)}`]);
+    body.push(['Form 941 Line 12', '', '', `$${data.line12.toFixed(2)}`]);
+    body.push(['Difference', '', '', `$${data.difference.toFixed(2)}`]);
+
+    doc.autoTable({
+        startY: 35,
+        head: [['Month', 'Day', 'Pay Date', 'Tax Liability']],
+        body,
+        theme: 'striped',
+        headStyles: { fillColor: [44, 62, 80] }
+    });
+
+    doc.setFontSize(8);
+    const note = data.reconciles
+        ? 'The Schedule B total matches Form 941 line 12.'
+        : `MISMATCH: the Schedule B total differs from Form 941 line 12 by $${data.difference.toFixed(2)}. Correct before filing.`;
+    doc.text(note, 105, doc.lastAutoTable.finalY + 10, { align: 'center' });
+
+    doc.save(`Form_941_Schedule_B_${periodStr.replace(/\s+/g, '_')}.pdf`);
+}
+
 /**
  * Exports 940 report to PDF
  * @param {string} yearStr - The tax year
@@ -478,7 +681,7 @@ export function exportCustomReportToPDF(startDate, endDate, employeeId, reportTy
 
         if (periods.length === 0) return;
 
-        let totals = { gross: 0, federal: 0, fica: 0, medicare: 0, state: 0, local: 0, net: 0, hours: 0 };
+        let totals = { gross: 0, federal: 0, fica: 0, medicare: 0, state: 0, local: 0, net: 0, hours: 0, benefits: 0 };
 
         periods.forEach(p => {
             totals.hours += (p.hours.regular || 0) + (p.hours.overtime || 0) + (p.hours.holiday || 0) + (p.hours.pto || 0);
@@ -489,6 +692,7 @@ export function exportCustomReportToPDF(startDate, endDate, employeeId, reportTy
             totals.state += p.taxes.state;
             totals.local += p.taxes.local;
             totals.net += p.netPay;
+            totals.benefits += p.totalEmployerContributions || 0;
         });
 
         if (reportType === 'employee') {
@@ -504,13 +708,14 @@ export function exportCustomReportToPDF(startDate, endDate, employeeId, reportTy
                 `$${totals.net.toFixed(2)}`
             ]);
         } else {
-            const totalCost = totals.gross + totals.fica + totals.medicare;
+            const totalCost = totals.gross + totals.fica + totals.medicare + totals.benefits;
             tableData.push([
                 emp.name,
                 totals.hours.toFixed(2),
                 `$${totals.gross.toFixed(2)}`,
                 `$${totals.fica.toFixed(2)}`,
                 `$${totals.medicare.toFixed(2)}`,
+                `$${totals.benefits.toFixed(2)}`,
                 `$${totalCost.toFixed(2)}`
             ]);
         }
@@ -518,7 +723,7 @@ export function exportCustomReportToPDF(startDate, endDate, employeeId, reportTy
 
     const headers = reportType === 'employee' ?
         [['Employee', 'Hours', 'Gross', 'Fed Tax', 'State', 'Local', 'FICA', 'Medicare', 'Net']] :
-        [['Employee', 'Hours', 'Gross', 'ER FICA', 'ER Medicare', 'Total Cost']];
+        [['Employee', 'Hours', 'Gross', 'ER FICA', 'ER Medicare', 'ER Benefits', 'Total Cost']];
 
     doc.autoTable({
         startY: 42,
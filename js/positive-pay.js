@@ -0,0 +1,208 @@
+/*
+  PayTrax Payroll Management
+  Copyright (c) 2025 greenwh
+
+  Developed by greenwh with substantial assistance from AI coding tools (Claude, ChatGPT, Gemini).
+  This file is original work based on documentation and prompts by greenwh.
+  Licensed under the MIT License.
+*/
+// js/positive-pay.js - Positive Pay issued-check files (v26)
+//
+// Banks offering Positive Pay only clear checks that appear in an issued
+// check file. The file lists each check's number, issue date, amount and
+// payee, drawn from the pay periods' printed checks (period.checkNumber, and
+// voidedChecks for voided ones) and from other register debits entered with
+// a check number. Voided checks carry the void indicator. The layout — CSV
+// or fixed width — and the indicator codes are in settings.positivePay.
+
+import { appData } from './state.js';
+import { validatePositivePaySettings } from './validation.js';
+
+/**
+ * File layouts for common bank formats. CSV layouts list their columns in
+ * order; fixed-width layouts give each field's width, and numbers are
+ * right-justified and zero-filled while text is left-justified and
+ * space-filled.
+ */
+export const POSITIVE_PAY_LAYOUTS = {
+    csv: {
+        label: 'CSV with header (Account, Check, Issue Date, Amount, Payee, Indicator)',
+        type: 'csv',
+        header: true,
+        dateFormat: 'MM/DD/YYYY',
+        fields: ['account', 'checkNumber', 'issueDate', 'amount', 'payee', 'indicator']
+    },
+    'csv-no-header': {
+        label: 'CSV without header (Indicator, Account, Check, Amount, Issue Date, Payee)',
+        type: 'csv',
+        header: false,
+        dateFormat: 'YYYYMMDD',
+        fields: ['indicator', 'account', 'checkNumber', 'amount', 'issueDate', 'payee']
+    },
+    'fixed-80': {
+        label: 'Fixed width, 80 columns (Account, Check, Amount in cents, MMDDYY, Indicator, Payee)',
+        type: 'fixed',
+        dateFormat: 'MMDDYY',
+        fields: [
+            { field: 'account', width: 12 },
+            { field: 'checkNumber', width: 10 },
+            { field: 'amount', width: 10 },
+            { field: 'issueDate', width: 6 },
+            { field: 'indicator', width: 1 },
+            { field: 'payee', width: 41 }
+        ]
+    }
+};
+
+/** Column headings of the CSV layouts. */
+const FIELD_LABELS = {
+    account: 'Account Number',
+    checkNumber: 'Check Number',
+    issueDate: 'Issue Date',
+    amount: 'Amount',
+    payee: 'Payee',
+    indicator: 'Void Indicator'
+};
+
+/**
+ * A YYYY-MM-DD date in a layout's date format.
+ * @param {string} date
+ * @param {string} format - 'MM/DD/YYYY', 'YYYYMMDD' or 'MMDDYY'
+ * @returns {string}
+ */
+function formatIssueDate(date, format) {
+    const [year, month, day] = date.split('-');
+    if (format === 'YYYYMMDD') return year + month + day;
+    if (format === 'MMDDYY') return month + day + year.slice(2);
+    return `${month}/${day}/${year}`;
+}
+
+/**
+ * Printable ASCII payee text, without the accents banks' files reject.
+ * @param {string} value
+ * @returns {string}
+ */
+function cleanPayee(value) {
+    return String(value ?? '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x20-\x7E]/g, '')
+        .trim();
+}
+
+/**
+ * Every check issued or voided in a date range, by check number. Payroll
+ * checks come from the pay periods: a period's printed check, and each
+ * voided check that had a number (flagged void, with its original issue
+ * date). Other checks are register debits entered with a check number, the
+ * description being the payee. A check is listed when it was issued in the
+ * range, or — if voided — when it was voided in the range.
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Array} [{ checkNumber, issueDate, amount, payee, voided, voidDate }]
+ */
+export function getIssuedChecks(startDate, endDate) {
+    const inRange = (date) => !!date && date >= startDate && date <= endDate;
+    const checks = [];
+
+    appData.employees.forEach(employee => {
+        (appData.payPeriods[employee.id] || []).forEach(period => {
+            if (period.checkNumber && period.netPay > 0 && inRange(period.payDate)) {
+                checks.push({ checkNumber: period.checkNumber, issueDate: period.payDate, amount: period.netPay, payee: employee.name, voided: false, voidDate: null });
+            }
+            (period.voidedChecks || []).forEach(voided => {
+                if (!voided.checkNumber || !(inRange(voided.payDate) || inRange(voided.voidDate))) return;
+                checks.push({ checkNumber: voided.checkNumber, issueDate: voided.payDate, amount: voided.netPay, payee: employee.name, voided: true, voidDate: voided.voidDate });
+            });
+        });
+    });
+
+    // Payroll debits (payroll-…, check-…) are listed from their periods above
+    appData.bankRegister.forEach(t => {
+        if (!t.checkNumber || !(t.debit > 0) || /^(payroll|check)-/.test(t.id) || !inRange(t.date)) return;
+        checks.push({ checkNumber: Number(t.checkNumber), issueDate: t.date, amount: t.debit, payee: t.description.replace(/ \(Check #\d+\)/, ''), voided: false, voidDate: null });
+    });
+
+    return checks.sort((a, b) => a.checkNumber - b.checkNumber || a.issueDate.localeCompare(b.issueDate));
+}
+
+/**
+ * Builds the Positive Pay file text for a list of checks.
+ * @param {Array} checks - From getIssuedChecks
+ * @param {object} positivePay - settings.positivePay
+ * @returns {string} One line per check (after the header, if any)
+ */
+export function buildPositivePayFile(checks, positivePay) {
+    const layout = POSITIVE_PAY_LAYOUTS[positivePay.layout] || POSITIVE_PAY_LAYOUTS.csv;
+    const values = (check) => ({
+        account: String(positivePay.accountNumber),
+        checkNumber: String(check.checkNumber),
+        issueDate: formatIssueDate(check.issueDate, layout.dateFormat),
+        amount: layout.type === 'fixed' ? String(Math.round(check.amount * 100)) : check.amount.toFixed(2),
+        payee: cleanPayee(check.payee),
+        indicator: check.voided ? positivePay.voidIndicator : positivePay.issueIndicator
+    });
+
+    if (layout.type === 'fixed') {
+        const text = new Set(['payee', 'indicator']);
+        return checks.map(check => {
+            const row = values(check);
+            return layout.fields.map(({ field, width }) => text.has(field)
+                ? row[field].toUpperCase().slice(0, width).padEnd(width, ' ')
+                : row[field].padStart(width, '0').slice(-width)).join('');
+        }).join('\n') + '\n';
+    }
+
+    const quote = (value) => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    const lines = checks.map(check => {
+        const row = values(check);
+        return layout.fields.map(field => quote(row[field])).join(',');
+    });
+    if (layout.header) {
+        lines.unshift(layout.fields.map(field => FIELD_LABELS[field]).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Builds the Positive Pay file for a date range.
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {object} { errors } or { checks, content, fileName }
+ */
+export function generatePositivePayFile(startDate, endDate) {
+    const positivePay = appData.settings.positivePay || {};
+    const errors = validatePositivePaySettings(positivePay).map(e => e.message);
+    if (!startDate || !endDate || startDate > endDate) {
+        errors.push('Choose a start date on or before the end date.');
+    }
+    if (errors.length > 0) return { errors };
+
+    const checks = getIssuedChecks(startDate, endDate);
+    if (checks.length === 0) {
+        return { errors: ['No checks were issued or voided in this date range.'] };
+    }
+    const extension = POSITIVE_PAY_LAYOUTS[positivePay.layout]?.type === 'fixed' ? 'txt' : 'csv';
+    return {
+        checks,
+        content: buildPositivePayFile(checks, positivePay),
+        fileName: `PayTrax_PositivePay_${startDate}_${endDate}.${extension}`
+    };
+}
+
+/**
+ * Saves a Positive Pay file as a download.
+ * @param {string} content - From generatePositivePayFile
+ * @param {string} fileName
+ */
+export function downloadPositivePayFile(content, fileName) {
+    const type = fileName.endsWith('.csv') ? 'text/csv' : 'text/plain';
+    const blob = new Blob([content], { type: `${type};charset=utf-8;` });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', fileName);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
@@ -9,25 +9,72 @@
 // js/reports.js - Tax reporting, W-2, 941, 940, date range reports, and CSV exports
 
 import { appData } from './state.js';
-import { parseDateInput, fromStorageDate, toDisplayDate, escapeHtml } from './utils.js';
+import { parseDateInput, fromStorageDate, toDisplayDate, escapeHtml, comparePayPeriods, resolveTaxConstants, getQuarterForDate } from './utils.js';
 import { showToast } from './toast.js';
+import { getDeductionBox12Code, EMPLOYER_CONTRIBUTION_KINDS } from './employees.js';
+import { getTaxDeposits, reconcileTaxDeposits, periodTaxLiability } from './tax-deposits.js';
+import { PER_PAY_DATE_FREQUENCIES, getTaxFrequency, findNextDayDeposits, createDepositScheduleCache } from './deposit-schedule.js';
+import { buildTaxCalendar, describeCalendarPeriod } from './tax-calendar.js';
+import { compute941XData } from './form-941x.js';
+
+/** W-2 Box 12 codes produced by deduction tax treatments and employer contributions. */
+export const W2_BOX12_DESCRIPTIONS = {
+    'AA': 'Designated Roth contributions to a 401(k) plan',
+    'D': 'Elective deferrals to a 401(k) plan',
+    'DD': 'Cost of employer-sponsored health coverage',
+    'W': 'Employer contributions (including employee cafeteria plan contributions) to a health savings account'
+};
 
 // --- REPORTING LOGIC ---
 
+/**
+ * Pay periods of the open tax year plus every archived year (v21), by
+ * employee, so reports can query any year on record. Callers select the
+ * periods they need by pay date.
+ * @returns {object} { [employeeId]: period[] }
+ */
+export function getReportPayPeriods() {
+    const all = {};
+    const add = (payPeriods) => Object.entries(payPeriods || {}).forEach(([id, periods]) => {
+        all[id] = [...(all[id] || []), ...periods];
+    });
+    Object.entries(appData.archivedYears || {}).forEach(([year, archive]) => {
+        if (Number(year) !== appData.settings.taxYear) add(archive.payPeriods);
+    });
+    add(appData.payPeriods);
+    return all;
+}
+
+/**
+ * Employees on the current roster plus any archived-year employees no longer
+ * on it (v21), so closed years still report everyone who was paid.
+ * @returns {object[]}
+ */
+export function getReportEmployees() {
+    const employees = [...appData.employees];
+    Object.values(appData.archivedYears || {}).forEach(archive => {
+        (archive.employees || []).forEach(emp => {
+            if (!employees.some(e => e.id === emp.id)) employees.push(emp);
+        });
+    });
+    return employees;
+}
+
 /**
  * Generates a tax deposit report from provided data (pure function for testing).
  * This calculates the tax liabilities due for a specific period based on deposit frequency.
- * @param {string} selectedFreq - Deposit frequency: 'weekly', 'bi-weekly', 'monthly', 'quarterly', 'annual'
+ * @param {string} selectedFreq - Deposit frequency: 'weekly', 'bi-weekly', 'semiweekly', 'monthly', 'quarterly', 'annual'
  * @param {string} periodInput - For monthly/quarterly/annual: period string like "June 2024", "Q1 2024"
- * @param {string} payDate - For weekly/bi-weekly: the specific pay date string
+ * @param {string} payDate - For weekly/bi-weekly/semiweekly: the specific pay date string
  * @returns {object} Report data: { reportTitle, liabilities, totalDeposit, html, periodsIncluded }
  */
 export function generateTaxDepositReportFromData(selectedFreq, periodInput = null, payDate = null) {
-    const allPayPeriods = [].concat.apply([], Object.values(appData.payPeriods)).filter(p => p.grossPay > 0);
+    const reportPayPeriods = getReportPayPeriods();
+    const allPayPeriods = [].concat.apply([], Object.values(reportPayPeriods)).filter(p => p.grossPay > 0);
     let periodsInDepositRange = [];
     let reportTitle = '';
 
-    if (['weekly', 'bi-weekly'].includes(selectedFreq)) {
+    if (PER_PAY_DATE_FREQUENCIES.includes(selectedFreq)) {
         if (!payDate) return { error: 'Please select a pay period.', liabilities: {}, totalDeposit: 0, periodsIncluded: 0 };
         periodsInDepositRange = allPayPeriods.filter(p => p.payDate === payDate);
         reportTitle = `Tax Deposit for Pay Date: ${toDisplayDate(payDate)}`;
@@ -54,13 +101,16 @@ export function generateTaxDepositReportFromData(selectedFreq, periodInput = nul
     }
 
     let liabilities = {};
-    const freqs = appData.settings.taxFrequencies || {};
+    // Frequencies in force on the first pay date: the 941 one may come from
+    // the lookback schedule (v28)
+    const firstPayDate = periodsInDepositRange.map(p => p.payDate).sort()[0];
+    const scheduleCache = createDepositScheduleCache();
     const taxMap = {
-        'Federal Payroll (941)': { freq: freqs.federal, type: 'federal'},
-        'FUTA (940)': { freq: freqs.futa, type: 'futa'},
-        'SUTA': { freq: freqs.suta, type: 'suta'},
-        'State Income Tax': { freq: freqs.state, type: 'state'},
-        'Local Tax': { freq: freqs.local, type: 'local'},
+        'Federal Payroll (941)': { freq: getTaxFrequency('federal', firstPayDate, scheduleCache), type: 'federal'},
+        'FUTA (940)': { freq: getTaxFrequency('futa', firstPayDate), type: 'futa'},
+        'SUTA': { freq: getTaxFrequency('suta', firstPayDate), type: 'suta'},
+        'State Income Tax': { freq: getTaxFrequency('state', firstPayDate), type: 'state'},
+        'Local Tax': { freq: getTaxFrequency('local', firstPayDate), type: 'local'},
     };
 
     for (const [name, data] of Object.entries(taxMap)) {
@@ -136,7 +186,7 @@ export function generateTaxDepositReport() {
     let periodInput = null;
     let payDate = null;
 
-    if (['weekly', 'bi-weekly'].includes(selectedFreq)) {
+    if (PER_PAY_DATE_FREQUENCIES.includes(selectedFreq)) {
         payDate = document.getElementById('reportPayPeriod')?.value;
     } else {
         periodInput = document.getElementById('reportPeriodText')?.value;
@@ -151,41 +201,97 @@ export function generateTaxDepositReport() {
     return result.html;
 }
 
-export function generateW2Report(yearStr) {
-    const year = parseInt(yearStr) || appData.settings.taxYear;
-    const ssWageBase = appData.settings.ssWageBase;
-    let reportHTML = `<h4>Annual W-2 Data - ${year}</h4>`;
-
-    if (appData.employees.length === 0) return `<div class="alert alert-info">No employees found.</div>`;
+/**
+ * Taxable wages of a pay period for one tax. Periods saved before v16 have no
+ * per-tax breakdown; every tax was computed on gross pay then.
+ * @param {object} p - The pay period
+ * @param {string} tax - federal, state, local, fica, medicare, futa or suta
+ * @returns {number}
+ */
+function periodTaxableWages(p, tax) {
+    return p.taxableWages?.[tax] ?? p.grossPay;
+}
 
-    appData.employees.forEach(emp => {
-        const periodsInYear = (appData.payPeriods[emp.id] || []).filter(p => fromStorageDate(p.payDate).getFullYear() === year && p.grossPay > 0);
+/**
+ * Computes W-2 figures for every employee paid in a year (pure data, no HTML).
+ * Box 1/16/18 are wages after the pre-tax deductions that reduce income tax
+ * wages, Box 3/5 after those that reduce FICA/Medicare wages (Box 3 capped at
+ * the Social Security wage base), and Box 12 sums deductions and employer
+ * contributions by their code (DD is the employee plus employer health cost).
+ * Shared by the HTML report, the CSV export and the PDF export.
+ * @param {string} yearStr - Year, e.g. "2025"
+ * @returns {object} { year, employees: [{ employee, box1..box6, box12: [{code, amount}], box16..box19 }], error }
+ */
+export function computeW2Data(yearStr) {
+    const reportPayPeriods = getReportPayPeriods();
+    const reportEmployees = getReportEmployees();
+    const year = parseInt(yearStr) || appData.settings.taxYear;
+    const ssWageBase = resolveTaxConstants(appData.settings, year).ssWageBase;
+    if (reportEmployees.length === 0) return { year, employees: [], error: 'No employees found.' };
+
+    const employees = [];
+    reportEmployees.forEach(emp => {
+        const periodsInYear = (reportPayPeriods[emp.id] || [])
+            .filter(p => fromStorageDate(p.payDate).getFullYear() === year && p.grossPay > 0)
+            .sort(comparePayPeriods);
         if (periodsInYear.length === 0) return;
 
-        let totals = { gross: 0, federal: 0, fica: 0, medicare: 0, state: 0, local: 0 };
+        const w2 = { employee: emp, box1: 0, box2: 0, box3: 0, box4: 0, box5: 0, box6: 0, box16: 0, box17: 0, box18: 0, box19: 0 };
+        const box12 = {};
         let ssWages = 0;
 
         periodsInYear.forEach(p => {
-            const grossBeforeThisPeriod = ssWages;
-            if (grossBeforeThisPeriod < ssWageBase) {
-                ssWages += Math.min(p.grossPay, ssWageBase - grossBeforeThisPeriod);
+            const ficaWages = periodTaxableWages(p, 'fica');
+            if (ssWages < ssWageBase) {
+                w2.box3 += Math.min(ficaWages, ssWageBase - ssWages);
             }
-            totals.gross += p.grossPay;
-            totals.federal += p.taxes.federal; totals.fica += p.taxes.fica; totals.medicare += p.taxes.medicare;
-            totals.state += p.taxes.state; totals.local += p.taxes.local;
+            ssWages += ficaWages;
+
+            w2.box1 += periodTaxableWages(p, 'federal');
+            w2.box5 += periodTaxableWages(p, 'medicare');
+            w2.box16 += periodTaxableWages(p, 'state');
+            w2.box18 += periodTaxableWages(p, 'local');
+            w2.box2 += p.taxes.federal; w2.box4 += p.taxes.fica; w2.box6 += p.taxes.medicare;
+            w2.box17 += p.taxes.state; w2.box19 += p.taxes.local;
+
+            (p.deductions || []).forEach(ded => {
+                const code = getDeductionBox12Code(ded);
+                if (code) box12[code] = (box12[code] || 0) + ded.calculatedAmount;
+            });
+            (p.employerContributions || []).forEach(c => {
+                const code = EMPLOYER_CONTRIBUTION_KINDS[c.kind]?.box12;
+                if (code) box12[code] = (box12[code] || 0) + c.calculatedAmount;
+            });
         });
 
+        w2.box12 = Object.keys(box12).sort().map(code => ({ code, amount: box12[code] }));
+        employees.push(w2);
+    });
+
+    return { year, employees, error: null };
+}
+
+export function generateW2Report(yearStr) {
+    const data = computeW2Data(yearStr);
+    if (data.error) return `<div class="alert alert-info">${data.error}</div>`;
+    let reportHTML = `<h4>Annual W-2 Data - ${data.year}</h4>`;
+
+    data.employees.forEach(w2 => {
+        const emp = w2.employee;
+        const box12Rows = w2.box12.map(({ code, amount }) =>
+            `<tr><td>12</td><td>Code ${code} — ${W2_BOX12_DESCRIPTIONS[code] || ''}</td><td>$${amount.toFixed(2)}</td></tr>`).join('');
         reportHTML += `<div class="card" style="margin-top:20px;"><div class="card-header" style="background: #6c757d;">${escapeHtml(emp.name)} (ID: ${escapeHtml(emp.idNumber)})</div><div class="card-body"><table class="report-table"><thead><tr><th>W-2 Box</th><th>Description</th><th>Amount</th></tr></thead><tbody>
-                            <tr><td>1</td><td>Wages, tips, other compensation</td><td>$${totals.gross.toFixed(2)}</td></tr>
-                            <tr><td>2</td><td>Federal income tax withheld</td><td>$${totals.federal.toFixed(2)}</td></tr>
-                            <tr><td>3</td><td>Social security wages</td><td>$${ssWages.toFixed(2)}</td></tr>
-                            <tr><td>4</td><td>Social security tax withheld</td><td>$${totals.fica.toFixed(2)}</td></tr>
-                            <tr><td>5</td><td>Medicare wages and tips</td><td>$${totals.gross.toFixed(2)}</td></tr>
-                            <tr><td>6</td><td>Medicare tax withheld</td><td>$${totals.medicare.toFixed(2)}</td></tr>
-                            <tr><td>16</td><td>State wages, tips, etc.</td><td>$${totals.gross.toFixed(2)}</td></tr>
-                            <tr><td>17</td><td>State income tax</td><td>$${totals.state.toFixed(2)}</td></tr>
-                            <tr><td>18</td><td>Local wages, tips, etc.</td><td>$${totals.gross.toFixed(2)}</td></tr>
-                            <tr><td>19</td><td>Local income tax</td><td>$${totals.local.toFixed(2)}</td></tr>
+                            <tr><td>1</td><td>Wages, tips, other compensation</td><td>$${w2.box1.toFixed(2)}</td></tr>
+                            <tr><td>2</td><td>Federal income tax withheld</td><td>$${w2.box2.toFixed(2)}</td></tr>
+                            <tr><td>3</td><td>Social security wages</td><td>$${w2.box3.toFixed(2)}</td></tr>
+                            <tr><td>4</td><td>Social security tax withheld</td><td>$${w2.box4.toFixed(2)}</td></tr>
+                            <tr><td>5</td><td>Medicare wages and tips</td><td>$${w2.box5.toFixed(2)}</td></tr>
+                            <tr><td>6</td><td>Medicare tax withheld</td><td>$${w2.box6.toFixed(2)}</td></tr>
+                            ${box12Rows}
+                            <tr><td>16</td><td>State wages, tips, etc.</td><td>$${w2.box16.toFixed(2)}</td></tr>
+                            <tr><td>17</td><td>State income tax</td><td>$${w2.box17.toFixed(2)}</td></tr>
+                            <tr><td>18</td><td>Local wages, tips, etc.</td><td>$${w2.box18.toFixed(2)}</td></tr>
+                            <tr><td>19</td><td>Local income tax</td><td>$${w2.box19.toFixed(2)}</td></tr>
                         </tbody></table></div></div>`;
     });
     return reportHTML;
@@ -199,17 +305,20 @@ export function generateW2Report(yearStr) {
  * @returns {object} 941 line data or { error }
  */
 export function compute941Data(periodStr) {
+    const reportPayPeriods = getReportPayPeriods();
+    const reportEmployees = getReportEmployees();
     const { start, end, title } = parseDateInput(periodStr, 'quarterly');
     if (!start) return { error: 'Invalid period. Use format "Q1 2025".' };
 
     const year = start.getFullYear();
-    const ssWageBase = appData.settings.ssWageBase;
-    const additionalMedicareThreshold = appData.settings.additionalMedicareThreshold;
-    const additionalMedicareRate = appData.settings.additionalMedicareRate / 100;
-    const ficaTotalRate = appData.settings.socialSecurity / 100 * 2; // Both employer and employee
-    const medicareTotalRate = appData.settings.medicare / 100 * 2; // Both employer and employee
-
-    const allPayPeriodsInQuarter = [].concat.apply([], Object.values(appData.payPeriods))
+    const taxConstants = resolveTaxConstants(appData.settings, year); // the year's rates (v22)
+    const ssWageBase = taxConstants.ssWageBase;
+    const additionalMedicareThreshold = taxConstants.additionalMedicareThreshold;
+    const additionalMedicareRate = taxConstants.additionalMedicareRate / 100;
+    const ficaTotalRate = taxConstants.socialSecurity / 100 * 2; // Both employer and employee
+    const medicareTotalRate = taxConstants.medicare / 100 * 2; // Both employer and employee
+
+    const allPayPeriodsInQuarter = [].concat.apply([], Object.values(reportPayPeriods))
         .filter(p => {
             const payDate = fromStorageDate(p.payDate);
             return payDate >= start && payDate <= end && p.grossPay > 0;
@@ -218,12 +327,20 @@ export function compute941Data(periodStr) {
     if (allPayPeriodsInQuarter.length === 0) return { error: `No payroll data for ${title}.` };
 
     const employeeIdsInQuarter = [...new Set(allPayPeriodsInQuarter.map(p => {
-        for (const id in appData.payPeriods) {
-            if (appData.payPeriods[id].includes(p)) return id;
+        for (const id in reportPayPeriods) {
+            if (reportPayPeriods[id].includes(p)) return id;
         }
     }))];
 
-    let line1 = employeeIdsInQuarter.length;
+    // Line 1 counts employees on the payroll on the 12th of the quarter's
+    // last month (v23): one terminated before it, or hired after it, was
+    // paid in the quarter but is not counted
+    const countDate = `${end.getFullYear()}-${String(end.getMonth() + 1).padStart(2, '0')}-12`;
+    let line1 = employeeIdsInQuarter.filter(id => {
+        const emp = reportEmployees.find(e => e.id === id);
+        if (!emp) return true;
+        return !(emp.hireDate && emp.hireDate > countDate) && !(emp.terminationDate && emp.terminationDate < countDate);
+    }).length;
     let line2 = 0, line3 = 0;
     let line5a_col1 = 0, line5c_col1 = 0, line5d_col1 = 0;
     let monthlyLiabilities = [0, 0, 0];
@@ -232,16 +349,16 @@ export function compute941Data(periodStr) {
     let totalDeposited941Taxes = 0;
     let totalUnrounded941Taxes = 0;
 
-    appData.employees.forEach(emp => {
+    reportEmployees.forEach(emp => {
         let ytdSSWages = 0;
-        let ytdGross = 0;
-        const empPayPeriods = appData.payPeriods[emp.id] || [];
+        let ytdMedicareWages = 0;
+        const empPayPeriods = reportPayPeriods[emp.id] || [];
 
         empPayPeriods.forEach(p => {
             const payDate = fromStorageDate(p.payDate);
             if (payDate.getFullYear() === year && payDate < start && p.grossPay > 0) {
-                ytdSSWages += p.grossPay;
-                ytdGross += p.grossPay;
+                ytdSSWages += periodTaxableWages(p, 'fica');
+                ytdMedicareWages += periodTaxableWages(p, 'medicare');
             }
         });
 
@@ -251,22 +368,26 @@ export function compute941Data(periodStr) {
         });
 
         periodsInQuarter.forEach(p => {
-            line2 += p.grossPay;
+            // Line 2 is federal income tax wages; 5a/5c exclude only the
+            // pre-tax deductions exempt from FICA/Medicare (e.g. Section 125)
+            const ssWages = periodTaxableWages(p, 'fica');
+            const medicareWages = periodTaxableWages(p, 'medicare');
+            line2 += periodTaxableWages(p, 'federal');
             line3 += p.taxes.federal;
 
             if (ytdSSWages < ssWageBase) {
-                line5a_col1 += Math.min(p.grossPay, ssWageBase - ytdSSWages);
+                line5a_col1 += Math.min(ssWages, ssWageBase - ytdSSWages);
             }
-            ytdSSWages += p.grossPay;
+            ytdSSWages += ssWages;
 
-            line5c_col1 += p.grossPay;
+            line5c_col1 += medicareWages;
 
-            if (ytdGross < additionalMedicareThreshold && (ytdGross + p.grossPay) > additionalMedicareThreshold) {
-                line5d_col1 += (ytdGross + p.grossPay) - additionalMedicareThreshold;
-            } else if (ytdGross >= additionalMedicareThreshold) {
-                line5d_col1 += p.grossPay;
+            if (ytdMedicareWages < additionalMedicareThreshold && (ytdMedicareWages + medicareWages) > additionalMedicareThreshold) {
+                line5d_col1 += (ytdMedicareWages + medicareWages) - additionalMedicareThreshold;
+            } else if (ytdMedicareWages >= additionalMedicareThreshold) {
+                line5d_col1 += medicareWages;
             }
-            ytdGross += p.grossPay;
+            ytdMedicareWages += medicareWages;
 
             const rounded941TaxThisPeriod = p.taxes.federal + (p.taxes.fica * 2) + (p.taxes.medicare * 2);
             totalDeposited941Taxes += rounded941TaxThisPeriod;
@@ -293,14 +414,23 @@ export function compute941Data(periodStr) {
     const line7 = totalDeposited941Taxes - parseFloat(totalUnrounded941Taxes.toFixed(2)) ;
     const line10 = line6 + line7;
     const line12 = line10;
-    const line13 = totalDeposited941Taxes;
+    // Line 13 is the 941 deposits recorded for the quarter (v27); with none
+    // recorded, deposits are assumed to match the liability
+    const quarter = getQuarterForDate(start);
+    const deposits = getTaxDeposits('federal', quarter.start, quarter.end);
+    const depositsRecorded = deposits.length > 0;
+    const line13 = depositsRecorded
+        ? parseFloat(deposits.reduce((sum, d) => sum + d.amount, 0).toFixed(2))
+        : totalDeposited941Taxes;
+    const line14 = Math.max(0, parseFloat((line12 - line13).toFixed(2))); // Balance due
+    const line15 = Math.max(0, parseFloat((line13 - line12).toFixed(2))); // Overpayment
     const totalLiability = monthlyLiabilities.reduce((a, b) => a + b, 0);
 
     return {
         title, year,
         line1, line2, line3,
         line5a_col1, line5a_col2, line5c_col1, line5c_col2, line5d_col1, line5d_col2,
-        line5e, line6, line7, line10, line12, line13,
+        line5e, line6, line7, line10, line12, line13, line14, line15, depositsRecorded,
         monthlyLiabilities, totalLiability,
         ssWageBase, additionalMedicareThreshold, additionalMedicareRate,
         ficaTotalRate, medicareTotalRate,
@@ -315,12 +445,16 @@ export function generate941Report(periodStr) {
     const {
         title, line1, line2, line3,
         line5a_col1, line5a_col2, line5c_col1, line5c_col2, line5d_col1, line5d_col2,
-        line5e, line6, line7, line10, line12, line13,
+        line5e, line6, line7, line10, line12, line13, line14, line15, depositsRecorded,
         monthlyLiabilities, totalLiability,
         ssWageBase, additionalMedicareThreshold, additionalMedicareRate,
         ficaTotalRate, medicareTotalRate
     } = data;
 
+    const depositsNote = depositsRecorded
+        ? 'Total deposits are the 941 deposits recorded in the Tax Deposits ledger for this quarter.'
+        : 'No 941 deposits are recorded for this quarter, so timely deposits per your Tax Deposit reports are assumed. Total deposits then equal total liability, resulting in \$0.00 balance due.';
+
     // PayTrax reports Additional Medicare Tax but does not withhold it (audit F6)
     const additionalMedicareWarning = line5d_col1 > 0
         ? `<div class="alert alert-danger">Warning: wages above the Additional Medicare threshold were detected.
@@ -331,7 +465,7 @@ export function generate941Report(periodStr) {
 
     return `${additionalMedicareWarning}
         <h4>Quarterly Payroll Tax Report (Form 941) - ${title}</h4>
-        <p class="alert alert-secondary" style="font-size: 0.9em;">This report provides data for Form 941 quarterly federal tax return. Assumes timely tax deposits per your Tax Deposit reports. Total deposits should equal total liability, resulting in \$0.00 balance due.</p>
+        <p class="alert alert-secondary" style="font-size: 0.9em;">This report provides data for Form 941 quarterly federal tax return. ${depositsNote}</p>
         <h5>Quarterly Summary</h5>
         <table class="report-table">
             <thead><tr><th>Description</th><th style="text-align:right;">Amount</th></tr></thead>
@@ -358,7 +492,8 @@ export function generate941Report(periodStr) {
                 <tr><td>Qualified small business payroll tax credit</td><td style="text-align:right;">$0.00</td></tr>
                 <tr class="total-row"><td>Total taxes after credits</td><td style="text-align:right;">$${line12.toFixed(2)}</td></tr>
                 <tr><td>Total deposits for this quarter</td><td style="text-align:right;">$${line13.toFixed(2)}</td></tr>
-                <tr class="total-row"><td>Balance due (overpayment shown as negative)</td><td style="text-align:right;">$${(line12 - line13).toFixed(2)}</td></tr>
+                <tr class="total-row"><td>Balance due</td><td style="text-align:right;">$${line14.toFixed(2)}</td></tr>
+                <tr class="total-row"><td>Overpayment</td><td style="text-align:right;">$${line15.toFixed(2)}</td></tr>
             </tbody>
         </table>
         <h5 style="margin-top: 20px;">Monthly Tax Liability Breakdown</h5>
@@ -374,6 +509,139 @@ export function generate941Report(periodStr) {
     `;
 }
 
+/**
+ * Form 941 Schedule B figures for a quarter: the 941 tax liability of
+ * each pay date (income tax withheld plus both shares of Social Security and
+ * Medicare, as withheld), by month. The total must equal line 12 of the 941;
+ * a difference is flagged with its likely cause.
+ * Shared by the HTML report, the CSV and the PDF export.
+ * @param {string} periodStr - Quarter, e.g. "Q1 2025"
+ * @returns {object} { title, year, months: [{ label, days: [{ day, payDate, liability }], total }], total, line12, difference, reconciles, mismatchReason, schedule, nextDayDeposits } or { error }
+ */
+export function computeScheduleBData(periodStr) {
+    const data = compute941Data(periodStr);
+    if (data.error) return { error: data.error };
+
+    const { start } = parseDateInput(periodStr, 'quarterly');
+    const quarter = getQuarterForDate(start);
+    const byDate = {};
+    [].concat(...Object.values(getReportPayPeriods()))
+        .filter(p => p.grossPay > 0 && p.payDate >= quarter.start && p.payDate <= quarter.end)
+        .forEach(p => { byDate[p.payDate] = (byDate[p.payDate] || 0) + periodTaxLiability(p, 'federal'); });
+
+    const months = [0, 1, 2].map(offset => {
+        const monthStart = new Date(data.year, start.getMonth() + offset, 1);
+        const prefix = `${data.year}-${String(monthStart.getMonth() + 1).padStart(2, '0')}-`;
+        const days = Object.keys(byDate).filter(d => d.startsWith(prefix)).sort().map(payDate => ({
+            day: parseInt(payDate.slice(8), 10),
+            payDate,
+            liability: parseFloat(byDate[payDate].toFixed(2))
+        }));
+        return {
+            label: monthStart.toLocaleString('en-US', { month: 'long' }),
+            days,
+            total: parseFloat(days.reduce((sum, d) => sum + d.liability, 0).toFixed(2))
+        };
+    });
+
+    const total = parseFloat(months.reduce((sum, m) => sum + m.total, 0).toFixed(2));
+    const line12 = parseFloat(data.line12.toFixed(2));
+    const difference = parseFloat((total - line12).toFixed(2));
+    const reconciles = difference === 0;
+    let mismatchReason = null;
+    if (!reconciles) {
+        mismatchReason = data.line5d_col2 > 0
+            ? 'Line 12 includes Additional Medicare Tax (line 5d) that was not withheld on any pay date.'
+            : 'Line 5 is figured from quarterly wages at the tax rates, which differs from the taxes withheld on each pay date by more than the fractions-of-cents adjustment on line 7.';
+    }
+
+    const scheduleCache = createDepositScheduleCache();
+    return {
+        title: data.title, year: data.year,
+        months, total, line12, difference, reconciles, mismatchReason,
+        schedule: getTaxFrequency('federal', quarter.end, scheduleCache),
+        nextDayDeposits: findNextDayDeposits(data.year, scheduleCache).filter(t => t.payDate >= quarter.start && t.payDate <= quarter.end),
+        error: null
+    };
+}
+
+/**
+ * Form 941 Schedule B for a quarter: the daily tax liability by pay
+ * date with monthly totals, reconciled to line 12.
+ * @param {string} periodStr - Quarter, e.g. "Q1 2025"
+ * @returns {string} HTML
+ */
+export function generateScheduleBReport(periodStr) {
+    const data = computeScheduleBData(periodStr);
+    if (data.error) return `<div class="alert alert-info">${data.error}</div>`;
+
+    const reconciliation = data.reconciles
+        ? `<div class="alert alert-success">The Schedule B total matches line 12 of Form 941 ($${data.line12.toFixed(2)}).</div>`
+        : `<div class="alert alert-danger">Mismatch: the Schedule B total ($${data.total.toFixed(2)}) differs from line 12 of Form 941 ($${data.line12.toFixed(2)}) by $${data.difference.toFixed(2)}. ${data.mismatchReason} Correct the liabilities so the totals agree before filing.</div>`;
+    const required = data.schedule === 'semiweekly' || data.nextDayDeposits.length > 0
+        ? ''
+        : `<p class="alert alert-secondary" style="font-size: 0.9em;">Your 941 deposit schedule for this quarter is ${escapeHtml(data.schedule)}. Schedule B is filed by semiweekly depositors and by monthly depositors who accumulated $100,000 of liability on any day; others report the monthly liabilities on line 16 of Form 941.</p>`;
+
+    const monthTables = data.months.map((m, i) => {
+        const rows = m.days.map(d => `<tr><td>${d.day}</td><td>${toDisplayDate(d.payDate)}</td><td style="text-align:right;">$${d.liability.toFixed(2)}</td></tr>`).join('');
+        return `<h5 style="margin-top: 20px;">Month ${i + 1}: ${m.label}</h5>
+            <table class="report-table">
+                <thead><tr><th>Day</th><th>Pay Date</th><th style="text-align:right;">Tax Liability</th></tr></thead>
+                <tbody>${rows || '<tr><td colspan="3">No pay dates this month.</td></tr>'}
+                    <tr class="total-row"><td colspan="2">Tax liability for Month ${i + 1}</td><td style="text-align:right;">$${m.total.toFixed(2)}</td></tr></tbody>
+            </table>`;
+    }).join('');
+
+    return `${reconciliation}
+        <h4>Form 941 Schedule B - Report of Tax Liability for Semiweekly Schedule Depositors - ${data.title}</h4>
+        ${required}
+        ${monthTables}
+        <table class="report-table" style="margin-top: 20px;">
+            <tbody>
+                <tr class="total-row"><td>Total liability for the quarter</td><td style="text-align:right;">$${data.total.toFixed(2)}</td></tr>
+                <tr><td>Form 941, line 12</td><td style="text-align:right;">$${data.line12.toFixed(2)}</td></tr>
+                <tr${data.reconciles ? '' : ' style="color: #dc3545; font-weight: bold;"'}><td>Difference</td><td style="text-align:right;">$${data.difference.toFixed(2)}</td></tr>
+            </tbody>
+        </table>
+        <p style="margin-top:15px; font-size: 0.9em; color: #6c757d;">Liability is entered on the day wages were paid, not the day the payroll period ended or the day the deposit was made.</p>`;
+}
+
+/**
+ * Form 941-X comparison (v29) for a quarter marked filed: each corrected
+ * line as originally reported, as recalculated and the difference, with
+ * the tax correction.
+ * @param {string} periodStr - Quarter, e.g. "Q1 2025"
+ * @returns {string} HTML
+ */
+export function generate941XReport(periodStr) {
+    const data = compute941XData(periodStr);
+    if (data.error) return `<div class="alert alert-info">${data.error}</div>`;
+
+    const money = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+    const rows = data.rows.map(r => {
+        const changed = r.difference !== 0 || (r.taxCorrection || 0) !== 0;
+        return `<tr${changed ? ' style="font-weight: bold;"' : ''}><td>${r.line}</td><td>${r.label}</td><td style="text-align:right;">${money(r.original)}</td><td style="text-align:right;">${money(r.corrected)}</td><td style="text-align:right;">${money(r.difference)}</td><td style="text-align:right;">${r.taxCorrection === null ? '' : money(r.taxCorrection)}</td></tr>`;
+    }).join('');
+
+    let taxChange = 'Wages changed; tax liability is unchanged';
+    if (data.line12.difference > 0) taxChange = `Tax is underreported by ${money(data.line12.difference)}`;
+    else if (data.line12.difference < 0) taxChange = `Tax is overreported by ${money(-data.line12.difference)}`;
+    const summary = data.hasChanges
+        ? `<div class="alert alert-danger">The figures for ${data.title} have changed since the 941 was filed on ${toDisplayDate(data.filedDate)}. ${taxChange}; file Form 941-X to correct it.</div>`
+        : `<div class="alert alert-success">The figures for ${data.title} match the 941 filed on ${toDisplayDate(data.filedDate)}. No correction is needed.</div>`;
+
+    return `${summary}
+        <h4>Form 941-X Comparison - ${data.title}</h4>
+        <table class="report-table">
+            <thead><tr><th>941 Line</th><th>Description</th><th style="text-align:right;">Originally Reported</th><th style="text-align:right;">Corrected</th><th style="text-align:right;">Difference</th><th style="text-align:right;">Tax Correction</th></tr></thead>
+            <tbody>${rows}
+                <tr class="total-row"><td colspan="5">Total tax correction</td><td style="text-align:right;">${money(data.totalTaxCorrection)}</td></tr>
+                <tr class="total-row"><td>12</td><td>Total taxes after adjustments and credits</td><td style="text-align:right;">${money(data.line12.original)}</td><td style="text-align:right;">${money(data.line12.corrected)}</td><td style="text-align:right;">${money(data.line12.difference)}</td><td></td></tr>
+            </tbody>
+        </table>
+        <p style="margin-top:15px; font-size: 0.9em; color: #6c757d;">Originally reported amounts are those saved when the quarter was marked filed; corrected amounts are today's 941 figures. The tax correction of lines 5a-5d is the difference in the tax columns of those lines.</p>`;
+}
+
 /**
  * Computes all Form 940 figures for a year (pure data, no HTML).
  * Returns { error } when the year has no payroll data.
@@ -382,27 +650,31 @@ export function generate941Report(periodStr) {
  * @returns {object} 940 line data or { error }
  */
 export function compute940Data(yearStr) {
+    const reportPayPeriods = getReportPayPeriods();
+    const reportEmployees = getReportEmployees();
     const year = parseInt(yearStr) || appData.settings.taxYear;
-    const futaWageBase = appData.settings.futaWageBase;
-    const futaRate = appData.settings.futaRate / 100;
+    const taxConstants = resolveTaxConstants(appData.settings, year); // the year's rates (v22)
+    const futaWageBase = taxConstants.futaWageBase;
+    const futaRate = taxConstants.futaRate / 100;
 
-    const allPayPeriods = [].concat.apply([], Object.values(appData.payPeriods));
+    const allPayPeriods = [].concat.apply([], Object.values(reportPayPeriods));
     const periodsInYear = allPayPeriods.filter(p => fromStorageDate(p.payDate).getFullYear() === year && p.grossPay > 0);
     if (periodsInYear.length === 0) return { error: `No payroll data for ${year}.` };
 
     let line3 = 0, line4 = 0, line5 = 0;
     let quarterlyLiabilities = {q1: 0, q2: 0, q3: 0, q4: 0};
 
-    appData.employees.forEach(emp => {
+    reportEmployees.forEach(emp => {
         let ytdFUTAWages = 0;
-        const empPayPeriods = (appData.payPeriods[emp.id] || []).filter(p => fromStorageDate(p.payDate).getFullYear() === year).sort((a,b) => a.period - b.period);
+        const empPayPeriods = (reportPayPeriods[emp.id] || []).filter(p => fromStorageDate(p.payDate).getFullYear() === year).sort(comparePayPeriods);
 
         empPayPeriods.forEach(p => {
             if (p.grossPay <= 0) return;
 
+            // Pre-tax deductions exempt from FUTA (Section 125) are line 4 payments
+            const wagesThisPeriod = periodTaxableWages(p, 'futa');
             line3 += p.grossPay;
-
-            const wagesThisPeriod = p.grossPay;
+            line4 += p.grossPay - wagesThisPeriod;
             let taxableFUTAWagesThisPeriod = 0;
             if (ytdFUTAWages < futaWageBase) {
                 taxableFUTAWagesThisPeriod = Math.min(wagesThisPeriod, futaWageBase - ytdFUTAWages);
@@ -489,6 +761,229 @@ export function generate940Report(yearStr) {
     `;
 }
 
+/**
+ * Collects garnishment remittances by payee for a date range (pure data, no HTML).
+ * Every garnishment withheld on a pay date in the range is listed under its
+ * payee with the employee, case number and amount to send.
+ * Shared by the HTML report and the CSV export.
+ * @param {string} startDateStr - Start date (YYYY-MM-DD)
+ * @param {string} endDateStr - End date (YYYY-MM-DD)
+ * @param {string} employeeId - Employee ID or "all"
+ * @returns {object} { payees: [{ payee, total, items: [{ employeeName, caseNumber, orderType, payDate, amount }] }], total, error }
+ */
+export function computeGarnishmentRemittance(startDateStr, endDateStr, employeeId = 'all') {
+    const reportPayPeriods = getReportPayPeriods();
+    const reportEmployees = getReportEmployees();
+    if (!startDateStr || !endDateStr) return { payees: [], total: 0, error: 'Please select a start and end date.' };
+    const start = new Date(startDateStr + 'T00:00:00');
+    const end = new Date(endDateStr + 'T23:59:59');
+
+    const employees = employeeId === 'all' ? reportEmployees : reportEmployees.filter(e => e.id === employeeId);
+    const byPayee = {};
+
+    employees.forEach(emp => {
+        (reportPayPeriods[emp.id] || []).forEach(p => {
+            const payDate = fromStorageDate(p.payDate);
+            if (payDate < start || payDate > end || !(p.grossPay > 0)) return;
+            (p.deductions || []).filter(ded => ded.garnishment && ded.calculatedAmount > 0).forEach(ded => {
+                if (!byPayee[ded.payee]) byPayee[ded.payee] = { payee: ded.payee, total: 0, items: [] };
+                byPayee[ded.payee].items.push({
+                    employeeName: emp.name, caseNumber: ded.caseNumber || '', orderType: ded.orderType,
+                    payDate: p.payDate, amount: ded.calculatedAmount
+                });
+                byPayee[ded.payee].total += ded.calculatedAmount;
+            });
+        });
+    });
+
+    const payees = Object.values(byPayee).sort((a, b) => a.payee.localeCompare(b.payee));
+    payees.forEach(group => group.items.sort((a, b) => a.payDate.localeCompare(b.payDate)));
+    if (payees.length === 0) return { payees, total: 0, error: 'No garnishments withheld in this date range.' };
+
+    return { payees, total: payees.reduce((sum, g) => sum + g.total, 0), error: null };
+}
+
+export function generateGarnishmentRemittanceReport(startDateStr, endDateStr, employeeId = 'all') {
+    const data = computeGarnishmentRemittance(startDateStr, endDateStr, employeeId);
+    if (data.error) return `<div class="alert alert-info">${data.error}</div>`;
+
+    let reportHTML = `<h4>Garnishment Remittance Report: ${startDateStr} to ${endDateStr}</h4>`;
+    data.payees.forEach(group => {
+        const rows = group.items.map(item =>
+            `<tr><td>${toDisplayDate(item.payDate)}</td><td>${escapeHtml(item.employeeName)}</td><td>${escapeHtml(item.caseNumber)}</td><td style="text-align:right;">$${item.amount.toFixed(2)}</td></tr>`).join('');
+        reportHTML += `<div class="card" style="margin-top:20px;"><div class="card-header" style="background: #6c757d;">Remit to: ${escapeHtml(group.payee)}</div><div class="card-body"><table class="report-table">
+            <thead><tr><th>Pay Date</th><th>Employee</th><th>Case Number</th><th style="text-align:right;">Amount</th></tr></thead>
+            <tbody>${rows}<tr class="total-row"><td colspan="3">Total to remit</td><td style="text-align:right;">$${group.total.toFixed(2)}</td></tr></tbody>
+        </table></div></div>`;
+    });
+    reportHTML += `<p style="margin-top:15px;"><strong>Total garnishments withheld: $${data.total.toFixed(2)}</strong></p>`;
+    return reportHTML;
+}
+
+/**
+ * Lists voided and reissued checks for a date range (pure data, no HTML).
+ * Each voided check appears twice — as issued on its original pay date and
+ * as a negative reversal on its void date — and a period paid again after a
+ * void appears as the reissued check, so the net of the listed amounts
+ * matches the wages the 941/W-2 reports now count. Shared by the HTML report
+ * and the CSV export.
+ * @param {string} startDateStr - Start date (YYYY-MM-DD)
+ * @param {string} endDateStr - End date (YYYY-MM-DD)
+ * @param {string} employeeId - Employee ID or "all"
+ * @returns {object} { rows: [{ employeeName, periodLabel, type, date, reason, gross, taxes, net }], totals: { gross, taxes, net }, error }
+ */
+export function computeVoidedChecks(startDateStr, endDateStr, employeeId = 'all') {
+    const reportPayPeriods = getReportPayPeriods();
+    const reportEmployees = getReportEmployees();
+    const empty = { rows: [], totals: { gross: 0, taxes: 0, net: 0 } };
+    if (!startDateStr || !endDateStr) return { ...empty, error: 'Please select a start and end date.' };
+    const start = new Date(startDateStr + 'T00:00:00');
+    const end = new Date(endDateStr + 'T23:59:59');
+    const inRange = (dateStr) => {
+        const date = fromStorageDate(dateStr);
+        return date >= start && date <= end;
+    };
+
+    const employees = employeeId === 'all' ? reportEmployees : reportEmployees.filter(e => e.id === employeeId);
+    const rows = [];
+
+    employees.forEach(emp => {
+        (reportPayPeriods[emp.id] || []).forEach(p => {
+            if (!p.voidedChecks?.length) return;
+            const periodLabel = p.offCycle ? 'Off-cycle' : `Period ${p.period}`;
+            const row = (type, date, source, sign, reason = '') => ({
+                employeeName: emp.name, periodLabel, type, date, reason,
+                gross: sign * source.grossPay, taxes: sign * source.taxes.total, net: sign * source.netPay
+            });
+
+            p.voidedChecks.forEach(v => {
+                if (inRange(v.payDate)) rows.push(row('Issued', v.payDate, v, 1));
+                if (inRange(v.voidDate)) rows.push(row('Voided', v.voidDate, v, -1, v.reason));
+            });
+            if (p.grossPay > 0 && inRange(p.payDate)) rows.push(row('Reissued', p.payDate, p, 1));
+        });
+    });
+
+    if (rows.length === 0) return { ...empty, error: 'No voided checks in this date range.' };
+    rows.sort((a, b) => a.date.localeCompare(b.date));
+
+    const totals = rows.reduce((sum, r) => ({ gross: sum.gross + r.gross, taxes: sum.taxes + r.taxes, net: sum.net + r.net }), empty.totals);
+    return { rows, totals, error: null };
+}
+
+export function generateVoidedChecksReport(startDateStr, endDateStr, employeeId = 'all') {
+    const data = computeVoidedChecks(startDateStr, endDateStr, employeeId);
+    if (data.error) return `<div class="alert alert-info">${data.error}</div>`;
+
+    const money = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+    const rows = data.rows.map(r =>
+        `<tr><td>${toDisplayDate(r.date)}</td><td>${escapeHtml(r.employeeName)}</td><td>${r.periodLabel}</td><td>${r.type}${r.reason ? ` — ${escapeHtml(r.reason)}` : ''}</td><td style="text-align:right;">${money(r.gross)}</td><td style="text-align:right;">${money(r.taxes)}</td><td style="text-align:right;">${money(r.net)}</td></tr>`).join('');
+
+    return `<h4>Voided & Reissued Checks: ${startDateStr} to ${endDateStr}</h4>
+        <table class="report-table">
+            <thead><tr><th>Date</th><th>Employee</th><th>Period</th><th>Check</th><th style="text-align:right;">Gross</th><th style="text-align:right;">Employee Taxes</th><th style="text-align:right;">Net</th></tr></thead>
+            <tbody>${rows}<tr class="total-row"><td colspan="4">NET</td><td style="text-align:right;">${money(data.totals.gross)}</td><td style="text-align:right;">${money(data.totals.taxes)}</td><td style="text-align:right;">${money(data.totals.net)}</td></tr></tbody>
+        </table>
+        <p style="margin-top:15px; font-size: 0.9em; color: #6c757d;">Voided checks are reversed on their void date; only the reissued checks remain in the 941, 940 and W-2 totals.</p>`;
+}
+
+/** How the reconciliation report describes each status from reconcileTaxDeposits. */
+const DEPOSIT_STATUS_LABELS = {
+    paid: 'Paid in full',
+    overpaid: 'Overpaid',
+    underpaid: 'Underpaid',
+    due: 'Balance not yet due'
+};
+
+/**
+ * Tax deposit reconciliation for a quarter (v27): each tax type's liability
+ * against the deposits recorded for it, with shortfalls and late deposits
+ * flagged.
+ * @param {string} periodStr - Quarter, e.g. "Q1 2025"
+ * @returns {string} HTML
+ */
+export function generateTaxDepositReconciliationReport(periodStr) {
+    const data = reconcileTaxDeposits(periodStr);
+    if (data.error) return `<div class="alert alert-info">${data.error}</div>`;
+    if (data.rows.length === 0) return `<div class="alert alert-info">No tax liabilities or deposits for ${data.title}.</div>`;
+
+    const summaryRows = data.rows.map(r => {
+        let status = DEPOSIT_STATUS_LABELS[r.status];
+        if (r.status === 'underpaid') status += ` — $${r.pastDue.toFixed(2)} past due`;
+        if (r.lateCount > 0) status += ` — ${r.lateCount} late deposit${r.lateCount === 1 ? '' : 's'}`;
+        const flagged = r.status === 'underpaid' || r.lateCount > 0;
+        return `<tr><td>${r.label}</td><td style="text-align:right;">$${r.liability.toFixed(2)}</td><td style="text-align:right;">$${r.deposited.toFixed(2)}</td><td style="text-align:right;">$${r.balance.toFixed(2)}</td><td${flagged ? ' style="color: #dc3545; font-weight: bold;"' : ''}>${status}</td></tr>`;
+    }).join('');
+
+    const depositRows = data.rows.flatMap(r => r.deposits.map(d =>
+        `<tr><td>${toDisplayDate(d.datePaid)}</td><td>${r.label}</td><td>${toDisplayDate(d.periodStart)} - ${toDisplayDate(d.periodEnd)}</td><td>${escapeHtml(d.confirmationNumber)}</td><td style="text-align:right;">$${d.amount.toFixed(2)}</td><td>${toDisplayDate(d.dueDate)}</td><td${d.late ? ' style="color: #dc3545; font-weight: bold;"' : ''}>${d.late ? 'Late' : 'On time'}</td></tr>`)).join('');
+
+    const flags = data.rows.filter(r => r.status === 'underpaid' || r.lateCount > 0);
+    const warning = flags.length > 0
+        ? `<div class="alert alert-danger">Attention: ${flags.map(r => r.label).join(', ')} ${flags.length === 1 ? 'has' : 'have'} underpaid or late deposits this quarter.</div>`
+        : '';
+
+    return `${warning}
+        <h4>Tax Deposit Reconciliation - ${data.title}</h4>
+        <table class="report-table">
+            <thead><tr><th>Tax Type</th><th style="text-align:right;">Liability</th><th style="text-align:right;">Deposited</th><th style="text-align:right;">Balance</th><th>Status</th></tr></thead>
+            <tbody>${summaryRows}</tbody>
+        </table>
+        <h5 style="margin-top: 20px;">Deposits</h5>
+        ${depositRows
+            ? `<table class="report-table"><thead><tr><th>Date Paid</th><th>Tax Type</th><th>Period Covered</th><th>Confirmation #</th><th style="text-align:right;">Amount</th><th>Due Date</th><th>Timeliness</th></tr></thead><tbody>${depositRows}</tbody></table>`
+            : '<p>No deposits are recorded for this quarter.</p>'}
+        <p style="margin-top:15px; font-size: 0.9em; color: #6c757d;">Liabilities are those of the quarter's pay dates; deposits count toward the quarter their covered period ends in. Due dates follow each tax's deposit frequency in Settings.</p>`;
+}
+
+/** How the due-date calendar describes each status from buildTaxCalendar. */
+const CALENDAR_STATUS_LABELS = {
+    paid: 'Paid',
+    late: 'Paid late',
+    'past-due': 'PAST DUE',
+    upcoming: 'Upcoming',
+    past: 'Due date passed'
+};
+
+/**
+ * The year's tax deposit and filing due dates as a list by month,
+ * with past-due deposits flagged from the deposits ledger.
+ * @param {string} yearStr - e.g. "2025" (defaults to the tax year)
+ * @returns {string} HTML
+ */
+export function generateTaxCalendarReport(yearStr) {
+    const year = parseInt(yearStr) || appData.settings.taxYear;
+    const items = buildTaxCalendar(year);
+
+    let rows = '';
+    let month = null;
+    items.forEach(item => {
+        const itemMonth = fromStorageDate(item.date).toLocaleString('en-US', { month: 'long', year: 'numeric' });
+        if (itemMonth !== month) {
+            month = itemMonth;
+            rows += `<tr class="sub-total-row"><td colspan="6">${itemMonth}</td></tr>`;
+        }
+        const flagged = item.status === 'past-due' || item.status === 'late';
+        const amounts = item.kind === 'deposit'
+            ? `<td style="text-align:right;">$${item.amount.toFixed(2)}</td><td style="text-align:right;">$${item.deposited.toFixed(2)}</td>`
+            : '<td></td><td></td>';
+        rows += `<tr><td>${toDisplayDate(item.date)}</td><td>${item.label}</td><td>${describeCalendarPeriod(item)}</td>${amounts}<td${flagged ? ' style="color: #dc3545; font-weight: bold;"' : ''}>${CALENDAR_STATUS_LABELS[item.status]}</td></tr>`;
+    });
+
+    const pastDue = items.filter(item => item.status === 'past-due');
+    const warning = pastDue.length > 0
+        ? `<div class="alert alert-danger">Attention: ${pastDue.length} deposit${pastDue.length === 1 ? ' is' : 's are'} past due and not fully recorded in the Tax Deposits ledger.</div>`
+        : '';
+
+    return `${warning}
+        <h4>Tax Due-Date Calendar - ${year}</h4>
+        <table class="report-table">
+            <thead><tr><th>Due Date</th><th>Deposit / Return</th><th>Covers</th><th style="text-align:right;">Amount Due</th><th style="text-align:right;">Deposited</th><th>Status</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <p style="margin-top:15px; font-size: 0.9em; color: #6c757d;">Due dates falling on a weekend or federal legal holiday are moved to the next business day. Deposit dates follow each tax's deposit frequency in Settings; FUTA follows the $500 quarterly rule. State and local return dates shown are the common end-of-month-after-quarter dates; check your agency's schedule.</p>`;
+}
+
 // --- CSV EXPORT FUNCTIONS ---
 
 /**
@@ -497,46 +992,33 @@ export function generate940Report(yearStr) {
  * @returns {void} - Downloads CSV file
  */
 export function exportW2ReportToCSV(yearStr) {
-    const year = parseInt(yearStr) || appData.settings.taxYear;
-    const ssWageBase = appData.settings.ssWageBase;
+    const data = computeW2Data(yearStr);
+    const codes = Object.keys(W2_BOX12_DESCRIPTIONS).sort();
 
-    let csvContent = "Employee Name,Employee ID,Wages,Federal Tax,FICA,Medicare,SS Wages,State Tax,Local Tax\n";
-
-    appData.employees.forEach(emp => {
-        const periodsInYear = (appData.payPeriods[emp.id] || []).filter(p => fromStorageDate(p.payDate).getFullYear() === year && p.grossPay > 0);
-        if (periodsInYear.length === 0) return;
-
-        let totals = { gross: 0, federal: 0, fica: 0, medicare: 0, state: 0, local: 0 };
-        let ssWages = 0;
-
-        periodsInYear.forEach(p => {
-            const grossBeforeThisPeriod = ssWages;
-            if (grossBeforeThisPeriod < ssWageBase) {
-                ssWages += Math.min(p.grossPay, ssWageBase - grossBeforeThisPeriod);
-            }
-            totals.gross += p.grossPay;
-            totals.federal += p.taxes.federal;
-            totals.fica += p.taxes.fica;
-            totals.medicare += p.taxes.medicare;
-            totals.state += p.taxes.state;
-            totals.local += p.taxes.local;
-        });
+    let csvContent = "Employee Name,Employee ID,Wages,Federal Tax,FICA,Medicare,SS Wages,Medicare Wages,State Wages,State Tax,Local Wages,Local Tax," +
+        codes.map(code => `Box 12 ${code}`).join(',') + "\n";
 
+    data.employees.forEach(w2 => {
+        const emp = w2.employee;
         const row = [
             `"${emp.name}"`,
             `"${emp.idNumber}"`,
-            totals.gross.toFixed(2),
-            totals.federal.toFixed(2),
-            totals.fica.toFixed(2),
-            totals.medicare.toFixed(2),
-            ssWages.toFixed(2),
-            totals.state.toFixed(2),
-            totals.local.toFixed(2)
+            w2.box1.toFixed(2),
+            w2.box2.toFixed(2),
+            w2.box4.toFixed(2),
+            w2.box6.toFixed(2),
+            w2.box3.toFixed(2),
+            w2.box5.toFixed(2),
+            w2.box16.toFixed(2),
+            w2.box17.toFixed(2),
+            w2.box18.toFixed(2),
+            w2.box19.toFixed(2),
+            ...codes.map(code => (w2.box12.find(b => b.code === code)?.amount || 0).toFixed(2))
         ].join(',');
         csvContent += row + "\n";
     });
 
-    downloadCSV(csvContent, `PayTrax_W2_Report_${year}.csv`);
+    downloadCSV(csvContent, `PayTrax_W2_Report_${data.year}.csv`);
 }
 
 /**
@@ -545,13 +1027,14 @@ export function exportW2ReportToCSV(yearStr) {
  * @returns {void} - Downloads CSV file
  */
 export function export941ReportToCSV(periodStr) {
+    const reportPayPeriods = getReportPayPeriods();
     const { start, end, title } = parseDateInput(periodStr, 'quarterly');
     if (!start) {
         showToast('Invalid period. Use format "Q1 2025".', 'warning');
         return;
     }
 
-    const allPayPeriodsInQuarter = [].concat.apply([], Object.values(appData.payPeriods))
+    const allPayPeriodsInQuarter = [].concat.apply([], Object.values(reportPayPeriods))
         .filter(p => {
             const payDate = fromStorageDate(p.payDate);
             return payDate >= start && payDate <= end && p.grossPay > 0;
@@ -568,7 +1051,7 @@ export function export941ReportToCSV(periodStr) {
     let totalWages = 0, totalFederal = 0, totalFICA = 0, totalMedicare = 0;
 
     allPayPeriodsInQuarter.forEach(p => {
-        totalWages += p.grossPay;
+        totalWages += periodTaxableWages(p, 'federal');
         totalFederal += p.taxes.federal;
         totalFICA += p.taxes.fica * 2;
         totalMedicare += p.taxes.medicare * 2;
@@ -580,20 +1063,82 @@ export function export941ReportToCSV(periodStr) {
     csvContent += `"Medicare Tax","${totalMedicare.toFixed(2)}"\n`;
     csvContent += `"Total Tax Liability","${(totalFederal + totalFICA + totalMedicare).toFixed(2)}"\n`;
 
+    const data = compute941Data(periodStr);
+    csvContent += `"Total Deposits","${data.line13.toFixed(2)}"\n`;
+    csvContent += `"Balance Due","${data.line14.toFixed(2)}"\n`;
+    csvContent += `"Overpayment","${data.line15.toFixed(2)}"\n`;
+
     downloadCSV(csvContent, `PayTrax_941_Report_${periodStr.replace(/\s+/g, '_')}.csv`);
 }
 
+/**
+ * Exports Form 941 Schedule B to CSV: one row per pay date, the
+ * monthly totals and the reconciliation to line 12.
+ * @param {string} periodStr - Quarter, e.g. "Q1 2025"
+ */
+export function exportScheduleBToCSV(periodStr) {
+    const data = computeScheduleBData(periodStr);
+    if (data.error) {
+        showToast(data.error, 'warning');
+        return;
+    }
+
+    let csvContent = "Month,Day,Pay Date,Tax Liability\n";
+    data.months.forEach((m, i) => {
+        m.days.forEach(d => {
+            csvContent += [i + 1, d.day, d.payDate, d.liability.toFixed(2)].join(',') + "\n";
+        });
+        csvContent += `"Month ${i + 1} Total",,,${m.total.toFixed(2)}\n`;
+    });
+    csvContent += `"Total Liability for Quarter",,,${data.total.toFixed(2)}\n`;
+    csvContent += `"Form 941 Line 12",,,${data.line12.toFixed(2)}\n`;
+    csvContent += `"Difference",,,${data.difference.toFixed(2)}\n`;
+
+    downloadCSV(csvContent, `PayTrax_941_Schedule_B_${periodStr.replace(/\s+/g, '_')}.csv`);
+}
+
+/**
+ * Exports the Form 941-X comparison (v29) to CSV.
+ * @param {string} periodStr - Quarter, e.g. "Q1 2025"
+ */
+export function export941XToCSV(periodStr) {
+    const data = compute941XData(periodStr);
+    if (data.error) {
+        showToast(data.error, 'warning');
+        return;
+    }
+
+    let csvContent = "941 Line,Description,Originally Reported,Corrected,Difference,Tax Correction\n";
+    data.rows.forEach(r => {
+        csvContent += [
+            r.line,
+            `"${r.label}"`,
+            r.original.toFixed(2),
+            r.corrected.toFixed(2),
+            r.difference.toFixed(2),
+            r.taxCorrection === null ? '' : r.taxCorrection.toFixed(2)
+        ].join(',') + "\n";
+    });
+    csvContent += `,"Total tax correction",,,,${data.totalTaxCorrection.toFixed(2)}\n`;
+    csvContent += `12,"Total taxes after adjustments and credits",${data.line12.original.toFixed(2)},${data.line12.corrected.toFixed(2)},${data.line12.difference.toFixed(2)},\n`;
+
+    downloadCSV(csvContent, `PayTrax_941X_${periodStr.replace(/\s+/g, '_')}.csv`);
+}
+
 /**
  * Exports 940 report data to CSV
  * @param {string} yearStr - The year for the report
  * @returns {void} - Downloads CSV file
  */
 export function export940ReportToCSV(yearStr) {
+    const reportPayPeriods = getReportPayPeriods();
+    const reportEmployees = getReportEmployees();
     const year = parseInt(yearStr) || appData.settings.taxYear;
-    const futaWageBase = appData.settings.futaWageBase;
-    const futaRate = appData.settings.futaRate / 100;
+    const taxConstants = resolveTaxConstants(appData.settings, year);
+    const futaWageBase = taxConstants.futaWageBase;
+    const futaRate = taxConstants.futaRate / 100;
 
-    const allPayPeriods = [].concat.apply([], Object.values(appData.payPeriods));
+    const allPayPeriods = [].concat.apply([], Object.values(reportPayPeriods));
     const periodsInYear = allPayPeriods.filter(p => fromStorageDate(p.payDate).getFullYear() === year && p.grossPay > 0);
 
     if (periodsInYear.length === 0) {
@@ -601,18 +1146,18 @@ export function export940ReportToCSV(yearStr) {
         return;
     }
 
-    let totalWages = 0, excessWages = 0, totalFUTA = 0;
+    let totalWages = 0, exemptWages = 0, excessWages = 0, totalFUTA = 0;
 
-    appData.employees.forEach(emp => {
+    reportEmployees.forEach(emp => {
         let ytdFUTAWages = 0;
-        const empPayPeriods = (appData.payPeriods[emp.id] || []).filter(p => fromStorageDate(p.payDate).getFullYear() === year).sort((a,b) => a.period - b.period);
+        const empPayPeriods = (reportPayPeriods[emp.id] || []).filter(p => fromStorageDate(p.payDate).getFullYear() === year).sort(comparePayPeriods);
 
         empPayPeriods.forEach(p => {
             if (p.grossPay <= 0) return;
 
+            const wagesThisPeriod = periodTaxableWages(p, 'futa');
             totalWages += p.grossPay;
-
-            const wagesThisPeriod = p.grossPay;
+            exemptWages += p.grossPay - wagesThisPeriod;
             let taxableFUTAWagesThisPeriod = 0;
             if (ytdFUTAWages < futaWageBase) {
                 taxableFUTAWagesThisPeriod = Math.min(wagesThisPeriod, futaWageBase - ytdFUTAWages);
@@ -626,11 +1171,12 @@ export function export940ReportToCSV(yearStr) {
         }
     });
 
-    const taxableWages = totalWages - excessWages;
+    const taxableWages = totalWages - exemptWages - excessWages;
 
     let csvContent = "Description,Amount\n";
     csvContent += `"Tax Year","${year}"\n`;
     csvContent += `"Total Payments to Employees","${totalWages.toFixed(2)}"\n`;
+    csvContent += `"Payments Exempt from FUTA","${exemptWages.toFixed(2)}"\n`;
     csvContent += `"Payments Exceeding FUTA Wage Base","${excessWages.toFixed(2)}"\n`;
     csvContent += `"Taxable FUTA Wages","${taxableWages.toFixed(2)}"\n`;
     csvContent += `"FUTA Tax","${totalFUTA.toFixed(2)}"\n`;
@@ -646,17 +1192,19 @@ export function export940ReportToCSV(yearStr) {
  * @returns {void} - Downloads CSV file
  */
 export function exportDateRangeEmployeeReportToCSV(startDateStr, endDateStr, employeeId) {
+    const reportPayPeriods = getReportPayPeriods();
+    const reportEmployees = getReportEmployees();
     const start = new Date(startDateStr + 'T00:00:00');
     const end = new Date(endDateStr + 'T23:59:59');
 
     const employeesToReport = employeeId === 'all'
-        ? appData.employees
-        : appData.employees.filter(e => e.id === employeeId);
+        ? reportEmployees
+        : reportEmployees.filter(e => e.id === employeeId);
 
-    let csvContent = "Employee Name,Employee ID,Regular Hours,Overtime Hours,Holiday Hours,PTO Hours,Total Hours,Regular Pay,Overtime Pay,Holiday Pay,PTO Pay,Gross Pay,Federal Tax,FICA,Medicare,State Tax,Local Tax,Deductions,Net Pay\n";
+    let csvContent = "Employee Name,Employee ID,Regular Hours,Overtime Hours,Holiday Hours,PTO Hours,Total Hours,Regular Pay,Overtime Pay,Holiday Pay,PTO Pay,Supplemental Pay,Gross Pay,Federal Tax,FICA,Medicare,State Tax,Local Tax,Deductions,Net Pay\n";
 
     employeesToReport.forEach(emp => {
-        const periods = (appData.payPeriods[emp.id] || []).filter(p => {
+        const periods = (reportPayPeriods[emp.id] || []).filter(p => {
             const payDate = fromStorageDate(p.payDate);
             return payDate >= start && payDate <= end && p.grossPay > 0;
         });
@@ -665,7 +1213,7 @@ export function exportDateRangeEmployeeReportToCSV(startDateStr, endDateStr, emp
 
         let totals = {
             regHours: 0, otHours: 0, holHours: 0, ptoHours: 0,
-            regular: 0, overtime: 0, holiday: 0, pto: 0,
+            regular: 0, overtime: 0, holiday: 0, pto: 0, supplemental: 0,
             gross: 0, federal: 0, fica: 0, medicare: 0, state: 0, local: 0,
             deductions: 0, net: 0
         };
@@ -679,6 +1227,7 @@ export function exportDateRangeEmployeeReportToCSV(startDateStr, endDateStr, emp
             totals.overtime += p.earnings.overtime || 0;
             totals.holiday += p.earnings.holiday || 0;
             totals.pto += p.earnings.pto || 0;
+            totals.supplemental += p.earnings.supplemental || 0;
             totals.gross += p.grossPay;
             totals.federal += p.taxes.federal;
             totals.fica += p.taxes.fica;
@@ -701,6 +1250,7 @@ export function exportDateRangeEmployeeReportToCSV(startDateStr, endDateStr, emp
             totals.overtime.toFixed(2),
             totals.holiday.toFixed(2),
             totals.pto.toFixed(2),
+            totals.supplemental.toFixed(2),
             totals.gross.toFixed(2),
             totals.federal.toFixed(2),
             totals.fica.toFixed(2),
@@ -723,24 +1273,26 @@ export function exportDateRangeEmployeeReportToCSV(startDateStr, endDateStr, emp
  * @param {string} employeeId - Employee ID or 'all'
  */
 export function exportDateRangeEmployerReportToCSV(startDateStr, endDateStr, employeeId) {
+    const reportPayPeriods = getReportPayPeriods();
+    const reportEmployees = getReportEmployees();
     const start = new Date(startDateStr + 'T00:00:00');
     const end = new Date(endDateStr + 'T23:59:59');
 
-    const employeeIdsToReport = employeeId === 'all' ? appData.employees.map(e => e.id) : [employeeId];
-    const allPayPeriods = [].concat.apply([], employeeIdsToReport.map(id => appData.payPeriods[id] || []));
+    const employeeIdsToReport = employeeId === 'all' ? reportEmployees.map(e => e.id) : [employeeId];
+    const allPayPeriods = [].concat.apply([], employeeIdsToReport.map(id => reportPayPeriods[id] || []));
 
     const periodsInRange = allPayPeriods.filter(p => {
         const payDate = fromStorageDate(p.payDate);
         return payDate >= start && payDate <= end && p.grossPay > 0;
     }).sort((a,b) => fromStorageDate(a.payDate) - fromStorageDate(b.payDate));
 
-    let csvContent = "Pay Date,Hours,Gross Pay,Employer FICA,Employer Medicare,SUTA,FUTA,Total Cost\n";
+    let csvContent = "Pay Date,Hours,Gross Pay,Employer FICA,Employer Medicare,SUTA,FUTA,Employer Benefits,Total Cost\n";
 
     if (employeeId === 'all') {
         // Group by pay date for all employees
         const groupedByPayDate = periodsInRange.reduce((acc, p) => {
             if (!acc[p.payDate]) {
-                acc[p.payDate] = { gross: 0, employerFica: 0, employerMedicare: 0, suta: 0, futa: 0, hours: 0 };
+                acc[p.payDate] = { gross: 0, employerFica: 0, employerMedicare: 0, suta: 0, futa: 0, benefits: 0, hours: 0 };
             }
             const group = acc[p.payDate];
             group.hours += Object.values(p.hours).reduce((a,b) => a + b, 0);
@@ -749,11 +1301,12 @@ export function exportDateRangeEmployerReportToCSV(startDateStr, endDateStr, emp
             group.employerMedicare += p.taxes.medicare;
             group.suta += p.taxes.suta;
             group.futa += p.taxes.futa;
+            group.benefits += p.totalEmployerContributions || 0;
             return acc;
         }, {});
 
         for (const [payDate, totals] of Object.entries(groupedByPayDate)) {
-            const totalPeriodCost = totals.gross + totals.employerFica + totals.employerMedicare + totals.suta + totals.futa;
+            const totalPeriodCost = totals.gross + totals.employerFica + totals.employerMedicare + totals.suta + totals.futa + totals.benefits;
             const row = [
                 payDate,
                 totals.hours.toFixed(2),
@@ -762,6 +1315,7 @@ export function exportDateRangeEmployerReportToCSV(startDateStr, endDateStr, emp
                 totals.employerMedicare.toFixed(2),
                 totals.suta.toFixed(2),
                 totals.futa.toFixed(2),
+                totals.benefits.toFixed(2),
                 totalPeriodCost.toFixed(2)
             ].join(',');
             csvContent += row + "\n";
@@ -772,7 +1326,8 @@ export function exportDateRangeEmployerReportToCSV(startDateStr, endDateStr, emp
             const totalHours = Object.values(period.hours).reduce((a,b) => a + b, 0);
             const employerFica = period.taxes.fica;
             const employerMedicare = period.taxes.medicare;
-            const totalPeriodCost = period.grossPay + employerFica + employerMedicare + period.taxes.suta + period.taxes.futa;
+            const benefits = period.totalEmployerContributions || 0;
+            const totalPeriodCost = period.grossPay + employerFica + employerMedicare + period.taxes.suta + period.taxes.futa + benefits;
             const row = [
                 period.payDate,
                 totalHours.toFixed(2),
@@ -781,22 +1336,109 @@ export function exportDateRangeEmployerReportToCSV(startDateStr, endDateStr, emp
                 employerMedicare.toFixed(2),
                 period.taxes.suta.toFixed(2),
                 period.taxes.futa.toFixed(2),
+                benefits.toFixed(2),
                 totalPeriodCost.toFixed(2)
             ].join(',');
             csvContent += row + "\n";
         });
     }
 
-    const employeeName = employeeId === 'all' ? 'All_Employees' : appData.employees.find(e => e.id === employeeId).name.replace(/\s+/g, '_');
+    const employeeName = employeeId === 'all' ? 'All_Employees' : reportEmployees.find(e => e.id === employeeId).name.replace(/\s+/g, '_');
     downloadCSV(csvContent, `PayTrax_Employer_Costs_${employeeName}_${startDateStr}_to_${endDateStr}.csv`);
 }
 
+/**
+ * Exports the garnishment remittance report to CSV
+ * @param {string} startDateStr - Start date
+ * @param {string} endDateStr - End date
+ * @param {string} employeeId - Employee ID or "all"
+ * @returns {void} - Downloads CSV file
+ */
+export function exportGarnishmentRemittanceToCSV(startDateStr, endDateStr, employeeId = 'all') {
+    const data = computeGarnishmentRemittance(startDateStr, endDateStr, employeeId);
+    if (data.error) {
+        showToast(data.error, 'warning');
+        return;
+    }
+
+    let csvContent = "Payee,Pay Date,Employee,Case Number,Order Type,Amount\n";
+    data.payees.forEach(group => {
+        group.items.forEach(item => {
+            csvContent += [
+                `"${group.payee}"`,
+                item.payDate,
+                `"${item.employeeName}"`,
+                `"${item.caseNumber}"`,
+                item.orderType,
+                item.amount.toFixed(2)
+            ].join(',') + "\n";
+        });
+    });
+
+    downloadCSV(csvContent, `PayTrax_Garnishment_Remittance_${startDateStr}_to_${endDateStr}.csv`);
+}
+
+/**
+ * Exports the voided and reissued checks report to CSV
+ * @param {string} startDateStr - Start date
+ * @param {string} endDateStr - End date
+ * @param {string} employeeId - Employee ID or "all"
+ * @returns {void} - Downloads CSV file
+ */
+export function exportVoidedChecksToCSV(startDateStr, endDateStr, employeeId = 'all') {
+    const data = computeVoidedChecks(startDateStr, endDateStr, employeeId);
+    if (data.error) {
+        showToast(data.error, 'warning');
+        return;
+    }
+
+    let csvContent = "Date,Employee,Period,Check,Reason,Gross Pay,Employee Taxes,Net Pay\n";
+    data.rows.forEach(r => {
+        csvContent += [
+            r.date,
+            `"${r.employeeName}"`,
+            r.periodLabel,
+            r.type,
+            `"${r.reason}"`,
+            r.gross.toFixed(2),
+            r.taxes.toFixed(2),
+            r.net.toFixed(2)
+        ].join(',') + "\n";
+    });
+
+    downloadCSV(csvContent, `PayTrax_Voided_Checks_${startDateStr}_to_${endDateStr}.csv`);
+}
+
+/**
+ * Exports the year's tax due-date calendar to CSV.
+ * @param {string} yearStr - e.g. "2025"
+ */
+export function exportTaxCalendarToCSV(yearStr) {
+    const year = parseInt(yearStr) || appData.settings.taxYear;
+
+    let csvContent = "Due Date,Type,Deposit / Return,Period Start,Period End,Amount Due,Deposited,Status\n";
+    buildTaxCalendar(year).forEach(item => {
+        csvContent += [
+            item.date,
+            item.kind,
+            `"${item.label}"`,
+            item.periodStart,
+            item.periodEnd,
+            item.kind === 'deposit' ? item.amount.toFixed(2) : '',
+            item.kind === 'deposit' ? item.deposited.toFixed(2) : '',
+            CALENDAR_STATUS_LABELS[item.status]
+        ].join(',') + "\n";
+    });
+
+    downloadCSV(csvContent, `PayTrax_Tax_Calendar_${year}.csv`);
+}
+
 /**
  * Helper function to download CSV file
  * @param {string} csvContent - The CSV content
  * @param {string} filename - The filename for download
  */
-function downloadCSV(csvContent, filename) {
+export function downloadCSV(csvContent, filename) {
     const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
     const link = document.createElement("a");
     const url = URL.createObjectURL(blob);
@@ -809,12 +1451,14 @@ function downloadCSV(csvContent, filename) {
 }
 
 export function generateDateRangeEmployeeReport(startDateStr, endDateStr, employeeId) {
+    const reportPayPeriods = getReportPayPeriods();
+    const reportEmployees = getReportEmployees();
     const start = new Date(startDateStr + 'T00:00:00');
     const end = new Date(endDateStr + 'T23:59:59');
     if (!startDateStr || !endDateStr) return `<div class="alert alert-info">Please select a start and end date.</div>`;
 
-    const employeeIdsToReport = employeeId === 'all' ? appData.employees.map(e => e.id) : [employeeId];
-    const allPayPeriods = [].concat.apply([], employeeIdsToReport.map(id => appData.payPeriods[id] || []));
+    const employeeIdsToReport = employeeId === 'all' ? reportEmployees.map(e => e.id) : [employeeId];
+    const allPayPeriods = [].concat.apply([], employeeIdsToReport.map(id => reportPayPeriods[id] || []));
 
     const periodsInRange = allPayPeriods.filter(p => {
         const payDate = fromStorageDate(p.payDate);
@@ -855,7 +1499,7 @@ export function generateDateRangeEmployeeReport(startDateStr, endDateStr, employ
         });
     }
 
-    const employeeName = employeeId === 'all' ? 'All Employees' : appData.employees.find(e => e.id === employeeId).name;
+    const employeeName = employeeId === 'all' ? 'All Employees' : reportEmployees.find(e => e.id === employeeId).name;
 
     return `<h4>Custom Employee Wage Report: ${startDateStr} to ${endDateStr}</h4><h5>For: ${escapeHtml(employeeName)}</h5>
         <table class="report-table">
@@ -865,12 +1509,14 @@ export function generateDateRangeEmployeeReport(startDateStr, endDateStr, employ
 }
 
 export function generateDateRangeEmployerReport(startDateStr, endDateStr, employeeId) {
+    const reportPayPeriods = getReportPayPeriods();
+    const reportEmployees = getReportEmployees();
     const start = new Date(startDateStr + 'T00:00:00');
     const end = new Date(endDateStr + 'T23:59:59');
     if (!startDateStr || !endDateStr) return `<div class="alert alert-info">Please select a start and end date.</div>`;
 
-    const employeeIdsToReport = employeeId === 'all' ? appData.employees.map(e => e.id) : [employeeId];
-    const allPayPeriods = [].concat.apply([], employeeIdsToReport.map(id => appData.payPeriods[id] || []));
+    const employeeIdsToReport = employeeId === 'all' ? reportEmployees.map(e => e.id) : [employeeId];
+    const allPayPeriods = [].concat.apply([], employeeIdsToReport.map(id => reportPayPeriods[id] || []));
 
     const periodsInRange = allPayPeriods.filter(p => {
         const payDate = fromStorageDate(p.payDate);
@@ -880,12 +1526,12 @@ export function generateDateRangeEmployerReport(startDateStr, endDateStr, employ
     if (periodsInRange.length === 0) return `<div class="alert alert-info">No data for date range.</div>`;
 
     let reportRows = '';
-    let grandTotals = { gross: 0, employerFica: 0, employerMedicare: 0, suta: 0, futa: 0, totalCost: 0, hours: 0 };
+    let grandTotals = { gross: 0, employerFica: 0, employerMedicare: 0, suta: 0, futa: 0, benefits: 0, totalCost: 0, hours: 0 };
 
     if (employeeId === 'all') {
         const groupedByPayDate = periodsInRange.reduce((acc, p) => {
             if (!acc[p.payDate]) {
-                acc[p.payDate] = { gross: 0, employerFica: 0, employerMedicare: 0, suta: 0, futa: 0, hours: 0 };
+                acc[p.payDate] = { gross: 0, employerFica: 0, employerMedicare: 0, suta: 0, futa: 0, benefits: 0, hours: 0 };
             }
             const group = acc[p.payDate];
             group.hours += Object.values(p.hours).reduce((a,b) => a + b, 0);
@@ -894,33 +1540,35 @@ export function generateDateRangeEmployerReport(startDateStr, endDateStr, employ
             group.employerMedicare += p.taxes.medicare;
             group.suta += p.taxes.suta;
             group.futa += p.taxes.futa;
+            group.benefits += p.totalEmployerContributions || 0;
             return acc;
         }, {});
 
         for (const [payDate, totals] of Object.entries(groupedByPayDate)) {
-            const totalPeriodCost = totals.gross + totals.employerFica + totals.employerMedicare + totals.suta + totals.futa;
-            reportRows += `<tr><td>${toDisplayDate(payDate)}</td><td>${totals.hours.toFixed(2)}</td><td>$${totals.gross.toFixed(2)}</td><td>$${totals.employerFica.toFixed(2)}</td><td>$${totals.employerMedicare.toFixed(2)}</td><td>$${totals.suta.toFixed(2)}</td><td>$${totals.futa.toFixed(2)}</td><td>$${totalPeriodCost.toFixed(2)}</td></tr>`;
+            const totalPeriodCost = totals.gross + totals.employerFica + totals.employerMedicare + totals.suta + totals.futa + totals.benefits;
+            reportRows += `<tr><td>${toDisplayDate(payDate)}</td><td>${totals.hours.toFixed(2)}</td><td>$${totals.gross.toFixed(2)}</td><td>$${totals.employerFica.toFixed(2)}</td><td>$${totals.employerMedicare.toFixed(2)}</td><td>$${totals.suta.toFixed(2)}</td><td>$${totals.futa.toFixed(2)}</td><td>$${totals.benefits.toFixed(2)}</td><td>$${totalPeriodCost.toFixed(2)}</td></tr>`;
             grandTotals.hours += totals.hours; grandTotals.gross += totals.gross; grandTotals.employerFica += totals.employerFica;
             grandTotals.employerMedicare += totals.employerMedicare; grandTotals.suta += totals.suta; grandTotals.futa += totals.futa;
-            grandTotals.totalCost += totalPeriodCost;
+            grandTotals.benefits += totals.benefits; grandTotals.totalCost += totalPeriodCost;
         }
     } else {
          periodsInRange.forEach(period => {
             const totalHours = Object.values(period.hours).reduce((a,b) => a + b, 0);
             const employerFica = period.taxes.fica;
             const employerMedicare = period.taxes.medicare;
-            const totalPeriodCost = period.grossPay + employerFica + employerMedicare + period.taxes.suta + period.taxes.futa;
+            const benefits = period.totalEmployerContributions || 0;
+            const totalPeriodCost = period.grossPay + employerFica + employerMedicare + period.taxes.suta + period.taxes.futa + benefits;
             grandTotals.gross += period.grossPay; grandTotals.employerFica += employerFica; grandTotals.employerMedicare += employerMedicare;
-            grandTotals.suta += period.taxes.suta; grandTotals.futa += period.taxes.futa; grandTotals.totalCost += totalPeriodCost; grandTotals.hours += totalHours;
-            reportRows += `<tr><td>${toDisplayDate(period.payDate)}</td><td>${totalHours.toFixed(2)}</td><td>$${period.grossPay.toFixed(2)}</td><td>$${employerFica.toFixed(2)}</td><td>$${employerMedicare.toFixed(2)}</td><td>$${period.taxes.suta.toFixed(2)}</td><td>$${period.taxes.futa.toFixed(2)}</td><td>$${totalPeriodCost.toFixed(2)}</td></tr>`;
+            grandTotals.suta += period.taxes.suta; grandTotals.futa += period.taxes.futa; grandTotals.benefits += benefits; grandTotals.totalCost += totalPeriodCost; grandTotals.hours += totalHours;
+            reportRows += `<tr><td>${toDisplayDate(period.payDate)}</td><td>${totalHours.toFixed(2)}</td><td>$${period.grossPay.toFixed(2)}</td><td>$${employerFica.toFixed(2)}</td><td>$${employerMedicare.toFixed(2)}</td><td>$${period.taxes.suta.toFixed(2)}</td><td>$${period.taxes.futa.toFixed(2)}</td><td>$${benefits.toFixed(2)}</td><td>$${totalPeriodCost.toFixed(2)}</td></tr>`;
         });
     }
 
-    const employeeName = employeeId === 'all' ? 'All Employees' : appData.employees.find(e => e.id === employeeId).name;
+    const employeeName = employeeId === 'all' ? 'All Employees' : reportEmployees.find(e => e.id === employeeId).name;
 
     return `<h4>Custom Employer Expense Report: ${startDateStr} to ${endDateStr}</h4><h5>For: ${escapeHtml(employeeName)}</h5>
         <table class="report-table">
-            <thead><tr><th>Pay Date</th><th>Hours</th><th>Gross</th><th>ER FICA</th><th>ER Medicare</th><th>SUTA</th><th>FUTA</th><th>Total Cost</th></tr></thead>
-            <tbody>${reportRows}<tr class="total-row"><td>TOTALS</td><td>${grandTotals.hours.toFixed(2)}</td><td>$${grandTotals.gross.toFixed(2)}</td><td>$${grandTotals.employerFica.toFixed(2)}</td><td>$${grandTotals.employerMedicare.toFixed(2)}</td><td>$${grandTotals.suta.toFixed(2)}</td><td>$${grandTotals.futa.toFixed(2)}</td><td>$${grandTotals.totalCost.toFixed(2)}</td></tr></tbody>
+            <thead><tr><th>Pay Date</th><th>Hours</th><th>Gross</th><th>ER FICA</th><th>ER Medicare</th><th>SUTA</th><th>FUTA</th><th>ER Benefits</th><th>Total Cost</th></tr></thead>
+            <tbody>${reportRows}<tr class="total-row"><td>TOTALS</td><td>${grandTotals.hours.toFixed(2)}</td><td>$${grandTotals.gross.toFixed(2)}</td><td>$${grandTotals.employerFica.toFixed(2)}</td><td>$${grandTotals.employerMedicare.toFixed(2)}</td><td>$${grandTotals.suta.toFixed(2)}</td><td>$${grandTotals.futa.toFixed(2)}</td><td>$${grandTotals.benefits.toFixed(2)}</td><td>$${grandTotals.totalCost.toFixed(2)}</td></tr></tbody>
         </table>`;
 }
@@ -0,0 +1,293 @@
+/*
+  PayTrax Payroll Management
+  Copyright (c) 2025 greenwh
+
+  Developed by greenwh with substantial assistance from AI coding tools (Claude, ChatGPT, Gemini).
+  This file is original work based on documentation and prompts by greenwh.
+  Licensed under the MIT License.
+*/
+// js/roster.js - Employee roster CSV import and export
+//
+// The roster CSV has one row per employee with the fields of the Settings
+// employee form and the employee's deductions in one cell. Importing
+// matches rows to employees on idNumber: a match is updated (rate changes
+// become effective-dated history entries), anything else is created with
+// seeded rate histories and pay periods, like the employee form does.
+
+import { appData } from './state.js';
+import { parseCsvLine, normalizeCsvDate, formatDate } from './utils.js';
+import { addEmployee, updateEmployee, addDeduction, getDeductionBox12Code, EMPLOYMENT_STATUSES } from './employees.js';
+import { generatePayPeriods } from './logic.js';
+import { downloadCSV } from './reports.js';
+import { validateEmployee, validateDeduction } from './validation.js';
+
+/**
+ * Roster columns in export order. `kind` says how a cell is read: number,
+ * date, or text (the default). Import matches headers ignoring case; a
+ * column missing from the file keeps the employee's current value.
+ */
+export const ROSTER_COLUMNS = [
+    { key: 'idNumber', header: 'ID Number' },
+    { key: 'name', header: 'Name' },
+    { key: 'address', header: 'Address' },
+    { key: 'payType', header: 'Pay Type' },
+    { key: 'rate', header: 'Hourly Rate', kind: 'number' },
+    { key: 'annualSalary', header: 'Annual Salary', kind: 'number' },
+    { key: 'status', header: 'Status' },
+    { key: 'hireDate', header: 'Hire Date', kind: 'date' },
+    { key: 'terminationDate', header: 'Termination Date', kind: 'date' },
+    { key: 'dateOfBirth', header: 'Date of Birth', kind: 'date' },
+    { key: 'overtimeMultiplier', header: 'Overtime Multiplier', kind: 'number' },
+    { key: 'holidayMultiplier', header: 'Holiday Multiplier', kind: 'number' },
+    { key: 'fedTaxRate', header: 'Federal Tax Rate', kind: 'number' },
+    { key: 'stateTaxRate', header: 'State Tax Rate', kind: 'number' },
+    { key: 'localTaxRate', header: 'Local Tax Rate', kind: 'number' },
+    { key: 'ptoAccrualRate', header: 'PTO Accrual Rate', kind: 'number' },
+    { key: 'ptoStartingBalance', header: 'PTO Starting Balance', kind: 'number' },
+    { key: 'deductions', header: 'Deductions' }
+];
+
+/** A new employee's fields before the row's values are applied (the employee form's defaults). */
+const NEW_EMPLOYEE_DEFAULTS = {
+    idNumber: '', name: '', address: '', payType: 'hourly', rate: 0, annualSalary: 0,
+    hireDate: '', dateOfBirth: '', terminationDate: '', status: 'active',
+    overtimeMultiplier: 1.5, holidayMultiplier: 2.0, fedTaxRate: 0,
+    federalWithholdingMethod: 'flat',
+    w4: { filingStatus: 'single', multipleJobs: false, dependentsAmount: 0, otherIncome: 0, deductions: 0, extraWithholding: 0 },
+    stateTaxRate: 0, localTaxRate: 0, ptoAccrualRate: 0, ptoStartingBalance: 0
+};
+
+/**
+ * Quotes a CSV field when it holds a comma, quote or line break.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Writes deductions to one roster cell: entries separated by ";", each
+ * "name|amount|type|tax treatment|limit type|limit amount|box 12 code" (the
+ * limit only when the deduction has one, the Box 12 code only for a Section
+ * 125 deduction not reported as DD, "none" when it reports nothing).
+ * @param {Array} deductions - An employee's deductions
+ * @returns {string}
+ */
+export function formatRosterDeductions(deductions) {
+    return (deductions || []).map(ded => {
+        const fields = [ded.name, ded.amount, ded.type, ded.taxTreatment || 'post-tax'];
+        const hasLimit = ded.limitType && ded.limitType !== 'none';
+        const box12Code = ded.taxTreatment === 'section125' ? getDeductionBox12Code(ded) : 'DD';
+        if (box12Code !== 'DD') {
+            fields.push(hasLimit ? ded.limitType : 'none', ded.limitType === 'fixed' ? ded.limitAmount : '', box12Code || 'none');
+        } else if (hasLimit) {
+            fields.push(ded.limitType);
+            if (ded.limitType === 'fixed') fields.push(ded.limitAmount);
+        }
+        return fields.join('|');
+    }).join('; ');
+}
+
+/**
+ * Reads a roster deductions cell (see formatRosterDeductions). Type
+ * defaults to fixed, tax treatment to post-tax and a Section 125
+ * deduction's Box 12 code to DD.
+ * @param {string} cell
+ * @returns {object} { deductions: [{ name, amount, type, taxTreatment, limitType, limitAmount, box12Code }], errors: string[] }
+ */
+export function parseRosterDeductions(cell) {
+    const deductions = [];
+    const errors = [];
+    String(cell || '').split(';').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const [name = '', amount = '', type = 'fixed', taxTreatment = 'post-tax', limitType = 'none', limitAmount = '', box12Code = ''] = entry.split('|').map(f => f.trim());
+        const deduction = {
+            name,
+            amount: parseFloat(amount),
+            type: type || 'fixed',
+            taxTreatment: taxTreatment || 'post-tax',
+            limitType: limitType || 'none',
+            limitAmount: limitType === 'fixed' ? parseFloat(limitAmount) : 0
+        };
+        if (deduction.taxTreatment === 'section125') {
+            deduction.box12Code = box12Code.toLowerCase() === 'none' ? '' : (box12Code.toUpperCase() || 'DD');
+        }
+        const deductionErrors = validateDeduction(deduction);
+        if (deductionErrors.length > 0) {
+            errors.push(...deductionErrors.map(e => `Deduction "${name}": ${e.message}`));
+        } else {
+            deductions.push(deduction);
+        }
+    });
+    return { deductions, errors };
+}
+
+/**
+ * The roster as CSV text, one row per employee.
+ * @param {Array} employees
+ * @returns {string}
+ */
+export function buildRosterCsv(employees) {
+    const lines = [ROSTER_COLUMNS.map(col => csvField(col.header)).join(',')];
+    employees.forEach(emp => {
+        lines.push(ROSTER_COLUMNS.map(col => csvField(col.key === 'deductions'
+            ? formatRosterDeductions(emp.deductions)
+            : emp[col.key] ?? '')).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Downloads every employee on the roster as CSV.
+ */
+export function exportRosterToCSV() {
+    downloadCSV(buildRosterCsv(appData.employees), `PayTrax_Employee_Roster_${formatDate(new Date())}.csv`);
+}
+
+/**
+ * Reads one roster cell into an employee field.
+ * @param {object} column - Entry of ROSTER_COLUMNS
+ * @param {string} cell
+ * @returns {*} The value, or undefined when the cell is not readable
+ */
+function readRosterCell(column, cell) {
+    if (column.kind === 'number') {
+        const number = Number(cell.replace(/[$,]/g, ''));
+        return Number.isFinite(number) ? number : undefined;
+    }
+    if (column.kind === 'date') return normalizeCsvDate(cell) ?? undefined;
+    if (column.key === 'payType') {
+        const payType = cell.toLowerCase();
+        return payType === 'salary' || payType === 'salaried' ? 'salary' : (payType === 'hourly' ? 'hourly' : undefined);
+    }
+    if (column.key === 'status') {
+        const status = cell.toLowerCase();
+        return Object.keys(EMPLOYMENT_STATUSES).find(key => key.toLowerCase() === status
+            || EMPLOYMENT_STATUSES[key].toLowerCase() === status);
+    }
+    return cell;
+}
+
+/**
+ * Reads a roster CSV and works out, without changing any data, what
+ * importing each row would do.
+ * - A row whose ID Number matches an employee updates that employee
+ *   (action "update"); any other row creates one ("create").
+ * - Blank cells and missing columns keep the employee's current value (the
+ *   form's defaults for a new employee).
+ * - Every row is checked with validateEmployee; its deductions with
+ *   validateDeduction. A row with errors is not imported.
+ * @param {string} csvContent - The file's text
+ * @returns {object} { error, rows: [{ line, action, existing, data, deductions, errors }] }
+ */
+export function previewRosterImport(csvContent) {
+    const preview = { error: null, rows: [] };
+    const lines = String(csvContent || '').split(/\r?\n/);
+    const headerLine = lines.findIndex(line => line.trim());
+    if (headerLine === -1) {
+        preview.error = 'The file is empty.';
+        return preview;
+    }
+
+    const header = parseCsvLine(lines[headerLine]).map(h => h.toLowerCase());
+    const columns = ROSTER_COLUMNS
+        .map(col => ({ ...col, index: header.indexOf(col.header.toLowerCase()) }))
+        .filter(col => col.index !== -1);
+    if (!columns.some(col => col.key === 'name')) {
+        preview.error = 'The file has no Name column.';
+        return preview;
+    }
+
+    const seenIds = new Set();
+    lines.forEach((text, index) => {
+        if (index <= headerLine || !text.trim()) return;
+        const row = parseCsvLine(text);
+        const errors = [];
+        const cell = (key) => {
+            const col = columns.find(c => c.key === key);
+            return col ? (row[col.index] || '').trim() : '';
+        };
+
+        const idNumber = cell('idNumber');
+        const existing = idNumber ? appData.employees.find(e => String(e.idNumber || '').trim() === idNumber) : null;
+        if (idNumber && seenIds.has(idNumber)) {
+            errors.push(`ID Number ${idNumber} appears more than once in the file`);
+        }
+        if (idNumber) seenIds.add(idNumber);
+
+        const data = existing ? JSON.parse(JSON.stringify(existing)) : JSON.parse(JSON.stringify(NEW_EMPLOYEE_DEFAULTS));
+        columns.forEach(col => {
+            const value = (row[col.index] || '').trim();
+            if (col.key === 'deductions' || value === '') return;
+            const parsed = readRosterCell(col, value);
+            if (parsed === undefined) {
+                errors.push(`${col.header} "${value}" is not recognized`);
+            } else {
+                data[col.key] = parsed;
+            }
+        });
+
+        // validateEmployee checks the starting balance as the form's "PTO Balance"
+        errors.push(...validateEmployee({ ...data, ptoBalance: data.ptoStartingBalance }).map(e => e.message));
+        const { deductions, errors: deductionErrors } = parseRosterDeductions(cell('deductions'));
+        errors.push(...deductionErrors);
+
+        preview.rows.push({ line: index + 1, action: existing ? 'update' : 'create', existing, data, deductions, errors });
+    });
+
+    return preview;
+}
+
+/**
+ * Applies a roster preview. Rows with errors are skipped, and so are
+ * updates unless `updateExisting` is set.
+ * - Created employees get seeded rate histories and pay periods
+ *   (addEmployee) and their deductions.
+ * - Updated employees take the row's fields (updateEmployee, with changed
+ *   rates effective on `effectiveDate`); a deduction with the same name as
+ *   one of theirs updates it, others are added. Deductions are never
+ *   removed by an import.
+ * - Pay periods are then regenerated and recalculated for everyone.
+ * @param {object} preview - From previewRosterImport
+ * @param {object} options - { updateExisting (default true), effectiveDate (YYYY-MM-DD, default today) }
+ * @returns {object} { created: [employee], updated: [employee], skipped: number }
+ */
+export function applyRosterImport(preview, { updateExisting = true, effectiveDate = formatDate(new Date()) } = {}) {
+    const result = { created: [], updated: [], skipped: 0 };
+
+    (preview?.rows || []).forEach(row => {
+        if (row.errors.length > 0 || (row.action === 'update' && !updateExisting)) {
+            result.skipped++;
+            return;
+        }
+
+        let employee;
+        if (row.action === 'update') {
+            employee = updateEmployee({ ...row.data, id: row.existing.id }, effectiveDate);
+            if (!employee) {
+                result.skipped++;
+                return;
+            }
+            result.updated.push(employee);
+        } else {
+            const id = crypto.randomUUID?.() || 'emp_' + Date.now() + '_' + Math.random().toString(36).slice(2);
+            employee = addEmployee({ ...row.data, id });
+            result.created.push(employee);
+        }
+
+        row.deductions.forEach(ded => {
+            const match = (employee.deductions || []).find(d => d.name.toLowerCase() === ded.name.toLowerCase());
+            if (match) {
+                Object.assign(match, ded);
+            } else {
+                addDeduction(employee.id, ded.name, ded.amount, ded.type, ded.taxTreatment, ded.limitType, ded.limitAmount, ded.box12Code);
+            }
+        });
+    });
+
+    if (result.created.length > 0 || result.updated.length > 0) {
+        generatePayPeriods();
+    }
+    return result;
+}
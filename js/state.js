@@ -31,6 +31,7 @@ export const defaultAppData = {
         payFrequency: 'weekly',
         firstPayPeriodStartDate: '',
         daysUntilPayday: 5,
+        overtimeRule: 'flsa',
         companyAddress: '',
         companyPhone: '',
         socialSecurity: 6.2,
@@ -42,6 +43,9 @@ export const defaultAppData = {
         sutaWageBase: 25000,
         additionalMedicareThreshold: 200000,
         additionalMedicareRate: 0.9,
+        // Per-year copies of the rates and wage bases above (v22); the
+        // scalars hold the open tax year's values
+        taxConstants: {},
         taxFrequencies: {
             federal: 'monthly',
             futa: 'quarterly',
@@ -49,14 +53,46 @@ export const defaultAppData = {
             state: 'monthly',
             local: 'monthly'
         },
+        // Take the 941 deposit frequency from the lookback period and the
+        // $100,000 next-day rule instead of taxFrequencies.federal (v28)
+        lookbackDepositSchedule: false,
         autoSubtraction: true,
         quarterlyEarningsTarget: 1890,
-        minimumWeeklyHours: 20
+        minimumWeeklyHours: 20,
+        // Saved column mappings for time-clock CSV imports
+        timeClockProfiles: [],
+        // NACHA originator details for direct deposit files (v24)
+        ach: {
+            companyId: '',
+            bankName: '',
+            bankRoutingNumber: '',
+            offsetAccountNumber: '',
+            offsetAccountType: 'checking'
+        },
+        // Paper checks (v25): the next check number and where the check
+        // sits on the page ('top' or 'middle')
+        nextCheckNumber: 1001,
+        checkLayout: 'top',
+        // Positive Pay issued-check files (v26): the checking account, the
+        // bank's file layout and its issue/void indicator codes
+        positivePay: {
+            accountNumber: '',
+            layout: 'csv',
+            issueIndicator: 'I',
+            voidIndicator: 'V'
+        }
     },
     employees: [],
     payPeriods: {},
     bankRegister: [],
-    auditLog: []
+    auditLog: [],
+    archivedYears: {},
+    // Generated direct deposit (ACH) files (v24)
+    achBatches: [],
+    // Tax deposits made, each linked to a bank register debit (v27)
+    taxDeposits: [],
+    // Form 941 figures saved when each quarter is marked filed (v29)
+    filed941s: {}
 };
 
 
@@ -204,6 +240,18 @@ export async function loadData() {
         if (!Array.isArray(loadedData.auditLog)) {
             loadedData.auditLog = [];
         }
+        if (!loadedData.archivedYears || typeof loadedData.archivedYears !== 'object') {
+            loadedData.archivedYears = {};
+        }
+        if (!Array.isArray(loadedData.achBatches)) {
+            loadedData.achBatches = [];
+        }
+        if (!Array.isArray(loadedData.taxDeposits)) {
+            loadedData.taxDeposits = [];
+        }
+        if (!loadedData.filed941s || typeof loadedData.filed941s !== 'object') {
+            loadedData.filed941s = {};
+        }
 
         // Run migrations if data is from an older version
         if ((loadedData.version || 1) < CURRENT_VERSION) {
@@ -222,6 +270,27 @@ export async function loadData() {
         if (appData.settings.daysUntilPayday === undefined) {
             appData.settings.daysUntilPayday = 5;
         }
+        if (appData.settings.overtimeRule === undefined) {
+            appData.settings.overtimeRule = 'flsa';
+        }
+        if (!Array.isArray(appData.settings.timeClockProfiles)) {
+            appData.settings.timeClockProfiles = [];
+        }
+        if (!appData.settings.ach || typeof appData.settings.ach !== 'object') {
+            appData.settings.ach = JSON.parse(JSON.stringify(defaultAppData.settings.ach));
+        }
+        if (!Number.isInteger(appData.settings.nextCheckNumber) || appData.settings.nextCheckNumber < 1) {
+            appData.settings.nextCheckNumber = defaultAppData.settings.nextCheckNumber;
+        }
+        if (appData.settings.checkLayout !== 'top' && appData.settings.checkLayout !== 'middle') {
+            appData.settings.checkLayout = defaultAppData.settings.checkLayout;
+        }
+        if (!appData.settings.positivePay || typeof appData.settings.positivePay !== 'object') {
+            appData.settings.positivePay = JSON.parse(JSON.stringify(defaultAppData.settings.positivePay));
+        }
+        if (typeof appData.settings.lookbackDepositSchedule !== 'boolean') {
+            appData.settings.lookbackDepositSchedule = defaultAppData.settings.lookbackDepositSchedule;
+        }
         // Add v5 settings for backward compatibility
         if (appData.settings.ssWageBase === undefined) {
             appData.settings.ssWageBase = defaultAppData.settings.ssWageBase;
@@ -252,6 +321,15 @@ export async function loadData() {
                 if (emp.deductions === undefined) {
                     emp.deductions = [];
                 }
+                if (emp.employerContributions === undefined) {
+                    emp.employerContributions = [];
+                }
+                if (emp.garnishments === undefined) {
+                    emp.garnishments = [];
+                }
+                if (!Array.isArray(emp.bankAccounts)) {
+                    emp.bankAccounts = [];
+                }
             });
         }
         // Add autoSubtraction setting for backward compatibility (v7)
@@ -0,0 +1,190 @@
+/*
+  PayTrax Payroll Management
+  Copyright (c) 2025 greenwh
+
+  Developed by greenwh with substantial assistance from AI coding tools (Claude, ChatGPT, Gemini).
+  This file is original work based on documentation and prompts by greenwh.
+  Licensed under the MIT License.
+*/
+// js/tax-calendar.js - Tax deposit and filing due-date calendar
+//
+// Every deposit and return due in a year, computed from the pay periods on
+// record:
+// - 941, SUTA, state and local deposits: the year's pay dates grouped by the
+//   due date getDepositDueDate gives them (semiweekly Wednesday/Friday,
+//   15th of the next month, ...)
+// - FUTA deposits: the 940 quarterly rule - FUTA tax is carried forward
+//   until more than $500 is undeposited at a quarter end, then due the last
+//   day of the next month; a Q4 balance of $500 or less is paid with Form 940
+// - returns: Form 941 each quarter, Form 940 and Forms W-2/W-3, and the
+//   quarterly SUTA, state and local returns of quarters with liability
+// Every date is moved past weekends and federal legal holidays. Deposit
+// items are matched to the deposits ledger to mark them paid, late or past due.
+
+import { appData } from './state.js';
+import { nextBusinessDay, toLocalDateString, toDisplayDate } from './utils.js';
+import { getReportPayPeriods } from './reports.js';
+import { TAX_DEPOSIT_TYPES, periodTaxLiability, getDepositDueDate } from './tax-deposits.js';
+import { createDepositScheduleCache } from './deposit-schedule.js';
+
+/** Undeposited FUTA tax above which a deposit is due for the quarter. */
+export const FUTA_DEPOSIT_THRESHOLD = 500;
+
+/** Names of the quarterly returns for SUTA, state and local taxes. */
+const QUARTERLY_RETURNS = {
+    suta: 'SUTA wage report',
+    state: 'State withholding return',
+    local: 'Local tax return'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * A quarter's dates and the (unshifted) last day of the month after it.
+ * @param {number} year
+ * @param {number} quarterNum - 1 to 4
+ * @returns {object} { start, end, due }
+ */
+function quarterDates(year, quarterNum) {
+    const startMonth = (quarterNum - 1) * 3;
+    return {
+        start: toLocalDateString(new Date(year, startMonth, 1)),
+        end: toLocalDateString(new Date(year, startMonth + 3, 0)),
+        due: toLocalDateString(new Date(year, startMonth + 4, 0))
+    };
+}
+
+/**
+ * Marks a deposit item from the deposits matched to it: 'paid' in full on
+ * time, 'late' (paid in full after the due date), 'past-due' (not paid in
+ * full and the due date has passed) or 'upcoming'.
+ * @param {object} item - A deposit item with date and amount
+ * @param {object[]} deposits - Ledger deposits covering it
+ * @param {string} asOf - YYYY-MM-DD
+ */
+function applyDeposits(item, deposits, asOf) {
+    item.deposited = round2(deposits.reduce((sum, d) => sum + d.amount, 0));
+    item.deposits = deposits;
+    if (item.deposited >= item.amount - 0.005) {
+        item.status = deposits.some(d => d.datePaid > item.date) ? 'late' : 'paid';
+    } else {
+        item.status = item.date < asOf ? 'past-due' : 'upcoming';
+    }
+}
+
+/**
+ * All deposit and filing due dates of a year, by date. Deposit items carry
+ * the liability due and what the deposits ledger holds against it; filings
+ * are only 'past' or 'upcoming', as returns filed are not recorded.
+ * @param {number} year
+ * @param {string} asOf - YYYY-MM-DD date past-due items are judged by (default today)
+ * @param {object} scheduleCache - From createDepositScheduleCache (default: a new one)
+ * @returns {object[]} [{ date, kind: 'deposit'|'filing', taxType, label, periodStart, periodEnd, amount, deposited, deposits, status }]
+ */
+export function buildTaxCalendar(year, asOf = toLocalDateString(new Date()), scheduleCache = createDepositScheduleCache()) {
+    const periods = [].concat(...Object.values(getReportPayPeriods()))
+        .filter(p => p.grossPay > 0 && p.payDate >= `${year}-01-01` && p.payDate <= `${year}-12-31`);
+    const ledger = appData.taxDeposits || [];
+    const items = [];
+
+    // 941, SUTA, state and local deposits, grouped by due date
+    ['federal', 'suta', 'state', 'local'].forEach(taxType => {
+        const byDueDate = {};
+        periods.forEach(p => {
+            const amount = periodTaxLiability(p, taxType);
+            if (!(amount > 0)) return;
+            const date = getDepositDueDate(taxType, p.payDate, scheduleCache);
+            const group = byDueDate[date] || (byDueDate[date] = { amount: 0, payDates: [] });
+            group.amount += amount;
+            group.payDates.push(p.payDate);
+        });
+        Object.entries(byDueDate).forEach(([date, group]) => {
+            const payDates = group.payDates.sort();
+            const item = {
+                date,
+                kind: 'deposit',
+                taxType,
+                label: `${TAX_DEPOSIT_TYPES[taxType]} deposit`,
+                periodStart: payDates[0],
+                periodEnd: payDates[payDates.length - 1],
+                amount: round2(group.amount)
+            };
+            applyDeposits(item, ledger.filter(d => d.taxType === taxType && getDepositDueDate(taxType, d.periodEnd, scheduleCache) === date), asOf);
+            items.push(item);
+        });
+    });
+
+    // FUTA deposits under the 940 quarterly threshold
+    let carried = 0;
+    let carriedFrom = null;
+    for (let q = 1; q <= 4; q++) {
+        const quarter = quarterDates(year, q);
+        carried += periods
+            .filter(p => p.payDate >= quarter.start && p.payDate <= quarter.end)
+            .reduce((sum, p) => sum + periodTaxLiability(p, 'futa'), 0);
+        carriedFrom = carriedFrom || quarter.start;
+        if (carried > FUTA_DEPOSIT_THRESHOLD || (q === 4 && carried > 0.005)) {
+            const item = {
+                date: nextBusinessDay(quarter.due),
+                kind: 'deposit',
+                taxType: 'futa',
+                label: carried > FUTA_DEPOSIT_THRESHOLD ? `${TAX_DEPOSIT_TYPES.futa} deposit — Q${q}` : `${TAX_DEPOSIT_TYPES.futa} balance — pay with Form 940`,
+                periodStart: carriedFrom,
+                periodEnd: quarter.end,
+                amount: round2(carried)
+            };
+            applyDeposits(item, ledger.filter(d => d.taxType === 'futa' && d.periodEnd >= item.periodStart && d.periodEnd <= item.periodEnd), asOf);
+            items.push(item);
+            carried = 0;
+            carriedFrom = null;
+        }
+    }
+
+    // Returns
+    const filing = (date, taxType, label, periodStart, periodEnd) => {
+        const shifted = nextBusinessDay(date);
+        items.push({ date: shifted, kind: 'filing', taxType, label, periodStart, periodEnd, amount: null, deposited: null, deposits: [], status: shifted < asOf ? 'past' : 'upcoming' });
+    };
+    for (let q = 1; q <= 4; q++) {
+        const quarter = quarterDates(year, q);
+        filing(quarter.due, 'federal', `Form 941 — Q${q} ${year}`, quarter.start, quarter.end);
+        Object.entries(QUARTERLY_RETURNS).forEach(([taxType, name]) => {
+            const hasLiability = periods.some(p => p.payDate >= quarter.start && p.payDate <= quarter.end && periodTaxLiability(p, taxType) > 0);
+            if (hasLiability) filing(quarter.due, taxType, `${name} — Q${q} ${year}`, quarter.start, quarter.end);
+        });
+    }
+    filing(`${year + 1}-01-31`, 'futa', `Form 940 — ${year}`, `${year}-01-01`, `${year}-12-31`);
+    filing(`${year + 1}-01-31`, 'federal', `Forms W-2 and W-3 — ${year}`, `${year}-01-01`, `${year}-12-31`);
+
+    return items.sort((a, b) => a.date.localeCompare(b.date) || (a.kind === b.kind ? 0 : a.kind === 'deposit' ? -1 : 1));
+}
+
+/**
+ * The next deposit or return due on or after a date, from the tax year's
+ * calendar and the next year's, and how many deposits are past due.
+ * @param {number} taxYear
+ * @param {string} asOf - YYYY-MM-DD (default today)
+ * @returns {object} { next: calendar item or null, pastDue: number }
+ */
+export function getNextDueItem(taxYear, asOf = toLocalDateString(new Date())) {
+    const scheduleCache = createDepositScheduleCache();
+    const items = [...buildTaxCalendar(taxYear, asOf, scheduleCache), ...buildTaxCalendar(taxYear + 1, asOf, scheduleCache)];
+    return {
+        next: items.find(item => item.date >= asOf && item.status === 'upcoming') || null,
+        pastDue: items.filter(item => item.status === 'past-due').length
+    };
+}
+
+/**
+ * The period a calendar item covers, for display.
+ * @param {object} item
+ * @returns {string}
+ */
+export function describeCalendarPeriod(item) {
+    if (item.kind === 'deposit' && item.taxType !== 'futa') {
+        return item.periodStart === item.periodEnd
+            ? `Pay date ${toDisplayDate(item.periodStart)}`
+            : `Pay dates ${toDisplayDate(item.periodStart)} - ${toDisplayDate(item.periodEnd)}`;
+    }
+    return `${toDisplayDate(item.periodStart)} - ${toDisplayDate(item.periodEnd)}`;
+}
@@ -0,0 +1,259 @@
+/*
+  PayTrax Payroll Management
+  Copyright (c) 2025 greenwh
+
+  Developed by greenwh with substantial assistance from AI coding tools (Claude, ChatGPT, Gemini).
+  This file is original work based on documentation and prompts by greenwh.
+  Licensed under the MIT License.
+*/
+// js/tax-deposits.js - Tax deposit ledger and reconciliation (v27)
+//
+// appData.taxDeposits records each tax payment made: the tax type, the
+// liability period it covers, the amount, the date paid and the EFTPS or
+// state confirmation number. Every deposit is linked to a bank register
+// debit — either one already in the register (e.g. the bank's withdrawal
+// from a CSV import) or a "taxdep-" debit posted when the deposit is
+// recorded. A deposit belongs to the quarter its covered period ends in;
+// the quarterly reconciliation compares those deposits to the liabilities
+// of the quarter's pay dates and flags shortfalls and late payments, and
+// the 941 report takes its line 13 from the recorded 941 deposits.
+
+import { appData } from './state.js';
+import { fromStorageDate, toDisplayDate, toLocalDateString, parseDateInput, getQuarterForDate, nextBusinessDay } from './utils.js';
+import { addTransaction } from './banking.js';
+import { getReportPayPeriods } from './reports.js';
+import { validateTaxDeposit } from './validation.js';
+import { getTaxFrequency, findNextDayDeposits, createDepositScheduleCache } from './deposit-schedule.js';
+
+/** Tax types a deposit can be made for, named as on the Tax Deposit Report. */
+export const TAX_DEPOSIT_TYPES = {
+    federal: 'Federal Payroll (941)',
+    futa: 'FUTA (940)',
+    suta: 'SUTA',
+    state: 'State Income Tax',
+    local: 'Local Tax'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * A pay period's liability for one tax type. The 941 liability is the
+ * income tax withheld plus both the employee and employer shares of Social
+ * Security and Medicare.
+ * @param {object} period - A paid pay period
+ * @param {string} taxType - A TAX_DEPOSIT_TYPES key
+ * @returns {number}
+ */
+export function periodTaxLiability(period, taxType) {
+    const taxes = period.taxes || {};
+    if (taxType === 'federal') {
+        return (taxes.federal || 0) + (taxes.fica || 0) * 2 + (taxes.medicare || 0) * 2;
+    }
+    return taxes[taxType] || 0;
+}
+
+/**
+ * The date a deposit is due for a liability incurred on a date, by the tax
+ * type's deposit frequency (settings.taxFrequencies, or the lookback
+ * schedule for 941 taxes when it is enforced - see deposit-schedule.js):
+ * - weekly / bi-weekly / semiweekly (deposited per pay date, the semiweekly
+ *   rule): a Wednesday, Thursday or Friday pay date is due the following
+ *   Wednesday, any other the following Friday
+ * - a 941 pay date that triggers the $100,000 next-day rule (when the
+ *   lookback schedule is enforced): the next day
+ * - monthly: the 15th of the next month
+ * - quarterly: the last day of the month after the quarter
+ * - annual: January 31 of the next year
+ * A due date on a weekend or federal legal holiday moves to the next
+ * business day.
+ * @param {string} taxType - A TAX_DEPOSIT_TYPES key
+ * @param {string} date - YYYY-MM-DD pay date (or the end of the period covered)
+ * @param {object} scheduleCache - From createDepositScheduleCache, shared by a
+ *   caller working out many due dates (optional)
+ * @returns {string} YYYY-MM-DD
+ */
+export function getDepositDueDate(taxType, date, scheduleCache) {
+    const enforced = taxType === 'federal' && appData.settings.lookbackDepositSchedule;
+    const cache = enforced ? scheduleCache || createDepositScheduleCache() : scheduleCache;
+    const frequency = getTaxFrequency(taxType, date, cache);
+    const d = fromStorageDate(date);
+    const year = d.getFullYear();
+    const month = d.getMonth();
+
+    let due;
+    if (enforced && findNextDayDeposits(year, cache).some(t => t.payDate === date)) {
+        due = new Date(year, month, d.getDate() + 1);
+    } else {
+        switch (frequency) {
+            case 'weekly':
+            case 'bi-weekly':
+            case 'semiweekly': {
+                const day = d.getDay();
+                const offset = day >= 3 && day <= 5 ? 10 - day : (12 - day) % 7;
+                due = new Date(year, month, d.getDate() + offset);
+                break;
+            }
+            case 'monthly':
+                due = new Date(year, month + 1, 15);
+                break;
+            case 'annual':
+                due = new Date(year + 1, 0, 31);
+                break;
+            default:
+                due = new Date(year, Math.floor(month / 3) * 3 + 4, 0);
+        }
+    }
+    return nextBusinessDay(toLocalDateString(due));
+}
+
+/**
+ * Deposits of one tax type whose covered period ends in a date range, by date paid.
+ * @param {string} taxType - A TAX_DEPOSIT_TYPES key
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {object[]}
+ */
+export function getTaxDeposits(taxType, startDate, endDate) {
+    return (appData.taxDeposits || [])
+        .filter(d => d.taxType === taxType && d.periodEnd >= startDate && d.periodEnd <= endDate)
+        .sort((a, b) => a.datePaid.localeCompare(b.datePaid));
+}
+
+/**
+ * The bank register description of a deposit's posted debit.
+ * @param {object} deposit
+ * @returns {string}
+ */
+export function describeTaxDeposit(deposit) {
+    const period = deposit.periodStart === deposit.periodEnd
+        ? toDisplayDate(deposit.periodEnd)
+        : `${toDisplayDate(deposit.periodStart)}-${toDisplayDate(deposit.periodEnd)}`;
+    const confirmation = deposit.confirmationNumber ? ` (Conf #${deposit.confirmationNumber})` : '';
+    return `Tax Deposit: ${TAX_DEPOSIT_TYPES[deposit.taxType]} ${period}${confirmation}`;
+}
+
+/**
+ * Register debits a new deposit can be linked to: those not already linked
+ * to a deposit, other than payroll and paycheck debits. Newest first.
+ * @returns {object[]} Bank register transactions
+ */
+export function getLinkableDebits() {
+    return appData.bankRegister
+        .filter(t => t.debit > 0 && !t.taxDepositId && !/^(payroll|check)-/.test(t.id))
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Records a tax deposit and links it to a bank register debit: the given
+ * one, or a new debit posted on the date paid.
+ * @param {object} fields - { taxType, periodStart, periodEnd, amount, datePaid, confirmationNumber }
+ * @param {string|null} transactionId - An existing register debit to link, or null to post one
+ * @returns {object} { errors } or { deposit }
+ */
+export function recordTaxDeposit(fields, transactionId = null) {
+    const deposit = {
+        taxType: fields.taxType,
+        periodStart: fields.periodStart,
+        periodEnd: fields.periodEnd,
+        amount: round2(parseFloat(fields.amount)),
+        datePaid: fields.datePaid,
+        confirmationNumber: String(fields.confirmationNumber ?? '').trim()
+    };
+    const errors = validateTaxDeposit({ ...deposit, amount: fields.amount }).map(e => e.message);
+
+    let transaction = null;
+    if (transactionId) {
+        transaction = appData.bankRegister.find(t => t.id === transactionId);
+        if (!transaction || !(transaction.debit > 0)) {
+            errors.push('The linked bank register entry must be a debit.');
+        } else if (transaction.taxDepositId) {
+            errors.push('That bank register debit is already linked to another tax deposit.');
+        }
+    }
+    if (errors.length > 0) return { errors };
+
+    deposit.id = crypto.randomUUID?.() || 'taxdep_' + Date.now() + '_' + Math.random().toString(36).slice(2);
+    if (!transaction) {
+        const id = `taxdep-${deposit.id}`;
+        addTransaction(deposit.datePaid, describeTaxDeposit(deposit), 'debit', deposit.amount, id, true);
+        transaction = appData.bankRegister.find(t => t.id === id);
+    }
+    transaction.taxDepositId = deposit.id;
+    deposit.transactionId = transaction.id;
+
+    if (!Array.isArray(appData.taxDeposits)) {
+        appData.taxDeposits = [];
+    }
+    appData.taxDeposits.push(deposit);
+    return { deposit };
+}
+
+/**
+ * Deletes a tax deposit. The debit posted for it is removed with it; an
+ * existing debit it was linked to stays in the register, unlinked.
+ * @param {string} depositId
+ * @returns {object|null} The deleted deposit
+ */
+export function deleteTaxDeposit(depositId) {
+    const deposit = (appData.taxDeposits || []).find(d => d.id === depositId);
+    if (!deposit) return null;
+
+    appData.taxDeposits = appData.taxDeposits.filter(d => d.id !== depositId);
+    if (deposit.transactionId === `taxdep-${deposit.id}`) {
+        appData.bankRegister = appData.bankRegister.filter(t => t.id !== deposit.transactionId);
+    } else {
+        const transaction = appData.bankRegister.find(t => t.id === deposit.transactionId);
+        if (transaction) delete transaction.taxDepositId;
+    }
+    return deposit;
+}
+
+/**
+ * Reconciles a quarter's tax liabilities to its recorded deposits, per tax
+ * type. The liability is that of the pay dates in the quarter; the deposits
+ * are those whose covered period ends in it. Each deposit is late when it
+ * was paid after the due date of the period it covers. A type's status is
+ * 'paid' (deposits match the liability), 'overpaid', 'underpaid' (part of
+ * the liability is past its due date and not deposited) or 'due' (the
+ * balance is not yet due).
+ * @param {string} periodStr - Quarter, e.g. "Q1 2025"
+ * @param {string} asOf - YYYY-MM-DD date to judge past-due amounts by (default today)
+ * @returns {object} { title, start, end, rows: [{ taxType, label, liability, deposited, balance, pastDue, deposits, lateCount, status }] } or { error }
+ */
+export function reconcileTaxDeposits(periodStr, asOf = toLocalDateString(new Date())) {
+    const { start, title } = parseDateInput(periodStr, 'quarterly');
+    if (!start) return { error: 'Invalid period. Use format "Q1 2025".' };
+    const quarter = getQuarterForDate(start);
+
+    const periods = [].concat(...Object.values(getReportPayPeriods()))
+        .filter(p => p.grossPay > 0 && p.payDate >= quarter.start && p.payDate <= quarter.end);
+
+    const scheduleCache = createDepositScheduleCache();
+    const rows = Object.entries(TAX_DEPOSIT_TYPES).map(([taxType, label]) => {
+        let liability = 0;
+        let liabilityDue = 0;
+        periods.forEach(p => {
+            const amount = periodTaxLiability(p, taxType);
+            liability += amount;
+            if (getDepositDueDate(taxType, p.payDate, scheduleCache) < asOf) liabilityDue += amount;
+        });
+
+        const deposits = getTaxDeposits(taxType, quarter.start, quarter.end).map(d => {
+            const dueDate = getDepositDueDate(taxType, d.periodEnd, scheduleCache);
+            return { ...d, dueDate, late: d.datePaid > dueDate };
+        });
+        const deposited = round2(deposits.reduce((sum, d) => sum + d.amount, 0));
+        liability = round2(liability);
+        const balance = round2(liability - deposited);
+        const pastDue = Math.max(0, round2(liabilityDue - deposited));
+
+        let status = 'paid';
+        if (balance < 0) status = 'overpaid';
+        else if (pastDue > 0) status = 'underpaid';
+        else if (balance > 0) status = 'due';
+
+        return { taxType, label, liability, deposited, balance, pastDue, deposits, lateCount: deposits.filter(d => d.late).length, status };
+    }).filter(row => row.liability > 0 || row.deposits.length > 0);
+
+    return { title, start: quarter.start, end: quarter.end, rows, error: null };
+}
@@ -0,0 +1,222 @@
+/*
+  PayTrax Payroll Management
+  Copyright (c) 2025 greenwh
+
+  Developed by greenwh with substantial assistance from AI coding tools (Claude, ChatGPT, Gemini).
+  This file is original work based on documentation and prompts by greenwh.
+  Licensed under the MIT License.
+*/
+// js/timeclock.js - Time-clock CSV import of hours
+//
+// A time clock's CSV export (one row per punch or per day) is read through
+// a mapping profile that names its employee ID, date, hours and pay type
+// columns. Rows are matched to employees by idNumber, grouped into the
+// regular pay period containing their date, and totalled per hour bucket.
+// Applying the import pays each period through calculatePayFromData.
+
+import { appData } from './state.js';
+import { parseCsvLine, normalizeCsvDate } from './utils.js';
+import { calculatePayFromData, describePeriod } from './logic.js';
+import { isPeriodInEmployment } from './employees.js';
+import { validateHours } from './validation.js';
+
+/** The hour buckets an import can fill, in period.hours order. */
+export const TIME_CLOCK_BUCKETS = ['regular', 'overtime', 'pto', 'holiday'];
+
+/**
+ * A new mapping profile. Columns are header names (matched ignoring case);
+ * payTypeCodes list, comma-separated, the pay type values that go to each
+ * hour bucket. Without a pay type column every row is regular hours.
+ */
+export const DEFAULT_TIME_CLOCK_PROFILE = {
+    name: 'Default',
+    columns: { employeeId: 'Employee ID', date: 'Date', hours: 'Hours', payType: 'Pay Type' },
+    payTypeCodes: { regular: 'REG, Regular', overtime: 'OT, Overtime', pto: 'PTO, Vacation, Sick', holiday: 'HOL, Holiday' }
+};
+
+/**
+ * Reads hours as decimal ("7.5") or hours:minutes ("7:30").
+ * @param {string} value
+ * @returns {number} Hours, or NaN if unreadable
+ */
+export function parseTimeClockHours(value) {
+    const text = String(value ?? '').trim();
+    const clock = text.match(/^(\d+):([0-5]\d)$/);
+    if (clock) return parseInt(clock[1]) + parseInt(clock[2]) / 60;
+    return text === '' ? NaN : Number(text);
+}
+
+/**
+ * The hour bucket a pay type value belongs to under a profile.
+ * @param {string} value - The pay type as exported (blank = regular)
+ * @param {object} profile - A mapping profile
+ * @returns {string|null} Key of TIME_CLOCK_BUCKETS, or null if unknown
+ */
+export function resolvePayTypeBucket(value, profile) {
+    const code = String(value ?? '').trim().toLowerCase();
+    if (code === '') return 'regular';
+    return TIME_CLOCK_BUCKETS.find(bucket => String(profile.payTypeCodes?.[bucket] || '')
+        .split(',').map(c => c.trim().toLowerCase()).includes(code)) || null;
+}
+
+/**
+ * The header row of a CSV file.
+ * @param {string} csvContent
+ * @returns {string[]}
+ */
+export function readCsvHeader(csvContent) {
+    const firstLine = String(csvContent || '').split(/\r?\n/).find(line => line.trim());
+    return firstLine ? parseCsvLine(firstLine) : [];
+}
+
+/**
+ * Reads a time-clock CSV through a mapping profile and groups its hours by
+ * employee and pay period, without changing any data.
+ * - Employees are matched by idNumber; rows for IDs on no employee are
+ *   listed in unmatchedEmployees.
+ * - A row dated outside every regular pay period of the open year is
+ *   listed in outOfRange.
+ * - Rows with an unreadable date or hours, or an unknown pay type, are
+ *   listed in invalidRows (line numbers count the header as line 1).
+ * - Each group carries the period's hours after the import (imported
+ *   buckets replace the period's; the others are kept) and an `issue` when
+ *   it cannot be applied: a finalized period, a period outside the
+ *   employment dates, a daily timesheet, or invalid hours.
+ * @param {string} csvContent - The file's text
+ * @param {object} profile - A mapping profile
+ * @returns {object} { error, groups: [{ employee, period, hours, imported, rows, issue }],
+ *   unmatchedEmployees: [{ idNumber, rows }], outOfRange: [{ line, employee, date, hours }],
+ *   invalidRows: [{ line, reason }] }
+ */
+export function previewTimeClockImport(csvContent, profile) {
+    const preview = { error: null, groups: [], unmatchedEmployees: [], outOfRange: [], invalidRows: [] };
+    const lines = String(csvContent || '').split(/\r?\n/);
+    const header = readCsvHeader(csvContent).map(h => h.toLowerCase());
+
+    const columnIndex = {};
+    ['employeeId', 'date', 'hours', 'payType'].forEach(key => {
+        const name = String(profile.columns?.[key] || '').trim().toLowerCase();
+        columnIndex[key] = name ? header.indexOf(name) : -1;
+    });
+    const missing = ['employeeId', 'date', 'hours'].filter(key => columnIndex[key] === -1);
+    if (header.length === 0 || missing.length > 0) {
+        preview.error = header.length === 0
+            ? 'The file is empty.'
+            : `Column not found in the file: ${missing.map(key => profile.columns?.[key] || key).join(', ')}.`;
+        return preview;
+    }
+
+    const groupsByKey = new Map();
+    const unmatched = new Map();
+    const headerLine = lines.findIndex(line => line.trim());
+
+    lines.forEach((text, index) => {
+        if (index <= headerLine || !text.trim()) return;
+        const line = index + 1;
+        const row = parseCsvLine(text);
+        const idNumber = row[columnIndex.employeeId] || '';
+        const date = normalizeCsvDate(row[columnIndex.date]);
+        const hours = parseTimeClockHours(row[columnIndex.hours]);
+        const bucket = columnIndex.payType === -1 ? 'regular' : resolvePayTypeBucket(row[columnIndex.payType], profile);
+
+        let reason = null;
+        if (!idNumber) {
+            reason = 'No employee ID';
+        } else if (!date || isNaN(new Date(date + 'T00:00:00Z'))) {
+            reason = `Unreadable date "${row[columnIndex.date] || ''}"`;
+        } else if (!Number.isFinite(hours) || hours < 0) {
+            reason = `Unreadable hours "${row[columnIndex.hours] || ''}"`;
+        } else if (!bucket) {
+            reason = `Unknown pay type "${row[columnIndex.payType]}"`;
+        }
+        if (reason) {
+            preview.invalidRows.push({ line, reason });
+            return;
+        }
+
+        const employee = appData.employees.find(e => String(e.idNumber || '').trim() === idNumber);
+        if (!employee) {
+            unmatched.set(idNumber, (unmatched.get(idNumber) || 0) + 1);
+            return;
+        }
+
+        const period = (appData.payPeriods[employee.id] || []).find(p => !p.offCycle && date >= p.startDate && date <= p.endDate);
+        if (!period) {
+            preview.outOfRange.push({ line, employee, date, hours });
+            return;
+        }
+
+        const key = `${employee.id}|${period.period}`;
+        if (!groupsByKey.has(key)) {
+            groupsByKey.set(key, { employee, period, imported: {}, rows: 0 });
+        }
+        const group = groupsByKey.get(key);
+        group.imported[bucket] = (group.imported[bucket] || 0) + hours;
+        group.rows++;
+    });
+
+    preview.unmatchedEmployees = [...unmatched].map(([idNumber, rows]) => ({ idNumber, rows }));
+    preview.groups = [...groupsByKey.values()].map(group => {
+        Object.keys(group.imported).forEach(bucket => {
+            group.imported[bucket] = Math.round(group.imported[bucket] * 100) / 100;
+        });
+        const { employee, period, imported } = group;
+        const hours = { ...period.hours, ...imported };
+
+        let issue = null;
+        if (period.finalized) {
+            issue = `${describePeriod(period)} is finalized`;
+        } else if (!isPeriodInEmployment(employee, period)) {
+            issue = `${describePeriod(period)} is outside the employment dates`;
+        } else if (period.timesheet && (imported.regular !== undefined || imported.overtime !== undefined)) {
+            issue = `${describePeriod(period)} has a daily timesheet`;
+        } else {
+            const errors = validateHours(hours);
+            if (errors.length > 0) issue = errors[0].message;
+        }
+        return { ...group, hours, issue };
+    }).sort((a, b) => a.employee.name.localeCompare(b.employee.name) || a.period.period - b.period.period);
+
+    return preview;
+}
+
+/**
+ * Applies a preview: every group without an issue is paid with its hours
+ * through calculatePayFromData. Importing the same file again gives the
+ * same hours.
+ * @param {object} preview - From previewTimeClockImport
+ * @returns {object[]} The applied groups
+ */
+export function applyTimeClockImport(preview) {
+    const applied = (preview?.groups || []).filter(group => !group.issue);
+    applied.forEach(({ employee, period, hours }) => {
+        calculatePayFromData(employee.id, period.period, hours);
+    });
+    return applied;
+}
+
+/**
+ * Saves a mapping profile to settings.timeClockProfiles, replacing the
+ * profile of the same name.
+ * @param {object} profile - { name, columns, payTypeCodes }
+ * @returns {boolean} - True if saved (a name is required)
+ */
+export function saveTimeClockProfile(profile) {
+    const name = String(profile?.name || '').trim();
+    if (!name) return false;
+    if (!Array.isArray(appData.settings.timeClockProfiles)) {
+        appData.settings.timeClockProfiles = [];
+    }
+    const saved = {
+        name,
+        columns: { ...DEFAULT_TIME_CLOCK_PROFILE.columns, ...profile.columns },
+        payTypeCodes: { ...DEFAULT_TIME_CLOCK_PROFILE.payTypeCodes, ...profile.payTypeCodes }
+    };
+    const index = appData.settings.timeClockProfiles.findIndex(p => p.name === name);
+    if (index === -1) {
+        appData.settings.timeClockProfiles.push(saved);
+    } else {
+        appData.settings.timeClockProfiles[index] = saved;
+    }
+    return true;
+}
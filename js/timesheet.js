@@ -0,0 +1,195 @@
+/*
+  PayTrax Payroll Management
+  Copyright (c) 2025 greenwh
+
+  Developed by greenwh with substantial assistance from AI coding tools (Claude, ChatGPT, Gemini).
+  This file is original work based on documentation and prompts by greenwh.
+  Licensed under the MIT License.
+*/
+// js/timesheet.js - Daily timesheets and FLSA/state overtime splitting
+//
+// A regular pay period can carry a daily timesheet (period.timesheet.days,
+// hours worked keyed by YYYY-MM-DD). Its hours are split into regular and
+// overtime by workweek and written to period.hours, so the pay engine
+// itself is unchanged. PTO and holiday hours are not hours worked and stay
+// as entered on the period.
+
+import { appData } from './state.js';
+import { formatDate } from './utils.js';
+
+/** Hours worked in a workweek before FLSA overtime applies. */
+export const WORKWEEK_HOURS = 40;
+
+/**
+ * Overtime rules (settings.overtimeRule). `dailyOvertime`/`dailyDoubleTime`
+ * are the daily hour thresholds of a state daily-overtime rule.
+ */
+export const OVERTIME_RULES = {
+    flsa:       { label: 'Federal (FLSA): over 40 hours in a workweek' },
+    california: { label: 'California: over 8 hours a day or 40 a week; double time over 12 a day', dailyOvertime: 8, dailyDoubleTime: 12 }
+};
+
+/**
+ * Adds days to a YYYY-MM-DD date.
+ * @param {string} dateStr
+ * @param {number} days
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(dateStr, days) {
+    const d = new Date(dateStr + 'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + days);
+    return formatDate(d);
+}
+
+/**
+ * The dates of a pay period, start to end.
+ * @param {object} period - A pay period
+ * @returns {string[]} YYYY-MM-DD dates
+ */
+export function getPeriodDates(period) {
+    const dates = [];
+    for (let d = period.startDate; d <= period.endDate; d = addDays(d, 1)) {
+        dates.push(d);
+    }
+    return dates;
+}
+
+/**
+ * The weekday (0 = Sunday) workweeks start on. Weekly and bi-weekly
+ * workweeks line up with the pay periods, so a bi-weekly period is exactly
+ * two workweeks; semi-monthly and monthly periods use a Sunday workweek.
+ * @param {object} settings - appData.settings
+ * @returns {number}
+ */
+export function getWorkweekStartDay(settings) {
+    if ((settings.payFrequency === 'weekly' || settings.payFrequency === 'bi-weekly') && settings.firstPayPeriodStartDate) {
+        return new Date(settings.firstPayPeriodStartDate + 'T00:00:00Z').getUTCDay();
+    }
+    return 0;
+}
+
+/**
+ * The first day of the workweek containing a date.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number} startDay - Weekday the workweek starts on (0 = Sunday)
+ * @returns {string} YYYY-MM-DD
+ */
+export function getWorkweekStart(dateStr, startDay) {
+    const weekday = new Date(dateStr + 'T00:00:00Z').getUTCDay();
+    return addDays(dateStr, -((weekday - startDay + 7) % 7));
+}
+
+/**
+ * Splits daily hours worked into regular, overtime and double-time hours.
+ * Days are taken in order from the start of the workweek containing
+ * `fromDate`, so hours worked earlier in a workweek that began in the
+ * previous pay period count toward its 40 hours; only days from `fromDate`
+ * to `toDate` are returned and totalled.
+ * - Weekly: regular hours beyond WORKWEEK_HOURS in a workweek are overtime.
+ * - Daily (e.g. California): hours beyond `dailyOvertime` in a day are
+ *   overtime and beyond `dailyDoubleTime` double time; daily overtime does
+ *   not also count toward the weekly 40.
+ * @param {object} days - Hours worked keyed by YYYY-MM-DD (any range)
+ * @param {string} fromDate - First day to total (YYYY-MM-DD)
+ * @param {string} toDate - Last day to total (YYYY-MM-DD)
+ * @param {number} startDay - Weekday workweeks start on (0 = Sunday)
+ * @param {string} ruleKey - Key of OVERTIME_RULES (default 'flsa')
+ * @returns {object} { regular, overtime, doubleTime, daily: [{ date, hours, regular, overtime, doubleTime }] }
+ */
+export function splitTimesheetHours(days, fromDate, toDate, startDay, ruleKey) {
+    const rule = OVERTIME_RULES[ruleKey] || OVERTIME_RULES.flsa;
+    const result = { regular: 0, overtime: 0, doubleTime: 0, daily: [] };
+
+    let weekStart = null;
+    let weekRegular = 0;
+    for (let date = getWorkweekStart(fromDate, startDay); date <= toDate; date = addDays(date, 1)) {
+        const currentWeek = getWorkweekStart(date, startDay);
+        if (currentWeek !== weekStart) {
+            weekStart = currentWeek;
+            weekRegular = 0;
+        }
+
+        const hours = Math.max(0, parseFloat(days[date]) || 0);
+        let regular = hours;
+        let overtime = 0;
+        let doubleTime = 0;
+        if (rule.dailyDoubleTime !== undefined && regular > rule.dailyDoubleTime) {
+            doubleTime = regular - rule.dailyDoubleTime;
+            regular = rule.dailyDoubleTime;
+        }
+        if (rule.dailyOvertime !== undefined && regular > rule.dailyOvertime) {
+            overtime = regular - rule.dailyOvertime;
+            regular = rule.dailyOvertime;
+        }
+        const weeklyOvertime = Math.max(0, weekRegular + regular - WORKWEEK_HOURS);
+        regular -= weeklyOvertime;
+        overtime += weeklyOvertime;
+        weekRegular += regular;
+
+        if (date >= fromDate) {
+            result.regular += regular;
+            result.overtime += overtime;
+            result.doubleTime += doubleTime;
+            result.daily.push({ date, hours, regular, overtime, doubleTime });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Every day of an employee's timesheets, including the prior tax year's
+ * archived periods (v21) for a workweek that spans the year boundary.
+ * @param {string} employeeId
+ * @returns {object} Hours worked keyed by YYYY-MM-DD
+ */
+function collectTimesheetDays(employeeId) {
+    const archived = appData.archivedYears?.[appData.settings.taxYear - 1]?.payPeriods?.[employeeId] || [];
+    const days = {};
+    [...archived, ...(appData.payPeriods[employeeId] || [])].forEach(p => {
+        if (p.offCycle || !p.timesheet) return;
+        Object.assign(days, p.timesheet.days);
+    });
+    return days;
+}
+
+/**
+ * The workweek split of one period's timesheet, day by day.
+ * @param {string} employeeId
+ * @param {object} period - A regular pay period
+ * @returns {object} See splitTimesheetHours
+ */
+export function getTimesheetSplit(employeeId, period) {
+    return splitTimesheetHours(collectTimesheetDays(employeeId), period.startDate, period.endDate,
+        getWorkweekStartDay(appData.settings), appData.settings.overtimeRule);
+}
+
+/**
+ * Writes the regular and overtime hours of every period with a timesheet
+ * (finalized periods excepted) from its days. Double-time hours are kept
+ * on the timesheet and paid as overtime hours of equal value
+ * (double time × 2 ÷ the employee's overtime multiplier), so the pay
+ * engine needs no double-time rate.
+ * @param {object} employee
+ * @param {Array} periods - The employee's pay periods
+ */
+export function applyTimesheetHours(employee, periods) {
+    if (!periods.some(p => p.timesheet && !p.offCycle)) return;
+
+    const days = collectTimesheetDays(employee.id);
+    const startDay = getWorkweekStartDay(appData.settings);
+    const ruleKey = appData.settings.overtimeRule;
+    const multiplier = employee.overtimeMultiplier || 1.5;
+
+    periods.forEach(period => {
+        if (!period.timesheet || period.offCycle || period.finalized) return;
+        const split = splitTimesheetHours(days, period.startDate, period.endDate, startDay, ruleKey);
+        const round = (n) => Math.round(n * 100) / 100;
+        period.timesheet.regular = round(split.regular);
+        period.timesheet.overtime = round(split.overtime);
+        period.timesheet.doubleTime = round(split.doubleTime);
+        period.hours.regular = round(split.regular);
+        // Four decimals keep the double-time equivalent within a cent
+        period.hours.overtime = Math.round((split.overtime + split.doubleTime * 2 / multiplier) * 10000) / 10000;
+    });
+}
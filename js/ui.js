@@ -8,7 +8,7 @@
 */
 import { appData } from './state.js';
 import * as logic from './logic.js';
-import { formatDate, parseDateInput, fromStorageDate, toDisplayDate, getQuarterForDate, escapeHtml } from './utils.js';
+import { formatDate, parseDateInput, fromStorageDate, toDisplayDate, toLocalDateString, getQuarterForDate, escapeHtml } from './utils.js';
 import { getAuditLog } from './audit.js';
 
 // --- UI & TAB MANAGEMENT ---
@@ -41,8 +41,22 @@ export function displaySettings() {
     document.getElementById('payFrequency').value = settings.payFrequency;
     document.getElementById('firstPayPeriodStartDate').value = settings.firstPayPeriodStartDate;
     document.getElementById('daysUntilPayday').value = settings.daysUntilPayday;
+    document.getElementById('overtimeRule').value = settings.overtimeRule || 'flsa';
     document.getElementById('companyAddress').value = settings.companyAddress;
     document.getElementById('companyPhone').value = settings.companyPhone;
+    const ach = settings.ach || {};
+    document.getElementById('achCompanyId').value = ach.companyId || '';
+    document.getElementById('achBankName').value = ach.bankName || '';
+    document.getElementById('achBankRoutingNumber').value = ach.bankRoutingNumber || '';
+    document.getElementById('achOffsetAccountNumber').value = ach.offsetAccountNumber || '';
+    document.getElementById('achOffsetAccountType').value = ach.offsetAccountType === 'savings' ? 'savings' : 'checking';
+    document.getElementById('nextCheckNumber').value = settings.nextCheckNumber;
+    document.getElementById('checkLayout').value = settings.checkLayout === 'middle' ? 'middle' : 'top';
+    const positivePay = settings.positivePay || {};
+    document.getElementById('positivePayAccountNumber').value = positivePay.accountNumber || '';
+    document.getElementById('positivePayLayout').value = positivePay.layout || 'csv';
+    document.getElementById('positivePayIssueIndicator').value = positivePay.issueIndicator || '';
+    document.getElementById('positivePayVoidIndicator').value = positivePay.voidIndicator || '';
     document.getElementById('socialSecurity').value = settings.socialSecurity;
     document.getElementById('medicare').value = settings.medicare;
     document.getElementById('sutaRate').value = settings.sutaRate;
@@ -67,9 +81,11 @@ export function displaySettings() {
     document.getElementById('sutaTaxFrequency').value = settings.taxFrequencies.suta;
     document.getElementById('stateTaxFrequency').value = settings.taxFrequencies.state;
     document.getElementById('localTaxFrequency').value = settings.taxFrequencies.local;
+    document.getElementById('lookbackDepositSchedule').checked = !!settings.lookbackDepositSchedule;
     document.getElementById('autoSubtraction').checked = settings.autoSubtraction !== false;
     document.getElementById('quarterlyEarningsTarget').value = settings.quarterlyEarningsTarget;
     document.getElementById('minimumWeeklyHours').value = settings.minimumWeeklyHours;
+    renderDepositSchedule();
 }
 
 /**
@@ -77,13 +93,18 @@ export function displaySettings() {
  */
 export function populateEmployeeDropdowns() {
     const lists = [document.getElementById('employeeList'), document.getElementById('currentEmployee'), document.getElementById('reportEmployee')];
+    // Employees on leave or terminated (v23) are hidden unless asked for;
+    // reports always list everyone, since they cover past wages
+    const showInactive = !!document.getElementById('showInactiveEmployees')?.checked;
     lists.forEach(list => {
         const currentVal = list.value;
         list.innerHTML = list.id === 'reportEmployee' ? '<option value="all">All Employees</option>' : `<option value="">${list.id === 'employeeList' ? 'Select Employee to Edit...' : 'Select Employee...'}</option>`;
         appData.employees.forEach(emp => {
+            const active = logic.isEmployeeActive(emp);
+            if (!active && !showInactive && list.id !== 'reportEmployee') return;
             const option = document.createElement('option');
             option.value = emp.id;
-            option.textContent = `${emp.name} (${emp.idNumber || 'No ID'})`;
+            option.textContent = `${emp.name} (${emp.idNumber || 'No ID'})${active ? '' : ` — ${logic.EMPLOYMENT_STATUSES[emp.status] || emp.status}`}`;
             list.appendChild(option);
         });
         // Try to preserve the selected value
@@ -106,7 +127,9 @@ export function populatePeriodDropdown(employeeId) {
     appData.payPeriods[employeeId].forEach(period => {
         const option = document.createElement('option');
         option.value = period.period;
-        option.textContent = `Period ${period.period}: ${toDisplayDate(period.startDate)} - ${toDisplayDate(period.endDate)}`;
+        option.textContent = period.offCycle
+            ? `${logic.describePeriod(period)}: paid ${toDisplayDate(period.payDate)}`
+            : `Period ${period.period}: ${toDisplayDate(period.startDate)} - ${toDisplayDate(period.endDate)}`;
         dropdown.appendChild(option);
     });
     if (Array.from(dropdown.options).some(opt => opt.value === currentVal)) {
@@ -139,7 +162,7 @@ export function displayPayPeriods(employeeId) {
         const totalHours = period.hours ? Object.values(period.hours).reduce((a, b) => a + b, 0) : 0;
         const row = document.createElement('tr');
         row.innerHTML = `
-            <td>${period.period}</td><td>${toDisplayDate(period.startDate)}</td><td>${toDisplayDate(period.endDate)}</td>
+            <td>${period.offCycle ? logic.describePeriod(period) : period.period}${period.voidedChecks?.length ? ` <span style="color:#dc3545;">(${period.grossPay > 0 ? 'reissued' : 'voided'})</span>` : ''}${period.finalized ? ' <span style="color:#6c757d;">(finalized)</span>' : ''}</td><td>${toDisplayDate(period.startDate)}</td><td>${toDisplayDate(period.endDate)}</td>
             <td>${toDisplayDate(period.payDate)}</td><td>${totalHours.toFixed(2)}</td><td>$${period.grossPay.toFixed(2)}</td>
             <td>$${period.taxes.federal.toFixed(2)}</td><td>$${period.taxes.state.toFixed(2)}</td>
             <td>$${period.taxes.local.toFixed(2)}</td><td>$${period.taxes.fica.toFixed(2)}</td>
@@ -150,6 +173,384 @@ export function displayPayPeriods(employeeId) {
     });
 }
 
+/** The hour columns of the bulk hours grid, in order. */
+const BULK_HOUR_FIELDS = ['regular', 'overtime', 'pto', 'holiday'];
+
+/**
+ * Fills the bulk hours grid's pay date list, keeping the selected date.
+ * With none selected, the next pay date from today is chosen (or the last).
+ */
+export function populateBulkPayDates() {
+    const select = document.getElementById('bulkPayDate');
+    const selected = select.value;
+    const payDates = logic.getRegularPayDates();
+    select.innerHTML = payDates.map(d => `<option value="${d}">${toDisplayDate(d)}</option>`).join('');
+    if (payDates.length === 0) return;
+
+    const today = formatDate(new Date());
+    select.value = payDates.includes(selected)
+        ? selected
+        : (payDates.find(d => d >= today) || payDates[payDates.length - 1]);
+}
+
+/**
+ * Renders the bulk hours grid for the selected pay date: one row of
+ * hour inputs per active employee, with live gross/net and a totals footer.
+ */
+export function renderBulkHoursGrid() {
+    populateBulkPayDates();
+    const payDate = document.getElementById('bulkPayDate').value;
+    const tbody = document.getElementById('bulkHoursBody');
+    const grid = logic.getPayDateGrid(payDate);
+
+    if (grid.rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="9" style="text-align:center; color:#6c757d;">No active employees are paid on this date.</td></tr>';
+    } else {
+        tbody.innerHTML = grid.rows.map(({ employee, period, locked, timesheet }, rowIndex) => {
+            const inputs = BULK_HOUR_FIELDS.map((field, colIndex) => {
+                const value = period.hours[field] > 0 ? period.hours[field] : '';
+                const fromTimesheet = timesheet && (field === 'regular' || field === 'overtime');
+                return `<td><input type="number" class="bulk-hours-input" min="0" step="0.01" style="width: 80px;"
+                    data-row="${rowIndex}" data-col="${colIndex}" data-field="${field}" value="${value}"
+                    ${locked ? 'disabled' : ''} ${fromTimesheet ? 'readonly title="From the daily timesheet"' : ''}></td>`;
+            }).join('');
+            return `<tr data-employee-id="${employee.id}" data-period="${period.period}">
+                <td>${escapeHtml(employee.name)}${locked ? ` <span style="color:#6c757d;">(${period.finalized ? 'finalized' : 'outside employment'})</span>` : ''}</td>
+                <td>${period.period}</td>
+                ${inputs}
+                <td class="bulk-gross"></td><td class="bulk-net"></td><td class="bulk-cost"></td>
+            </tr>`;
+        }).join('');
+    }
+
+    refreshBulkHoursTotals();
+}
+
+/**
+ * Refreshes the bulk hours grid's calculated cells and totals footer in
+ * place, so the input being typed in keeps focus.
+ */
+export function refreshBulkHoursTotals() {
+    const grid = logic.getPayDateGrid(document.getElementById('bulkPayDate').value);
+    grid.rows.forEach(({ employee, period, payrollCost }) => {
+        const row = document.querySelector(`#bulkHoursBody tr[data-employee-id="${employee.id}"]`);
+        if (!row) return;
+        row.querySelector('.bulk-gross').textContent = `$${period.grossPay.toFixed(2)}`;
+        row.querySelector('.bulk-net').textContent = `$${period.netPay.toFixed(2)}`;
+        row.querySelector('.bulk-cost').textContent = `$${payrollCost.toFixed(2)}`;
+    });
+
+    const { totals, bankBalanceAfter } = grid;
+    const balanceStyle = bankBalanceAfter < 0 ? ' style="color:#dc3545;"' : '';
+    document.getElementById('bulkHoursFoot').innerHTML = `
+        <tr style="font-weight: bold;">
+            <td colspan="2">Totals</td>
+            ${BULK_HOUR_FIELDS.map(field => `<td>${totals[field].toFixed(2)}</td>`).join('')}
+            <td>$${totals.grossPay.toFixed(2)}</td><td>$${totals.netPay.toFixed(2)}</td><td>$${totals.payrollCost.toFixed(2)}</td>
+        </tr>
+        <tr style="font-weight: bold;">
+            <td colspan="8">Bank balance after payroll</td>
+            <td${balanceStyle}>$${bankBalanceAfter.toFixed(2)}</td>
+        </tr>`;
+}
+
+/**
+ * Moves focus around the bulk hours grid like a spreadsheet: Up/Down and
+ * Enter move between employees, Left/Right between hour columns. Disabled
+ * cells are skipped.
+ * @param {HTMLInputElement} input - The focused grid input
+ * @param {string} key - The KeyboardEvent key
+ * @returns {boolean} - True if focus moved
+ */
+export function moveBulkHoursFocus(input, key) {
+    const steps = { ArrowUp: [-1, 0], ArrowDown: [1, 0], Enter: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+    const step = steps[key];
+    if (!step) return false;
+
+    let row = parseInt(input.dataset.row);
+    let col = parseInt(input.dataset.col);
+    for (;;) {
+        row += step[0];
+        col += step[1];
+        const target = document.querySelector(`#bulkHoursBody .bulk-hours-input[data-row="${row}"][data-col="${col}"]`);
+        if (!target) return false;
+        if (!target.disabled) {
+            target.focus();
+            target.select();
+            return true;
+        }
+    }
+}
+
+/**
+ * Fills the time-clock import's profile list from the saved mapping
+ * profiles; "New profile" starts from the defaults.
+ * @param {string} [selectedName] - The profile to select
+ */
+export function populateTimeClockProfiles(selectedName = '') {
+    const select = document.getElementById('timeClockProfile');
+    const profiles = appData.settings.timeClockProfiles || [];
+    select.innerHTML = '<option value="">New profile</option>' +
+        profiles.map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`).join('');
+    select.value = profiles.some(p => p.name === selectedName) ? selectedName : '';
+}
+
+/**
+ * Shows a mapping profile in the time-clock import form. The column lists
+ * offer the loaded file's headers; a profile column missing from the file
+ * is still listed so the mapping is not lost.
+ * @param {object} profile - A mapping profile
+ * @param {string[]} header - The loaded file's header row (may be empty)
+ */
+export function displayTimeClockProfile(profile, header) {
+    document.getElementById('timeClockProfileName').value = profile.name || '';
+    document.querySelectorAll('.time-clock-column').forEach(select => {
+        const key = select.dataset.key;
+        const mapped = profile.columns?.[key] || '';
+        const names = [...header];
+        const match = names.find(h => h.toLowerCase() === mapped.toLowerCase());
+        if (mapped && !match) names.push(mapped);
+        const none = key === 'payType' ? '<option value="">(none — all regular)</option>' : '<option value="">Select column</option>';
+        select.innerHTML = none + names.map(h => `<option value="${escapeHtml(h)}">${escapeHtml(h)}</option>`).join('');
+        select.value = match || mapped;
+    });
+    document.querySelectorAll('.time-clock-codes').forEach(input => {
+        input.value = profile.payTypeCodes?.[input.dataset.bucket] || '';
+    });
+}
+
+/**
+ * Reads the mapping profile from the time-clock import form.
+ * @returns {object} { name, columns, payTypeCodes }
+ */
+export function readTimeClockProfileForm() {
+    const profile = { name: document.getElementById('timeClockProfileName').value.trim(), columns: {}, payTypeCodes: {} };
+    document.querySelectorAll('.time-clock-column').forEach(select => { profile.columns[select.dataset.key] = select.value; });
+    document.querySelectorAll('.time-clock-codes').forEach(input => { profile.payTypeCodes[input.dataset.bucket] = input.value.trim(); });
+    return profile;
+}
+
+/**
+ * Shows a time-clock import preview: the hours per employee and period,
+ * followed by the unmatched employee IDs, out-of-range dates and
+ * unreadable rows.
+ * @param {object} preview - From previewTimeClockImport
+ */
+export function renderTimeClockPreview(preview) {
+    const container = document.getElementById('timeClockPreview');
+    if (preview.error) {
+        container.innerHTML = `<p style="color:#dc3545;">${escapeHtml(preview.error)}</p>`;
+        return;
+    }
+
+    const hoursCell = (group, bucket) => {
+        const value = (group.hours[bucket] || 0).toFixed(2);
+        return group.imported[bucket] !== undefined ? `<strong>${value}</strong>` : value;
+    };
+    let html = `<table class="report-table">
+        <thead><tr><th>Employee</th><th>Period</th><th>Dates</th><th>Rows</th><th>Regular</th><th>Overtime</th><th>PTO</th><th>Holiday</th><th>Status</th></tr></thead>
+        <tbody>${preview.groups.map(group => `<tr>
+            <td>${escapeHtml(group.employee.name)}</td>
+            <td>${logic.describePeriod(group.period)}</td>
+            <td>${toDisplayDate(group.period.startDate)} – ${toDisplayDate(group.period.endDate)}</td>
+            <td>${group.rows}</td>
+            <td>${hoursCell(group, 'regular')}</td><td>${hoursCell(group, 'overtime')}</td>
+            <td>${hoursCell(group, 'pto')}</td><td>${hoursCell(group, 'holiday')}</td>
+            <td>${group.issue ? `<span style="color:#dc3545;">Skipped: ${escapeHtml(group.issue)}</span>` : 'Ready'}</td>
+        </tr>`).join('') || '<tr><td colspan="9" style="text-align:center; color:#6c757d;">No hours to import.</td></tr>'}</tbody>
+    </table>
+    <p style="color:#6c757d; font-size: 0.9em;">Imported hours are in bold; the others are the period's current hours.</p>`;
+
+    if (preview.unmatchedEmployees.length > 0) {
+        html += `<p style="color:#dc3545;"><strong>Unmatched employee IDs</strong> (no employee has this ID Number):</p><ul>${preview.unmatchedEmployees
+            .map(u => `<li>${escapeHtml(u.idNumber)} — ${u.rows} row${u.rows === 1 ? '' : 's'}</li>`).join('')}</ul>`;
+    }
+    if (preview.outOfRange.length > 0) {
+        html += `<p style="color:#dc3545;"><strong>Dates outside the ${appData.settings.taxYear} pay periods:</strong></p><ul>${preview.outOfRange
+            .map(r => `<li>Line ${r.line}: ${escapeHtml(r.employee.name)}, ${toDisplayDate(r.date)}, ${r.hours.toFixed(2)} hours</li>`).join('')}</ul>`;
+    }
+    if (preview.invalidRows.length > 0) {
+        html += `<p style="color:#dc3545;"><strong>Rows that could not be read:</strong></p><ul>${preview.invalidRows
+            .map(r => `<li>Line ${r.line}: ${escapeHtml(r.reason)}</li>`).join('')}</ul>`;
+    }
+    container.innerHTML = html;
+}
+
+/**
+ * Shows a roster import preview: what each row will do, and why any
+ * row will be skipped.
+ * @param {object} preview - From previewRosterImport
+ * @param {boolean} updateExisting - Whether matching employees are updated
+ */
+export function renderRosterPreview(preview, updateExisting) {
+    const container = document.getElementById('rosterPreview');
+    if (preview.error) {
+        container.innerHTML = `<p style="color:#dc3545;">${escapeHtml(preview.error)}</p>`;
+        return;
+    }
+
+    const rows = preview.rows.map(row => {
+        let status = row.action === 'update' ? `Update ${escapeHtml(row.existing.name)}` : 'Create';
+        if (row.errors.length > 0) {
+            status = `<span style="color:#dc3545;">Skipped: ${row.errors.map(escapeHtml).join('; ')}</span>`;
+        } else if (row.action === 'update' && !updateExisting) {
+            status = '<span style="color:#6c757d;">Skipped: already on the roster</span>';
+        }
+        const pay = row.data.payType === 'salary'
+            ? `$${(row.data.annualSalary || 0).toFixed(2)}/yr`
+            : `$${(row.data.rate || 0).toFixed(2)}/hr`;
+        return `<tr>
+            <td>${row.line}</td><td>${escapeHtml(row.data.idNumber)}</td><td>${escapeHtml(row.data.name)}</td>
+            <td>${pay}</td><td>${row.deductions.map(d => escapeHtml(d.name)).join(', ')}</td><td>${status}</td>
+        </tr>`;
+    }).join('');
+
+    container.innerHTML = `<table class="report-table">
+        <thead><tr><th>Line</th><th>ID Number</th><th>Name</th><th>Pay</th><th>Deductions</th><th>Action</th></tr></thead>
+        <tbody>${rows || '<tr><td colspan="6" style="text-align:center; color:#6c757d;">No employees in the file.</td></tr>'}</tbody>
+    </table>`;
+}
+
+/**
+ * Fills the ACH pay date picker (v24) with the pay dates that have net pay,
+ * keeping the current choice, else the next pay date on or after today.
+ * The effective entry date follows a newly chosen pay date.
+ */
+export function populateAchPayDates() {
+    const select = document.getElementById('achPayDate');
+    const selected = select.value;
+    const payDates = logic.getAchPayDates();
+    select.innerHTML = payDates.map(d => `<option value="${d}">${toDisplayDate(d)}</option>`).join('');
+    if (payDates.length === 0) return;
+
+    const today = formatDate(new Date());
+    select.value = payDates.includes(selected)
+        ? selected
+        : (payDates.find(d => d >= today) || payDates[payDates.length - 1]);
+    if (select.value !== selected) {
+        document.getElementById('achEffectiveDate').value = select.value;
+    }
+}
+
+/**
+ * Shows what an ACH file for the pay date would hold (v24): one row per
+ * deposit, the employees paid by check, and any missing settings.
+ * @param {object} preview - From previewAchBatch
+ */
+export function renderAchPreview(preview) {
+    const container = document.getElementById('achPreview');
+    const errors = preview.errors.length > 0
+        ? `<div class="alert alert-info">${preview.errors.map(escapeHtml).join('<br>')}</div>`
+        : '';
+    const rows = preview.entries.map(entry => `<tr>
+        <td>${escapeHtml(entry.employee.name)}</td>
+        <td>${escapeHtml(logic.describePeriod(entry.period))}</td>
+        <td>${entry.account.accountType === 'savings' ? 'Savings' : 'Checking'} ••••${escapeHtml(String(entry.account.accountNumber).slice(-4))}</td>
+        <td>${entry.account.splitType === 'remainder' ? 'Remainder' : (entry.account.splitType === 'percent' ? `${entry.account.splitValue}%` : 'Fixed')}</td>
+        <td>$${entry.amount.toFixed(2)}</td>
+    </tr>`).join('');
+    const skipped = preview.skipped.length > 0
+        ? `<p style="color:#6c757d; margin-top:10px;">Not in the file: ${preview.skipped.map(s => `${escapeHtml(s.employee.name)} (${escapeHtml(s.reason)})`).join('; ')}</p>`
+        : '';
+
+    container.innerHTML = `${errors}<table class="report-table">
+        <thead><tr><th>Employee</th><th>Period</th><th>Account</th><th>Split</th><th>Amount</th></tr></thead>
+        <tbody>${rows || '<tr><td colspan="5" style="text-align:center; color:#6c757d;">No direct deposits on this pay date.</td></tr>'}</tbody>
+        <tfoot><tr><th colspan="4">Total (${preview.entries.length} deposits)</th><th>$${preview.totalCredit.toFixed(2)}</th></tr></tfoot>
+    </table>${skipped}`;
+}
+
+/**
+ * Fills the paper check pay date dropdown (v25), keeping the current choice
+ * or defaulting to the next upcoming pay date, and lists its checks.
+ */
+export function populateCheckPayDates() {
+    const select = document.getElementById('checkPayDate');
+    const selected = select.value;
+    const payDates = logic.getCheckPayDates();
+    select.innerHTML = payDates.map(d => `<option value="${d}">${toDisplayDate(d)}</option>`).join('');
+    if (payDates.length > 0) {
+        const today = formatDate(new Date());
+        select.value = payDates.includes(selected)
+            ? selected
+            : (payDates.find(d => d >= today) || payDates[payDates.length - 1]);
+    }
+    renderCheckList();
+}
+
+/**
+ * Lists the paper checks for the chosen pay date (v25) with their numbers
+ * once printed.
+ */
+export function renderCheckList() {
+    const container = document.getElementById('checkList');
+    const payDate = document.getElementById('checkPayDate').value;
+    const checks = payDate ? logic.getCheckPeriods(payDate) : [];
+    if (checks.length === 0) {
+        container.innerHTML = '<p style="color:#6c757d;">No paper checks to print.</p>';
+        return;
+    }
+    const total = checks.reduce((sum, c) => sum + c.period.netPay, 0);
+    container.innerHTML = `<table class="report-table">
+        <thead><tr><th>Check #</th><th>Employee</th><th>Period</th><th>Net Pay</th></tr></thead>
+        <tbody>${checks.map(({ employee, period }) => `<tr>
+            <td>${period.checkNumber || '<span style="color:#6c757d;">Not printed</span>'}</td>
+            <td>${escapeHtml(employee.name)}</td>
+            <td>${escapeHtml(logic.describePeriod(period))}</td>
+            <td>$${period.netPay.toFixed(2)}</td>
+        </tr>`).join('')}</tbody>
+        <tfoot><tr><th colspan="3">Total (${checks.length} checks)</th><th>$${total.toFixed(2)}</th></tr></tfoot>
+    </table>`;
+}
+
+/**
+ * Lists the checks a Positive Pay file (v26) would hold, voided ones flagged.
+ * @param {Array} checks - From getIssuedChecks
+ */
+export function renderPositivePayPreview(checks) {
+    const container = document.getElementById('positivePayPreview');
+    if (checks.length === 0) {
+        container.innerHTML = '<p style="color:#6c757d;">No checks were issued or voided in this date range.</p>';
+        return;
+    }
+    const issuedTotal = checks.filter(c => !c.voided).reduce((sum, c) => sum + c.amount, 0);
+    container.innerHTML = `<table class="report-table">
+        <thead><tr><th>Check #</th><th>Issue Date</th><th>Payee</th><th>Amount</th><th>Status</th></tr></thead>
+        <tbody>${checks.map(check => `<tr>
+            <td>${check.checkNumber}</td>
+            <td>${toDisplayDate(check.issueDate)}</td>
+            <td>${escapeHtml(check.payee)}</td>
+            <td>$${check.amount.toFixed(2)}</td>
+            <td>${check.voided ? `<span style="color:#dc3545;">Void (${toDisplayDate(check.voidDate)})</span>` : 'Issued'}</td>
+        </tr>`).join('')}</tbody>
+        <tfoot><tr><th colspan="3">Issued (${checks.filter(c => !c.voided).length} checks)</th><th>$${issuedTotal.toFixed(2)}</th><th></th></tr></tfoot>
+    </table>`;
+}
+
+/**
+ * Lists the generated ACH files (v24), newest first.
+ */
+export function renderAchBatchHistory() {
+    const container = document.getElementById('achBatchHistory');
+    const batches = [...(appData.achBatches || [])].sort((a, b) => b.number - a.number);
+    if (batches.length === 0) {
+        container.innerHTML = '<p style="color:#6c757d;">No ACH files have been generated.</p>';
+        return;
+    }
+    container.innerHTML = `<table class="report-table">
+        <thead><tr><th>Batch</th><th>Pay Date</th><th>Effective</th><th>Created</th><th>Deposits</th><th>Total</th><th>Status</th></tr></thead>
+        <tbody>${batches.map(batch => `<tr>
+            <td>#${batch.number}</td>
+            <td>${toDisplayDate(batch.payDate)}</td>
+            <td>${toDisplayDate(batch.effectiveDate)}</td>
+            <td>${new Date(batch.createdAt).toLocaleString()}</td>
+            <td>${batch.entryCount}</td>
+            <td>$${batch.totalCredit.toFixed(2)}</td>
+            <td>${batch.superseded ? '<span style="color:#6c757d;">Superseded</span>' : 'Current'}</td>
+        </tr>`).join('')}</tbody>
+    </table>`;
+}
+
 /**
  * Updates all the calculated fields on the dashboard UI.
  * @param {string} employeeId - The ID of the current employee.
@@ -162,34 +563,158 @@ export function updateDashboardUI(employeeId, periodNum) {
     const employee = appData.employees.find(e => e.id === employeeId);
     ptoDisplay.textContent = employee ? employee.ptoBalance.toFixed(2) : '0.00';
 
+    const supplementalCard = document.getElementById('supplementalEarningsCard');
+    setPeriodInputsLocked(false);
+
     if (!employeeId || !periodNum || !employee) {
         periodDetailsEl.style.display = 'none';
+        supplementalCard.style.display = 'none';
+        document.getElementById('timesheetPanel').style.display = 'none';
         return;
     }
     
     const period = appData.payPeriods[employeeId].find(p => p.period == periodNum);
     if (!period) {
         periodDetailsEl.style.display = 'none';
+        supplementalCard.style.display = 'none';
+        document.getElementById('timesheetPanel').style.display = 'none';
         return;
     }
 
+    supplementalCard.style.display = 'block';
+    renderSupplementalEarningsTable(period);
+    renderTimesheet(employeeId, period);
+
+    // Off-cycle runs show their reason and can be deleted
+    document.getElementById('offCycleRunInfo').style.display = period.offCycle ? 'block' : 'none';
+    if (period.offCycle) {
+        document.getElementById('offCycleRunReason').textContent =
+            `${logic.OFF_CYCLE_REASONS[period.reason] || period.reason}${period.applyDeductions ? ' (with recurring deductions)' : ''}`;
+    }
+
+    // Voided checks stay listed on the period; a paid check can be voided
+    // and, once voided, the last check can be reissued
+    const voidedChecks = period.voidedChecks || [];
+    document.getElementById('voidedChecksInfo').style.display = voidedChecks.length > 0 ? 'block' : 'none';
+    document.getElementById('voidedChecksList').innerHTML = voidedChecks.map(v =>
+        `<li>Paid ${toDisplayDate(v.payDate)}, voided ${toDisplayDate(v.voidDate)}: $${v.grossPay.toFixed(2)} gross / $${v.netPay.toFixed(2)} net${v.reason ? ` — ${escapeHtml(v.reason)}` : ''}</li>`).join('');
+    document.getElementById('reissueCheckBtn').style.display = logic.periodHasPay(period) ? 'none' : '';
+    document.getElementById('voidCheckPanel').style.display = period.grossPay > 0 && !period.finalized ? 'block' : 'none';
+
+    // A regular period outside the hire–termination dates (v23) cannot be paid
+    const inEmployment = logic.isPeriodInEmployment(employee, period);
+    document.getElementById('outsideEmploymentInfo').style.display = inEmployment ? 'none' : 'block';
+    if (!inEmployment) {
+        setPeriodInputsLocked(true);
+    }
+
+    // A finalized period is read-only until unlocked
+    document.getElementById('periodLockInfo').style.display = period.grossPay > 0 ? 'block' : 'none';
+    document.getElementById('periodFinalizedNote').style.display = period.finalized ? '' : 'none';
+    document.getElementById('finalizePeriodBtn').style.display = period.finalized ? 'none' : '';
+    if (period.finalized) {
+        document.getElementById('periodFinalizedAt').textContent = new Date(period.finalized.finalizedAt).toLocaleString();
+        document.getElementById('deleteOffCycleRunBtn').style.display = 'none';
+        setPeriodInputsLocked(true);
+    } else {
+        document.getElementById('deleteOffCycleRunBtn').style.display = '';
+    }
+
     document.getElementById('periodNumber').textContent = period.period;
     document.getElementById('startDate').textContent = toDisplayDate(period.startDate);
     document.getElementById('endDate').textContent = toDisplayDate(period.endDate);
     document.getElementById('payDate').textContent = toDisplayDate(period.payDate);
     
     const employerTaxes = period.taxes.suta + period.taxes.futa + period.taxes.fica + period.taxes.medicare;
-    const totalPayrollCost = period.grossPay + employerTaxes;
+    const employerBenefits = period.totalEmployerContributions || 0;
+    const totalPayrollCost = period.grossPay + employerTaxes + employerBenefits;
 
     document.getElementById('grossPay').textContent = period.grossPay.toFixed(2);
     document.getElementById('totalTaxes').textContent = period.taxes.total.toFixed(2);
     document.getElementById('netPay').textContent = period.netPay.toFixed(2);
     document.getElementById('employerTaxes').textContent = employerTaxes.toFixed(2);
+    document.getElementById('employerBenefits').textContent = employerBenefits.toFixed(2);
     document.getElementById('totalPayrollCost').textContent = totalPayrollCost.toFixed(2);
     
     periodDetailsEl.style.display = 'block';
 }
 
+/**
+ * Disables the dashboard's hour and earnings inputs while a finalized
+ * period, or one outside the employment dates, is selected.
+ * @param {boolean} locked
+ */
+function setPeriodInputsLocked(locked) {
+    ['regularHours', 'overtimeHours', 'ptoHours', 'holidayHours', 'addSupplementalBtn', 'saveTimesheetBtn', 'clearTimesheetBtn'].forEach(id => {
+        document.getElementById(id).disabled = locked;
+    });
+    document.querySelectorAll('#timesheetTableBody input').forEach(input => { input.disabled = locked; });
+}
+
+/**
+ * Renders the daily timesheet of a regular pay period with each
+ * day's regular/overtime/double-time split. While a timesheet is saved,
+ * the Regular and Overtime fields are filled from it and read-only.
+ * @param {string} employeeId - The employee ID
+ * @param {object} period - The pay period
+ */
+export function renderTimesheet(employeeId, period) {
+    const panel = document.getElementById('timesheetPanel');
+    panel.style.display = period.offCycle ? 'none' : 'block';
+    const hasTimesheet = !period.offCycle && !!period.timesheet;
+    document.getElementById('regularHours').readOnly = hasTimesheet;
+    document.getElementById('overtimeHours').readOnly = hasTimesheet;
+    if (period.offCycle) return;
+
+    const rule = logic.OVERTIME_RULES[appData.settings.overtimeRule] || logic.OVERTIME_RULES.flsa;
+    document.getElementById('overtimeRuleLabel').textContent = rule.label;
+
+    const days = period.timesheet?.days || {};
+    const split = logic.getTimesheetSplit(employeeId, period);
+    const tbody = document.getElementById('timesheetTableBody');
+    tbody.innerHTML = split.daily.map(day => {
+        const weekday = fromStorageDate(day.date).toLocaleDateString('en-US', { weekday: 'short' });
+        const hours = days[day.date] || '';
+        return `<tr>
+            <td>${weekday} ${toDisplayDate(day.date)}</td>
+            <td><input type="number" class="form-input timesheet-hours" data-date="${day.date}" value="${hours}" step="0.25" min="0" max="24" style="max-width: 100px;"></td>
+            <td>${day.regular ? day.regular.toFixed(2) : ''}</td>
+            <td>${day.overtime ? day.overtime.toFixed(2) : ''}</td>
+            <td>${day.doubleTime ? day.doubleTime.toFixed(2) : ''}</td>
+        </tr>`;
+    }).join('') + `<tr class="total-row"><td>Total</td><td>${(split.regular + split.overtime + split.doubleTime).toFixed(2)}</td>
+        <td>${split.regular.toFixed(2)}</td><td>${split.overtime.toFixed(2)}</td><td>${split.doubleTime.toFixed(2)}</td></tr>`;
+}
+
+/**
+ * Renders the supplemental earnings lines (v20) of the selected pay period.
+ * @param {object} period - The pay period
+ */
+export function renderSupplementalEarningsTable(period) {
+    const tbody = document.getElementById('supplementalEarningsTableBody');
+    tbody.innerHTML = '';
+
+    const lines = period.supplementalEarnings || [];
+    if (lines.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align:center; font-style:italic; color:#6c757d;">No additional earnings this period</td></tr>';
+        return;
+    }
+
+    lines.forEach(line => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${logic.EARNING_CODES[line.code]?.label || escapeHtml(line.code)}</td>
+            <td>${escapeHtml(line.description)}</td>
+            <td>$${line.amount.toFixed(2)}</td>
+            <td>${line.withholding === 'aggregate' ? 'Aggregate' : `Flat ${logic.SUPPLEMENTAL_FLAT_RATE}%`}</td>
+            <td>
+                <button class="btn btn-danger btn-sm delete-supplemental-btn" data-earning-id="${line.id}">Delete</button>
+            </td>
+        `;
+        tbody.appendChild(row);
+    });
+}
+
 /**
  * Resets the employee form to its default state for adding a new employee.
  */
@@ -200,13 +725,66 @@ export function resetEmployeeForm() {
     document.getElementById('deleteEmployeeBtn').style.display = 'none';
     document.getElementById('employeeList').value = '';
 
-    // Hide deductions section for new employees
+    // Hide deductions, employer contributions and garnishments for new employees
     document.getElementById('deductionsSection').style.display = 'none';
+    document.getElementById('employerContributionsSection').style.display = 'none';
+    document.getElementById('garnishmentsSection').style.display = 'none';
     document.getElementById('noEmployeeDeductionMsg').style.display = 'block';
 
     // Hide rate-history section for new employees (their rates are seeded
     // as effective-from-the-beginning on save)
     document.getElementById('rateEffectiveSection').style.display = 'none';
+    togglePayTypeFields();
+    toggleWithholdingFields();
+    toggleContributionTypeFields();
+    toggleDeductionLimitFields();
+    toggleDeductionBox12Field();
+    toggleGarnishmentFields();
+}
+
+/**
+ * Shows the hourly-rate or annual-salary input to match the selected pay type.
+ */
+export function togglePayTypeFields() {
+    const isSalary = document.getElementById('payType').value === 'salary';
+    document.getElementById('hourlyRateGroup').style.display = isSalary ? 'none' : '';
+    document.getElementById('annualSalaryGroup').style.display = isSalary ? '' : 'none';
+}
+
+/**
+ * Shows the W-4 profile or the flat federal rate to match the selected
+ * federal withholding method.
+ */
+export function toggleWithholdingFields() {
+    const isW4 = document.getElementById('federalWithholdingMethod').value === 'w4';
+    document.getElementById('w4Section').style.display = isW4 ? '' : 'none';
+    document.getElementById('federalTaxGroup').style.display = isW4 ? 'none' : '';
+}
+
+/**
+ * Shows the limit amount input only for a fixed-dollar deduction limit.
+ */
+export function toggleDeductionLimitFields() {
+    const isFixed = document.getElementById('deductionLimitType').value === 'fixed';
+    document.getElementById('deductionLimitAmountGroup').style.display = isFixed ? '' : 'none';
+}
+
+/**
+ * Shows the W-2 Box 12 code choice only for a Section 125 deduction.
+ */
+export function toggleDeductionBox12Field() {
+    const isSection125 = document.getElementById('deductionTaxTreatment').value === 'section125';
+    document.getElementById('deductionBox12CodeGroup').style.display = isSection125 ? '' : 'none';
+}
+
+/**
+ * Shows the match tiers or the flat amount to match the selected employer
+ * contribution type.
+ */
+export function toggleContributionTypeFields() {
+    const isMatch = document.getElementById('contributionType').value === 'match';
+    document.getElementById('contributionMatchGroup').style.display = isMatch ? '' : 'none';
+    document.getElementById('contributionAmountGroup').style.display = isMatch ? 'none' : '';
 }
 
 /**
@@ -226,22 +804,54 @@ export function renderEmployeeFormForEdit(employeeId) {
     document.getElementById('idNumber').value = employee.idNumber;
     document.getElementById('employeeName').value = employee.name;
     document.getElementById('employeeAddress').value = employee.address;
+    document.getElementById('payType').value = employee.payType === 'salary' ? 'salary' : 'hourly';
     document.getElementById('hourlyRate').value = employee.rate;
+    document.getElementById('annualSalary').value = employee.annualSalary || '';
+    document.getElementById('hireDate').value = employee.hireDate || '';
+    document.getElementById('dateOfBirth').value = employee.dateOfBirth || '';
+    document.getElementById('terminationDate').value = employee.terminationDate || '';
+    document.getElementById('employmentStatus').value = logic.EMPLOYMENT_STATUSES[employee.status] ? employee.status : 'active';
+    togglePayTypeFields();
     document.getElementById('overtimeRate').value = employee.overtimeMultiplier;
     document.getElementById('holidayRate').value = employee.holidayMultiplier;
     document.getElementById('federalTax').value = employee.fedTaxRate;
+    const w4 = employee.w4 || {};
+    document.getElementById('federalWithholdingMethod').value = employee.federalWithholdingMethod === 'w4' ? 'w4' : 'flat';
+    document.getElementById('w4FilingStatus').value = w4.filingStatus || 'single';
+    document.getElementById('w4MultipleJobs').checked = !!w4.multipleJobs;
+    document.getElementById('w4DependentsAmount').value = w4.dependentsAmount || 0;
+    document.getElementById('w4OtherIncome').value = w4.otherIncome || 0;
+    document.getElementById('w4Deductions').value = w4.deductions || 0;
+    document.getElementById('w4ExtraWithholding').value = w4.extraWithholding || 0;
+    toggleWithholdingFields();
     document.getElementById('stateTax').value = employee.stateTaxRate;
     document.getElementById('localTax').value = employee.localTaxRate;
     document.getElementById('ptoAccrualRate').value = employee.ptoAccrualRate;
     // Fixing long decimals in PTO
 	// The form edits the starting balance; ptoBalance is the computed current balance
 	document.getElementById('ptoBalance').value = (employee.ptoStartingBalance || 0).toFixed(2);
+    // Direct deposit (v24): the remainder account is the form's primary account
+    const accounts = employee.bankAccounts || [];
+    const primary = accounts.find(a => a.splitType === 'remainder') || {};
+    const split = accounts.find(a => a.splitType !== 'remainder') || {};
+    document.getElementById('ddRoutingNumber').value = primary.routingNumber || '';
+    document.getElementById('ddAccountNumber').value = primary.accountNumber || '';
+    document.getElementById('ddAccountType').value = primary.accountType === 'savings' ? 'savings' : 'checking';
+    document.getElementById('ddSplitRoutingNumber').value = split.routingNumber || '';
+    document.getElementById('ddSplitAccountNumber').value = split.accountNumber || '';
+    document.getElementById('ddSplitAccountType').value = split.accountType === 'savings' ? 'savings' : 'checking';
+    document.getElementById('ddSplitType').value = split.splitType === 'percent' ? 'percent' : 'amount';
+    document.getElementById('ddSplitValue').value = split.splitValue || '';
     document.getElementById('deleteEmployeeBtn').style.display = 'inline-block';
 
-    // Show and populate deductions section
+    // Show and populate deductions, employer contributions and garnishments
     document.getElementById('deductionsSection').style.display = 'block';
+    document.getElementById('employerContributionsSection').style.display = 'block';
+    document.getElementById('garnishmentsSection').style.display = 'block';
     document.getElementById('noEmployeeDeductionMsg').style.display = 'none';
     renderDeductionsTable(employeeId);
+    renderEmployerContributionsTable(employeeId);
+    renderGarnishmentsTable(employeeId);
 
     // Show rate-history section; effective date defaults to today
     document.getElementById('rateEffectiveSection').style.display = 'block';
@@ -252,6 +862,7 @@ export function renderEmployeeFormForEdit(employeeId) {
 /** Display metadata for the effective-dated rate fields. */
 const RATE_FIELD_LABELS = {
     rate: { label: 'Hourly Rate', format: (v) => `$${v.toFixed(2)}` },
+    annualSalary: { label: 'Annual Salary', format: (v) => `$${v.toFixed(2)}` },
     fedTaxRate: { label: 'Federal Tax', format: (v) => `${v.toFixed(1)}%` },
     stateTaxRate: { label: 'State Tax', format: (v) => `${v.toFixed(1)}%` },
     localTaxRate: { label: 'Local Tax', format: (v) => `${v.toFixed(1)}%` }
@@ -270,8 +881,11 @@ export function renderRateHistoryTable(employeeId) {
 
     tbody.innerHTML = '';
     const histories = employee.rateHistories || {};
+    // Only list the pay basis the employee is actually paid on (v14)
+    const hiddenField = employee.payType === 'salary' ? 'rate' : 'annualSalary';
 
     Object.keys(RATE_FIELD_LABELS).forEach(field => {
+        if (field === hiddenField) return;
         const history = (histories[field] || []).slice().sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
         history.forEach(entry => {
             const row = document.createElement('tr');
@@ -303,7 +917,7 @@ export function renderDeductionsTable(employeeId) {
     tbody.innerHTML = '';
 
     if (!employee.deductions || employee.deductions.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="5" style="text-align:center; font-style:italic; color:#6c757d;">No deductions configured</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="7" style="text-align:center; font-style:italic; color:#6c757d;">No deductions configured</td></tr>';
         return;
     }
 
@@ -312,11 +926,19 @@ export function renderDeductionsTable(employeeId) {
         const typeDisplay = ded.type === 'fixed' ? `$${ded.amount.toFixed(2)}` : `${ded.amount.toFixed(2)}%`;
         const typeLabel = ded.type === 'fixed' ? 'Fixed' : 'Percent';
         const effectiveDate = ded.createdDate || 'N/A';
+        let treatmentLabel = logic.DEDUCTION_TAX_TREATMENTS[ded.taxTreatment]?.label || 'Post-tax';
+        if (logic.DEDUCTION_TAX_TREATMENTS[ded.taxTreatment]?.box12Codes) {
+            treatmentLabel += ` — Box 12 ${logic.getDeductionBox12Code(ded) || 'none'}`;
+        }
+        const limitLabel = ded.limitType === '402g' ? '402(g)'
+            : ded.limitType === 'fixed' ? `$${(ded.limitAmount || 0).toFixed(2)}/yr` : 'None';
 
         row.innerHTML = `
             <td>${escapeHtml(ded.name)}</td>
             <td>${typeLabel}</td>
             <td>${typeDisplay}</td>
+            <td>${treatmentLabel}</td>
+            <td>${limitLabel}</td>
             <td>${effectiveDate}</td>
             <td>
                 <button class="btn btn-danger btn-sm delete-deduction-btn" data-deduction-id="${ded.id}">Delete</button>
@@ -326,6 +948,99 @@ export function renderDeductionsTable(employeeId) {
     });
 }
 
+/**
+ * Renders the employer contributions table for an employee.
+ * @param {string} employeeId - The ID of the employee
+ */
+export function renderEmployerContributionsTable(employeeId) {
+    const employee = appData.employees.find(e => e.id === employeeId);
+    if (!employee) return;
+
+    const tbody = document.getElementById('employerContributionsTableBody');
+    tbody.innerHTML = '';
+
+    if (!employee.employerContributions || employee.employerContributions.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align:center; font-style:italic; color:#6c757d;">No employer contributions configured</td></tr>';
+        return;
+    }
+
+    employee.employerContributions.forEach(c => {
+        const row = document.createElement('tr');
+        let formula;
+        if (c.type === 'match') {
+            formula = c.matchTiers.map((t, i) => `${t.matchPercent}% of ${i === 0 ? 'first' : 'next'} ${t.ofPayPercent}%`).join(' + ');
+        } else {
+            formula = c.type === 'fixed' ? `$${c.amount.toFixed(2)}` : `${c.amount.toFixed(2)}% of gross`;
+        }
+        const kindLabel = logic.EMPLOYER_CONTRIBUTION_KINDS[c.kind]?.label || c.kind;
+
+        row.innerHTML = `
+            <td>${escapeHtml(c.name)}</td>
+            <td>${kindLabel}</td>
+            <td>${formula}</td>
+            <td>${c.createdDate || 'N/A'}</td>
+            <td>
+                <button class="btn btn-danger btn-sm delete-contribution-btn" data-contribution-id="${c.id}">Delete</button>
+            </td>
+        `;
+        tbody.appendChild(row);
+    });
+}
+
+/**
+ * Renders the garnishment orders table for an employee, in withholding order.
+ * @param {string} employeeId - The ID of the employee
+ */
+export function renderGarnishmentsTable(employeeId) {
+    const employee = appData.employees.find(e => e.id === employeeId);
+    if (!employee) return;
+
+    const tbody = document.getElementById('garnishmentsTableBody');
+    tbody.innerHTML = '';
+
+    if (!employee.garnishments || employee.garnishments.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" style="text-align:center; font-style:italic; color:#6c757d;">No garnishment orders</td></tr>';
+        return;
+    }
+
+    // Withheld to date across all processed periods
+    const withheld = {};
+    (appData.payPeriods[employeeId] || []).forEach(p => {
+        (p.deductions || []).filter(ded => ded.garnishment).forEach(ded => {
+            withheld[ded.id] = (withheld[ded.id] || 0) + ded.calculatedAmount;
+        });
+    });
+
+    logic.sortGarnishmentsByPriority(employee.garnishments).forEach(g => {
+        const row = document.createElement('tr');
+        const amountDisplay = g.amountType === 'percent' ? `${g.amount.toFixed(2)}% of disposable` : `$${g.amount.toFixed(2)}`;
+        const remaining = g.balance > 0
+            ? `$${Math.max(0, g.balance - (g.priorPaid || 0) - (withheld[g.id] || 0)).toFixed(2)}`
+            : 'Ongoing';
+
+        row.innerHTML = `
+            <td>${g.priority}</td>
+            <td>${escapeHtml(g.payee)}</td>
+            <td>${escapeHtml(g.caseNumber)}</td>
+            <td>${logic.GARNISHMENT_ORDER_TYPES[g.orderType]?.label || g.orderType}</td>
+            <td>${amountDisplay}</td>
+            <td>${remaining}</td>
+            <td>
+                <button class="btn btn-danger btn-sm delete-garnishment-btn" data-garnishment-id="${g.id}">Delete</button>
+            </td>
+        `;
+        tbody.appendChild(row);
+    });
+}
+
+/**
+ * Shows the support-order cap options only for child/spousal support.
+ */
+export function toggleGarnishmentFields() {
+    const isSupport = document.getElementById('garnishmentOrderType').value === 'child-support';
+    document.getElementById('garnishmentSupportOptions').style.display = isSupport ? '' : 'none';
+}
+
 /**
  * Renders the pay stub UI based on the current employee and period.
  * @param {string} employeeId - The ID of the current employee.
@@ -349,10 +1064,22 @@ export function renderPayStubUI(employeeId, periodNum) {
     // Show the rate that was actually applied to this period (v13), so
     // historical stubs stay correct after a raise
     const stubRate = period.appliedHourlyRate ?? employee.rate;
-    if (period.earnings.regular > 0) earningsBody.innerHTML += `<tr><td>Regular</td><td class="text-right">${stubRate.toFixed(2)}</td><td class="text-right">${period.hours.regular.toFixed(2)}</td><td class="text-right">$${period.earnings.regular.toFixed(2)}</td><td class="text-right">$${(ytd.earnings.regular || 0).toFixed(2)}</td></tr>`;
+    if (period.payType === 'salary' && period.salary) {
+        // Salaried (v14): the rate column is the period's full salary; a
+        // prorated period notes the workdays actually paid
+        const { label, rate } = logic.describeSalaryLine(period);
+        earningsBody.innerHTML += `<tr><td>${label}</td><td class="text-right">${rate.toFixed(2)}</td><td class="text-right">${period.hours.regular.toFixed(2)}</td><td class="text-right">$${period.earnings.regular.toFixed(2)}</td><td class="text-right">$${(ytd.earnings.regular || 0).toFixed(2)}</td></tr>`;
+    } else if (period.earnings.regular > 0) {
+        earningsBody.innerHTML += `<tr><td>Regular</td><td class="text-right">${stubRate.toFixed(2)}</td><td class="text-right">${period.hours.regular.toFixed(2)}</td><td class="text-right">$${period.earnings.regular.toFixed(2)}</td><td class="text-right">$${(ytd.earnings.regular || 0).toFixed(2)}</td></tr>`;
+    }
     if (period.earnings.overtime > 0) earningsBody.innerHTML += `<tr><td>Overtime</td><td class="text-right">${(stubRate * employee.overtimeMultiplier).toFixed(2)}</td><td class="text-right">${period.hours.overtime.toFixed(2)}</td><td class="text-right">$${period.earnings.overtime.toFixed(2)}</td><td class="text-right">$${(ytd.earnings.overtime || 0).toFixed(2)}</td></tr>`;
     if (period.earnings.holiday > 0) earningsBody.innerHTML += `<tr><td>Holiday</td><td class="text-right">${(stubRate * employee.holidayMultiplier).toFixed(2)}</td><td class="text-right">${period.hours.holiday.toFixed(2)}</td><td class="text-right">$${period.earnings.holiday.toFixed(2)}</td><td class="text-right">$${(ytd.earnings.holiday || 0).toFixed(2)}</td></tr>`;
     if (period.earnings.pto > 0) earningsBody.innerHTML += `<tr><td>Paid Time Off</td><td class="text-right">${stubRate.toFixed(2)}</td><td class="text-right">${period.hours.pto.toFixed(2)}</td><td class="text-right">$${period.earnings.pto.toFixed(2)}</td><td class="text-right">$${(ytd.earnings.pto || 0).toFixed(2)}</td></tr>`;
+    // Supplemental earnings (v20) each get their own line; YTD is by earning code
+    (period.supplementalEarnings || []).forEach(line => {
+        const nonCash = logic.EARNING_CODES[line.code]?.cash === false ? ' <em>(non-cash)</em>' : '';
+        earningsBody.innerHTML += `<tr><td>${escapeHtml(line.description)}${nonCash}</td><td></td><td></td><td class="text-right">$${line.amount.toFixed(2)}</td><td class="text-right">$${(ytd.supplemental[line.code] || 0).toFixed(2)}</td></tr>`;
+    });
     
     const totalHours = Object.values(period.hours).reduce((sum, h) => sum + h, 0);
     document.getElementById('paystubTotalHours').textContent = totalHours.toFixed(2);
@@ -369,14 +1096,12 @@ export function renderPayStubUI(employeeId, periodNum) {
     `;
 
     // Calculate YTD deductions
-    const empPayPeriods = appData.payPeriods[employeeId] || [];
     let ytdDeductions = 0;
-    for (let i = 0; i < period.period; i++) {
-        const p = empPayPeriods[i];
-        if (p && p.totalDeductions > 0) {
+    logic.getPeriodsThrough(employeeId, period.period).forEach(p => {
+        if (p.totalDeductions > 0) {
             ytdDeductions += p.totalDeductions;
         }
-    }
+    });
 
     document.getElementById('paystubSummaryGross').textContent = period.grossPay.toFixed(2);
     document.getElementById('paystubSummaryTaxes').textContent = period.taxes.total.toFixed(2);
@@ -399,7 +1124,7 @@ export function renderPayStubUI(employeeId, periodNum) {
         period.deductions.forEach(ded => {
             const row = document.createElement('tr');
             row.innerHTML = `
-                <td>${escapeHtml(ded.name)}</td>
+                <td>${escapeHtml(ded.name)}${ded.limitReached ? ' <em>(limit reached)</em>' : ''}${ded.capApplied ? ' <em>(CCPA limit applied)</em>' : ''}</td>
                 <td class="text-right">$${ded.calculatedAmount.toFixed(2)}</td>
             `;
             deductionsBody.appendChild(row);
@@ -440,7 +1165,7 @@ export function toggleReportInputs() {
     periodGroup.style.display = 'block';
 
     if (reportType === 'taxdeposit') {
-        const reportFrequencies = ['monthly', 'quarterly', 'weekly', 'bi-weekly', 'annual'];
+        const reportFrequencies = ['monthly', 'quarterly', 'weekly', 'bi-weekly', 'semiweekly', 'annual'];
         
         let html = `<label class="form-label">Tax Deposit Frequency</label>
                     <select id="reportTaxFrequency" class="form-input">`;
@@ -456,15 +1181,15 @@ export function toggleReportInputs() {
         const selectedFreq = document.getElementById('reportTaxFrequency').value;
         const freqToActOn = currentFreq || selectedFreq;
 
-        if (['weekly', 'bi-weekly'].includes(freqToActOn)) {
-            const allPeriods = [].concat.apply([], Object.values(appData.payPeriods))
+        if (logic.PER_PAY_DATE_FREQUENCIES.includes(freqToActOn)) {
+            const allPeriods = [].concat.apply([], Object.values(logic.getReportPayPeriods()))
                 .filter(p => p.grossPay > 0)
                 .sort((a,b) => fromStorageDate(a.payDate) - fromStorageDate(b.payDate));
             
             let periodSelector = `<div class="form-group" style="margin-top: 15px;"><label class="form-label">Select Pay Period</label><select id="reportPayPeriod" class="form-input">`;
             if (allPeriods.length > 0) {
                 allPeriods.forEach(p => {
-                    periodSelector += `<option value="${p.payDate}">Pay Date: ${toDisplayDate(p.payDate)} (Period ${p.period})</option>`;
+                    periodSelector += `<option value="${p.payDate}">Pay Date: ${toDisplayDate(p.payDate)} (${logic.describePeriod(p)})</option>`;
                 });
             } else {
                 periodSelector += `<option value="">No pay periods with data</option>`;
@@ -475,9 +1200,9 @@ export function toggleReportInputs() {
              periodGroup.innerHTML += `<div class="form-group" style="margin-top: 15px;"><label class="form-label">Enter Period</label><input type="text" id="reportPeriodText" class="form-input" placeholder="e.g., June, Q2, 08/25"></div>`;
         }
 
-    } else if (['annual', '941', '940'].includes(reportType)) {
+    } else if (['annual', '941', '941-scheduleb', '941x', '940', 'taxdeposit-reconcile', 'taxcalendar'].includes(reportType)) {
         let placeholder = 'e.g., 2025';
-        if (reportType === '941') placeholder = 'e.g., Q1 2025';
+        if (['941', '941-scheduleb', '941x', 'taxdeposit-reconcile'].includes(reportType)) placeholder = 'e.g., Q1 2025';
         periodGroup.innerHTML = `<label class="form-label">Period/Year</label><input type="text" id="reportPeriodText" class="form-input" placeholder="${placeholder}">`;
     } else if (reportType.includes('daterange')) {
         dateRangeGroup.style.display = 'block';
@@ -501,6 +1226,30 @@ export function renderReportUI() {
         case 'taxdeposit':
             reportHTML = logic.generateTaxDepositReport();
             break;
+        case 'taxdeposit-reconcile':
+            reportHTML = logic.generateTaxDepositReconciliationReport(document.getElementById('reportPeriodText').value);
+            break;
+        case '941-scheduleb': {
+            const quarterStr = document.getElementById('reportPeriodText').value;
+            reportHTML = logic.generateScheduleBReport(quarterStr);
+            exportButtons = `
+                <button class="btn btn-success" id="exportReportCSVBtn" data-report-type="941-scheduleb" data-period="${escapeHtml(quarterStr)}">Export to CSV</button>
+                <button class="btn btn-primary" id="exportReportPDFBtn" data-report-type="941-scheduleb" data-period="${escapeHtml(quarterStr)}">Export to PDF</button>
+            `;
+            break;
+        }
+        case '941x': {
+            const quarterStr = document.getElementById('reportPeriodText').value;
+            reportHTML = logic.generate941XReport(quarterStr);
+            exportButtons = `<button class="btn btn-success" id="exportReportCSVBtn" data-report-type="941x" data-period="${escapeHtml(quarterStr)}">Export to CSV</button>`;
+            break;
+        }
+        case 'taxcalendar': {
+            const yearStr = document.getElementById('reportPeriodText').value;
+            reportHTML = logic.generateTaxCalendarReport(yearStr);
+            exportButtons = `<button class="btn btn-success" id="exportReportCSVBtn" data-report-type="taxcalendar" data-period="${escapeHtml(yearStr)}">Export to CSV</button>`;
+            break;
+        }
         case 'annual':
         case '941':
         case '940':
@@ -514,10 +1263,22 @@ export function renderReportUI() {
             }
             if (reportType === '941') {
                 reportHTML = logic.generate941Report(periodStr);
+                // Filed status (v29): mark the quarter filed, or show whether
+                // its figures still match what was filed
+                const filed = logic.getFiled941(periodStr);
                 exportButtons = `
                     <button class="btn btn-success" id="exportReportCSVBtn" data-report-type="941" data-period="${escapeHtml(periodStr)}">Export to CSV</button>
                     <button class="btn btn-primary" id="exportReportPDFBtn" data-report-type="941" data-period="${escapeHtml(periodStr)}">Export to PDF</button>
+                    ${filed
+                        ? `<button class="btn btn-secondary" id="unmarkFiled941Btn" data-period="${escapeHtml(periodStr)}">Unmark Filed</button>`
+                        : `<button class="btn btn-warning" id="markFiled941Btn" data-period="${escapeHtml(periodStr)}">Mark as Filed</button>`}
                 `;
+                if (filed && !reportHTML.includes('alert alert-info')) {
+                    const comparison = logic.compute941XData(periodStr);
+                    reportHTML = (comparison.hasChanges
+                        ? `<div class="alert alert-danger">Filed on ${toDisplayDate(filed.filedDate)}. The figures have changed since; run the Form 941-X Comparison report for the correction.</div>`
+                        : `<div class="alert alert-success">Filed on ${toDisplayDate(filed.filedDate)}. The figures match what was filed.</div>`) + reportHTML;
+                }
             }
             if (reportType === '940') {
                 reportHTML = logic.generate940Report(periodStr);
@@ -529,6 +1290,8 @@ export function renderReportUI() {
             break;
         case 'daterange-employee':
         case 'daterange-employer':
+        case 'daterange-garnishment':
+        case 'daterange-void':
             let startDateRangeStr = document.getElementById('reportStartDate').value;
             let endDateRangeStr = document.getElementById('reportEndDateRange').value;
             const reportEmployeeId = document.getElementById('reportEmployee').value;
@@ -546,6 +1309,18 @@ export function renderReportUI() {
                     <button class="btn btn-primary" id="exportReportPDFBtn" data-report-type="daterange" data-start="${escapeHtml(startDateRangeStr)}" data-end="${escapeHtml(endDateRangeStr)}" data-employee="${escapeHtml(reportEmployeeId)}" data-subtype="employee">Export to PDF</button>
                 `;
             }
+            if (reportType === 'daterange-garnishment') {
+                reportHTML = logic.generateGarnishmentRemittanceReport(startDateRangeStr, endDateRangeStr, reportEmployeeId);
+                exportButtons = `
+                    <button class="btn btn-success" id="exportReportCSVBtn" data-report-type="daterange-garnishment" data-start="${escapeHtml(startDateRangeStr)}" data-end="${escapeHtml(endDateRangeStr)}" data-employee="${escapeHtml(reportEmployeeId)}">Export to CSV</button>
+                `;
+            }
+            if (reportType === 'daterange-void') {
+                reportHTML = logic.generateVoidedChecksReport(startDateRangeStr, endDateRangeStr, reportEmployeeId);
+                exportButtons = `
+                    <button class="btn btn-success" id="exportReportCSVBtn" data-report-type="daterange-void" data-start="${escapeHtml(startDateRangeStr)}" data-end="${escapeHtml(endDateRangeStr)}" data-employee="${escapeHtml(reportEmployeeId)}">Export to CSV</button>
+                `;
+            }
             if (reportType === 'daterange-employer') {
                 reportHTML = logic.generateDateRangeEmployerReport(startDateRangeStr, endDateRangeStr, reportEmployeeId);
                 exportButtons = `
@@ -564,6 +1339,43 @@ export function renderReportUI() {
     output.innerHTML = reportHTML;
 }
 
+/**
+ * Lists the recorded tax deposits (v27), newest first, and refreshes the
+ * register debits a new deposit can be linked to.
+ */
+export function renderTaxDeposits() {
+    const select = document.getElementById('taxDepositTransaction');
+    select.innerHTML = '<option value="">Post a new debit on the date paid</option>' +
+        logic.getLinkableDebits().map(t =>
+            `<option value="${escapeHtml(t.id)}">${toDisplayDate(t.date)} — ${escapeHtml(t.description)} ($${t.debit.toFixed(2)})</option>`).join('');
+    // Payroll debits already include the employer's taxes when they are subtracted automatically
+    document.getElementById('taxDepositHint').textContent = appData.settings.autoSubtraction !== false
+        ? 'Auto Bank Subtraction is on, so payroll debits already include the taxes. Link the deposit to the bank\'s withdrawal if you imported it, rather than posting a new debit.'
+        : '';
+
+    const container = document.getElementById('taxDepositsList');
+    const deposits = [...(appData.taxDeposits || [])].sort((a, b) => b.datePaid.localeCompare(a.datePaid));
+    if (deposits.length === 0) {
+        container.innerHTML = '<p style="color:#6c757d;">No tax deposits have been recorded.</p>';
+        return;
+    }
+    container.innerHTML = `<table class="report-table">
+        <thead><tr><th>Date Paid</th><th>Tax Type</th><th>Period Covered</th><th>Amount</th><th>Confirmation #</th><th>Register Debit</th><th></th></tr></thead>
+        <tbody>${deposits.map(deposit => {
+            const transaction = appData.bankRegister.find(t => t.id === deposit.transactionId);
+            return `<tr>
+            <td>${toDisplayDate(deposit.datePaid)}</td>
+            <td>${logic.TAX_DEPOSIT_TYPES[deposit.taxType]}</td>
+            <td>${toDisplayDate(deposit.periodStart)} - ${toDisplayDate(deposit.periodEnd)}</td>
+            <td>$${deposit.amount.toFixed(2)}</td>
+            <td>${escapeHtml(deposit.confirmationNumber)}</td>
+            <td>${transaction ? `${toDisplayDate(transaction.date)} $${transaction.debit.toFixed(2)}` : '<span style="color:#dc3545;">Missing</span>'}</td>
+            <td><button class="btn btn-danger btn-sm delete-tax-deposit-btn" data-deposit-id="${escapeHtml(deposit.id)}">Delete</button></td>
+        </tr>`;
+        }).join('')}</tbody>
+    </table>`;
+}
+
 /**
  * Opens a print dialog for the pay stub content.
  */
@@ -668,7 +1480,12 @@ function renderQuarterlyEarningsWidget(status, employeeId) {
     html += `</div></div>`;
 
     // Section 2: Next Period Recommendation
-    if (status.schedule.length > 0) {
+    if (status.salaried) {
+        // Salaried pay doesn't depend on hours — show the salary projection only
+        html += `<hr style="margin:10px 0;">`;
+        html += `<div><strong>Salaried.</strong> Remaining periods are paid from salary regardless of hours.</div>`;
+        html += `<div style="font-size:0.9em; color:#6c757d;">Projected quarter total: $${status.projectedQuarterGross.toFixed(2)}</div>`;
+    } else if (status.schedule.length > 0) {
         html += `<hr style="margin:10px 0;">`;
 
         if (status.targetMet) {
@@ -711,7 +1528,8 @@ function renderAllEmployeesQuarterlySummary() {
     html += `<thead><tr><th>Employee</th><th>Earned</th><th>Target</th><th>%</th><th>Status</th></tr></thead>`;
     html += `<tbody>`;
 
-    for (const emp of appData.employees) {
+    // Employees on leave or terminated (v23) have no target to track
+    for (const emp of appData.employees.filter(logic.isEmployeeActive)) {
         const status = logic.calculateQuarterlyEarningsStatus(emp.id);
         let statusText, statusClass;
 
@@ -744,6 +1562,40 @@ function renderAllEmployeesQuarterlySummary() {
 
 // --- COMPLIANCE SUMMARY ---
 
+let _nextDueTimer = null;
+
+/**
+ * Refreshes the Compliance Summary's next deposit or filing due 300ms after
+ * the last call, so a burst of edits (hour inputs, grid cells) builds the
+ * tax calendar once. Skipped while the dashboard is hidden; opening it
+ * refreshes the summary.
+ */
+function scheduleNextDueRefresh() {
+    if (_nextDueTimer) clearTimeout(_nextDueTimer);
+    _nextDueTimer = null;
+    if (!document.getElementById('dashboard')?.classList.contains('active')) return;
+    _nextDueTimer = setTimeout(() => {
+        _nextDueTimer = null;
+        renderNextDueItem();
+    }, 300);
+}
+
+/**
+ * Shows the next deposit or filing due from the tax calendar (moved past
+ * weekends and holidays), with a count of past-due deposits.
+ */
+function renderNextDueItem() {
+    const deadlineEl = document.getElementById('csNextDeadline');
+    const deadlineTypeEl = document.getElementById('csDeadlineType');
+    if (!deadlineEl || !deadlineTypeEl) return;
+
+    const taxYear = appData.settings.taxYear || new Date().getFullYear();
+    const { next, pastDue } = logic.getNextDueItem(taxYear, toLocalDateString(new Date()));
+    deadlineEl.textContent = next ? toDisplayDate(next.date) : '--';
+    deadlineTypeEl.innerHTML = escapeHtml(next ? next.label : 'Nothing due') +
+        (pastDue > 0 ? ` <span style="color: #dc3545; font-weight: bold;">(${pastDue} deposit${pastDue === 1 ? '' : 's'} past due)</span>` : '');
+}
+
 /**
  * Refreshes the compliance summary widget on the dashboard.
  */
@@ -754,12 +1606,8 @@ export function refreshComplianceSummary() {
     const taxYear = appData.settings.taxYear || new Date().getFullYear();
     const today = new Date();
 
-    // 1. Next Filing Deadline
-    const deadlineEl = document.getElementById('csNextDeadline');
-    const deadlineTypeEl = document.getElementById('csDeadlineType');
-    const { deadlineDate, deadlineLabel } = getNextFilingDeadline(today, taxYear);
-    deadlineEl.textContent = deadlineDate;
-    deadlineTypeEl.textContent = deadlineLabel;
+    // 1. Next deposit or filing due, computed after the edits settle
+    scheduleNextDueRefresh();
 
     // 2. YTD Wages & Taxes
     let ytdGross = 0;
@@ -790,11 +1638,15 @@ export function refreshComplianceSummary() {
 
     for (const employeeId of Object.keys(appData.payPeriods)) {
         const periods = appData.payPeriods[employeeId] || [];
+        // An employee on leave or terminated (v23) only counts periods with hours
+        const employee = appData.employees.find(e => e.id === employeeId);
+        const active = !employee || logic.isEmployeeActive(employee);
         for (const p of periods) {
             const payDate = fromStorageDate(p.payDate);
             if (payDate.getFullYear() !== taxYear) continue;
-            totalPeriods++;
             const totalHours = p.hours ? Object.values(p.hours).reduce((a, b) => a + b, 0) : 0;
+            if (!active && totalHours === 0) continue;
+            totalPeriods++;
             if (totalHours > 0) periodsWithHours++;
         }
     }
@@ -815,42 +1667,112 @@ export function refreshComplianceSummary() {
         backupEl.textContent = 'Never';
         document.getElementById('csBackupLabel').textContent = 'Export a backup regularly';
     }
+
+    // 5. 941 Deposit Schedule (v28): lookback status and the $100,000 next-day rule
+    const scheduleCache = logic.createDepositScheduleCache();
+    const schedule = getDepositScheduleSummary(taxYear, scheduleCache);
+    document.getElementById('csDepositSchedule').textContent = schedule.label;
+    document.getElementById('csLookbackLabel').textContent = schedule.mismatch
+        ? `Settings say ${schedule.configured} — review`
+        : `Lookback: $${schedule.lookback.liability.toFixed(2)}`;
+
+    const alertEl = document.getElementById('csNextDayAlert');
+    const triggers = logic.findNextDayDeposits(taxYear, scheduleCache);
+    if (triggers.length > 0) {
+        const latest = triggers[triggers.length - 1];
+        alertEl.innerHTML = `<strong>$100,000 next-day deposit rule:</strong> 941 taxes accumulated to $${latest.accumulated.toFixed(2)} with the ${escapeHtml(toDisplayDate(latest.payDate))} pay date` +
+            `${triggers.length > 1 ? ` (${triggers.length} times this year)` : ''}. Deposit them by the next business day. ` +
+            `You are a semiweekly depositor for the rest of ${taxYear} and all of ${taxYear + 1}.`;
+        alertEl.style.display = 'block';
+    } else {
+        alertEl.innerHTML = '';
+        alertEl.style.display = 'none';
+    }
 }
 
 /**
- * Calculates the next filing deadline based on current date.
- * @param {Date} today
+ * The 941 deposit schedule of a tax year as the lookback and next-day rules
+ * set it, and whether the Federal (941) frequency in Settings disagrees
+ * (only when the schedule is not enforced).
  * @param {number} taxYear
- * @returns {{ deadlineDate: string, deadlineLabel: string }}
- */
-function getNextFilingDeadline(today, taxYear) {
-    // Quarterly 941 deadlines: Q1=Apr 30, Q2=Jul 31, Q3=Oct 31, Q4=Jan 31 (next year)
-    const deadlines = [
-        { date: new Date(taxYear, 3, 30), label: 'Form 941 — Q1' },
-        { date: new Date(taxYear, 6, 31), label: 'Form 941 — Q2' },
-        { date: new Date(taxYear, 9, 31), label: 'Form 941 — Q3' },
-        { date: new Date(taxYear + 1, 0, 31), label: 'Form 941 — Q4 / Form 940 Annual' }
-    ];
-
-    for (const d of deadlines) {
-        if (today <= d.date) {
-            return {
-                deadlineDate: toDisplayDate(`${d.date.getFullYear()}-${String(d.date.getMonth() + 1).padStart(2, '0')}-${String(d.date.getDate()).padStart(2, '0')}`),
-                deadlineLabel: d.label
-            };
-        }
-    }
-
-    // Past all deadlines for this year — show next year Q1
-    const nextYear = taxYear + 1;
+ * @param {object} scheduleCache - From createDepositScheduleCache (default: a new one)
+ * @returns {object} { schedule, label, reason: 'lookback'|'next-day'|'next-day-this-year', lookback, configured, enforced, mismatch }
+ */
+function getDepositScheduleSummary(taxYear, scheduleCache = logic.createDepositScheduleCache()) {
+    const { schedule, reason, lookback } = logic.determineDepositSchedule(taxYear, scheduleCache);
+    const triggered = logic.findNextDayDeposits(taxYear, scheduleCache).length > 0;
+    const effective = triggered ? 'semiweekly' : schedule;
+    const configured = (appData.settings.taxFrequencies?.federal || '').toLowerCase();
+    const enforced = !!appData.settings.lookbackDepositSchedule;
+    const label = effective === 'semiweekly' ? 'Semiweekly' : 'Monthly';
     return {
-        deadlineDate: toDisplayDate(`${nextYear}-04-30`),
-        deadlineLabel: `Form 941 — Q1 ${nextYear}`
+        schedule: effective,
+        label,
+        reason: triggered ? 'next-day-this-year' : reason,
+        lookback,
+        configured: configured.charAt(0).toUpperCase() + configured.slice(1),
+        enforced,
+        mismatch: !enforced && configured !== effective
     };
 }
 
+/**
+ * Shows the lookback deposit schedule under the tax frequencies in
+ * Settings, and locks the Federal (941) frequency while it is enforced.
+ */
+export function renderDepositSchedule() {
+    const statusEl = document.getElementById('depositScheduleStatus');
+    if (!statusEl) return;
+    const taxYear = appData.settings.taxYear || new Date().getFullYear();
+    const summary = getDepositScheduleSummary(taxYear);
+    const { lookback } = summary;
+
+    const reasons = {
+        'lookback': `$${lookback.liability.toFixed(2)} of 941 taxes in the lookback period (${toDisplayDate(lookback.start)} – ${toDisplayDate(lookback.end)}) ${lookback.liability > logic.MONTHLY_DEPOSITOR_LIMIT ? 'is over' : 'is within'} the $${logic.MONTHLY_DEPOSITOR_LIMIT.toLocaleString()} monthly depositor limit`,
+        'next-day': `the $${logic.NEXT_DAY_DEPOSIT_THRESHOLD.toLocaleString()} next-day deposit rule applied last year`,
+        'next-day-this-year': `the $${logic.NEXT_DAY_DEPOSIT_THRESHOLD.toLocaleString()} next-day deposit rule applied this year`
+    };
+    let html = `${taxYear}: <strong>${summary.label} depositor</strong> — ${escapeHtml(reasons[summary.reason])}.`;
+    if (summary.mismatch) {
+        html += ` <span style="color: #dc3545;">The Federal (941) frequency is set to ${escapeHtml(summary.configured)}.</span>`;
+    }
+    statusEl.innerHTML = html;
+
+    const federalSelect = document.getElementById('federalTaxFrequency');
+    federalSelect.disabled = summary.enforced;
+    if (summary.enforced) federalSelect.value = summary.schedule;
+}
+
+// --- YEAR-END CLOSE UI ---
+
+/**
+ * Lists the closed (archived) tax years (v21) in the Settings tab.
+ */
+export function renderArchivedYears() {
+    const listEl = document.getElementById('archivedYearsList');
+    if (!listEl) return;
+
+    const years = Object.keys(appData.archivedYears || {}).sort();
+    listEl.textContent = years.length > 0
+        ? years.map(year => `${year} (closed ${toDisplayDate(appData.archivedYears[year].closedAt.slice(0, 10))})`).join(', ')
+        : 'None';
+    document.getElementById('closeYearBtn').textContent = `Close Tax Year ${appData.settings.taxYear}`;
+}
+
 // --- AUDIT LOG UI ---
 
+/**
+ * Formats an audit entry's before/after values as "key: value" pairs.
+ * @param {object|null} values
+ * @returns {string}
+ */
+function formatAuditValues(values) {
+    if (!values) return '—';
+    return Object.entries(values)
+        .map(([key, value]) => `${key}: ${typeof value === 'number' ? value.toFixed(2) : value}`)
+        .join(', ');
+}
+
 /**
  * Renders the audit log table in the Settings tab.
  */
@@ -890,6 +1812,14 @@ export function renderAuditLog() {
 
         const detailsTd = document.createElement('td');
         detailsTd.textContent = entry.details;
+        // Entries that changed a record carry its before/after values
+        if (entry.before || entry.after) {
+            const changesEl = document.createElement('div');
+            changesEl.style.fontSize = '0.85em';
+            changesEl.style.color = '#6c757d';
+            changesEl.textContent = `Before: ${formatAuditValues(entry.before)} → After: ${formatAuditValues(entry.after)}`;
+            detailsTd.appendChild(changesEl);
+        }
 
         row.appendChild(timestampTd);
         row.appendChild(actionTd);
@@ -174,6 +174,73 @@ export function escapeHtml(str) {
         .replaceAll('"', '&quot;').replaceAll("'", '&#39;');
 }
 
+/**
+ * Splits one CSV line into trimmed fields. Quoted fields may contain commas
+ * and doubled quotes.
+ * @param {string} line - One line of a CSV file
+ * @returns {string[]} The fields
+ */
+export function parseCsvLine(line) {
+    const result = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            if (inQuotes && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if (char === ',' && !inQuotes) {
+            result.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    result.push(current.trim());
+    return result;
+}
+
+/**
+ * Converts a CSV date (M/D/YYYY or YYYY-MM-DD, optionally followed by a
+ * time) to the "YYYY-MM-DD" storage format.
+ * @param {string} dateStr - The date as exported
+ * @returns {string|null} The storage date, or null if unrecognized
+ */
+export function normalizeCsvDate(dateStr) {
+    if (!dateStr) return null;
+    // A timestamp ("1/2/2024 08:00") keeps only its date
+    dateStr = dateStr.trim().split(/[\sT]/)[0];
+
+    // Format: MM/DD/YYYY or M/D/YYYY → convert to YYYY-MM-DD
+    if (dateStr.includes('/')) {
+        const parts = dateStr.split('/');
+        if (parts.length === 3) {
+            const month = parts[0].padStart(2, '0');
+            const day = parts[1].padStart(2, '0');
+            const year = parts[2];
+            return `${year}-${month}-${day}`;
+        }
+    }
+
+    // Format: YYYY-MM-DD → already correct
+    if (dateStr.includes('-')) {
+        const parts = dateStr.split('-');
+        if (parts.length === 3) {
+            const year = parts[0];
+            const month = parts[1].padStart(2, '0');
+            const day = parts[2].padStart(2, '0');
+            return `${year}-${month}-${day}`;
+        }
+    }
+
+    return null;
+}
+
 
 /**
  * Resolves the value of an effective-dated rate history for a given date.
@@ -196,3 +263,117 @@ export function resolveRate(history, dateStr, fallback) {
     }
     return result;
 }
+
+/**
+ * Tax constants kept per year in settings.taxConstants (v22). The scalar
+ * settings of the same names mirror the open tax year's values.
+ */
+export const TAX_CONSTANT_FIELDS = [
+    'socialSecurity', 'medicare', 'ssWageBase', 'futaRate', 'futaWageBase',
+    'sutaWageBase', 'additionalMedicareThreshold', 'additionalMedicareRate'
+];
+
+/**
+ * Resolves the tax constants (FICA/Medicare rates, wage bases, Additional
+ * Medicare threshold and rate) in force for a year. Years without an entry
+ * use the most recent earlier year (or the earliest year for years before
+ * it), like the federal withholding tables; fields missing from the table
+ * fall back to the scalar settings.
+ * @param {object} settings - appData.settings (or an archived copy)
+ * @param {number|string} year - The calendar year of the pay date
+ * @returns {object} One value per TAX_CONSTANT_FIELDS entry
+ */
+export function resolveTaxConstants(settings, year) {
+    const constants = {};
+    TAX_CONSTANT_FIELDS.forEach(field => { constants[field] = settings[field]; });
+
+    const table = settings.taxConstants || {};
+    const years = Object.keys(table).map(Number).sort((a, b) => a - b);
+    if (years.length === 0) return constants;
+    const applicable = years.filter(y => y <= Number(year));
+    const chosen = applicable.length > 0 ? applicable[applicable.length - 1] : years[0];
+    return { ...constants, ...table[chosen] };
+}
+
+/**
+ * Orders pay periods chronologically for payroll sequencing: by pay
+ * date, with an off-cycle run after the regular period paid the same day,
+ * then by period number. Period numbers alone are not chronological once
+ * off-cycle runs exist.
+ * @param {object} a - A pay period
+ * @param {object} b - A pay period
+ * @returns {number} Negative when a comes first
+ */
+export function comparePayPeriods(a, b) {
+    if (a.payDate !== b.payDate) return (a.payDate || '').localeCompare(b.payDate || '');
+    if (!!a.offCycle !== !!b.offCycle) return a.offCycle ? 1 : -1;
+    return a.period - b.period;
+}
+
+/**
+ * A local Date as a "YYYY-MM-DD" string (formatDate reads UTC fields).
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toLocalDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Federal legal holidays observed in a year, as "YYYY-MM-DD" strings, plus
+ * DC Emancipation Day, which the IRS also counts when moving a due date. A
+ * fixed-date holiday on a Saturday is observed the Friday before, one on a
+ * Sunday the Monday after (so New Year's Day can be observed on December 31
+ * of the year before).
+ * @param {number} year
+ * @returns {string[]} Sorted dates
+ */
+export function getFederalHolidays(year) {
+    const nthWeekday = (y, month, weekday, n) => {
+        const first = new Date(y, month, 1).getDay();
+        return new Date(y, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+    };
+    const lastWeekday = (y, month, weekday) => {
+        const last = new Date(y, month + 1, 0);
+        return new Date(y, month, last.getDate() - ((last.getDay() - weekday + 7) % 7));
+    };
+    const observed = (y, month, day) => {
+        const d = new Date(y, month, day);
+        if (d.getDay() === 6) d.setDate(d.getDate() - 1);
+        if (d.getDay() === 0) d.setDate(d.getDate() + 1);
+        return d;
+    };
+
+    const holidays = [
+        observed(year, 0, 1),          // New Year's Day
+        nthWeekday(year, 0, 1, 3),     // Martin Luther King Jr. Day
+        nthWeekday(year, 1, 1, 3),     // Washington's Birthday
+        observed(year, 3, 16),         // DC Emancipation Day
+        lastWeekday(year, 4, 1),       // Memorial Day
+        observed(year, 5, 19),         // Juneteenth
+        observed(year, 6, 4),          // Independence Day
+        nthWeekday(year, 8, 1, 1),     // Labor Day
+        nthWeekday(year, 9, 1, 2),     // Columbus Day
+        observed(year, 10, 11),        // Veterans Day
+        nthWeekday(year, 10, 4, 4),    // Thanksgiving Day
+        observed(year, 11, 25),        // Christmas Day
+        observed(year + 1, 0, 1)       // Next New Year's Day, when observed on December 31
+    ].map(toLocalDateString);
+    return holidays.filter(d => d.startsWith(`${year}-`)).sort();
+}
+
+/**
+ * The date itself when it is a business day, otherwise the next one: tax
+ * due dates falling on a weekend or federal legal holiday move forward.
+ * @param {string} dateStr - "YYYY-MM-DD"
+ * @returns {string} "YYYY-MM-DD"
+ */
+export function nextBusinessDay(dateStr) {
+    const d = fromStorageDate(dateStr);
+    let current = dateStr;
+    while (d.getDay() === 0 || d.getDay() === 6 || getFederalHolidays(d.getFullYear()).includes(current)) {
+        d.setDate(d.getDate() + 1);
+        current = toLocalDateString(d);
+    }
+    return current;
+}
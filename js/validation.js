@@ -129,9 +129,31 @@ export function validateEmployee(employeeData) {
     const nameError = validateString(employeeData.name, 'Employee Name', 1, 100, true);
     if (nameError) errors.push(nameError);
 
-    // Hourly rate must be positive
-    const rateError = validateNumber(employeeData.rate, 'Hourly Rate', 0.01, 10000, true);
-    if (rateError) errors.push(rateError);
+    if (employeeData.payType === 'salary') {
+        // Salaried employees are paid from the annual salary, not an hourly rate
+        const salaryError = validateNumber(employeeData.annualSalary, 'Annual Salary', 1, 10000000, true);
+        if (salaryError) errors.push(salaryError);
+    } else {
+        // Hourly rate must be positive
+        const rateError = validateNumber(employeeData.rate, 'Hourly Rate', 0.01, 10000, true);
+        if (rateError) errors.push(rateError);
+    }
+
+    // Termination date cannot precede the hire date
+    const dobError = validateDate(employeeData.dateOfBirth, 'Date of Birth', false);
+    if (dobError) errors.push(dobError);
+    const hireError = validateDate(employeeData.hireDate, 'Hire Date', false);
+    if (hireError) errors.push(hireError);
+    const termError = validateDate(employeeData.terminationDate, 'Termination Date', false);
+    if (termError) errors.push(termError);
+    if (!hireError && !termError && employeeData.hireDate && employeeData.terminationDate
+        && employeeData.terminationDate < employeeData.hireDate) {
+        errors.push(new ValidationError('Termination Date', 'Termination Date must be on or after the Hire Date'));
+    }
+    // A terminated employee (v23) needs the date their periods end
+    if (employeeData.status === 'terminated' && !employeeData.terminationDate) {
+        errors.push(new ValidationError('Termination Date', 'Termination Date is required for a terminated employee'));
+    }
 
     // Overtime multiplier must be >= 1
     const otError = validateNumber(employeeData.overtimeMultiplier, 'Overtime Multiplier', 1, 10, true);
@@ -145,6 +167,23 @@ export function validateEmployee(employeeData) {
     const fedTaxError = validateNumber(employeeData.fedTaxRate, 'Federal Tax Rate', 0, 50, false);
     if (fedTaxError) errors.push(fedTaxError);
 
+    // W-4 profile amounts must be non-negative (percentage method only)
+    if (employeeData.federalWithholdingMethod === 'w4') {
+        const w4 = employeeData.w4 || {};
+        if (!['single', 'married', 'headOfHousehold'].includes(w4.filingStatus)) {
+            errors.push(new ValidationError('W-4 Filing Status', 'W-4 Filing Status must be single, married, or head of household'));
+        }
+        [
+            ['dependentsAmount', 'W-4 Step 3 Dependents Amount'],
+            ['otherIncome', 'W-4 Step 4(a) Other Income'],
+            ['deductions', 'W-4 Step 4(b) Deductions'],
+            ['extraWithholding', 'W-4 Step 4(c) Extra Withholding']
+        ].forEach(([key, label]) => {
+            const w4Error = validateNumber(w4[key], label, 0, 10000000, false);
+            if (w4Error) errors.push(w4Error);
+        });
+    }
+
     const stateTaxError = validateNumber(employeeData.stateTaxRate, 'State Tax Rate', 0, 15, false);
     if (stateTaxError) errors.push(stateTaxError);
 
@@ -158,6 +197,8 @@ export function validateEmployee(employeeData) {
     const ptoBalanceError = validateNumber(employeeData.ptoBalance, 'PTO Balance', 0, 1000, false);
     if (ptoBalanceError) errors.push(ptoBalanceError);
 
+    errors.push(...validateBankAccounts(employeeData.bankAccounts));
+
     return errors;
 }
 
@@ -245,6 +286,20 @@ export function validateSettings(settings) {
     const minHoursError = validateNumber(settings.minimumWeeklyHours, 'Minimum Weekly Hours', 0, 40, false);
     if (minHoursError) errors.push(minHoursError);
 
+    // Direct deposit originator (v24): whatever has been entered must be valid
+    errors.push(...validateAchSettings(settings.ach, false));
+
+    // Paper checks (v25)
+    const checkNumberError = validateNumber(settings.nextCheckNumber, 'Next Check Number', 1, 99999999, false);
+    if (checkNumberError) {
+        errors.push(checkNumberError);
+    } else if (settings.nextCheckNumber !== undefined && !Number.isInteger(Number(settings.nextCheckNumber))) {
+        errors.push(new ValidationError('Next Check Number', 'Next Check Number must be a whole number'));
+    }
+
+    // Positive Pay (v26): whatever has been entered must be valid
+    errors.push(...validatePositivePaySettings(settings.positivePay, false));
+
     return errors;
 }
 
@@ -298,6 +353,345 @@ export function validateDeduction(deduction) {
         if (percentError) errors.push(percentError);
     }
 
+    // Annual limit is optional; a fixed limit needs a positive amount
+    if (deduction.limitType !== undefined && !['none', '402g', 'fixed'].includes(deduction.limitType)) {
+        errors.push(new ValidationError('Annual Limit', 'Annual limit must be none, 402g, or fixed'));
+    }
+    if (deduction.limitType === 'fixed') {
+        const limitError = validateNumber(deduction.limitAmount, 'Annual Limit Amount', 0.01, 1000000, true);
+        if (limitError) errors.push(limitError);
+    }
+
+    // Tax treatment is optional (defaults to post-tax) but must be known
+    if (deduction.taxTreatment !== undefined && !['post-tax', '401k', 'section125', 'roth'].includes(deduction.taxTreatment)) {
+        errors.push(new ValidationError('Tax Treatment', 'Tax treatment must be post-tax, 401k, section125, or roth'));
+    }
+
+    // A Section 125 deduction picks its W-2 Box 12 code (v30), or none
+    if (deduction.taxTreatment === 'section125' && deduction.box12Code !== undefined && deduction.box12Code !== null
+        && !['DD', 'W', ''].includes(deduction.box12Code)) {
+        errors.push(new ValidationError('W-2 Box 12 Code', 'Box 12 code must be DD, W, or none'));
+    }
+
+    return errors;
+}
+
+/**
+ * Validates an employer contribution rule
+ * @param {object} contribution - Contribution data ({ name, kind, type, amount, matchTiers })
+ * @returns {ValidationError[]} - Array of validation errors
+ */
+export function validateEmployerContribution(contribution) {
+    const errors = [];
+
+    const nameError = validateString(contribution.name, 'Contribution Name', 1, 100, true);
+    if (nameError) errors.push(nameError);
+
+    if (!['401k-match', 'health', 'hsa', 'other'].includes(contribution.kind)) {
+        errors.push(new ValidationError('Contribution Kind', 'Kind must be 401k-match, health, hsa, or other'));
+    }
+
+    if (contribution.type === 'match') {
+        const tiers = contribution.matchTiers || [];
+        if (tiers.length === 0) {
+            errors.push(new ValidationError('Match Formula', 'A match needs at least one tier'));
+        }
+        tiers.forEach((tier, i) => {
+            const matchError = validateNumber(tier.matchPercent, `Match % (tier ${i + 1})`, 0, 1000, true);
+            if (matchError) errors.push(matchError);
+            const ofPayError = validateNumber(tier.ofPayPercent, `% of pay (tier ${i + 1})`, 0.01, 100, true);
+            if (ofPayError) errors.push(ofPayError);
+        });
+    } else if (contribution.type === 'fixed' || contribution.type === 'percent') {
+        const max = contribution.type === 'percent' ? 100 : 100000;
+        const amountError = validateNumber(contribution.amount, 'Contribution Amount', 0.01, max, true);
+        if (amountError) errors.push(amountError);
+    } else {
+        errors.push(new ValidationError('Contribution Type', 'Contribution type must be "match", "fixed", or "percent"'));
+    }
+
+    return errors;
+}
+
+/**
+ * Validates an off-cycle pay run
+ * @param {object} run - Run data ({ payDate, startDate, endDate, reason })
+ * @param {number} taxYear - The current tax year; the pay date must fall in it
+ * @returns {ValidationError[]} - Array of validation errors
+ */
+export function validateOffCycleRun(run, taxYear) {
+    const errors = [];
+
+    const payDateError = validateDate(run.payDate, 'Pay Date', true,
+        new Date(`${taxYear}-01-01T00:00:00`), new Date(`${taxYear}-12-31T00:00:00`));
+    if (payDateError) errors.push(payDateError);
+
+    const startError = validateDate(run.startDate, 'Work Start Date', false);
+    if (startError) errors.push(startError);
+
+    const endError = validateDate(run.endDate, 'Work End Date', false);
+    if (endError) errors.push(endError);
+
+    if (run.startDate && run.endDate && run.startDate > run.endDate) {
+        errors.push(new ValidationError('Work End Date', 'Work end date must be on or after the start date'));
+    }
+
+    if (!['bonus', 'final', 'correction', 'other'].includes(run.reason)) {
+        errors.push(new ValidationError('Reason', 'Reason must be bonus, final, correction, or other'));
+    }
+
+    return errors;
+}
+
+/**
+ * Validates voiding a paid check
+ * @param {object} voidInfo - { voidDate, reason }
+ * @param {object} period - The paid pay period being voided
+ * @returns {ValidationError[]} - Array of validation errors
+ */
+export function validateCheckVoid(voidInfo, period) {
+    const errors = [];
+
+    const voidDateError = validateDate(voidInfo.voidDate, 'Void Date', true,
+        new Date(`${period.payDate}T00:00:00`));
+    if (voidDateError) errors.push(voidDateError);
+
+    if (!voidInfo.reason || voidInfo.reason.trim() === '') {
+        errors.push(new ValidationError('Void Reason', 'A reason is required to void a check'));
+    }
+
+    return errors;
+}
+
+/**
+ * Validates a daily timesheet
+ * @param {object} days - Hours worked keyed by YYYY-MM-DD
+ * @returns {ValidationError[]} - Array of validation errors
+ */
+export function validateTimesheet(days) {
+    const errors = [];
+
+    Object.entries(days).forEach(([date, hours]) => {
+        const hoursError = validateNumber(hours, `Hours on ${date}`, 0, 24, false);
+        if (hoursError) errors.push(hoursError);
+    });
+
+    return errors;
+}
+
+/**
+ * Validates a supplemental earnings line
+ * @param {object} line - Line data ({ code, description, amount, withholding })
+ * @returns {ValidationError[]} - Array of validation errors
+ */
+export function validateSupplementalEarning(line) {
+    const errors = [];
+
+    if (!['bonus', 'commission', 'retro', 'fringe', 'other'].includes(line.code)) {
+        errors.push(new ValidationError('Earning Code', 'Earning code must be bonus, commission, retro, fringe, or other'));
+    }
+
+    const descriptionError = validateString(line.description, 'Description', 0, 100, false);
+    if (descriptionError) errors.push(descriptionError);
+
+    const amountError = validateNumber(line.amount, 'Earnings Amount', 0.01, 10000000, true);
+    if (amountError) errors.push(amountError);
+
+    if (line.withholding !== 'flat' && line.withholding !== 'aggregate') {
+        errors.push(new ValidationError('Federal Withholding', 'Withholding must be "flat" or "aggregate"'));
+    }
+
+    return errors;
+}
+
+/**
+ * Validates a garnishment or support order
+ * @param {object} order - Order data ({ payee, caseNumber, orderType, amountType, amount, priority, balance, priorPaid, startDate })
+ * @returns {ValidationError[]} - Array of validation errors
+ */
+export function validateGarnishment(order) {
+    const errors = [];
+
+    const payeeError = validateString(order.payee, 'Payee', 1, 100, true);
+    if (payeeError) errors.push(payeeError);
+
+    const caseError = validateString(order.caseNumber, 'Case Number', 0, 50, false);
+    if (caseError) errors.push(caseError);
+
+    if (!['child-support', 'student-loan', 'creditor'].includes(order.orderType)) {
+        errors.push(new ValidationError('Order Type', 'Order type must be child-support, student-loan, or creditor'));
+    }
+
+    if (order.amountType !== 'fixed' && order.amountType !== 'percent') {
+        errors.push(new ValidationError('Amount Type', 'Amount type must be "fixed" or "percent"'));
+    } else {
+        const max = order.amountType === 'percent' ? 100 : 100000;
+        const amountError = validateNumber(order.amount, 'Garnishment Amount', 0.01, max, true);
+        if (amountError) errors.push(amountError);
+    }
+
+    const priorityError = validateNumber(order.priority, 'Priority', 1, 99, true);
+    if (priorityError) errors.push(priorityError);
+
+    const balanceError = validateNumber(order.balance, 'Balance', 0, 10000000, false);
+    if (balanceError) errors.push(balanceError);
+
+    const priorPaidError = validateNumber(order.priorPaid, 'Already Paid', 0, 10000000, false);
+    if (priorPaidError) errors.push(priorPaidError);
+
+    const startError = validateDate(order.startDate, 'Effective Date', false);
+    if (startError) errors.push(startError);
+
+    return errors;
+}
+
+/**
+ * Checks an ABA routing number: nine digits whose checksum
+ * 3·(d1+d4+d7) + 7·(d2+d5+d8) + (d3+d6+d9) is a multiple of 10.
+ * @param {string} routingNumber
+ * @returns {boolean}
+ */
+export function isValidRoutingNumber(routingNumber) {
+    const digits = String(routingNumber ?? '');
+    if (!/^\d{9}$/.test(digits)) return false;
+    const d = [...digits].map(Number);
+    const sum = 3 * (d[0] + d[3] + d[6]) + 7 * (d[1] + d[4] + d[7]) + (d[2] + d[5] + d[8]);
+    return sum % 10 === 0;
+}
+
+/** A DFI account number as NACHA carries it: up to 17 letters, digits or hyphens. */
+const BANK_ACCOUNT_NUMBER_PATTERN = /^[A-Za-z0-9-]{1,17}$/;
+
+/**
+ * Validates an employee's direct deposit accounts (v24). Exactly one
+ * account takes the remainder of net pay; the others take a fixed amount
+ * or a percent of it.
+ * @param {Array} accounts - [{ routingNumber, accountNumber, accountType, splitType, splitValue }]
+ * @returns {ValidationError[]} - Array of validation errors
+ */
+export function validateBankAccounts(accounts) {
+    const errors = [];
+    if (!Array.isArray(accounts) || accounts.length === 0) return errors;
+
+    accounts.forEach((account, index) => {
+        const label = accounts.length > 1 ? `Direct Deposit Account ${index + 1}` : 'Direct Deposit Account';
+        if (!isValidRoutingNumber(account.routingNumber)) {
+            errors.push(new ValidationError(`${label} Routing Number`, `${label} routing number must be 9 digits with a valid checksum`));
+        }
+        if (!BANK_ACCOUNT_NUMBER_PATTERN.test(String(account.accountNumber ?? ''))) {
+            errors.push(new ValidationError(`${label} Account Number`, `${label} account number must be 1-17 letters, digits or hyphens`));
+        }
+        if (account.accountType !== 'checking' && account.accountType !== 'savings') {
+            errors.push(new ValidationError(`${label} Type`, `${label} type must be checking or savings`));
+        }
+        if (account.splitType === 'amount' || account.splitType === 'percent') {
+            const max = account.splitType === 'percent' ? 100 : 1000000;
+            const splitError = validateNumber(account.splitValue, `${label} Split`, 0.01, max, true);
+            if (splitError) errors.push(splitError);
+        } else if (account.splitType !== 'remainder') {
+            errors.push(new ValidationError(`${label} Split`, `${label} split must be remainder, amount or percent`));
+        }
+    });
+
+    if (accounts.filter(a => a.splitType === 'remainder').length !== 1) {
+        errors.push(new ValidationError('Direct Deposit', 'Exactly one direct deposit account must receive the remainder of net pay'));
+    }
+    const percentTotal = accounts.filter(a => a.splitType === 'percent').reduce((sum, a) => sum + (Number(a.splitValue) || 0), 0);
+    if (percentTotal > 100) {
+        errors.push(new ValidationError('Direct Deposit', 'Direct deposit percentages cannot total more than 100%'));
+    }
+
+    return errors;
+}
+
+/**
+ * Validates the ACH originator settings (v24). Saving settings checks only
+ * what has been entered (`required` false); generating a file needs the
+ * company ID and the bank's routing number.
+ * @param {object} ach - settings.ach ({ companyId, bankName, bankRoutingNumber, offsetAccountNumber, offsetAccountType })
+ * @param {boolean} required - Whether the company ID and routing number must be present
+ * @returns {ValidationError[]} - Array of validation errors
+ */
+export function validateAchSettings(ach, required = true) {
+    const errors = [];
+    const settings = ach || {};
+
+    if (settings.companyId || required) {
+        if (!/^[A-Za-z0-9 ]{1,10}$/.test(String(settings.companyId ?? ''))) {
+            errors.push(new ValidationError('ACH Company ID', 'ACH Company ID must be 1-10 letters or digits (from your bank)'));
+        }
+    }
+    if ((settings.bankRoutingNumber || required) && !isValidRoutingNumber(settings.bankRoutingNumber)) {
+        errors.push(new ValidationError('ACH Bank Routing Number', 'ACH Bank Routing Number must be 9 digits with a valid checksum'));
+    }
+    const bankNameError = validateString(settings.bankName, 'ACH Bank Name', 0, 23, false);
+    if (bankNameError) errors.push(bankNameError);
+    if (settings.offsetAccountNumber && !BANK_ACCOUNT_NUMBER_PATTERN.test(settings.offsetAccountNumber)) {
+        errors.push(new ValidationError('ACH Offset Account', 'ACH offset account number must be 1-17 letters, digits or hyphens'));
+    }
+
+    return errors;
+}
+
+/**
+ * Validates the Positive Pay settings (v26). Saving settings checks only
+ * what has been entered (`required` false); exporting a file needs the
+ * account number.
+ * @param {object} positivePay - settings.positivePay ({ accountNumber, layout, issueIndicator, voidIndicator })
+ * @param {boolean} required - Whether the account number must be present
+ * @returns {ValidationError[]} - Array of validation errors
+ */
+export function validatePositivePaySettings(positivePay, required = true) {
+    const errors = [];
+    const settings = positivePay || {};
+
+    if ((settings.accountNumber || required) && !/^\d{1,17}$/.test(String(settings.accountNumber ?? ''))) {
+        errors.push(new ValidationError('Positive Pay Account Number', 'Positive Pay Account Number must be 1-17 digits'));
+    }
+    ['issueIndicator', 'voidIndicator'].forEach(key => {
+        const label = key === 'issueIndicator' ? 'Issue Indicator' : 'Void Indicator';
+        if (settings[key] !== undefined && !/^[A-Za-z0-9]$/.test(String(settings[key]))) {
+            errors.push(new ValidationError(label, `${label} must be a single letter or digit`));
+        }
+    });
+    if (settings.issueIndicator && settings.issueIndicator === settings.voidIndicator) {
+        errors.push(new ValidationError('Void Indicator', 'The Issue and Void Indicators must be different'));
+    }
+
+    return errors;
+}
+
+/**
+ * Validates a tax deposit (v27)
+ * @param {object} deposit - { taxType, periodStart, periodEnd, amount, datePaid, confirmationNumber }
+ * @returns {ValidationError[]} - Array of validation errors
+ */
+export function validateTaxDeposit(deposit) {
+    const errors = [];
+
+    if (!['federal', 'futa', 'suta', 'state', 'local'].includes(deposit.taxType)) {
+        errors.push(new ValidationError('Tax Type', 'Tax type must be 941, FUTA, SUTA, state or local'));
+    }
+
+    const startError = validateDate(deposit.periodStart, 'Period Start', true);
+    if (startError) errors.push(startError);
+
+    const endError = validateDate(deposit.periodEnd, 'Period End', true);
+    if (endError) errors.push(endError);
+
+    if (!startError && !endError && deposit.periodStart > deposit.periodEnd) {
+        errors.push(new ValidationError('Period End', 'Period end must be on or after the period start'));
+    }
+
+    const amountError = validateNumber(deposit.amount, 'Deposit Amount', 0.01, 10000000, true);
+    if (amountError) errors.push(amountError);
+
+    const paidError = validateDate(deposit.datePaid, 'Date Paid', true);
+    if (paidError) errors.push(paidError);
+
+    const confirmationError = validateString(deposit.confirmationNumber, 'Confirmation Number', 0, 40, false);
+    if (confirmationError) errors.push(confirmationError);
+
     return errors;
 }
 
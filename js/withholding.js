@@ -0,0 +1,234 @@
+/*
+  PayTrax Payroll Management
+  Copyright (c) 2025 greenwh
+
+  Developed by greenwh with substantial assistance from AI coding tools (Claude, ChatGPT, Gemini).
+  This file is original work based on documentation and prompts by greenwh.
+  Licensed under the MIT License.
+*/
+// js/withholding.js - Federal income tax withholding (IRS Pub 15-T percentage method)
+//
+// Implements Worksheet 1A of Publication 15-T ("Percentage Method Tables for
+// Automated Payroll Systems") for Forms W-4 from 2020 or later. This module is
+// pure — it never touches appData — so it can be tested directly.
+
+/**
+ * Annual percentage-method tables, versioned by tax year.
+ * Each schedule is a list of brackets: wages over `over` are taxed at
+ * `base` + `rate` × (wages − `over`). `standard` is used when the W-4 Step 2
+ * box is unchecked, `step2` when it is checked. `step1gAllowance` is the
+ * Worksheet 1A line 1g amount subtracted when Step 2 is unchecked.
+ * Filing status keys: 'single' (single or married filing separately),
+ * 'married' (married filing jointly), 'headOfHousehold'.
+ */
+export const FEDERAL_WITHHOLDING_TABLES = {
+    2024: {
+        step1gAllowance: { single: 8600, married: 12900, headOfHousehold: 8600 },
+        standard: {
+            single: [
+                { over: 0, base: 0, rate: 0 },
+                { over: 6000, base: 0, rate: 0.10 },
+                { over: 17600, base: 1160, rate: 0.12 },
+                { over: 53150, base: 5426, rate: 0.22 },
+                { over: 106525, base: 17168.50, rate: 0.24 },
+                { over: 197950, base: 39110.50, rate: 0.32 },
+                { over: 249725, base: 55678.50, rate: 0.35 },
+                { over: 615350, base: 183647.25, rate: 0.37 }
+            ],
+            married: [
+                { over: 0, base: 0, rate: 0 },
+                { over: 16300, base: 0, rate: 0.10 },
+                { over: 39500, base: 2320, rate: 0.12 },
+                { over: 110600, base: 10852, rate: 0.22 },
+                { over: 217350, base: 34337, rate: 0.24 },
+                { over: 400200, base: 78221, rate: 0.32 },
+                { over: 503750, base: 111357, rate: 0.35 },
+                { over: 747500, base: 196669.50, rate: 0.37 }
+            ],
+            headOfHousehold: [
+                { over: 0, base: 0, rate: 0 },
+                { over: 13300, base: 0, rate: 0.10 },
+                { over: 29850, base: 1655, rate: 0.12 },
+                { over: 76400, base: 7241, rate: 0.22 },
+                { over: 113800, base: 15469, rate: 0.24 },
+                { over: 205250, base: 37417, rate: 0.32 },
+                { over: 257000, base: 53977, rate: 0.35 },
+                { over: 622650, base: 181954.50, rate: 0.37 }
+            ]
+        },
+        step2: {
+            single: [
+                { over: 0, base: 0, rate: 0 },
+                { over: 7300, base: 0, rate: 0.10 },
+                { over: 13100, base: 580, rate: 0.12 },
+                { over: 30875, base: 2713, rate: 0.22 },
+                { over: 57563, base: 8584.25, rate: 0.24 },
+                { over: 103275, base: 19555.25, rate: 0.32 },
+                { over: 129163, base: 27839.25, rate: 0.35 },
+                { over: 311975, base: 91823.63, rate: 0.37 }
+            ],
+            married: [
+                { over: 0, base: 0, rate: 0 },
+                { over: 14600, base: 0, rate: 0.10 },
+                { over: 26200, base: 1160, rate: 0.12 },
+                { over: 61750, base: 5426, rate: 0.22 },
+                { over: 115125, base: 17168.50, rate: 0.24 },
+                { over: 206550, base: 39110.50, rate: 0.32 },
+                { over: 258325, base: 55678.50, rate: 0.35 },
+                { over: 380200, base: 98334.75, rate: 0.37 }
+            ],
+            headOfHousehold: [
+                { over: 0, base: 0, rate: 0 },
+                { over: 10950, base: 0, rate: 0.10 },
+                { over: 19225, base: 827.50, rate: 0.12 },
+                { over: 42500, base: 3620.50, rate: 0.22 },
+                { over: 61200, base: 7734.50, rate: 0.24 },
+                { over: 106925, base: 18708.50, rate: 0.32 },
+                { over: 132800, base: 26988.50, rate: 0.35 },
+                { over: 315625, base: 90977.25, rate: 0.37 }
+            ]
+        }
+    },
+    2025: {
+        step1gAllowance: { single: 8600, married: 12900, headOfHousehold: 8600 },
+        standard: {
+            single: [
+                { over: 0, base: 0, rate: 0 },
+                { over: 6400, base: 0, rate: 0.10 },
+                { over: 18325, base: 1192.50, rate: 0.12 },
+                { over: 54875, base: 5578.50, rate: 0.22 },
+                { over: 109750, base: 17651, rate: 0.24 },
+                { over: 203700, base: 40199, rate: 0.32 },
+                { over: 256925, base: 57231, rate: 0.35 },
+                { over: 632750, base: 188769.75, rate: 0.37 }
+            ],
+            married: [
+                { over: 0, base: 0, rate: 0 },
+                { over: 17100, base: 0, rate: 0.10 },
+                { over: 40950, base: 2385, rate: 0.12 },
+                { over: 114050, base: 11157, rate: 0.22 },
+                { over: 223800, base: 35302, rate: 0.24 },
+                { over: 411700, base: 80398, rate: 0.32 },
+                { over: 518150, base: 114462, rate: 0.35 },
+                { over: 768700, base: 202154.50, rate: 0.37 }
+            ],
+            headOfHousehold: [
+                { over: 0, base: 0, rate: 0 },
+                { over: 13900, base: 0, rate: 0.10 },
+                { over: 30900, base: 1700, rate: 0.12 },
+                { over: 78750, base: 7442, rate: 0.22 },
+                { over: 117250, base: 15912, rate: 0.24 },
+                { over: 211200, base: 38460, rate: 0.32 },
+                { over: 264400, base: 55484, rate: 0.35 },
+                { over: 640250, base: 187031.50, rate: 0.37 }
+            ]
+        },
+        step2: {
+            single: [
+                { over: 0, base: 0, rate: 0 },
+                { over: 7500, base: 0, rate: 0.10 },
+                { over: 13463, base: 596.25, rate: 0.12 },
+                { over: 31738, base: 2789.25, rate: 0.22 },
+                { over: 59175, base: 8825.50, rate: 0.24 },
+                { over: 106150, base: 20099.50, rate: 0.32 },
+                { over: 132763, base: 28615.50, rate: 0.35 },
+                { over: 320675, base: 94384.88, rate: 0.37 }
+            ],
+            married: [
+                { over: 0, base: 0, rate: 0 },
+                { over: 15000, base: 0, rate: 0.10 },
+                { over: 26925, base: 1192.50, rate: 0.12 },
+                { over: 63475, base: 5578.50, rate: 0.22 },
+                { over: 118350, base: 17651, rate: 0.24 },
+                { over: 212300, base: 40199, rate: 0.32 },
+                { over: 265525, base: 57231, rate: 0.35 },
+                { over: 641350, base: 188769.75, rate: 0.37 }
+            ],
+            headOfHousehold: [
+                { over: 0, base: 0, rate: 0 },
+                { over: 11250, base: 0, rate: 0.10 },
+                { over: 19750, base: 850, rate: 0.12 },
+                { over: 43675, base: 3721, rate: 0.22 },
+                { over: 62925, base: 7956, rate: 0.24 },
+                { over: 109900, base: 19230, rate: 0.32 },
+                { over: 136500, base: 27742, rate: 0.35 },
+                { over: 324425, base: 93515.75, rate: 0.37 }
+            ]
+        }
+    }
+};
+
+/** W-4 filing statuses accepted by the percentage method. */
+export const W4_FILING_STATUSES = ['single', 'married', 'headOfHousehold'];
+
+/** Default (empty) 2020+ Form W-4 profile: single, no adjustments. */
+export const DEFAULT_W4 = {
+    filingStatus: 'single',
+    multipleJobs: false,     // Step 2(c) checkbox
+    dependentsAmount: 0,     // Step 3 (annual)
+    otherIncome: 0,          // Step 4(a) (annual)
+    deductions: 0,           // Step 4(b) (annual)
+    extraWithholding: 0      // Step 4(c) (per pay period)
+};
+
+/**
+ * Returns the withholding table for a tax year. Years without a published
+ * table use the most recent earlier table (or the earliest table for years
+ * before it), so payroll keeps running until the new year's table is added.
+ * @param {number} year - The tax year
+ * @returns {object} The table for that year
+ */
+export function getFederalWithholdingTable(year) {
+    const years = Object.keys(FEDERAL_WITHHOLDING_TABLES).map(Number).sort((a, b) => a - b);
+    const applicable = years.filter(y => y <= year);
+    const chosen = applicable.length > 0 ? applicable[applicable.length - 1] : years[0];
+    return FEDERAL_WITHHOLDING_TABLES[chosen];
+}
+
+/**
+ * Applies an annual rate schedule to an adjusted annual wage amount.
+ * @param {Array} schedule - Brackets sorted by `over`
+ * @param {number} annualWage - Adjusted annual wage (Worksheet 1A line 1i)
+ * @returns {number} Tentative annual withholding
+ */
+function applySchedule(schedule, annualWage) {
+    let bracket = schedule[0];
+    for (const b of schedule) {
+        if (annualWage > b.over) bracket = b;
+    }
+    return bracket.base + (annualWage - bracket.over) * bracket.rate;
+}
+
+/**
+ * Computes one period's federal income tax withholding with the Pub 15-T
+ * percentage method (Worksheet 1A, 2020+ Form W-4). The result is unrounded;
+ * callers round it (PayTrax feeds it through the running remainder).
+ * @param {number} taxableWages - Federal taxable wages for this pay period
+ * @param {number} periodsPerYear - Pay periods per year for the pay frequency
+ * @param {object} w4 - W-4 profile (see DEFAULT_W4)
+ * @param {number} year - Tax year of the pay date (selects the table)
+ * @returns {number} Withholding for the period (never negative)
+ */
+export function calculateFederalWithholding(taxableWages, periodsPerYear, w4, year) {
+    if (!periodsPerYear || taxableWages <= 0) return 0;
+
+    const profile = { ...DEFAULT_W4, ...(w4 || {}) };
+    const status = W4_FILING_STATUSES.includes(profile.filingStatus) ? profile.filingStatus : 'single';
+    const table = getFederalWithholdingTable(year);
+
+    // Step 1: adjusted annual wage amount
+    const annualWages = taxableWages * periodsPerYear + (profile.otherIncome || 0);
+    const allowance = profile.multipleJobs ? 0 : table.step1gAllowance[status];
+    const adjustedAnnualWage = Math.max(0, annualWages - (profile.deductions || 0) - allowance);
+
+    // Step 2: tentative withholding from the applicable schedule
+    const schedule = profile.multipleJobs ? table.step2[status] : table.standard[status];
+    const tentativePerPeriod = applySchedule(schedule, adjustedAnnualWage) / periodsPerYear;
+
+    // Step 3: tax credits (W-4 Step 3)
+    const creditPerPeriod = (profile.dependentsAmount || 0) / periodsPerYear;
+    const afterCredits = Math.max(0, tentativePerPeriod - creditPerPeriod);
+
+    // Step 4: additional withholding (W-4 Step 4c)
+    return afterCredits + (profile.extraWithholding || 0);
+}
@@ -0,0 +1,156 @@
+/*
+  PayTrax Payroll Management
+  Copyright (c) 2025 greenwh
+
+  Developed by greenwh with substantial assistance from AI coding tools (Claude, ChatGPT, Gemini).
+  This file is original work based on documentation and prompts by greenwh.
+  Licensed under the MIT License.
+*/
+// js/year-end.js - Year-end close and rollover to the next tax year (v21)
+//
+// Closing a year archives its pay periods, employees, settings and bank
+// register state under appData.archivedYears[year], then opens the next
+// year with fresh pay periods. The bank register itself is one running
+// account and is never split by year.
+
+import { appData } from './state.js';
+import { generatePayPeriods } from './logic.js';
+import { RATE_HISTORY_FIELDS, upsertRateEntry } from './employees.js';
+import { formatDate, resolveRate, resolveTaxConstants } from './utils.js';
+
+/**
+ * Reasons the open tax year cannot be closed yet.
+ * @returns {string[]} - Empty when the year can be closed
+ */
+export function getYearCloseBlockers() {
+    const { taxYear, firstPayPeriodStartDate } = appData.settings;
+    const blockers = [];
+
+    if (!firstPayPeriodStartDate) {
+        blockers.push('Pay periods are not set up yet.');
+    }
+    if (appData.archivedYears?.[taxYear]) {
+        blockers.push(`${taxYear} has already been closed.`);
+    }
+    if (appData.archivedYears?.[taxYear + 1]) {
+        blockers.push(`${taxYear + 1} is already archived and cannot be reopened as the new year.`);
+    }
+
+    return blockers;
+}
+
+/**
+ * Carries a rate history into the new year: when no entry takes effect in
+ * the new year, the rate in force on December 31 is seeded on January 1.
+ * @param {Array} history - The history array (mutated)
+ * @param {number} year - The year being closed
+ * @param {number} fallback - The scalar rate, for a missing history
+ */
+function seedRateHistory(history, year, fallback) {
+    const newYearStart = `${year + 1}-01-01`;
+    if (history.some(e => e.effectiveDate >= newYearStart)) return;
+    upsertRateEntry(history, newYearStart, resolveRate(history, `${year}-12-31`, fallback));
+}
+
+/**
+ * Closes the open tax year and starts the next one.
+ * - Archives the year's pay periods, employees (with their tax remainders
+ *   and PTO), settings, and the bank register's transactions and closing
+ *   balance for the year.
+ * - Carries each employee's PTO balance forward (up to
+ *   settings.ptoCarryOverLimit when set) as the new year's starting
+ *   balance, adds the year's garnishment withholding to each order's prior
+ *   payments, and resets the tax remainders.
+ * - Seeds every rate history, including the SUTA rate, on January 1, and
+ *   carries the year's tax constants forward as the new year's (v22).
+ * - Moves taxYear forward and generates the new year's pay periods,
+ *   continuing the schedule from the last regular period.
+ * @returns {object|null} { year, newYear, pto: [{ employeeId, name, balance, carried }] }, or null if blocked
+ */
+export function closeTaxYear() {
+    if (getYearCloseBlockers().length > 0) return null;
+
+    const settings = appData.settings;
+    const year = settings.taxYear;
+    const yearStart = `${year}-01-01`;
+    const yearEnd = `${year}-12-31`;
+
+    // The closed year keeps its own tax constants entry (v22)
+    if (!settings.taxConstants) {
+        settings.taxConstants = {};
+    }
+    settings.taxConstants[year] = resolveTaxConstants(settings, year);
+
+    if (!appData.archivedYears) {
+        appData.archivedYears = {};
+    }
+    appData.archivedYears[year] = JSON.parse(JSON.stringify({
+        closedAt: new Date().toISOString(),
+        settings,
+        employees: appData.employees,
+        payPeriods: appData.payPeriods,
+        bankRegister: {
+            closingBalance: Math.round(appData.bankRegister
+                .filter(t => t.date <= yearEnd)
+                .reduce((balance, t) => balance + t.credit - t.debit, 0) * 100) / 100,
+            transactions: appData.bankRegister.filter(t => t.date >= yearStart && t.date <= yearEnd)
+        }
+    }));
+
+    // The next year's schedule continues from the last regular period
+    const regularPeriods = Object.values(appData.payPeriods).flat().filter(p => !p.offCycle);
+    const lastEndDate = regularPeriods.reduce((last, p) => (p.endDate > last ? p.endDate : last), '');
+    let nextStart = `${year + 1}-01-01`;
+    if (lastEndDate) {
+        const next = new Date(lastEndDate + 'T00:00:00Z');
+        next.setUTCDate(next.getUTCDate() + 1);
+        nextStart = formatDate(next);
+    }
+
+    const carryOverLimit = typeof settings.ptoCarryOverLimit === 'number' ? settings.ptoCarryOverLimit : null;
+    const pto = [];
+
+    appData.employees.forEach(emp => {
+        const periods = appData.payPeriods[emp.id] || [];
+
+        const balance = emp.ptoBalance || 0;
+        const carried = carryOverLimit !== null && balance > carryOverLimit ? carryOverLimit : balance;
+        emp.ptoStartingBalance = carried;
+        emp.ptoBalance = carried;
+        pto.push({ employeeId: emp.id, name: emp.name, balance, carried });
+
+        (emp.garnishments || []).forEach(order => {
+            if (!(order.balance > 0)) return;
+            const withheld = periods.reduce((sum, p) => sum + (p.deductions || [])
+                .filter(ded => ded.garnishment && ded.id === order.id)
+                .reduce((s, ded) => s + (ded.calculatedAmount || 0), 0), 0);
+            order.priorPaid = Math.round(((order.priorPaid || 0) + withheld) * 100) / 100;
+        });
+
+        emp.taxRemainders = { federal: 0, fica: 0, medicare: 0, state: 0, local: 0, suta: 0, futa: 0 };
+
+        if (emp.rateHistories) {
+            RATE_HISTORY_FIELDS.forEach(field => {
+                if (Array.isArray(emp.rateHistories[field]) && emp.rateHistories[field].length > 0) {
+                    seedRateHistory(emp.rateHistories[field], year, emp[field]);
+                }
+            });
+        }
+    });
+
+    if (Array.isArray(settings.sutaRateHistory) && settings.sutaRateHistory.length > 0) {
+        seedRateHistory(settings.sutaRateHistory, year, settings.sutaRate);
+    }
+
+    if (!settings.taxConstants[year + 1]) {
+        settings.taxConstants[year + 1] = { ...settings.taxConstants[year] };
+    }
+    Object.assign(settings, resolveTaxConstants(settings, year + 1));
+
+    settings.taxYear = year + 1;
+    settings.firstPayPeriodStartDate = nextStart;
+    appData.employees.forEach(emp => { appData.payPeriods[emp.id] = []; });
+    generatePayPeriods();
+
+    return { year, newYear: year + 1, pto };
+}
@@ -6,7 +6,7 @@
   Licensed under the MIT License.
 */
 
-const CACHE_NAME = 'paytrax-cache-v17';
+const CACHE_NAME = 'paytrax-cache-v31';
 // This list should include all the files that make up the application's shell.
 const urlsToCache = [
   './',
@@ -28,6 +28,19 @@ const urlsToCache = [
   './js/toast.js',
   './js/undo.js',
   './js/audit.js',
+  './js/withholding.js',
+  './js/garnishments.js',
+  './js/year-end.js',
+  './js/timesheet.js',
+  './js/timeclock.js',
+  './js/roster.js',
+  './js/ach.js',
+  './js/checks.js',
+  './js/positive-pay.js',
+  './js/tax-deposits.js',
+  './js/deposit-schedule.js',
+  './js/tax-calendar.js',
+  './js/form-941x.js',
   './docs/icons/icon-192.png', // Also cache the main icons
   './docs/icons/icon-512.png'
 ];
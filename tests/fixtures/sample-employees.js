@@ -15,10 +15,18 @@ export function createTestEmployee(overrides = {}) {
     name: 'Test Employee',
     idNumber: '123-45-6789',
     address: '123 Test St, Test City, TS 12345',
+    payType: 'hourly',
     rate: 20.00,
+    annualSalary: 0,
+    hireDate: '',
+    dateOfBirth: '',
+    terminationDate: '',
+    status: 'active',
     overtimeMultiplier: 1.5,
     holidayMultiplier: 2.0,
     fedTaxRate: 12,
+    federalWithholdingMethod: 'flat',
+    w4: { filingStatus: 'single', multipleJobs: false, dependentsAmount: 0, otherIncome: 0, deductions: 0, extraWithholding: 0 },
     stateTaxRate: 5,
     localTaxRate: 2,
     ptoAccrualRate: 0.0385, // ~1 hour per pay period for bi-weekly
@@ -34,13 +42,16 @@ export function createTestEmployee(overrides = {}) {
       futa: 0
     },
     deductions: [],
+    employerContributions: [],
+    garnishments: [],
     ...overrides
   };
 
-  // Seed v13 rate histories from the final scalar values unless provided
+  // Seed v13/v14 rate histories from the final scalar values unless provided
   if (!employee.rateHistories) {
     employee.rateHistories = {
       rate: [{ effectiveDate: '2000-01-01', value: employee.rate }],
+      annualSalary: [{ effectiveDate: '2000-01-01', value: employee.annualSalary }],
       fedTaxRate: [{ effectiveDate: '2000-01-01', value: employee.fedTaxRate }],
       stateTaxRate: [{ effectiveDate: '2000-01-01', value: employee.stateTaxRate }],
       localTaxRate: [{ effectiveDate: '2000-01-01', value: employee.localTaxRate }]
@@ -66,6 +77,21 @@ export function createHighEarnerEmployee(overrides = {}) {
   });
 }
 
+/**
+ * Creates a salaried employee (v14)
+ * @param {Object} overrides - Properties to override
+ * @returns {Object} Salaried employee object
+ */
+export function createSalariedEmployee(overrides = {}) {
+  return createTestEmployee({
+    name: 'Salaried Employee',
+    payType: 'salary',
+    rate: 0,
+    annualSalary: 52000, // $2,000 per bi-weekly period
+    ...overrides
+  });
+}
+
 /**
  * Creates an employee with deductions
  * @param {Object} overrides - Properties to override
@@ -104,11 +104,15 @@ export function createMonthlySettings(overrides = {}) {
  */
 export function createTestAppData(settingsOverrides = {}, employees = []) {
   return {
-    version: 13,
+    version: 30,
     settings: createTestSettings(settingsOverrides),
     employees: employees,
     payPeriods: {},
     bankRegister: [],
-    auditLog: []
+    auditLog: [],
+    archivedYears: {},
+    achBatches: [],
+    taxDeposits: [],
+    filed941s: {}
   };
 }
@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import { generatePayPeriods, calculatePayFromData } from '../../js/logic.js';
+import {
+  splitNetPay,
+  getAchPayDates,
+  previewAchBatch,
+  buildNachaFile,
+  generateAchFile
+} from '../../js/ach.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * NACHA direct deposit files (v24): Alice deposits to one checking account,
+ * Bob splits 10% to savings with the rest to checking, and Carol is paid
+ * by check.
+ */
+describe('ACH Direct Deposit', () => {
+  let alice, bob, carol, payDate;
+  const checking = { routingNumber: '021000021', accountNumber: '111222333', accountType: 'checking', splitType: 'remainder', splitValue: 0 };
+  const savings = { routingNumber: '011000015', accountNumber: '999888', accountType: 'savings', splitType: 'percent', splitValue: 10 };
+  const createdAt = new Date(2024, 0, 17, 15, 30); // local time
+  const period = (emp) => appData.payPeriods[emp.id][0];
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01',
+      ach: { companyId: '1234567890', bankName: 'First Bank', bankRoutingNumber: '111000025', offsetAccountNumber: '', offsetAccountType: 'checking' }
+    });
+
+    alice = createTestEmployee({ name: 'Alice Smith', rate: 25, bankAccounts: [checking] });
+    bob = createTestEmployee({ name: 'Bob Jones', rate: 20, bankAccounts: [checking, savings] });
+    carol = createTestEmployee({ name: 'Carol', rate: 20, bankAccounts: [] });
+    appData.employees.push(alice, bob, carol);
+    generatePayPeriods();
+    [alice, bob, carol].forEach(emp => calculatePayFromData(emp.id, 1, { regular: 80, overtime: 0, pto: 0, holiday: 0 }));
+    payDate = period(alice).payDate;
+  });
+
+  it('splits net pay by percent or amount with the rest to the remainder account', () => {
+    expect(splitNetPay(1000, [checking, savings]).map(s => s.amount)).toEqual([100, 900]);
+    // A fixed amount larger than the net pay takes all of it
+    const fixed = { ...savings, splitType: 'amount', splitValue: 100 };
+    expect(splitNetPay(50, [checking, fixed])).toEqual([{ account: fixed, amount: 50 }]);
+  });
+
+  it('previews each deposit and lists employees paid by check', () => {
+    expect(getAchPayDates()).toEqual([payDate]);
+    const preview = previewAchBatch(payDate);
+
+    expect(preview.errors).toEqual([]);
+    expect(preview.entries.map(e => [e.employee.name, e.account.accountType])).toEqual([
+      ['Alice Smith', 'checking'], ['Bob Jones', 'savings'], ['Bob Jones', 'checking']
+    ]);
+    expect(preview.entries[1].amount).toBeCloseTo(Math.round(period(bob).netPay * 10) / 100, 2);
+    expect(preview.totalCredit).toBeCloseTo(period(alice).netPay + period(bob).netPay, 2);
+    expect(preview.skipped.map(s => s.employee.name)).toEqual(['Carol']);
+  });
+
+  it('builds a NACHA file of 94-character records in blocks of 10', () => {
+    const preview = previewAchBatch(payDate);
+    const lines = buildNachaFile(preview, { effectiveDate: payDate, createdAt, fileIdModifier: 'A', batchNumber: 1 }).trimEnd().split('\n');
+
+    expect(lines).toHaveLength(10);
+    lines.forEach(line => expect(line).toHaveLength(94));
+    expect(lines.map(l => l[0]).join('')).toBe('1566689999');
+    expect(lines[0].slice(0, 40)).toBe('101 111000025' + '1234567890' + '240117' + '1530' + 'A094101');
+    expect(lines[1].slice(50, 53)).toBe('PPD');
+    expect(lines[1].slice(1, 4)).toBe('220');
+    expect(lines[3].slice(1, 12)).toBe('32011000015');
+    expect(lines[9]).toBe('9'.repeat(94));
+
+    const creditCents = String(Math.round(preview.totalCredit * 100)).padStart(12, '0');
+    // Entry hash: 02100002 + 01100001 + 02100002
+    const batchControl = lines[5];
+    expect(batchControl.slice(4, 10)).toBe('000003');
+    expect(batchControl.slice(10, 20)).toBe('0005300005');
+    expect(batchControl.slice(20, 32)).toBe('0'.repeat(12));
+    expect(batchControl.slice(32, 44)).toBe(creditCents);
+    const fileControl = lines[6];
+    expect(fileControl.slice(1, 21)).toBe('000001000001' + '00000003');
+    expect(fileControl.slice(43, 55)).toBe(creditCents);
+  });
+
+  it('takes the file creation date and time from the same local clock', () => {
+    const lateEvening = new Date(2024, 0, 17, 23, 45);
+    const [header] = buildNachaFile(previewAchBatch(payDate), { effectiveDate: payDate, createdAt: lateEvening }).split('\n');
+    expect(header.slice(23, 33)).toBe('240117' + '2345');
+  });
+
+  it('balances the file with an offsetting debit when an offset account is set', () => {
+    appData.settings.ach.offsetAccountNumber = '5550001';
+    const lines = buildNachaFile(previewAchBatch(payDate), { effectiveDate: payDate, createdAt }).trimEnd().split('\n');
+    const batchControl = lines.find(l => l[0] === '8');
+
+    expect(lines.find(l => l[0] === '5').slice(1, 4)).toBe('200');
+    expect(lines.filter(l => l[0] === '6').pop().slice(1, 3)).toBe('27');
+    expect(batchControl.slice(4, 10)).toBe('000004');
+    expect(batchControl.slice(20, 32)).toBe(batchControl.slice(32, 44));
+  });
+
+  it('records the batch and references it from the payroll debits', () => {
+    const result = generateAchFile(payDate, { effectiveDate: payDate, createdAt });
+
+    expect(result.fileName).toBe(`PayTrax_ACH_${payDate}_1.txt`);
+    expect(appData.achBatches).toHaveLength(1);
+    expect(appData.achBatches[0]).toMatchObject({ number: 1, payDate, entryCount: 3, superseded: false });
+    expect(appData.achBatches[0].entries[0]).toMatchObject({ name: 'Alice Smith', accountLast4: '2333', traceNumber: '111000020000001' });
+
+    const debit = appData.bankRegister.find(t => t.id.startsWith(`payroll-${alice.id}-1-`));
+    expect(debit).toMatchObject({ achBatch: 1, description: 'Payroll: Alice Smith - P1 (ACH #1)' });
+    expect(appData.bankRegister.find(t => t.id.startsWith(`payroll-${carol.id}-1-`)).achBatch).toBeUndefined();
+
+    // Recalculating keeps the reference
+    calculatePayFromData(alice.id, 1, { regular: 70, overtime: 0, pto: 0, holiday: 0 });
+    expect(appData.bankRegister.find(t => t.id.startsWith(`payroll-${alice.id}-1-`))).toMatchObject({ achBatch: 1, description: 'Payroll: Alice Smith - P1 (ACH #1)' });
+  });
+
+  it('supersedes an earlier file for the same pay date', () => {
+    generateAchFile(payDate, { createdAt });
+    const second = generateAchFile(payDate, { createdAt });
+
+    expect(second.batch).toMatchObject({ number: 2, fileIdModifier: 'B' });
+    expect(appData.achBatches.map(b => b.superseded)).toEqual([true, false]);
+    expect(appData.bankRegister.find(t => t.id.startsWith(`payroll-${bob.id}-1-`)).description).toBe('Payroll: Bob Jones - P1 (ACH #2)');
+  });
+
+  it('posts one debit for the batch without automatic subtraction', () => {
+    appData.settings.autoSubtraction = false;
+    appData.bankRegister = [];
+    const first = generateAchFile(payDate, { effectiveDate: '2024-01-18', createdAt });
+    const second = generateAchFile(payDate, { effectiveDate: '2024-01-18', createdAt });
+
+    expect(appData.bankRegister).toHaveLength(1);
+    expect(appData.bankRegister[0]).toMatchObject({
+      id: `ach-${second.batch.id}`, date: '2024-01-18', debit: first.batch.totalCredit, achBatch: 2
+    });
+  });
+
+  it('refuses to generate without the originator settings', () => {
+    appData.settings.ach.bankRoutingNumber = '111000026';
+    const result = generateAchFile(payDate, { createdAt });
+
+    expect(result.errors[0]).toContain('Routing Number');
+    expect(appData.achBatches).toHaveLength(0);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import {
+  generatePayPeriods,
+  calculatePayFromData,
+  finalizePeriod,
+  saveTimesheet,
+  addOffCycleRun,
+  getRegularPayDates,
+  getPayDateGrid,
+  getPeriodPayrollCost
+} from '../../js/logic.js';
+import { addTransaction } from '../../js/banking.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Bulk hours grid: every active employee paid on a pay date, with
+ * per-row pay and the pay date's totals and bank balance after payroll.
+ */
+describe('Bulk Hours Grid', () => {
+  let alice, bob, payDate;
+  const standardHours = { regular: 80, overtime: 0, pto: 0, holiday: 0 };
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01'
+    });
+
+    alice = createTestEmployee({ name: 'Alice', rate: 25 });
+    bob = createTestEmployee({ name: 'Bob', rate: 20 });
+    appData.employees.push(alice, bob);
+    generatePayPeriods();
+    payDate = appData.payPeriods[alice.id][0].payDate;
+    addTransaction('2024-01-01', 'Opening deposit', 'credit', 10000);
+  });
+
+  it('lists each regular pay date once, in order', () => {
+    addOffCycleRun(alice.id, { payDate: '2024-01-10', reason: 'bonus' });
+    const payDates = getRegularPayDates();
+
+    expect(payDates[0]).toBe(payDate);
+    expect(new Set(payDates).size).toBe(payDates.length);
+    expect(payDates).not.toContain('2024-01-10');
+    expect([...payDates].sort()).toEqual(payDates);
+  });
+
+  it('has a row for every active employee paid on the date', () => {
+    bob.status = 'leave';
+    const grid = getPayDateGrid(payDate);
+
+    expect(grid.rows.map(r => r.employee.name)).toEqual(['Alice']);
+    expect(grid.rows[0].period.period).toBe(1);
+  });
+
+  it('totals the rows and the payroll cost', () => {
+    calculatePayFromData(alice.id, 1, standardHours);
+    calculatePayFromData(bob.id, 1, { regular: 40, overtime: 2, pto: 0, holiday: 0 });
+    const grid = getPayDateGrid(payDate);
+    const [a, b] = grid.rows.map(r => r.period);
+
+    expect(grid.totals.regular).toBe(120);
+    expect(grid.totals.overtime).toBe(2);
+    expect(grid.totals.grossPay).toBeCloseTo(a.grossPay + b.grossPay, 2);
+    expect(grid.totals.netPay).toBeCloseTo(a.netPay + b.netPay, 2);
+    // Payroll cost is the bank debit: wages plus employer taxes
+    expect(grid.rows[0].payrollCost).toBeCloseTo(2000 + a.taxes.suta + a.taxes.futa + a.taxes.fica + a.taxes.medicare, 2);
+    expect(grid.totals.payrollCost).toBeCloseTo(getPeriodPayrollCost(a) + getPeriodPayrollCost(b), 2);
+  });
+
+  it('shows the bank balance after the pay date\'s payroll', () => {
+    calculatePayFromData(alice.id, 1, standardHours);
+    calculatePayFromData(alice.id, 2, standardHours);
+    const grid = getPayDateGrid(payDate);
+
+    // The register already holds the debit; a later period's is excluded
+    expect(grid.bankBalanceAfter).toBeCloseTo(10000 - grid.totals.payrollCost, 2);
+  });
+
+  it('takes the payroll cost off the balance when auto subtraction is off', () => {
+    appData.settings.autoSubtraction = false;
+    calculatePayFromData(alice.id, 1, standardHours);
+    const grid = getPayDateGrid(payDate);
+
+    expect(appData.bankRegister).toHaveLength(1);
+    expect(grid.bankBalanceAfter).toBeCloseTo(10000 - grid.totals.payrollCost, 2);
+  });
+
+  it('locks finalized periods and flags timesheet periods', () => {
+    calculatePayFromData(alice.id, 1, standardHours);
+    finalizePeriod(alice.id, 1);
+    const start = appData.payPeriods[bob.id][0].startDate;
+    saveTimesheet(bob.id, 1, { [start]: 8 });
+    const grid = getPayDateGrid(payDate);
+
+    expect(grid.rows[0]).toMatchObject({ locked: true, timesheet: false });
+    expect(grid.rows[1]).toMatchObject({ locked: false, timesheet: true });
+    expect(grid.rows[1].period.hours.regular).toBe(8);
+  });
+});
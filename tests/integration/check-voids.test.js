@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import {
+  generatePayPeriods,
+  calculatePayFromData,
+  voidPeriod,
+  reissuePeriod,
+  addOffCycleRun,
+  deleteOffCycleRun,
+  recalculateAllPeriodsForEmployee,
+  compute941Data,
+  computeVoidedChecks
+} from '../../js/logic.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Check voids: a paid check is kept on its period with a reversing
+ * bank credit, and the period can be reissued. Period 1 is paid 1/19/2024.
+ */
+describe('Check Voids', () => {
+  let employee;
+  const standardHours = { regular: 80, overtime: 0, pto: 0, holiday: 0 };
+  const payrollId = (periodNum) => `payroll-${employee.id}-${periodNum}-2024`;
+  const find = (periodNum) => appData.payPeriods[employee.id].find(p => p.period === periodNum);
+  const bankTotal = () => appData.bankRegister.reduce((sum, t) => sum + t.credit - t.debit, 0);
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01'
+    });
+
+    // $25 × 80 = $2,000 per period
+    employee = createTestEmployee({ rate: 25, fedTaxRate: 12 });
+    appData.employees.push(employee);
+    generatePayPeriods();
+    calculatePayFromData(employee.id, 1, standardHours);
+  });
+
+  const voidPeriodOne = () => {
+    const voided = voidPeriod(employee.id, 1, { voidDate: '2024-01-22', reason: 'Lost check' });
+    recalculateAllPeriodsForEmployee(employee.id);
+    return voided;
+  };
+
+  it('keeps the voided check on the period and clears its pay', () => {
+    const paid = { ...find(1) };
+    const voided = voidPeriodOne();
+
+    expect(voided.grossPay).toBe(2000);
+    expect(voided.netPay).toBe(paid.netPay);
+    expect(voided.hours.regular).toBe(80);
+    expect(voided.payDate).toBe('2024-01-19');
+    expect(voided.voidDate).toBe('2024-01-22');
+    expect(voided.reason).toBe('Lost check');
+
+    const period = find(1);
+    expect(period.voidedChecks).toHaveLength(1);
+    expect(period.grossPay).toBe(0);
+    expect(period.hours.regular).toBe(0);
+  });
+
+  it('keeps the original debit and posts a reversing credit on the void date', () => {
+    const debit = appData.bankRegister.find(t => t.id === payrollId(1)).debit;
+    const balanceBefore = bankTotal();
+    voidPeriodOne();
+
+    expect(appData.bankRegister.find(t => t.id === payrollId(1))).toBeUndefined();
+    const original = appData.bankRegister.find(t => t.id === `${payrollId(1)}-void1`);
+    const reversal = appData.bankRegister.find(t => t.id === `${payrollId(1)}-void1-reversal`);
+    expect(original.debit).toBe(debit);
+    expect(original.description).toContain('(VOIDED)');
+    expect(reversal.credit).toBe(debit);
+    expect(reversal.date).toBe('2024-01-22');
+    expect(bankTotal()).toBeCloseTo(balanceBefore + debit, 2);
+  });
+
+  it('refuses to void an unpaid period', () => {
+    expect(voidPeriod(employee.id, 2, { voidDate: '2024-02-05', reason: 'x' })).toBeNull();
+  });
+
+  it('reissues the voided check under a new payroll debit', () => {
+    const paid = { ...find(1) };
+    voidPeriodOne();
+
+    expect(reissuePeriod(employee.id, 1)).toBe(true);
+    recalculateAllPeriodsForEmployee(employee.id);
+
+    expect(find(1).grossPay).toBe(2000);
+    expect(find(1).netPay).toBe(paid.netPay);
+    expect(appData.bankRegister.find(t => t.id === payrollId(1)).debit).toBeCloseTo(appData.bankRegister.find(t => t.id === `${payrollId(1)}-void1`).debit, 2);
+    // A paid period cannot be reissued again
+    expect(reissuePeriod(employee.id, 1)).toBe(false);
+  });
+
+  it('drops the voided wages from the 941 until reissued', () => {
+    expect(compute941Data('Q1 2024').line2).toBe(2000);
+    voidPeriodOne();
+    expect(compute941Data('Q1 2024').error).toBe('No payroll data for Q1 2024.');
+    reissuePeriod(employee.id, 1);
+    recalculateAllPeriodsForEmployee(employee.id);
+    expect(compute941Data('Q1 2024').line2).toBe(2000);
+  });
+
+  it('keeps voided checks when pay periods are regenerated', () => {
+    voidPeriodOne();
+    generatePayPeriods();
+    expect(find(1).voidedChecks).toHaveLength(1);
+  });
+
+  it('does not delete an off-cycle run with a voided check', () => {
+    const run = addOffCycleRun(employee.id, { payDate: '2024-01-25', reason: 'correction' });
+    calculatePayFromData(employee.id, run, { regular: 8, overtime: 0, pto: 0, holiday: 0 });
+    voidPeriod(employee.id, run, { voidDate: '2024-01-26', reason: 'Wrong hours' });
+
+    expect(deleteOffCycleRun(employee.id, run)).toBe(false);
+    expect(find(run)).toBeDefined();
+  });
+
+  describe('computeVoidedChecks()', () => {
+    it('lists the issued, voided and reissued checks so they net to the live wages', () => {
+      voidPeriodOne();
+      reissuePeriod(employee.id, 1);
+      recalculateAllPeriodsForEmployee(employee.id);
+
+      const data = computeVoidedChecks('2024-01-01', '2024-03-31', 'all');
+      expect(data.error).toBeNull();
+      // In date order: issued 1/19, reissued on the period's 1/19 pay date, voided 1/22
+      expect(data.rows.map(r => r.type)).toEqual(['Issued', 'Reissued', 'Voided']);
+      expect(data.rows[2].gross).toBe(-2000);
+      expect(data.rows[2].reason).toBe('Lost check');
+      expect(data.totals.gross).toBeCloseTo(compute941Data('Q1 2024').line2, 2);
+    });
+
+    it('reports when there are no voids in range', () => {
+      expect(computeVoidedChecks('2024-01-01', '2024-03-31', 'all').error).toBe('No voided checks in this date range.');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import {
+  generatePayPeriods,
+  calculatePayFromData,
+  addDeduction,
+  recalculateAllPeriodsForEmployee,
+  getElectiveDeferralLimit
+} from '../../js/logic.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Annual deduction limits (v18): a limited deduction takes only what is left
+ * of its annual limit, flags `limitReached`, then stops for the rest of the year.
+ */
+describe('Deduction Annual Limits', () => {
+  let employee;
+  const standardHours = { regular: 80, overtime: 0, pto: 0, holiday: 0 };
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01'
+    });
+
+    // $100 × 80 = $8,000 gross per period
+    employee = createTestEmployee({ rate: 100 });
+    appData.employees.push(employee);
+    generatePayPeriods();
+  });
+
+  function addBackdated(...args) {
+    addDeduction(employee.id, ...args);
+    employee.deductions[employee.deductions.length - 1].createdDate = '2024-01-01';
+    return employee.deductions[employee.deductions.length - 1];
+  }
+
+  function runPeriods(count) {
+    for (let i = 1; i <= count; i++) calculatePayFromData(employee.id, i, standardHours);
+    return appData.payPeriods[employee.id];
+  }
+
+  function amountsFor(periods, dedId, count) {
+    return periods.filter(p => p.period <= count).sort((a, b) => a.period - b.period)
+      .map(p => p.deductions.find(d => d.id === dedId).calculatedAmount);
+  }
+
+  describe('getElectiveDeferralLimit()', () => {
+    it('adds the age 50+ catch-up by age at year end', () => {
+      expect(getElectiveDeferralLimit(2024, '')).toBe(23000);
+      expect(getElectiveDeferralLimit(2024, '1980-06-01')).toBe(23000);
+      expect(getElectiveDeferralLimit(2024, '1974-12-31')).toBe(30500);
+    });
+
+    it('uses the SECURE 2.0 catch-up for ages 60–63 from 2025', () => {
+      expect(getElectiveDeferralLimit(2025, '1963-03-01')).toBe(23500 + 11250);
+      expect(getElectiveDeferralLimit(2025, '1960-03-01')).toBe(23500 + 7500); // 65
+    });
+
+    it('uses the latest table for later years', () => {
+      expect(getElectiveDeferralLimit(2030, '')).toBe(getElectiveDeferralLimit(2026, ''));
+    });
+  });
+
+  it('takes only the remainder of a fixed limit, then stops', () => {
+    const hsa = addBackdated('HSA', 100, 'fixed', 'section125', 'fixed', 250);
+    const periods = runPeriods(4);
+
+    expect(amountsFor(periods, hsa.id, 4)).toEqual([100, 100, 50, 0]);
+    const p3 = periods.find(p => p.period === 3);
+    expect(p3.deductions[0].limitReached).toBe(true);
+    expect(periods.find(p => p.period === 2).deductions[0].limitReached).toBe(false);
+    // Net pay reflects the reduced deduction
+    expect(p3.totalDeductions).toBe(50);
+  });
+
+  it('stops a 401(k) deferral at the 402(g) limit', () => {
+    // 20% of 8,000 = 1,600/period; 14 × 1,600 = 22,400 → 600 left in P15
+    const k = addBackdated('401k', 20, 'percent', '401k', '402g');
+    const periods = runPeriods(16);
+    const amounts = amountsFor(periods, k.id, 16);
+
+    expect(amounts.slice(0, 14).every(a => a === 1600)).toBe(true);
+    expect(amounts[14]).toBe(600);
+    expect(amounts[15]).toBe(0);
+    expect(amounts.reduce((a, b) => a + b, 0)).toBe(23000);
+    // Once stopped, federal/state wages are no longer reduced
+    expect(periods.find(p => p.period === 16).taxableWages.federal).toBe(8000);
+  });
+
+  it('shares one 402(g) limit across 401(k) and Roth deferrals, with catch-up', () => {
+    employee.dateOfBirth = '1970-01-01';
+    const k = addBackdated('401k', 10, 'percent', '401k', '402g');
+    const roth = addBackdated('Roth', 10, 'percent', 'roth', '402g');
+    const periods = runPeriods(20);
+
+    const total = amountsFor(periods, k.id, 20).reduce((a, b) => a + b, 0)
+      + amountsFor(periods, roth.id, 20).reduce((a, b) => a + b, 0);
+    expect(total).toBe(30500);
+  });
+
+  it('honors limits when recalculating earlier periods', () => {
+    const hsa = addBackdated('HSA', 100, 'fixed', 'section125', 'fixed', 250);
+    runPeriods(4);
+
+    // Raise the per-period amount: the limit is reached sooner on recalculation
+    hsa.amount = 200;
+    recalculateAllPeriodsForEmployee(employee.id);
+
+    expect(amountsFor(appData.payPeriods[employee.id], hsa.id, 4)).toEqual([200, 50, 0, 0]);
+  });
+
+  it('leaves unlimited deductions untouched', () => {
+    const dues = addBackdated('Union', 50, 'fixed');
+    const periods = runPeriods(3);
+    expect(amountsFor(periods, dues.id, 3)).toEqual([50, 50, 50]);
+    expect(periods[0].deductions[0].limitReached).toBe(false);
+  });
+});
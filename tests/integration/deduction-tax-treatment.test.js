@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import {
+  generatePayPeriods,
+  calculatePayFromData,
+  addDeduction,
+  calculateTaxableWages,
+  computeW2Data,
+  generateW2Report,
+  compute941Data,
+  compute940Data
+} from '../../js/logic.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Deduction tax treatment (v16): pre-tax deductions reduce the taxable wage
+ * base of the taxes their treatment exempts, and the W-2/941/940 report the
+ * reduced wages plus the matching Box 12 codes.
+ */
+describe('Deduction Tax Treatment', () => {
+  let employee;
+  const standardHours = { regular: 80, overtime: 0, pto: 0, holiday: 0 };
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01',
+      socialSecurity: 6.2,
+      medicare: 1.45,
+      ssWageBase: 168600,
+      futaWageBase: 7000
+    });
+
+    // $25 × 80 = $2,000 gross per period
+    employee = createTestEmployee({ rate: 25, fedTaxRate: 10, stateTaxRate: 5, localTaxRate: 1 });
+    appData.employees.push(employee);
+    generatePayPeriods();
+  });
+
+  function addBackdated(name, amount, type, taxTreatment, box12Code = null) {
+    addDeduction(employee.id, name, amount, type, taxTreatment, 'none', 0, box12Code);
+    employee.deductions[employee.deductions.length - 1].createdDate = '2024-01-01';
+  }
+
+  describe('calculateTaxableWages()', () => {
+    it('leaves every wage base at gross for post-tax and Roth deductions', () => {
+      const wages = calculateTaxableWages(2000, [
+        { taxTreatment: 'post-tax', calculatedAmount: 100 },
+        { taxTreatment: 'roth', calculatedAmount: 100 }
+      ]);
+      Object.values(wages).forEach(w => expect(w).toBe(2000));
+    });
+
+    it('reduces only federal and state wages for a 401(k) deferral', () => {
+      const wages = calculateTaxableWages(2000, [{ taxTreatment: '401k', calculatedAmount: 200 }]);
+      expect(wages).toEqual({ federal: 1800, state: 1800, local: 2000, fica: 2000, medicare: 2000, futa: 2000, suta: 2000 });
+    });
+
+    it('reduces every wage base for a Section 125 premium and never goes negative', () => {
+      const wages = calculateTaxableWages(100, [{ taxTreatment: 'section125', calculatedAmount: 150 }]);
+      Object.values(wages).forEach(w => expect(w).toBe(0));
+    });
+
+    it('treats legacy deductions without a treatment as post-tax', () => {
+      const wages = calculateTaxableWages(2000, [{ calculatedAmount: 100 }]);
+      expect(wages.federal).toBe(2000);
+    });
+  });
+
+  describe('recalculatePeriod()', () => {
+    it('computes income taxes on wages after a 401(k) deferral but FICA on gross', () => {
+      addBackdated('401k', 10, 'percent', '401k');
+      const p1 = calculatePayFromData(employee.id, 1, standardHours);
+
+      expect(p1.taxableWages.federal).toBe(1800);
+      expect(p1.taxes.federal).toBe(180);  // 10% × 1,800
+      expect(p1.taxes.state).toBe(90);     // 5% × 1,800
+      expect(p1.taxes.local).toBe(20);     // 1% × 2,000
+      expect(p1.taxes.fica).toBe(124);     // 6.2% × 2,000
+      expect(p1.taxes.medicare).toBe(29);  // 1.45% × 2,000
+      expect(p1.netPay).toBeCloseTo(2000 - p1.taxes.total - 200, 2);
+    });
+
+    it('computes every tax on wages after a Section 125 premium', () => {
+      addBackdated('Health', 100, 'fixed', 'section125');
+      const p1 = calculatePayFromData(employee.id, 1, standardHours);
+
+      expect(p1.taxes.federal).toBe(190);
+      expect(p1.taxes.fica).toBe(117.8);   // 6.2% × 1,900
+      expect(p1.taxes.medicare).toBe(27.55);
+      expect(p1.taxes.futa).toBe(11.4);    // 0.6% × 1,900
+    });
+
+    it('caps FUTA on taxable wages, not gross', () => {
+      addBackdated('Health', 100, 'fixed', 'section125');
+      for (let i = 1; i <= 4; i++) calculatePayFromData(employee.id, i, standardHours);
+
+      // 3 × 1,900 = 5,700 taxable before P4; only 1,300 of P4's 1,900 is under $7,000
+      const p4 = appData.payPeriods[employee.id].find(p => p.period === 4);
+      expect(p4.taxes.futa).toBeCloseTo(1300 * 0.006, 2);
+    });
+  });
+
+  describe('Reports', () => {
+    beforeEach(() => {
+      addBackdated('401k', 200, 'fixed', '401k');
+      addBackdated('Health', 100, 'fixed', 'section125');
+      addBackdated('Roth', 50, 'fixed', 'roth');
+      for (let i = 1; i <= 2; i++) calculatePayFromData(employee.id, i, standardHours);
+    });
+
+    it('W-2 Box 1/3/5/16/18 reflect each treatment and Box 12 lists the codes', () => {
+      const [w2] = computeW2Data('2024').employees;
+
+      expect(w2.box1).toBe(3400);   // 2 × (2,000 − 200 − 100)
+      expect(w2.box3).toBe(3800);   // 2 × (2,000 − 100)
+      expect(w2.box5).toBe(3800);
+      expect(w2.box16).toBe(3400);
+      expect(w2.box18).toBe(3800);
+      expect(w2.box12).toEqual([
+        { code: 'AA', amount: 100 },
+        { code: 'D', amount: 400 },
+        { code: 'DD', amount: 200 }
+      ]);
+
+      const html = generateW2Report('2024');
+      expect(html).toContain('Code D');
+      expect(html).toContain('$3400.00');
+    });
+
+    it('reports each Section 125 deduction under its own Box 12 code', () => {
+      addBackdated('HSA', 75, 'fixed', 'section125', 'W');
+      addBackdated('FSA', 25, 'fixed', 'section125', '');
+      for (let i = 1; i <= 2; i++) calculatePayFromData(employee.id, i, standardHours);
+
+      expect(employee.deductions.map(d => d.box12Code)).toEqual([undefined, 'DD', undefined, 'W', '']);
+      const [w2] = computeW2Data('2024').employees;
+      expect(w2.box12).toEqual([
+        { code: 'AA', amount: 100 },
+        { code: 'D', amount: 400 },
+        { code: 'DD', amount: 200 },
+        { code: 'W', amount: 150 }
+      ]);
+      expect(w2.box1).toBe(3200);   // the FSA still reduces wages
+    });
+
+    it('941 and 940 use the reduced wage bases', () => {
+      const f941 = compute941Data('Q1 2024');
+      expect(f941.line2).toBe(3400);
+      expect(f941.line5a_col1).toBe(3800);
+      expect(f941.line5c_col1).toBe(3800);
+
+      const f940 = compute940Data('2024');
+      expect(f940.line3).toBe(4000);
+      expect(f940.line4).toBe(200);  // Section 125 is exempt from FUTA
+      expect(f940.line7).toBe(3800);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import { generateTaxDepositReportFromData } from '../../js/logic.js';
+import {
+  createDepositScheduleCache, computeLookback, determineDepositSchedule, findNextDayDeposits, getFederalDepositSchedule, getTaxFrequency
+} from '../../js/deposit-schedule.js';
+import { getDepositDueDate } from '../../js/tax-deposits.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * 941 depositor schedule (v28): the lookback period and the $100,000
+ * next-day rule, computed from archived and open-year pay periods whose
+ * only 941 liability is federal withholding.
+ */
+describe('Deposit Schedule', () => {
+  const paid = (payDate, federal) => ({ payDate, grossPay: federal * 4, taxes: { federal, fica: 0, medicare: 0, state: 0, local: 0, futa: 0, suta: 0 } });
+  const archive = (year, periods) => {
+    appData.archivedYears[year] = { payPeriods: { 'emp-1': periods }, employees: [] };
+  };
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      taxFrequencies: { federal: 'monthly', futa: 'quarterly', suta: 'quarterly', state: 'monthly', local: 'quarterly' }
+    });
+    appData.archivedYears = {};
+    appData.payPeriods = { 'emp-1': [] };
+  });
+
+  it('totals the four lookback quarters ending the prior June 30', () => {
+    archive(2022, [paid('2022-06-30', 9000), paid('2022-07-01', 10000), paid('2022-12-30', 15000)]);
+    archive(2023, [paid('2023-03-31', 12000), paid('2023-06-30', 13000), paid('2023-07-01', 9000)]);
+
+    const lookback = computeLookback(2024);
+    expect(lookback).toMatchObject({ start: '2022-07-01', end: '2023-06-30', liability: 50000 });
+    expect(lookback.quarters.map(q => q.liability)).toEqual([10000, 15000, 12000, 13000]);
+    expect(determineDepositSchedule(2024)).toMatchObject({ schedule: 'monthly', reason: 'lookback' });
+
+    archive(2023, [paid('2023-03-31', 12000), paid('2023-06-30', 13000.01)]);
+    expect(determineDepositSchedule(2024).schedule).toBe('semiweekly');
+    // A new employer with no lookback payroll is a monthly depositor
+    expect(determineDepositSchedule(2022).schedule).toBe('monthly');
+  });
+
+  it('flags the pay date that takes a deposit period to $100,000', () => {
+    // February's 60,000 does not carry into March; March reaches 110,000
+    appData.payPeriods['emp-1'] = [paid('2024-02-29', 60000), paid('2024-03-01', 60000), paid('2024-03-15', 50000), paid('2024-03-29', 40000)];
+
+    expect(findNextDayDeposits(2024)).toEqual([{ payDate: '2024-03-15', accumulated: 110000, schedule: 'monthly' }]);
+    expect(getFederalDepositSchedule('2024-03-15')).toBe('monthly');
+    expect(getFederalDepositSchedule('2024-03-29')).toBe('semiweekly');
+
+    // ...and makes the employer a semiweekly depositor all of next year
+    appData.settings.taxYear = 2025;
+    archive(2024, appData.payPeriods['emp-1']);
+    appData.payPeriods = {};
+    expect(determineDepositSchedule(2025)).toMatchObject({ schedule: 'semiweekly', reason: 'next-day' });
+  });
+
+  it('works each year out once per cache', () => {
+    archive(2023, [paid('2023-04-14', 60000)]);
+    appData.payPeriods['emp-1'] = [paid('2024-01-05', 4000)];
+
+    const cache = createDepositScheduleCache();
+    const schedule = determineDepositSchedule(2024, cache);
+    expect(schedule.schedule).toBe('semiweekly');
+
+    // The cache keeps what it read; a new one sees the change
+    archive(2023, []);
+    expect(determineDepositSchedule(2024, cache)).toBe(schedule);
+    expect(findNextDayDeposits(2023, cache)).toBe(findNextDayDeposits(2023, cache));
+    expect(determineDepositSchedule(2024).schedule).toBe('monthly');
+  });
+
+  it('replaces the Federal (941) frequency only when enforced', () => {
+    archive(2023, [paid('2023-04-14', 60000)]);
+    appData.payPeriods['emp-1'] = [paid('2024-01-05', 4000), paid('2024-05-03', 100000)];
+
+    expect(getTaxFrequency('federal', '2024-01-05')).toBe('monthly');
+    expect(getDepositDueDate('federal', '2024-01-05')).toBe('2024-02-15');
+
+    appData.settings.lookbackDepositSchedule = true;
+    expect(getTaxFrequency('federal', '2024-01-05')).toBe('semiweekly');
+    expect(getTaxFrequency('state', '2024-01-05')).toBe('monthly');
+    expect(getDepositDueDate('federal', '2024-01-05')).toBe('2024-01-10'); // Friday -> Wednesday
+    expect(getDepositDueDate('federal', '2024-05-03')).toBe('2024-05-06'); // next business day
+  });
+
+  it('reports 941 taxes under the enforced schedule', () => {
+    archive(2023, [paid('2023-04-14', 60000)]);
+    appData.payPeriods['emp-1'] = [paid('2024-01-05', 4000)];
+
+    expect(generateTaxDepositReportFromData('semiweekly', null, '2024-01-05').liabilities).toEqual({});
+
+    appData.settings.lookbackDepositSchedule = true;
+    const report = generateTaxDepositReportFromData('semiweekly', null, '2024-01-05');
+    expect(report.liabilities['Federal Payroll (941)'].amount).toBe(4000);
+    expect(generateTaxDepositReportFromData('monthly', 'January 2024').liabilities['Federal Payroll (941)']).toBeUndefined();
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import {
+  generatePayPeriods,
+  calculatePayFromData,
+  addDeduction,
+  addEmployerContribution,
+  deleteEmployerContribution,
+  calculateMatch,
+  computeW2Data,
+  generateDateRangeEmployerReport,
+  recalculateAllPeriodsForEmployee
+} from '../../js/logic.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Employer contributions (v17): employer-paid benefits on top of wages. They
+ * never change taxes or net pay, but add to the employer's payroll cost (bank
+ * debit, employer report) and are reported in W-2 Box 12 where applicable.
+ */
+describe('Employer Contributions', () => {
+  let employee;
+  const standardHours = { regular: 80, overtime: 0, pto: 0, holiday: 0 };
+  const safeHarbor = [{ matchPercent: 100, ofPayPercent: 3 }, { matchPercent: 50, ofPayPercent: 2 }];
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01'
+    });
+
+    // $25 × 80 = $2,000 gross per period
+    employee = createTestEmployee({ rate: 25 });
+    appData.employees.push(employee);
+    generatePayPeriods();
+  });
+
+  // Rules and deductions added "today" would not apply to 2024 pay dates
+  function backdateAll() {
+    employee.deductions.forEach(d => { d.createdDate = '2024-01-01'; });
+    employee.employerContributions.forEach(c => { c.createdDate = '2024-01-01'; });
+  }
+
+  describe('calculateMatch()', () => {
+    it('matches 100% of the first 3% plus 50% of the next 2%', () => {
+      // 6% deferral: 3% × 100% + 2% × 50% = 4% of 2,000
+      expect(calculateMatch(safeHarbor, 2000, 120)).toBeCloseTo(80, 6);
+      // 4% deferral: 3% + 0.5% = 3.5% of 2,000
+      expect(calculateMatch(safeHarbor, 2000, 80)).toBeCloseTo(70, 6);
+      // 2% deferral: all in the first tier
+      expect(calculateMatch(safeHarbor, 2000, 40)).toBeCloseTo(40, 6);
+    });
+
+    it('is zero without a deferral or gross pay', () => {
+      expect(calculateMatch(safeHarbor, 2000, 0)).toBe(0);
+      expect(calculateMatch(safeHarbor, 0, 100)).toBe(0);
+    });
+  });
+
+  describe('recalculatePeriod()', () => {
+    it('drives the match from 401(k) and Roth deferral deductions only', () => {
+      addDeduction(employee.id, '401k', 2, 'percent', '401k');
+      addDeduction(employee.id, 'Roth', 2, 'percent', 'roth');
+      addDeduction(employee.id, 'Union', 50, 'fixed', 'post-tax');
+      addEmployerContribution(employee.id, '401k Match', '401k-match', 'match', 0, safeHarbor);
+      backdateAll();
+
+      const p1 = calculatePayFromData(employee.id, 1, standardHours);
+      // 4% deferred → 3.5% of 2,000
+      expect(p1.totalEmployerContributions).toBe(70);
+      expect(p1.employerContributions[0].calculatedAmount).toBe(70);
+    });
+
+    it('does not change taxes or net pay', () => {
+      const before = calculatePayFromData(employee.id, 1, standardHours);
+      const netBefore = before.netPay;
+      const taxesBefore = before.taxes.total;
+
+      addEmployerContribution(employee.id, 'Health', 'health', 'fixed', 300);
+      backdateAll();
+      recalculateAllPeriodsForEmployee(employee.id);
+
+      const p1 = appData.payPeriods[employee.id].find(p => p.period === 1);
+      expect(p1.totalEmployerContributions).toBe(300);
+      expect(p1.netPay).toBe(netBefore);
+      expect(p1.taxes.total).toBe(taxesBefore);
+    });
+
+    it('adds the contributions to the payroll bank debit', () => {
+      addEmployerContribution(employee.id, 'HSA', 'hsa', 'percent', 5);
+      backdateAll();
+
+      const p1 = calculatePayFromData(employee.id, 1, standardHours);
+      const debit = appData.bankRegister.find(t => t.id === `payroll-${employee.id}-1-2024`);
+      const expected = 2000 + p1.taxes.suta + p1.taxes.futa + p1.taxes.fica + p1.taxes.medicare + 100;
+      expect(debit.debit).toBeCloseTo(expected, 2);
+    });
+
+    it('only applies rules created on or before the pay date and stops when deleted', () => {
+      addEmployerContribution(employee.id, 'Health', 'health', 'fixed', 300);
+      employee.employerContributions[0].createdDate = '2024-02-01';
+      calculatePayFromData(employee.id, 1, standardHours);
+      calculatePayFromData(employee.id, 4, standardHours);
+      const periods = appData.payPeriods[employee.id];
+      expect(periods.find(p => p.period === 1).totalEmployerContributions).toBe(0);
+      expect(periods.find(p => p.period === 4).totalEmployerContributions).toBe(300);
+
+      deleteEmployerContribution(employee.id, employee.employerContributions[0].id);
+      recalculateAllPeriodsForEmployee(employee.id);
+      expect(periods.find(p => p.period === 4).totalEmployerContributions).toBe(0);
+    });
+  });
+
+  describe('Reports', () => {
+    beforeEach(() => {
+      addDeduction(employee.id, 'Health', 100, 'fixed', 'section125');
+      addEmployerContribution(employee.id, 'Health', 'health', 'fixed', 300);
+      addEmployerContribution(employee.id, 'HSA', 'hsa', 'fixed', 50);
+      addEmployerContribution(employee.id, 'Gym', 'other', 'fixed', 20);
+      backdateAll();
+      for (let i = 1; i <= 2; i++) calculatePayFromData(employee.id, i, standardHours);
+    });
+
+    it('reports employee + employer health cost as Box 12 DD and HSA as W', () => {
+      const [w2] = computeW2Data('2024').employees;
+      expect(w2.box12).toEqual([
+        { code: 'DD', amount: 800 }, // 2 × (100 + 300)
+        { code: 'W', amount: 100 }
+      ]);
+    });
+
+    it('includes employer benefits in the employer expense report', () => {
+      const report = generateDateRangeEmployerReport('2024-01-01', '2024-02-29', employee.id);
+      expect(report).toContain('ER Benefits');
+      expect(report).toContain('$740.00'); // 2 × (300 + 50 + 20)
+    });
+  });
+});
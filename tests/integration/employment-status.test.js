@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import {
+  generatePayPeriods,
+  calculatePayFromData,
+  addOffCycleRun,
+  addSupplementalEarning,
+  compute941Data,
+  isEmployeeActive
+} from '../../js/logic.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Employment dates and status (v23): regular periods are generated only
+ * between the hire and termination dates. 2024 bi-weekly periods start
+ * 1/1/2024; period 6 runs 3/11–3/24 and covers the 941 count date, March 12.
+ */
+describe('Employment Dates and Status', () => {
+  let employee;
+  const standardHours = { regular: 80, overtime: 0, pto: 0, holiday: 0 };
+  const periodNumbers = () => appData.payPeriods[employee.id].map(p => p.period);
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01'
+    });
+
+    // $25 × 80 = $2,000 per period
+    employee = createTestEmployee({ rate: 25, fedTaxRate: 12 });
+    appData.employees.push(employee);
+  });
+
+  it('generates periods only between the hire and termination dates', () => {
+    employee.hireDate = '2024-01-20';
+    employee.terminationDate = '2024-03-05';
+    generatePayPeriods();
+
+    // Period 2 (1/15–1/28) includes the hire date; period 5 (2/26–3/10) the termination date
+    expect(periodNumbers()).toEqual([2, 3, 4, 5]);
+  });
+
+  it('keeps paid periods after the termination date until they are cleared', () => {
+    generatePayPeriods();
+    calculatePayFromData(employee.id, 7, standardHours);
+
+    employee.terminationDate = '2024-03-05';
+    employee.status = 'terminated';
+    generatePayPeriods();
+
+    expect(periodNumbers()).toContain(7);
+    expect(periodNumbers()).not.toContain(6);
+    // It cannot be paid again
+    calculatePayFromData(employee.id, 7, { regular: 40, overtime: 0, pto: 0, holiday: 0 });
+    expect(appData.payPeriods[employee.id].find(p => p.period === 7).hours.regular).toBe(80);
+    expect(addSupplementalEarning(employee.id, 7, { code: 'bonus', amount: 100, withholding: 'flat' })).toBe(false);
+  });
+
+  it('pays a final check on an off-cycle run after the termination date', () => {
+    employee.terminationDate = '2024-03-05';
+    generatePayPeriods();
+
+    const run = addOffCycleRun(employee.id, { payDate: '2024-03-15', reason: 'final' });
+    expect(calculatePayFromData(employee.id, run, { regular: 16, overtime: 0, pto: 0, holiday: 0 }).grossPay).toBe(400);
+  });
+
+  it('treats only an active status as active', () => {
+    expect(isEmployeeActive({})).toBe(true);
+    expect(isEmployeeActive({ status: 'active' })).toBe(true);
+    expect(isEmployeeActive({ status: 'leave' })).toBe(false);
+    expect(isEmployeeActive({ status: 'terminated' })).toBe(false);
+  });
+
+  it('counts 941 line 1 employees on the payroll on the 12th of the last month', () => {
+    const leaver = createTestEmployee({ name: 'Leaver', rate: 25, terminationDate: '2024-02-20', status: 'terminated' });
+    appData.employees.push(leaver);
+    generatePayPeriods();
+    calculatePayFromData(employee.id, 1, standardHours);
+    calculatePayFromData(leaver.id, 1, standardHours);
+
+    const q1 = compute941Data('Q1 2024');
+    expect(q1.line2).toBe(4000);
+    expect(q1.line1).toBe(1);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import { generatePayPeriods, calculatePayFromData, recalculateAllPeriodsForEmployee } from '../../js/logic.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Federal withholding modes (v15): the Pub 15-T percentage method driven by
+ * the employee's W-4 profile, or the legacy flat fedTaxRate.
+ */
+describe('Federal Withholding', () => {
+  let employee;
+  const standardHours = { regular: 80, overtime: 0, pto: 0, holiday: 0 };
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01'
+    });
+
+    // $25 × 80 = $2,000 per bi-weekly period
+    employee = createTestEmployee({ rate: 25, fedTaxRate: 12 });
+    appData.employees.push(employee);
+    generatePayPeriods();
+  });
+
+  it('flat mode withholds fedTaxRate % of gross', () => {
+    const p1 = calculatePayFromData(employee.id, 1, standardHours);
+    expect(p1.taxes.federal).toBe(240);
+  });
+
+  it('W-4 mode withholds by the percentage method', () => {
+    employee.federalWithholdingMethod = 'w4';
+    const p1 = calculatePayFromData(employee.id, 1, standardHours);
+    // 4,256 / 26 = 163.6923...
+    expect(p1.taxes.federal).toBe(163.69);
+    expect(p1.taxes.unrounded.federal).toBeCloseTo(4256 / 26, 6);
+    expect(p1.netPay).toBeCloseTo(2000 - p1.taxes.total, 2);
+  });
+
+  it('carries the percentage-method cents through the running remainder', () => {
+    // Pay on period end so all 26 pay dates fall in 2024 (one table year)
+    appData.settings.daysUntilPayday = 0;
+    generatePayPeriods();
+    employee.federalWithholdingMethod = 'w4';
+    for (let i = 1; i <= 26; i++) {
+      calculatePayFromData(employee.id, i, standardHours);
+    }
+    const total = appData.payPeriods[employee.id]
+      .filter(p => p.period <= 26)
+      .reduce((sum, p) => sum + p.taxes.federal, 0);
+    // Annual withholding from the table is exactly 4,256
+    expect(Math.round(total * 100) / 100).toBe(4256);
+  });
+
+  it('applies the W-4 profile (married, Step 4c) and recalculates on change', () => {
+    employee.federalWithholdingMethod = 'w4';
+    calculatePayFromData(employee.id, 1, standardHours);
+
+    employee.w4 = { ...employee.w4, filingStatus: 'married', extraWithholding: 20 };
+    recalculateAllPeriodsForEmployee(employee.id);
+
+    const p1 = appData.payPeriods[employee.id].find(p => p.period === 1);
+    // 2,280 / 26 + 20 = 107.6923...
+    expect(p1.taxes.federal).toBe(107.69);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import {
+  generatePayPeriods,
+  calculatePayFromData,
+  compute941Data,
+  generate941XReport
+} from '../../js/logic.js';
+import { getFiled941, markQuarterFiled, unmarkQuarterFiled, compute941XData } from '../../js/form-941x.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Filed Form 941 snapshots and 941-X comparisons (v29), for a bi-weekly
+ * hourly employee paid in Q1 2024.
+ */
+describe('Form 941-X', () => {
+  let employee;
+  const fullTime = { regular: 80, overtime: 0, pto: 0, holiday: 0 };
+  const row = (data, line) => data.rows.find(r => r.line === line);
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01',
+      socialSecurity: 6.2,
+      medicare: 1.45,
+      ssWageBase: 168600
+    });
+
+    employee = createTestEmployee({ name: 'John Doe', rate: 25, fedTaxRate: 12 });
+    appData.employees.push(employee);
+    generatePayPeriods();
+    for (let i = 1; i <= 4; i++) {
+      calculatePayFromData(employee.id, i, fullTime);
+    }
+  });
+
+  it('keeps the quarter\'s figures when marked filed', () => {
+    expect(getFiled941('Q1 2024')).toBeNull();
+
+    const { snapshot } = markQuarterFiled('Q1 2024', '2024-04-25');
+    const data = compute941Data('Q1 2024');
+    expect(snapshot).toMatchObject({ quarter: '2024-Q1', title: 'Q1 2024', filedDate: '2024-04-25' });
+    expect(snapshot.figures.line2).toBeCloseTo(data.line2, 2);
+    expect(snapshot.figures.line12).toBeCloseTo(data.line12, 2);
+    expect(getFiled941('q1 2024')).toBe(appData.filed941s['2024-Q1']);
+
+    expect(markQuarterFiled('Q1 2024').error).toContain('already marked as filed');
+    expect(compute941XData('Q1 2024').hasChanges).toBe(false);
+  });
+
+  it('compares the filed figures to the quarter recalculated', () => {
+    markQuarterFiled('Q1 2024', '2024-04-25');
+    // Period 2 was short 8 hours: $200 more wages
+    calculatePayFromData(employee.id, 2, { ...fullTime, regular: 88 });
+
+    const comparison = compute941XData('Q1 2024');
+    expect(comparison.hasChanges).toBe(true);
+    expect(row(comparison, '2')).toMatchObject({ original: 8000, corrected: 8200, difference: 200, taxCorrection: null });
+    expect(row(comparison, '3').taxCorrection).toBeCloseTo(24, 2);     // 12% of $200
+    expect(row(comparison, '5a')).toMatchObject({ difference: 200 });
+    expect(row(comparison, '5a').taxCorrection).toBeCloseTo(24.8, 2);  // 12.4% of $200
+    expect(row(comparison, '5c').taxCorrection).toBeCloseTo(5.8, 2);   // 2.9% of $200
+    expect(comparison.totalTaxCorrection).toBeCloseTo(54.6, 2);
+    expect(comparison.line12.difference).toBeCloseTo(comparison.line12.corrected - comparison.line12.original, 2);
+
+    const html = generate941XReport('Q1 2024');
+    expect(html).toContain('alert-danger');
+    expect(html).toContain('Taxable social security wages');
+  });
+
+  it('reports a wage-only change without a tax difference', () => {
+    markQuarterFiled('Q1 2024', '2024-04-25');
+    // As if line 2 had been filed $100 short with the taxes right
+    appData.filed941s['2024-Q1'].figures.line2 -= 100;
+
+    const comparison = compute941XData('Q1 2024');
+    expect(comparison.hasChanges).toBe(true);
+    expect(comparison.line12.difference).toBe(0);
+
+    const html = generate941XReport('Q1 2024');
+    expect(html).toContain('Wages changed; tax liability is unchanged');
+    expect(html).not.toContain('overreported');
+  });
+
+  it('needs a filed quarter, and forgets it when unmarked', () => {
+    expect(compute941XData('Q2 2024').error).toContain('has not been marked as filed');
+    expect(compute941XData('Q5 2024').error).toBeTruthy();
+    expect(generate941XReport('Q2 2024')).toContain('alert-info');
+
+    markQuarterFiled('Q1 2024', '2024-04-25');
+    expect(unmarkQuarterFiled('Q1 2024')).toMatchObject({ quarter: '2024-Q1' });
+    expect(getFiled941('Q1 2024')).toBeNull();
+    expect(unmarkQuarterFiled('Q1 2024')).toBeNull();
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import {
+  generatePayPeriods,
+  calculatePayFromData,
+  addGarnishment,
+  deleteGarnishment,
+  computeGarnishmentRemittance,
+  recalculateAllPeriodsForEmployee
+} from '../../js/logic.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Garnishments (v19): court and agency orders withheld after taxes within the
+ * CCPA limits, itemized on the pay stub and totalled per payee for remittance.
+ */
+describe('Garnishments', () => {
+  let employee;
+  const standardHours = { regular: 80, overtime: 0, pto: 0, holiday: 0 };
+  // $2,000 gross − taxes (240 + 100 + 40 + 124 + 29) = $1,467 disposable
+  const disposable = 1467;
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01'
+    });
+
+    employee = createTestEmployee({ rate: 25 });
+    appData.employees.push(employee);
+    generatePayPeriods();
+  });
+
+  const garnishmentLines = (period) => period.deductions.filter(ded => ded.garnishment);
+
+  it('withholds a support order after taxes and reduces net pay', () => {
+    addGarnishment(employee.id, { payee: 'State SDU', caseNumber: 'CS-1', orderType: 'child-support', amount: 300 });
+    const p1 = calculatePayFromData(employee.id, 1, standardHours);
+
+    const [line] = garnishmentLines(p1);
+    expect(line.calculatedAmount).toBe(300);
+    expect(line.payee).toBe('State SDU');
+    expect(line.capApplied).toBe(false);
+    expect(p1.totalDeductions).toBe(300);
+    expect(p1.netPay).toBeCloseTo(disposable - 300, 2);
+    // Garnishments never change taxable wages
+    expect(p1.taxes.federal).toBe(240);
+  });
+
+  it('caps a creditor garnishment at 25% of disposable earnings', () => {
+    addGarnishment(employee.id, { payee: 'Creditor LLC', orderType: 'creditor', amount: 1000 });
+    const p1 = calculatePayFromData(employee.id, 1, standardHours);
+
+    const [line] = garnishmentLines(p1);
+    expect(line.calculatedAmount).toBe(366.75);
+    expect(line.capApplied).toBe(true);
+  });
+
+  it('does not count voluntary deductions against disposable earnings', () => {
+    employee.deductions.push({ id: 'ins', name: 'Insurance', amount: 500, type: 'fixed', taxTreatment: 'post-tax', limitType: 'none', limitAmount: 0 });
+    addGarnishment(employee.id, { payee: 'Creditor LLC', orderType: 'creditor', amount: 1000 });
+    const p1 = calculatePayFromData(employee.id, 1, standardHours);
+
+    expect(garnishmentLines(p1)[0].calculatedAmount).toBe(366.75);
+    expect(p1.totalDeductions).toBe(866.75);
+  });
+
+  it('stops withholding once the balance is paid off', () => {
+    addGarnishment(employee.id, { payee: 'Creditor LLC', orderType: 'creditor', amount: 300, balance: 700, priorPaid: 100 });
+    const p1 = calculatePayFromData(employee.id, 1, standardHours);
+    const p2 = calculatePayFromData(employee.id, 2, standardHours);
+    const p3 = calculatePayFromData(employee.id, 3, standardHours);
+
+    expect(garnishmentLines(p1)[0].calculatedAmount).toBe(300);
+    expect(garnishmentLines(p2)[0].calculatedAmount).toBe(300);
+    expect(garnishmentLines(p2)[0].balanceRemaining).toBe(0);
+    expect(garnishmentLines(p3)).toHaveLength(0);
+  });
+
+  it('applies an order only from its effective date', () => {
+    addGarnishment(employee.id, { payee: 'State SDU', orderType: 'child-support', amount: 200, startDate: '2024-02-01' });
+    const p1 = calculatePayFromData(employee.id, 1, standardHours);
+    const p3 = calculatePayFromData(employee.id, 3, standardHours);
+
+    expect(garnishmentLines(p1)).toHaveLength(0);
+    expect(garnishmentLines(p3)[0].calculatedAmount).toBe(200);
+  });
+
+  it('recalculates periods when an order is deleted', () => {
+    addGarnishment(employee.id, { payee: 'State SDU', orderType: 'child-support', amount: 200 });
+    calculatePayFromData(employee.id, 1, standardHours);
+
+    deleteGarnishment(employee.id, employee.garnishments[0].id);
+    recalculateAllPeriodsForEmployee(employee.id);
+
+    const p1 = appData.payPeriods[employee.id].find(p => p.period === 1);
+    expect(garnishmentLines(p1)).toHaveLength(0);
+    expect(p1.netPay).toBeCloseTo(disposable, 2);
+  });
+
+  it('totals withholding per payee for remittance', () => {
+    addGarnishment(employee.id, { payee: 'State SDU', caseNumber: 'CS-1', orderType: 'child-support', amount: 200 });
+    addGarnishment(employee.id, { payee: 'Creditor LLC', orderType: 'creditor', amount: 50 });
+    calculatePayFromData(employee.id, 1, standardHours);
+    calculatePayFromData(employee.id, 2, standardHours);
+
+    const data = computeGarnishmentRemittance('2024-01-01', '2024-12-31');
+    expect(data.error).toBeNull();
+    expect(data.payees.map(g => g.payee)).toEqual(['Creditor LLC', 'State SDU']);
+    expect(data.payees[1].total).toBe(400);
+    expect(data.payees[1].items[0].caseNumber).toBe('CS-1');
+    expect(data.total).toBe(500);
+  });
+});
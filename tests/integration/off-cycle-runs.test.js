@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import {
+  generatePayPeriods,
+  calculatePayFromData,
+  addOffCycleRun,
+  deleteOffCycleRun,
+  addSupplementalEarning,
+  recalculateAllPeriodsForEmployee,
+  getPayStubData,
+  compute941Data,
+  computeW2Data
+} from '../../js/logic.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Off-cycle runs: pay runs with their own pay date, processed in
+ * pay-date order with the regular periods. Period 1 is paid 1/19/2024 and
+ * period 2 on 2/2/2024; the runs below are paid in between.
+ */
+describe('Off-Cycle Runs', () => {
+  let employee;
+  const standardHours = { regular: 80, overtime: 0, pto: 0, holiday: 0 };
+  const noHours = { regular: 0, overtime: 0, pto: 0, holiday: 0 };
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01'
+    });
+
+    // $25 × 80 = $2,000 per regular period
+    employee = createTestEmployee({ rate: 25, fedTaxRate: 12, ptoAccrualRate: 26 });
+    appData.employees.push(employee);
+    generatePayPeriods();
+  });
+
+  const bonusRun = (amount, payDate = '2024-01-25', run = {}) => {
+    const periodNum = addOffCycleRun(employee.id, { payDate, reason: 'bonus', ...run });
+    addSupplementalEarning(employee.id, periodNum, { code: 'bonus', description: 'Bonus', amount, withholding: 'flat' });
+    return periodNum;
+  };
+  const find = (periodNum) => appData.payPeriods[employee.id].find(p => p.period === periodNum);
+
+  it('numbers runs after the regular schedule and slots them by pay date', () => {
+    const first = addOffCycleRun(employee.id, { payDate: '2024-01-25', reason: 'bonus' });
+    const second = addOffCycleRun(employee.id, { payDate: '2024-01-10', reason: 'correction' });
+
+    expect(first).toBe(1001);
+    expect(second).toBe(1002);
+    const order = appData.payPeriods[employee.id].slice(0, 4).map(p => p.period);
+    expect(order).toEqual([1002, 1, 1001, 2]);
+    expect(find(1001).startDate).toBe('2024-01-25');
+  });
+
+  it('pays a bonus run and counts it toward the wage-base caps in sequence', () => {
+    appData.settings.ssWageBase = 3000;
+    calculatePayFromData(employee.id, 1, standardHours);
+    const run = bonusRun(1500);
+    calculatePayFromData(employee.id, run, noHours);
+    calculatePayFromData(employee.id, 2, standardHours);
+
+    expect(find(run).grossPay).toBe(1500);
+    expect(find(run).taxes.federal).toBe(330);
+    // 2,000 already paid: only 1,000 of the bonus is under the cap
+    expect(find(run).taxes.fica).toBe(62);
+    expect(find(2).taxes.fica).toBe(0);
+  });
+
+  it('skips recurring deductions unless the run applies them', () => {
+    employee.deductions.push({ id: 'ins', name: 'Insurance', amount: 100, type: 'fixed', taxTreatment: 'post-tax', limitType: 'none', limitAmount: 0, createdDate: '2024-01-01' });
+    const plain = bonusRun(500);
+    const withDeductions = bonusRun(500, '2024-01-26', { applyDeductions: true });
+    recalculateAllPeriodsForEmployee(employee.id);
+
+    expect(find(plain).totalDeductions).toBe(0);
+    expect(find(withDeductions).totalDeductions).toBe(100);
+  });
+
+  it('pays hours on a run but never accrues PTO for it', () => {
+    calculatePayFromData(employee.id, 1, standardHours);
+    const run = addOffCycleRun(employee.id, { payDate: '2024-01-25', reason: 'final' });
+    const p = calculatePayFromData(employee.id, run, { regular: 10, overtime: 0, pto: 0, holiday: 0 });
+
+    expect(p.grossPay).toBe(250);
+    expect(p.ptoAccrued).toBe(0);
+    expect(find(1).ptoAccrued).toBe(1);
+  });
+
+  it('pays a salaried employee hours at the hourly equivalent, without salary', () => {
+    employee.payType = 'salary';
+    employee.annualSalary = 52000;
+    employee.rateHistories.annualSalary = [{ effectiveDate: '2000-01-01', value: 52000 }];
+    const run = addOffCycleRun(employee.id, { payDate: '2024-01-25', reason: 'correction' });
+    const p = calculatePayFromData(employee.id, run, { regular: 8, overtime: 0, pto: 0, holiday: 0 });
+
+    expect(p.grossPay).toBe(200);
+  });
+
+  it('is included in YTD, the 941, the W-2 and the bank register', () => {
+    calculatePayFromData(employee.id, 1, standardHours);
+    const run = bonusRun(1000);
+    calculatePayFromData(employee.id, 2, standardHours);
+
+    expect(getPayStubData(employee.id, 2).ytd.gross).toBe(5000);
+    expect(getPayStubData(employee.id, run).ytd.gross).toBe(3000);
+    expect(compute941Data('Q1 2024').line2).toBe(5000);
+    expect(computeW2Data('2024').employees[0].box1).toBe(5000);
+
+    const debit = appData.bankRegister.find(t => t.id === `payroll-${employee.id}-${run}-2024`);
+    expect(debit.description).toContain('Off-cycle 1');
+  });
+
+  it('survives regenerating the pay periods', () => {
+    const run = bonusRun(1000);
+    calculatePayFromData(employee.id, run, noHours);
+    generatePayPeriods();
+
+    expect(find(run).grossPay).toBe(1000);
+  });
+
+  it('deletes a run with its bank debit; regular periods cannot be deleted', () => {
+    const run = bonusRun(1000);
+    calculatePayFromData(employee.id, run, noHours);
+
+    expect(deleteOffCycleRun(employee.id, 1)).toBe(false);
+    expect(deleteOffCycleRun(employee.id, run)).toBe(true);
+    expect(find(run)).toBeUndefined();
+    expect(appData.bankRegister.find(t => t.id === `payroll-${employee.id}-${run}-2024`)).toBeUndefined();
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import { generatePayPeriods, calculatePayFromData, voidPeriod, reissuePeriod, recalculateAllPeriodsForEmployee } from '../../js/logic.js';
+import { amountToWords, formatCheckAmount, getCheckPeriods, getCheckPayDates, assignCheckNumber } from '../../js/checks.js';
+import { parseTransactionFromCsv, matchImportedTransaction } from '../../js/banking.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Paper paychecks (v25): Alice and Carol are paid by check and Bob by
+ * direct deposit. Check numbers come from settings.nextCheckNumber and are
+ * carried by the period and its bank register debit.
+ */
+describe('Paper Checks', () => {
+  let alice, bob, carol, payDate;
+  const period = (emp) => appData.payPeriods[emp.id][0];
+  const payrollDebit = (emp) => appData.bankRegister.find(t => t.id === `payroll-${emp.id}-1-2024`);
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01',
+      nextCheckNumber: 1001,
+      checkLayout: 'top'
+    });
+
+    alice = createTestEmployee({ name: 'Alice Smith', rate: 25, bankAccounts: [] });
+    bob = createTestEmployee({ name: 'Bob Jones', rate: 20, bankAccounts: [{ routingNumber: '021000021', accountNumber: '111222333', accountType: 'checking', splitType: 'remainder', splitValue: 0 }] });
+    carol = createTestEmployee({ name: 'Carol', rate: 20, bankAccounts: [] });
+    appData.employees.push(alice, bob, carol);
+    generatePayPeriods();
+    [alice, bob, carol].forEach(emp => calculatePayFromData(emp.id, 1, { regular: 80, overtime: 0, pto: 0, holiday: 0 }));
+    payDate = period(alice).payDate;
+  });
+
+  it('writes the amount in words', () => {
+    expect(amountToWords(1234.56)).toBe('One thousand two hundred thirty-four and 56/100');
+    expect(amountToWords(0.07)).toBe('Zero and 07/100');
+    expect(amountToWords(2000000.1)).toBe('Two million and 10/100');
+    expect(amountToWords(915.2)).toBe('Nine hundred fifteen and 20/100');
+    expect(formatCheckAmount(1234.5)).toBe('**1,234.50');
+  });
+
+  it('lists the checks for employees without direct deposit', () => {
+    expect(getCheckPayDates()).toEqual([payDate]);
+    expect(getCheckPeriods(payDate).map(c => c.employee.name)).toEqual(['Alice Smith', 'Carol']);
+  });
+
+  it('numbers checks in sequence and keeps the number on reprint', () => {
+    expect(assignCheckNumber(alice.id, 1)).toBe(1001);
+    expect(assignCheckNumber(carol.id, 1)).toBe(1002);
+    expect(assignCheckNumber(alice.id, 1)).toBe(1001);
+    expect(appData.settings.nextCheckNumber).toBe(1003);
+    expect(period(alice).checkNumber).toBe(1001);
+    // A period with nothing to pay gets no number
+    expect(assignCheckNumber(alice.id, 2)).toBeNull();
+  });
+
+  it('tags the payroll debit and keeps the tag when the period is recalculated', () => {
+    assignCheckNumber(alice.id, 1);
+    expect(payrollDebit(alice)).toMatchObject({ checkNumber: 1001, description: 'Payroll: Alice Smith - P1 (Check #1001)' });
+
+    calculatePayFromData(alice.id, 1, { regular: 70, overtime: 0, pto: 0, holiday: 0 });
+    expect(payrollDebit(alice)).toMatchObject({ checkNumber: 1001, description: 'Payroll: Alice Smith - P1 (Check #1001)' });
+  });
+
+  it('posts a net pay debit for the check without automatic subtraction', () => {
+    appData.settings.autoSubtraction = false;
+    appData.bankRegister = [];
+    assignCheckNumber(alice.id, 1);
+    assignCheckNumber(alice.id, 1);
+
+    expect(appData.bankRegister).toHaveLength(1);
+    expect(appData.bankRegister[0]).toMatchObject({
+      id: `check-${alice.id}-1-2024`, date: payDate, debit: period(alice).netPay, checkNumber: 1001
+    });
+  });
+
+  it('moves the number to the voided check so a reissue gets a new one', () => {
+    assignCheckNumber(alice.id, 1);
+    const voided = voidPeriod(alice.id, 1, { voidDate: '2024-01-25', reason: 'Lost' });
+
+    expect(voided.checkNumber).toBe(1001);
+    expect(period(alice).checkNumber).toBeUndefined();
+    expect(appData.bankRegister.find(t => t.id === `payroll-${alice.id}-1-2024-void1`)).toMatchObject({ checkNumber: 1001 });
+
+    reissuePeriod(alice.id, 1);
+    recalculateAllPeriodsForEmployee(alice.id);
+    expect(payrollDebit(alice).checkNumber).toBeUndefined();
+    expect(assignCheckNumber(alice.id, 1)).toBe(1002);
+  });
+
+  it('reconciles a cleared check from a bank CSV by its check number', () => {
+    assignCheckNumber(alice.id, 1);
+    const netPay = period(alice).netPay.toFixed(2);
+    // Format 3: Account Number,Post Date,Check,Description,Debit,Credit
+    const cleared = parseTransactionFromCsv(['123', '01/22/2024', '0001001', 'CHECK 1001', netPay, ''], 3);
+
+    expect(cleared.checkNumber).toBe('1001');
+    // The register debit is the employer's full cost, so only the check number matches it
+    expect(matchImportedTransaction(cleared)).toBe(payrollDebit(alice));
+    expect(parseTransactionFromCsv(['123', '01/22/2024', '', 'POS PURCHASE', '12.00', ''], 3).checkNumber).toBe('');
+  });
+});
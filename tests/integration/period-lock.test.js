@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import {
+  generatePayPeriods,
+  calculatePayFromData,
+  finalizePeriod,
+  unlockPeriod,
+  voidPeriod,
+  addSupplementalEarning,
+  updateHoursFromPeriod,
+  recalculateAllPeriodsForEmployee,
+  compute941Data
+} from '../../js/logic.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Period finalization: a finalized period keeps its amounts and the
+ * tax remainders after it, however rates or settings change later.
+ */
+describe('Period Finalization', () => {
+  let employee;
+  const standardHours = { regular: 80, overtime: 0, pto: 0, holiday: 0 };
+  const find = (periodNum) => appData.payPeriods[employee.id].find(p => p.period === periodNum);
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01'
+    });
+
+    // $25.03 × 80 = $2,002.40 leaves fractional-cent remainders
+    employee = createTestEmployee({ rate: 25.03, fedTaxRate: 12 });
+    appData.employees.push(employee);
+    generatePayPeriods();
+    calculatePayFromData(employee.id, 1, standardHours);
+    calculatePayFromData(employee.id, 2, standardHours);
+  });
+
+  it('only finalizes a paid period, once', () => {
+    expect(finalizePeriod(employee.id, 3)).toBe(false);
+    expect(finalizePeriod(employee.id, 1)).toBe(true);
+    expect(finalizePeriod(employee.id, 1)).toBe(false);
+    expect(find(1).finalized.finalizedAt).toBeTruthy();
+    expect(find(1).finalized.taxRemainders).toBeDefined();
+  });
+
+  it('keeps its amounts and bank debit when rates change', () => {
+    finalizePeriod(employee.id, 1);
+    const paid = JSON.parse(JSON.stringify(find(1)));
+    const debit = appData.bankRegister.find(t => t.id === `payroll-${employee.id}-1-2024`).debit;
+
+    employee.rate = 30;
+    employee.rateHistories.rate = [{ effectiveDate: '2024-01-01', value: 30 }];
+    employee.fedTaxRate = 20;
+    employee.rateHistories.fedTaxRate = [{ effectiveDate: '2024-01-01', value: 20 }];
+    recalculateAllPeriodsForEmployee(employee.id);
+
+    expect(find(1).grossPay).toBe(paid.grossPay);
+    expect(find(1).taxes).toEqual(paid.taxes);
+    expect(appData.bankRegister.find(t => t.id === `payroll-${employee.id}-1-2024`).debit).toBe(debit);
+    // The unlocked period picks up the new rate
+    expect(find(2).grossPay).toBe(2400);
+  });
+
+  it('continues later periods from the frozen remainders', () => {
+    const period2Taxes = { ...find(2).taxes };
+    finalizePeriod(employee.id, 1);
+    recalculateAllPeriodsForEmployee(employee.id);
+    expect(find(2).taxes).toEqual(period2Taxes);
+  });
+
+  it('refuses edits until unlocked', () => {
+    finalizePeriod(employee.id, 1);
+
+    calculatePayFromData(employee.id, 1, { regular: 40, overtime: 0, pto: 0, holiday: 0 });
+    expect(find(1).hours.regular).toBe(80);
+    expect(addSupplementalEarning(employee.id, 1, { code: 'bonus', amount: 100, withholding: 'flat' })).toBe(false);
+    expect(voidPeriod(employee.id, 1, { voidDate: '2024-01-22', reason: 'x' })).toBeNull();
+
+    expect(unlockPeriod(employee.id, 1).finalizedAt).toBeTruthy();
+    expect(find(1).finalized).toBeUndefined();
+    calculatePayFromData(employee.id, 1, { regular: 40, overtime: 0, pto: 0, holiday: 0 });
+    expect(find(1).hours.regular).toBe(40);
+  });
+
+  it('survives pay period regeneration with its dates', () => {
+    finalizePeriod(employee.id, 1);
+    const paid = JSON.parse(JSON.stringify(find(1)));
+
+    appData.settings.daysUntilPayday = 3;
+    generatePayPeriods();
+
+    expect(find(1).payDate).toBe(paid.payDate);
+    expect(find(1).netPay).toBe(paid.netPay);
+  });
+
+  it('keeps filed 941 wages after a rate change', () => {
+    finalizePeriod(employee.id, 1);
+    finalizePeriod(employee.id, 2);
+    const filed = compute941Data('Q1 2024');
+
+    employee.rate = 30;
+    employee.rateHistories.rate = [{ effectiveDate: '2024-01-01', value: 30 }];
+    recalculateAllPeriodsForEmployee(employee.id);
+
+    expect(compute941Data('Q1 2024').line2).toBe(filed.line2);
+  });
+
+  it('is not recalculated when browsed', () => {
+    finalizePeriod(employee.id, 1);
+    const doc = globalThis.document;
+    ['regularHours', 'overtimeHours', 'ptoHours', 'holidayHours'].forEach(id => {
+      if (!doc.getElementById(id)) {
+        const input = doc.createElement('input');
+        input.id = id;
+        doc.body.appendChild(input);
+      }
+    });
+    expect(updateHoursFromPeriod(employee.id, 1)).toBe(false);
+    expect(updateHoursFromPeriod(employee.id, 2)).toBe(true);
+  });
+});
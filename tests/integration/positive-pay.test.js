@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import { generatePayPeriods, calculatePayFromData, voidPeriod, reissuePeriod, recalculateAllPeriodsForEmployee } from '../../js/logic.js';
+import { assignCheckNumber } from '../../js/checks.js';
+import { addTransaction } from '../../js/banking.js';
+import { getIssuedChecks, buildPositivePayFile, generatePositivePayFile } from '../../js/positive-pay.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Positive Pay issued-check files (v26): Alice's and Carol's paychecks are
+ * printed, Alice's is voided and reissued, and a vendor check is entered in
+ * the register.
+ */
+describe('Positive Pay', () => {
+  let alice, carol, payDate;
+  const period = (emp) => appData.payPeriods[emp.id][0];
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01',
+      nextCheckNumber: 1001,
+      positivePay: { accountNumber: '123456789', layout: 'csv', issueIndicator: 'I', voidIndicator: 'V' }
+    });
+
+    alice = createTestEmployee({ name: 'Alice Smith', rate: 25, bankAccounts: [] });
+    carol = createTestEmployee({ name: 'Carol Núñez', rate: 20, bankAccounts: [] });
+    appData.employees.push(alice, carol);
+    generatePayPeriods();
+    [alice, carol].forEach(emp => calculatePayFromData(emp.id, 1, { regular: 80, overtime: 0, pto: 0, holiday: 0 }));
+    payDate = period(alice).payDate;
+    assignCheckNumber(alice.id, 1);
+    assignCheckNumber(carol.id, 1);
+  });
+
+  it('lists the printed payroll checks and register checks in the range', () => {
+    addTransaction(payDate, 'Office Rent (Check #500)', 'debit', 1200, 'rent');
+    appData.bankRegister.find(t => t.id === 'rent').checkNumber = 500;
+
+    const checks = getIssuedChecks(payDate, payDate);
+    expect(checks.map(c => [c.checkNumber, c.payee, c.voided])).toEqual([
+      [500, 'Office Rent', false], [1001, 'Alice Smith', false], [1002, 'Carol Núñez', false]
+    ]);
+    expect(checks[1].amount).toBe(period(alice).netPay);
+    expect(getIssuedChecks('2024-02-01', '2024-02-29')).toEqual([]);
+  });
+
+  it('flags a voided check and lists its replacement', () => {
+    const netPay = period(alice).netPay;
+    voidPeriod(alice.id, 1, { voidDate: '2024-02-02', reason: 'Lost' });
+    reissuePeriod(alice.id, 1);
+    recalculateAllPeriodsForEmployee(alice.id);
+    assignCheckNumber(alice.id, 1);
+
+    const checks = getIssuedChecks(payDate, payDate);
+    expect(checks.map(c => [c.checkNumber, c.voided])).toEqual([[1001, true], [1002, false], [1003, false]]);
+    expect(checks[0]).toMatchObject({ issueDate: payDate, amount: netPay, voidDate: '2024-02-02' });
+    // A check voided in the range is listed even though it was issued earlier
+    expect(getIssuedChecks('2024-02-01', '2024-02-29').map(c => c.checkNumber)).toEqual([1001]);
+  });
+
+  it('writes the CSV layouts', () => {
+    const checks = getIssuedChecks(payDate, payDate);
+    const [header, first] = buildPositivePayFile(checks, appData.settings.positivePay).trim().split('\n');
+    const [month, day, year] = [payDate.slice(5, 7), payDate.slice(8, 10), payDate.slice(0, 4)];
+
+    expect(header).toBe('Account Number,Check Number,Issue Date,Amount,Payee,Void Indicator');
+    expect(first).toBe(`123456789,1001,${month}/${day}/${year},${period(alice).netPay.toFixed(2)},Alice Smith,I`);
+
+    const lines = buildPositivePayFile(checks, { ...appData.settings.positivePay, layout: 'csv-no-header' }).trim().split('\n');
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toBe(`I,123456789,1002,${period(carol).netPay.toFixed(2)},${year}${month}${day},Carol Nunez`);
+  });
+
+  it('writes the fixed-width layout with the void indicator', () => {
+    voidPeriod(carol.id, 1, { voidDate: payDate });
+    const lines = buildPositivePayFile(getIssuedChecks(payDate, payDate), { ...appData.settings.positivePay, layout: 'fixed-80' }).split('\n').filter(Boolean);
+    const cents = String(Math.round(period(alice).netPay * 100)).padStart(10, '0');
+
+    lines.forEach(line => expect(line).toHaveLength(80));
+    expect(lines[0].slice(0, 39)).toBe('000123456789' + '0000001001' + cents + payDate.slice(5, 7) + payDate.slice(8, 10) + payDate.slice(2, 4) + 'I');
+    expect(lines[0].slice(39).trimEnd()).toBe('ALICE SMITH');
+    expect(lines[1].slice(38, 39)).toBe('V');
+  });
+
+  it('needs the account number and a date range to export', () => {
+    appData.settings.positivePay.accountNumber = '';
+    expect(generatePositivePayFile(payDate, payDate).errors[0]).toContain('Account Number');
+
+    appData.settings.positivePay.accountNumber = '123456789';
+    expect(generatePositivePayFile(payDate, '2023-12-31').errors[0]).toContain('start date');
+    expect(generatePositivePayFile(payDate, payDate)).toMatchObject({ fileName: `PayTrax_PositivePay_${payDate}_${payDate}.csv` });
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import { generatePayPeriods, calculatePayFromData, addDeduction } from '../../js/logic.js';
+import {
+  buildRosterCsv,
+  formatRosterDeductions,
+  parseRosterDeductions,
+  previewRosterImport,
+  applyRosterImport
+} from '../../js/roster.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Employee roster CSV: export every employee, and import rows that
+ * update employees matched on idNumber or create new ones.
+ */
+describe('Employee Roster CSV', () => {
+  let alice;
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01'
+    });
+
+    alice = createTestEmployee({ name: 'Alice Smith', idNumber: 'A100', rate: 20, address: '1 Main St, Town, ST 11111' });
+    appData.employees.push(alice);
+    generatePayPeriods();
+    addDeduction(alice.id, 'Health', 50, 'fixed', 'section125');
+    addDeduction(alice.id, '401k', 5, 'percent', '401k', '402g');
+  });
+
+  it('writes and reads the deductions cell', () => {
+    const cell = formatRosterDeductions(alice.deductions);
+    expect(cell).toBe('Health|50|fixed|section125; 401k|5|percent|401k|402g');
+    expect(parseRosterDeductions(cell).deductions).toEqual([
+      { name: 'Health', amount: 50, type: 'fixed', taxTreatment: 'section125', limitType: 'none', limitAmount: 0, box12Code: 'DD' },
+      { name: '401k', amount: 5, type: 'percent', taxTreatment: '401k', limitType: '402g', limitAmount: 0 }
+    ]);
+    expect(parseRosterDeductions('Dues|-5').errors[0]).toContain('Dues');
+  });
+
+  it('writes a Section 125 deduction\'s Box 12 code when it is not DD', () => {
+    addDeduction(alice.id, 'HSA', 100, 'fixed', 'section125', 'none', 0, 'W');
+    addDeduction(alice.id, 'FSA', 20, 'fixed', 'section125', 'fixed', 3200, '');
+    const cell = formatRosterDeductions(alice.deductions.slice(2));
+    expect(cell).toBe('HSA|100|fixed|section125|none||W; FSA|20|fixed|section125|fixed|3200|none');
+    expect(parseRosterDeductions(cell).deductions.map(d => d.box12Code)).toEqual(['W', '']);
+    expect(parseRosterDeductions('HSA|100|fixed|section125|none||X').errors[0]).toContain('Box 12');
+  });
+
+  it('exports one quoted-as-needed row per employee', () => {
+    const lines = buildRosterCsv(appData.employees).trim().split('\n');
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatch(/^ID Number,Name,Address,Pay Type,Hourly Rate/);
+    expect(lines[1]).toMatch(/^A100,Alice Smith,"1 Main St, Town, ST 11111",hourly,20,/);
+  });
+
+  it('round-trips the export without changes', () => {
+    const preview = previewRosterImport(buildRosterCsv(appData.employees));
+    expect(preview.rows).toHaveLength(1);
+    expect(preview.rows[0]).toMatchObject({ action: 'update', errors: [] });
+    expect(preview.rows[0].data.address).toBe(alice.address);
+
+    applyRosterImport(preview, { effectiveDate: '2024-03-01' });
+    expect(appData.employees).toHaveLength(1);
+    expect(appData.employees[0].rateHistories.rate).toHaveLength(1);
+    expect(appData.employees[0].deductions).toHaveLength(2);
+  });
+
+  it('validates each row with validateEmployee', () => {
+    const preview = previewRosterImport([
+      'ID Number,Name,Hourly Rate,Status,Hire Date',
+      'B200,,20,active,',
+      'C300,Carol,0,active,',
+      'D400,Dan,18,retired,',
+      'E500,Eve,18,terminated,'
+    ].join('\n'));
+
+    expect(preview.rows.map(r => r.errors.length > 0)).toEqual([true, true, true, true]);
+    expect(preview.rows[0].errors[0]).toContain('Employee Name');
+    expect(preview.rows[1].errors[0]).toContain('Hourly Rate');
+    expect(preview.rows[2].errors[0]).toContain('retired');
+    expect(preview.rows[3].errors[0]).toContain('Termination Date');
+  });
+
+  it('creates employees with seeded rate histories and pay periods', () => {
+    const result = applyRosterImport(previewRosterImport([
+      'ID Number,Name,Pay Type,Hourly Rate,Hire Date,Federal Tax Rate,PTO Starting Balance,Deductions',
+      'B200,Bob Jones,Hourly,$22.50,2/1/2024,10,8,Union Dues|15'
+    ].join('\n')));
+
+    expect(result.created).toHaveLength(1);
+    const bob = appData.employees.find(e => e.idNumber === 'B200');
+    expect(bob).toMatchObject({ rate: 22.5, hireDate: '2024-02-01', fedTaxRate: 10, overtimeMultiplier: 1.5, status: 'active' });
+    expect(bob.rateHistories.rate).toEqual([{ effectiveDate: '2000-01-01', value: 22.5 }]);
+    expect(bob.deductions[0]).toMatchObject({ name: 'Union Dues', amount: 15, type: 'fixed', taxTreatment: 'post-tax' });
+    // Periods start from the hire date
+    const periods = appData.payPeriods[bob.id];
+    expect(periods.length).toBeGreaterThan(0);
+    expect(periods[0].endDate >= '2024-02-01').toBe(true);
+    expect(calculatePayFromData(bob.id, periods[0].period, { regular: 10, overtime: 0, pto: 0, holiday: 0 }).grossPay).toBe(225);
+  });
+
+  it('updates a matched employee, keeping blank cells and effective-dating rate changes', () => {
+    const result = applyRosterImport(previewRosterImport([
+      'ID Number,Name,Address,Hourly Rate,Deductions',
+      'A100,Alice Jones,,25,Health|75|fixed|section125; Parking|20'
+    ].join('\n')), { effectiveDate: '2024-03-01' });
+
+    expect(result.updated).toHaveLength(1);
+    const updated = appData.employees[0];
+    expect(updated.id).toBe(alice.id);
+    expect(updated.name).toBe('Alice Jones');
+    expect(updated.address).toBe('1 Main St, Town, ST 11111');
+    expect(updated.rateHistories.rate.map(e => e.value)).toEqual([20, 25]);
+    expect(updated.deductions.map(d => [d.name, d.amount])).toEqual([['Health', 75], ['401k', 5], ['Parking', 20]]);
+  });
+
+  it('only creates new employees when updates are turned off', () => {
+    const preview = previewRosterImport('ID Number,Name,Hourly Rate\nA100,Alice Jones,25\nB200,Bob,20\n');
+    const result = applyRosterImport(preview, { updateExisting: false });
+
+    expect(result).toMatchObject({ skipped: 1 });
+    expect(result.created.map(e => e.name)).toEqual(['Bob']);
+    expect(appData.employees[0].name).toBe('Alice Smith');
+  });
+
+  it('rejects duplicate ID Numbers and files without a Name column', () => {
+    const preview = previewRosterImport('ID Number,Name,Hourly Rate\nB200,Bob,20\nB200,Bobby,20\n');
+    expect(preview.rows[1].errors[0]).toContain('more than once');
+    expect(previewRosterImport('ID Number,Rate\nB200,20').error).toContain('Name');
+  });
+});
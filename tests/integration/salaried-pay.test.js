@@ -0,0 +1,212 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import {
+  generatePayPeriods,
+  calculatePayFromData,
+  calculateSalaryForPeriod,
+  calculateQuarterlyEarningsStatus,
+  getPayStubData,
+  compute941Data,
+  voidPeriod,
+  reissuePeriod,
+  recalculateAllPeriodsForEmployee
+} from '../../js/logic.js';
+import { assignCheckNumber } from '../../js/checks.js';
+import { createTestEmployee, createSalariedEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Salaried employees (v14).
+ *
+ * Bi-weekly 2024 starting Monday 2024-01-01: every period has 10 workdays,
+ * and a $52,000 salary pays $2,000 per full period. Partial periods (hire,
+ * termination) and mid-period raises are prorated by workday.
+ */
+describe('Salaried Pay', () => {
+  const standardHours = { regular: 80, overtime: 0, pto: 0, holiday: 0 };
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01',
+      daysUntilPayday: 5
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const addEmployee = (employee) => {
+    appData.employees.push(employee);
+    generatePayPeriods();
+    return employee;
+  };
+
+  it('pays annual salary / 26 for a full bi-weekly period regardless of hours', () => {
+    const emp = addEmployee(createSalariedEmployee());
+
+    const p1 = calculatePayFromData(emp.id, 1, standardHours);
+    expect(p1.grossPay).toBe(2000);
+    expect(p1.earnings.regular).toBe(2000);
+    expect(p1.payType).toBe('salary');
+
+    const p2 = calculatePayFromData(emp.id, 2, { regular: 72, overtime: 0, pto: 8, holiday: 0 });
+    expect(p2.grossPay).toBe(2000);
+    expect(p2.earnings.pto).toBe(0); // PTO is paid out of the salary
+  });
+
+  it('pays the salary without hours entered once the pay date arrives', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2024, 1, 10, 12));
+    const emp = addEmployee(createSalariedEmployee({ ptoAccrualRate: 26 }));
+    const periods = appData.payPeriods[emp.id];
+
+    // Pay dates Jan 19 and Feb 2 have passed; Feb 16 has not
+    expect(periods.filter(p => p.grossPay > 0).map(p => p.period)).toEqual([1, 2]);
+    expect(periods.find(p => p.period === 1).ptoAccrued).toBeGreaterThan(0);
+    expect(appData.bankRegister.filter(t => t.date > '2024-02-10')).toHaveLength(0);
+
+    vi.setSystemTime(new Date(2024, 1, 16, 12));
+    recalculateAllPeriodsForEmployee(emp.id);
+    expect(periods.find(p => p.period === 3).grossPay).toBe(2000);
+
+    // A voided check stays unpaid until it is reissued
+    voidPeriod(emp.id, 1, { voidDate: '2024-01-22', reason: 'Lost' });
+    recalculateAllPeriodsForEmployee(emp.id);
+    expect(periods.find(p => p.period === 1).grossPay).toBe(0);
+    reissuePeriod(emp.id, 1);
+    recalculateAllPeriodsForEmployee(emp.id);
+    expect(periods.find(p => p.period === 1).grossPay).toBe(2000);
+  });
+
+  it('keeps a paid salaried period through regeneration', () => {
+    appData.settings.nextCheckNumber = 1234;
+    const emp = addEmployee(createSalariedEmployee());
+    expect(assignCheckNumber(emp.id, 1)).toBe(1234);
+
+    generatePayPeriods();
+    const period = appData.payPeriods[emp.id].find(p => p.period === 1);
+    expect(period.checkNumber).toBe(1234);
+    expect(period.grossPay).toBe(2000);
+  });
+
+  it('pays no further salary while the employee is on leave', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2024, 1, 10, 12));
+    const emp = addEmployee(createSalariedEmployee());
+
+    emp.status = 'leave';
+    vi.setSystemTime(new Date(2024, 2, 10, 12));
+    recalculateAllPeriodsForEmployee(emp.id);
+    const periods = appData.payPeriods[emp.id];
+    // Periods 1-2 were paid before the leave; 3-4 fall due during it
+    expect(periods.filter(p => p.grossPay > 0).map(p => p.period)).toEqual([1, 2]);
+    expect(appData.bankRegister.filter(t => t.date > '2024-02-10')).toHaveLength(0);
+
+    emp.status = 'active';
+    recalculateAllPeriodsForEmployee(emp.id);
+    expect(periods.filter(p => p.grossPay > 0).map(p => p.period)).toEqual([1, 2, 3, 4]);
+  });
+
+  it('divides the salary by the pay frequency', () => {
+    appData.settings.payFrequency = 'semi-monthly';
+    const emp = addEmployee(createSalariedEmployee());
+
+    const p1 = calculatePayFromData(emp.id, 1, standardHours);
+    expect(p1.grossPay).toBeCloseTo(52000 / 24, 2);
+  });
+
+  it('prorates the first period by workdays from the hire date', () => {
+    // Hired Monday of week 2: 5 of 10 workdays
+    const emp = addEmployee(createSalariedEmployee({ hireDate: '2024-01-08' }));
+
+    const p1 = calculatePayFromData(emp.id, 1, { regular: 40, overtime: 0, pto: 0, holiday: 0 });
+    expect(p1.grossPay).toBe(1000);
+    expect(p1.salary).toEqual({ annual: 52000, paidDays: 5, workdays: 10 });
+  });
+
+  it('prorates the final period through the termination date', () => {
+    // Last day Wednesday 2024-01-10: Jan 1-5 + Jan 8-10 = 8 of 10 workdays
+    const emp = addEmployee(createSalariedEmployee({ terminationDate: '2024-01-10' }));
+
+    const p1 = calculatePayFromData(emp.id, 1, standardHours);
+    expect(p1.grossPay).toBe(1600);
+
+    // Entirely after termination: the period is not generated (v23)
+    expect(calculatePayFromData(emp.id, 2, standardHours)).toBeNull();
+  });
+
+  it('splits a mid-period salary change through the effective-dated history', () => {
+    const emp = createSalariedEmployee();
+    emp.rateHistories.annualSalary.push({ effectiveDate: '2024-01-08', value: 78000 });
+    addEmployee(emp);
+
+    // 5 days at $200/day ($52k) + 5 days at $300/day ($78k)
+    const p1 = calculatePayFromData(emp.id, 1, standardHours);
+    expect(p1.grossPay).toBe(2500);
+
+    // Later periods are entirely at the new salary
+    const p2 = calculatePayFromData(emp.id, 2, standardHours);
+    expect(p2.grossPay).toBe(3000);
+  });
+
+  it('pays overtime at the salary\'s hourly equivalent', () => {
+    const emp = addEmployee(createSalariedEmployee());
+
+    // $52,000 / 2080 = $25/hr; 4 OT hours × $25 × 1.5 = $150
+    const p1 = calculatePayFromData(emp.id, 1, { regular: 80, overtime: 4, pto: 0, holiday: 0 });
+    expect(p1.appliedHourlyRate).toBe(25);
+    expect(p1.earnings.overtime).toBe(150);
+    expect(p1.grossPay).toBe(2150);
+  });
+
+  it('taxes salaried gross and carries it into YTD and the 941', () => {
+    const emp = addEmployee(createSalariedEmployee({ fedTaxRate: 10 }));
+    const hourly = addEmployee(createTestEmployee({ rate: 20 }));
+
+    calculatePayFromData(emp.id, 1, standardHours);
+    calculatePayFromData(emp.id, 2, standardHours);
+    calculatePayFromData(hourly.id, 1, standardHours);
+
+    const p2 = appData.payPeriods[emp.id].find(p => p.period === 2);
+    expect(p2.taxes.federal).toBe(200);
+    expect(p2.taxes.fica).toBe(124);
+
+    const { ytd } = getPayStubData(emp.id, 2);
+    expect(ytd.gross).toBe(4000);
+
+    // Every Q1 period pays the salary, with or without hours
+    const q1 = compute941Data('Q1 2024');
+    expect(q1.line1).toBe(2);
+    expect(q1.line2).toBeCloseTo(6 * 2000 + 1600, 2);
+  });
+
+  it('calculateSalaryForPeriod returns zero for a period with no workdays', () => {
+    const emp = createSalariedEmployee();
+    const weekend = { startDate: '2024-01-06', endDate: '2024-01-07' };
+    expect(calculateSalaryForPeriod(emp, weekend).amount).toBe(0);
+  });
+
+  it('projects the quarterly earnings target from remaining salary, not hours', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2024, 1, 10, 12));
+    appData.settings.quarterlyEarningsTarget = 12000;
+    const emp = addEmployee(createSalariedEmployee());
+
+    // Q1 2024 pay dates: Jan 19 .. Mar 29 (6 periods); the first two are paid
+    const status = calculateQuarterlyEarningsStatus(emp.id, new Date('2024-02-10T12:00:00'));
+    expect(status.salaried).toBe(true);
+    expect(status.quarterGross).toBe(4000);
+    expect(status.remainingPeriods).toBe(4);
+    expect(status.projectedQuarterGross).toBe(12000);
+    expect(status.targetReachable).toBe(true);
+
+    appData.settings.quarterlyEarningsTarget = 15000;
+    const short = calculateQuarterlyEarningsStatus(emp.id, new Date('2024-02-10T12:00:00'));
+    expect(short.targetReachable).toBe(false);
+    expect(short.shortfall).toBe(3000);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import {
+  generatePayPeriods,
+  calculatePayFromData,
+  addSupplementalEarning,
+  deleteSupplementalEarning,
+  getPayStubData
+} from '../../js/logic.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Supplemental earnings (v20): bonus, commission, retro pay and taxable
+ * fringe lines on a pay period, withheld at the 22% flat rate or aggregated
+ * with regular wages.
+ */
+describe('Supplemental Earnings', () => {
+  let employee;
+  const standardHours = { regular: 80, overtime: 0, pto: 0, holiday: 0 };
+  const noHours = { regular: 0, overtime: 0, pto: 0, holiday: 0 };
+  const bonus = (amount, withholding = 'flat') => ({ code: 'bonus', description: 'Bonus', amount, withholding });
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01'
+    });
+
+    // $25 × 80 = $2,000 regular pay; flat 12% federal
+    employee = createTestEmployee({ rate: 25, fedTaxRate: 12 });
+    appData.employees.push(employee);
+    generatePayPeriods();
+  });
+
+  it('adds a bonus to gross and withholds it at the 22% flat rate', () => {
+    addSupplementalEarning(employee.id, 1, bonus(1000));
+    const p1 = calculatePayFromData(employee.id, 1, standardHours);
+
+    expect(p1.earnings.supplemental).toBe(1000);
+    expect(p1.grossPay).toBe(3000);
+    // 2,000 × 12% + 1,000 × 22%
+    expect(p1.taxes.federal).toBe(460);
+    // Every other tax applies to the full gross
+    expect(p1.taxes.fica).toBe(186);
+    expect(p1.taxes.state).toBe(150);
+  });
+
+  it('aggregates the bonus with regular wages when chosen', () => {
+    addSupplementalEarning(employee.id, 1, bonus(1000, 'aggregate'));
+    const p1 = calculatePayFromData(employee.id, 1, standardHours);
+
+    expect(p1.taxes.federal).toBe(360);
+  });
+
+  it('withholds W-4 employees on regular wages plus the flat rate', () => {
+    employee.federalWithholdingMethod = 'w4';
+    addSupplementalEarning(employee.id, 1, bonus(1000));
+    const p1 = calculatePayFromData(employee.id, 1, standardHours);
+
+    // 4,256 / 26 on the $2,000 regular pay, + 220
+    expect(p1.taxes.federal).toBe(383.69);
+  });
+
+  it('pays a bonus-only period with no hours', () => {
+    addSupplementalEarning(employee.id, 2, { code: 'commission', description: 'Q1 Commission', amount: 1000, withholding: 'flat' });
+    const p2 = calculatePayFromData(employee.id, 2, noHours);
+
+    expect(p2.grossPay).toBe(1000);
+    expect(p2.taxes.federal).toBe(220);
+  });
+
+  it('taxes a non-cash fringe benefit without paying it out', () => {
+    addSupplementalEarning(employee.id, 1, { code: 'fringe', description: 'Personal use of vehicle', amount: 300, withholding: 'aggregate' });
+    const p1 = calculatePayFromData(employee.id, 1, standardHours);
+
+    expect(p1.grossPay).toBe(2300);
+    expect(p1.taxes.federal).toBe(276);
+    expect(p1.netPay).toBeCloseTo(2300 - 300 - p1.taxes.total, 2);
+
+    const debit = appData.bankRegister.find(t => t.id === `payroll-${employee.id}-1-2024`);
+    const { suta, futa, fica, medicare } = p1.taxes;
+    expect(debit.debit).toBeCloseTo(2000 + suta + futa + fica + medicare, 2);
+  });
+
+  it('counts supplemental wages toward the wage-base caps', () => {
+    appData.settings.ssWageBase = 2500;
+    addSupplementalEarning(employee.id, 1, bonus(1000));
+    const p1 = calculatePayFromData(employee.id, 1, standardHours);
+    const p2 = calculatePayFromData(employee.id, 2, standardHours);
+
+    expect(p1.taxes.fica).toBe(155);
+    expect(p2.taxes.fica).toBe(0);
+  });
+
+  it('withholds supplemental wages over $1 million at 37%', () => {
+    addSupplementalEarning(employee.id, 1, bonus(1200000));
+    const p1 = calculatePayFromData(employee.id, 1, standardHours);
+
+    // 240 regular + 1,000,000 × 22% + 200,000 × 37%
+    expect(p1.taxes.federal).toBe(294240);
+  });
+
+  it('accumulates YTD by earning code for the pay stub', () => {
+    addSupplementalEarning(employee.id, 1, bonus(500));
+    addSupplementalEarning(employee.id, 2, bonus(700));
+    calculatePayFromData(employee.id, 1, standardHours);
+    calculatePayFromData(employee.id, 2, standardHours);
+
+    const { ytd } = getPayStubData(employee.id, 2);
+    expect(ytd.supplemental.bonus).toBe(1200);
+    expect(ytd.earnings.supplemental).toBe(1200);
+    expect(ytd.gross).toBe(5200);
+  });
+
+  it('clears a bonus-only period when its last line is deleted', () => {
+    addSupplementalEarning(employee.id, 2, bonus(1000));
+    const p2 = calculatePayFromData(employee.id, 2, noHours);
+    const lineId = p2.supplementalEarnings[0].id;
+
+    expect(deleteSupplementalEarning(employee.id, 2, lineId)).toBe(true);
+    expect(p2.grossPay).toBe(0);
+    expect(p2.taxes.total).toBe(0);
+    expect(appData.bankRegister.find(t => t.id === `payroll-${employee.id}-2-2024`)).toBeUndefined();
+  });
+});
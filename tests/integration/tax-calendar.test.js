@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import { generateTaxCalendarReport } from '../../js/logic.js';
+import { buildTaxCalendar, getNextDueItem } from '../../js/tax-calendar.js';
+import { getDepositDueDate } from '../../js/tax-deposits.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Tax due-date calendar for 2024, from pay periods carrying only 941
+ * and FUTA taxes.
+ */
+describe('Tax Calendar', () => {
+  const paid = (payDate, federal, futa = 0) => ({ payDate, grossPay: 1000, taxes: { federal, fica: 0, medicare: 0, state: 0, local: 0, futa, suta: 0 } });
+  const deposits = (items) => items.filter(item => item.kind === 'deposit');
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      taxFrequencies: { federal: 'monthly', futa: 'quarterly', suta: 'quarterly', state: 'monthly', local: 'quarterly' }
+    });
+    appData.archivedYears = {};
+    appData.payPeriods = { 'emp-1': [] };
+  });
+
+  it('groups 941 pay dates by due date, moved past weekends', () => {
+    appData.payPeriods['emp-1'] = [paid('2024-11-08', 400), paid('2024-11-22', 600)];
+
+    // December 15, 2024 is a Sunday
+    expect(deposits(buildTaxCalendar(2024, '2024-12-01'))).toEqual([
+      expect.objectContaining({ date: '2024-12-16', taxType: 'federal', periodStart: '2024-11-08', periodEnd: '2024-11-22', amount: 1000, status: 'upcoming' })
+    ]);
+
+    appData.settings.taxFrequencies.federal = 'semiweekly';
+    expect(deposits(buildTaxCalendar(2024, '2024-12-01')).map(item => [item.date, item.amount])).toEqual([
+      ['2024-11-13', 400], ['2024-11-27', 600]
+    ]);
+    expect(getDepositDueDate('federal', '2024-11-26')).toBe('2024-11-29'); // Tuesday -> Friday
+    expect(getDepositDueDate('federal', '2024-11-27')).toBe('2024-12-04'); // Wednesday -> Wednesday
+  });
+
+  it('carries FUTA forward until more than $500 is undeposited', () => {
+    appData.payPeriods['emp-1'] = [
+      paid('2024-02-02', 0, 300), paid('2024-05-03', 0, 300), paid('2024-08-02', 0, 100), paid('2024-11-01', 0, 100)
+    ];
+
+    const futa = deposits(buildTaxCalendar(2024, '2024-06-01')).filter(item => item.taxType === 'futa');
+    expect(futa).toEqual([
+      expect.objectContaining({ date: '2024-07-31', periodStart: '2024-01-01', periodEnd: '2024-06-30', amount: 600 }),
+      expect.objectContaining({ date: '2025-01-31', periodStart: '2024-07-01', periodEnd: '2024-12-31', amount: 200, label: 'FUTA (940) balance — pay with Form 940' })
+    ]);
+  });
+
+  it('marks deposits paid, late or past due from the deposits ledger', () => {
+    appData.payPeriods['emp-1'] = [paid('2024-10-11', 500), paid('2024-11-08', 400), paid('2024-12-06', 300)];
+    appData.taxDeposits = [
+      { id: 'd1', taxType: 'federal', periodStart: '2024-10-01', periodEnd: '2024-10-31', amount: 500, datePaid: '2024-11-15' },
+      { id: 'd2', taxType: 'federal', periodStart: '2024-11-01', periodEnd: '2024-11-30', amount: 400, datePaid: '2024-12-18' }
+    ];
+
+    const statuses = deposits(buildTaxCalendar(2024, '2025-01-20')).map(item => [item.date, item.deposited, item.status]);
+    expect(statuses).toEqual([
+      ['2024-11-15', 500, 'paid'], ['2024-12-16', 400, 'late'], ['2025-01-15', 0, 'past-due']
+    ]);
+
+    const html = generateTaxCalendarReport('2024');
+    expect(html).toContain('alert-danger');
+    expect(html).toContain('Form 941 — Q4 2024');
+  });
+
+  it('lists the returns and finds the next item due', () => {
+    const filings = buildTaxCalendar(2024, '2024-01-01').filter(item => item.kind === 'filing');
+    expect(filings.map(item => [item.date, item.label])).toEqual([
+      ['2024-04-30', 'Form 941 — Q1 2024'],
+      ['2024-07-31', 'Form 941 — Q2 2024'],
+      ['2024-10-31', 'Form 941 — Q3 2024'],
+      ['2025-01-31', 'Form 941 — Q4 2024'],
+      ['2025-01-31', 'Form 940 — 2024'],
+      ['2025-01-31', 'Forms W-2 and W-3 — 2024']
+    ]);
+
+    appData.payPeriods['emp-1'] = [paid('2024-04-05', 700)];
+    expect(getNextDueItem(2024, '2024-04-20')).toEqual({
+      next: expect.objectContaining({ date: '2024-04-30', label: 'Form 941 — Q1 2024' }),
+      pastDue: 0
+    });
+    expect(getNextDueItem(2024, '2024-05-01').next).toMatchObject({ date: '2024-05-15', kind: 'deposit', amount: 700 });
+    expect(getNextDueItem(2024, '2024-05-16')).toMatchObject({ next: { date: '2024-07-31' }, pastDue: 1 });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import {
+  generatePayPeriods,
+  calculatePayFromData,
+  recalculateAllPeriodsForEmployee,
+  compute941Data,
+  compute940Data,
+  computeW2Data
+} from '../../js/logic.js';
+import { closeTaxYear } from '../../js/year-end.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Per-year tax constants (v22): each period uses the rates and wage bases of
+ * its pay date's year. 2024 bi-weekly period 26 (12/16–12/29) is paid 1/3/2025.
+ */
+describe('Per-Year Tax Constants', () => {
+  let employee;
+  const standardHours = { regular: 80, overtime: 0, pto: 0, holiday: 0 };
+  const find = (periodNum) => appData.payPeriods[employee.id].find(p => p.period === periodNum);
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01'
+    });
+    appData.settings.taxConstants = {
+      2024: { socialSecurity: 6.2, ssWageBase: 168600, futaRate: 0.6, futaWageBase: 7000 },
+      2025: { socialSecurity: 7.0, ssWageBase: 176100, futaRate: 1.2, futaWageBase: 7000 }
+    };
+
+    // $25 × 80 = $2,000 per period
+    employee = createTestEmployee({ rate: 25, fedTaxRate: 12 });
+    appData.employees.push(employee);
+    generatePayPeriods();
+    calculatePayFromData(employee.id, 1, standardHours);
+  });
+
+  it('uses the constants of the pay date\'s year', () => {
+    calculatePayFromData(employee.id, 26, standardHours);
+
+    expect(find(26).payDate).toBe('2025-01-03');
+    expect(find(1).taxes.fica).toBe(124);
+    expect(find(26).taxes.fica).toBe(140);
+  });
+
+  it('applies a year\'s wage base only to that year', () => {
+    appData.settings.taxConstants[2024].ssWageBase = 1000;
+    recalculateAllPeriodsForEmployee(employee.id);
+    calculatePayFromData(employee.id, 26, standardHours);
+
+    expect(find(1).taxes.fica).toBe(62);
+    expect(find(26).taxes.fica).toBe(140);
+  });
+
+  it('files the 941 and 940 with the quarter\'s and year\'s constants', () => {
+    calculatePayFromData(employee.id, 26, standardHours);
+
+    expect(compute941Data('Q1 2024').line5a_col2).toBeCloseTo(2000 * 0.124, 2);
+    expect(compute941Data('Q1 2025').line5a_col2).toBeCloseTo(2000 * 0.14, 2);
+    expect(compute940Data('2024').line8).toBeCloseTo(2000 * 0.006, 2);
+    expect(compute940Data('2025').line8).toBeCloseTo(2000 * 0.012, 2);
+  });
+
+  it('keeps the closed year\'s constants when the new year\'s change', () => {
+    delete appData.settings.taxConstants[2025];
+    appData.settings.ssWageBase = 168600;
+    closeTaxYear();
+
+    expect(appData.settings.taxConstants[2025]).toEqual(appData.settings.taxConstants[2024]);
+    appData.settings.taxConstants[2025].ssWageBase = 1000;
+    appData.settings.ssWageBase = 1000;
+
+    expect(computeW2Data('2024').employees[0].box3).toBe(2000);
+    expect(appData.settings.taxConstants[2024].ssWageBase).toBe(168600);
+  });
+});
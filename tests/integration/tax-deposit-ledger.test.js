@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import { generatePayPeriods, calculatePayFromData, compute941Data, generate941Report } from '../../js/logic.js';
+import { addTransaction } from '../../js/banking.js';
+import {
+  periodTaxLiability, getDepositDueDate, recordTaxDeposit, deleteTaxDeposit, getLinkableDebits, reconcileTaxDeposits
+} from '../../js/tax-deposits.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Tax deposit ledger (v27): an employee is paid bi-weekly through Q1 2024
+ * and the 941 taxes are deposited monthly.
+ */
+describe('Tax Deposits', () => {
+  let employee;
+  const q1Periods = () => appData.payPeriods[employee.id].filter(p => p.grossPay > 0 && p.payDate <= '2024-03-31');
+  const monthLiability = (month) => Math.round(q1Periods()
+    .filter(p => p.payDate.slice(5, 7) === month)
+    .reduce((sum, p) => sum + periodTaxLiability(p, 'federal'), 0) * 100) / 100;
+  const deposit = (fields, transactionId = null) => recordTaxDeposit({ taxType: 'federal', confirmationNumber: '', ...fields }, transactionId);
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01',
+      taxFrequencies: { federal: 'monthly', futa: 'quarterly', suta: 'quarterly', state: 'monthly', local: 'quarterly' }
+    });
+
+    employee = createTestEmployee({ rate: 25 });
+    appData.employees.push(employee);
+    generatePayPeriods();
+    for (let i = 1; i <= 6; i++) {
+      calculatePayFromData(employee.id, i, { regular: 80, overtime: 0, pto: 0, holiday: 0 });
+    }
+  });
+
+  it('computes due dates from each tax\'s deposit frequency', () => {
+    expect(getDepositDueDate('federal', '2024-01-31')).toBe('2024-02-15');
+    expect(getDepositDueDate('futa', '2024-02-10')).toBe('2024-04-30');
+    expect(getDepositDueDate('futa', '2024-11-01')).toBe('2025-01-31');
+
+    appData.settings.taxFrequencies.federal = 'bi-weekly';
+    expect(getDepositDueDate('federal', '2024-01-19')).toBe('2024-01-24'); // Friday -> Wednesday
+    expect(getDepositDueDate('federal', '2024-01-16')).toBe('2024-01-19'); // Tuesday -> Friday
+    expect(getDepositDueDate('federal', '2024-01-20')).toBe('2024-01-26'); // Saturday -> Friday
+
+    appData.settings.taxFrequencies.local = 'annual';
+    expect(getDepositDueDate('local', '2024-06-30')).toBe('2025-01-31');
+  });
+
+  it('posts a linked register debit, or links an existing one', () => {
+    const { deposit: posted } = deposit({ periodStart: '2024-01-01', periodEnd: '2024-01-31', amount: '500', datePaid: '2024-02-14', confirmationNumber: '2701' });
+    const debit = appData.bankRegister.find(t => t.id === posted.transactionId);
+    expect(debit).toMatchObject({ date: '2024-02-14', debit: 500, taxDepositId: posted.id });
+    expect(debit.description).toBe('Tax Deposit: Federal Payroll (941) 1/1/2024-1/31/2024 (Conf #2701)');
+
+    addTransaction('2024-03-14', 'IRS USATAXPYMT', 'debit', 650, 'bank-eftps');
+    expect(getLinkableDebits().map(t => t.id)).toEqual(['bank-eftps']);
+    const february = { periodStart: '2024-02-01', periodEnd: '2024-02-29', amount: 650, datePaid: '2024-03-14' };
+    expect(deposit(february, 'bank-eftps').deposit.transactionId).toBe('bank-eftps');
+    expect(appData.bankRegister.filter(t => t.debit === 650)).toHaveLength(1);
+    expect(deposit(february, 'bank-eftps').errors[0]).toContain('already linked');
+    expect(getLinkableDebits()).toEqual([]);
+  });
+
+  it('rejects an incomplete deposit', () => {
+    const { errors } = recordTaxDeposit({ taxType: 'fica', periodStart: '2024-02-01', periodEnd: '2024-01-31', amount: '', datePaid: '' });
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('Tax type'), expect.stringContaining('Period end'),
+      expect.stringContaining('Deposit Amount'), expect.stringContaining('Date Paid')
+    ]));
+    expect(appData.taxDeposits).toEqual([]);
+  });
+
+  it('removes the posted debit with the deposit but keeps a linked one', () => {
+    const { deposit: posted } = deposit({ periodStart: '2024-01-01', periodEnd: '2024-01-31', amount: 500, datePaid: '2024-02-14' });
+    addTransaction('2024-03-14', 'IRS USATAXPYMT', 'debit', 650, 'bank-eftps');
+    const { deposit: linked } = deposit({ periodStart: '2024-02-01', periodEnd: '2024-02-29', amount: 650, datePaid: '2024-03-14' }, 'bank-eftps');
+
+    deleteTaxDeposit(posted.id);
+    deleteTaxDeposit(linked.id);
+    expect(appData.taxDeposits).toEqual([]);
+    expect(appData.bankRegister.some(t => t.id === posted.transactionId)).toBe(false);
+    expect(appData.bankRegister.find(t => t.id === 'bank-eftps').taxDepositId).toBeUndefined();
+  });
+
+  it('flags underpaid and late deposits in the quarterly reconciliation', () => {
+    deposit({ periodStart: '2024-01-01', periodEnd: '2024-01-31', amount: monthLiability('01'), datePaid: '2024-02-15' });
+    deposit({ periodStart: '2024-02-01', periodEnd: '2024-02-29', amount: monthLiability('02'), datePaid: '2024-03-18' });
+    deposit({ periodStart: '2024-03-01', periodEnd: '2024-03-31', amount: monthLiability('03') - 10, datePaid: '2024-04-12' });
+
+    const { rows } = reconcileTaxDeposits('Q1 2024', '2024-12-31');
+    const federal = rows.find(r => r.taxType === 'federal');
+    expect(federal.deposits.map(d => [d.dueDate, d.late])).toEqual([['2024-02-15', false], ['2024-03-15', true], ['2024-04-15', false]]);
+    expect(federal).toMatchObject({ status: 'underpaid', lateCount: 1, balance: 10, pastDue: 10 });
+    // Nothing is deposited for the other taxes
+    expect(rows.find(r => r.taxType === 'state')).toMatchObject({ status: 'underpaid', deposited: 0 });
+
+    // Before April 15 the March shortfall is not yet due
+    expect(reconcileTaxDeposits('Q1 2024', '2024-04-13').rows.find(r => r.taxType === 'federal').status).toBe('due');
+    expect(reconcileTaxDeposits('Q2 2024', '2024-12-31').rows).toEqual([]);
+  });
+
+  it('fills 941 line 13 from the recorded deposits', () => {
+    const liability = compute941Data('Q1 2024').line12;
+    expect(compute941Data('Q1 2024')).toMatchObject({ depositsRecorded: false, line14: 0, line15: 0 });
+
+    deposit({ periodStart: '2024-01-01', periodEnd: '2024-03-31', amount: liability - 25, datePaid: '2024-04-15' });
+    const data = compute941Data('Q1 2024');
+    expect(data).toMatchObject({ depositsRecorded: true, line13: Math.round((liability - 25) * 100) / 100, line14: 25, line15: 0 });
+    expect(generate941Report('Q1 2024')).toContain('recorded in the Tax Deposits ledger');
+
+    deposit({ periodStart: '2024-03-01', periodEnd: '2024-03-31', amount: 40, datePaid: '2024-04-15' });
+    expect(compute941Data('Q1 2024')).toMatchObject({ line14: 0, line15: 15 });
+  });
+});
@@ -8,6 +8,8 @@ import {
   generate940Report,
   compute941Data,
   compute940Data,
+  computeScheduleBData,
+  generateScheduleBReport,
   generateDateRangeEmployeeReport,
   generateDateRangeEmployerReport
 } from '../../js/logic.js';
@@ -654,3 +656,64 @@ describe('compute941Data / compute940Data (PDF export data source)', () => {
     expect(html).toContain(`$${data.line8.toFixed(2)}`);
   });
 });
+
+describe('computeScheduleBData (Form 941 Schedule B)', () => {
+  const hours = { regular: 80, overtime: 0, pto: 0, holiday: 0 };
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01',
+      socialSecurity: 6.2,
+      medicare: 1.45,
+      taxFrequencies: { federal: 'semiweekly', futa: 'quarterly', suta: 'quarterly', state: 'monthly', local: 'monthly' }
+    });
+  });
+
+  it('lists the liability of each pay date by month and reconciles to line 12', () => {
+    const employee = createTestEmployee({ rate: 25, fedTaxRate: 12 });
+    const other = createTestEmployee({ rate: 30, fedTaxRate: 10 });
+    appData.employees.push(employee, other);
+    generatePayPeriods();
+    for (let i = 1; i <= 6; i++) {
+      calculatePayFromData(employee.id, i, hours);
+      calculatePayFromData(other.id, i, hours);
+    }
+
+    const data = compute941Data('Q1 2024');
+    const scheduleB = computeScheduleBData('Q1 2024');
+    const payDates = appData.payPeriods[employee.id].filter(p => p.grossPay > 0 && p.payDate <= '2024-03-31').map(p => p.payDate);
+
+    expect(scheduleB.months.flatMap(m => m.days.map(d => d.payDate))).toEqual(payDates);
+    // Both employees are paid on each pay date: one liability per day
+    const first = scheduleB.months[0].days[0];
+    const periodsOnDay = [employee, other].map(e => appData.payPeriods[e.id].find(p => p.payDate === first.payDate));
+    expect(first.liability).toBeCloseTo(periodsOnDay.reduce((sum, p) => sum + p.taxes.federal + p.taxes.fica * 2 + p.taxes.medicare * 2, 0), 2);
+    expect(scheduleB.months.map(m => m.total)).toEqual(data.monthlyLiabilities.map(v => parseFloat(v.toFixed(2))));
+    expect(scheduleB).toMatchObject({ total: parseFloat(data.line12.toFixed(2)), difference: 0, reconciles: true });
+    expect(generateScheduleBReport('Q1 2024')).toContain('matches line 12');
+  });
+
+  it('flags a total that does not match line 12', () => {
+    // $160,000 a period: Additional Medicare Tax is due on line 5d but not withheld
+    const highEarner = createHighEarnerEmployee({ rate: 2000 });
+    appData.employees.push(highEarner);
+    generatePayPeriods();
+    for (let i = 1; i <= 3; i++) {
+      calculatePayFromData(highEarner.id, i, hours);
+    }
+
+    const data = compute941Data('Q1 2024');
+    const scheduleB = computeScheduleBData('Q1 2024');
+    expect(scheduleB.reconciles).toBe(false);
+    expect(scheduleB.difference).toBeCloseTo(-data.line5d_col2, 2);
+    expect(scheduleB.mismatchReason).toContain('Additional Medicare');
+    expect(generateScheduleBReport('Q1 2024')).toContain('Mismatch');
+  });
+
+  it('returns an error for a quarter without payroll', () => {
+    expect(computeScheduleBData('Q3 2024').error).toContain('No payroll data');
+  });
+});
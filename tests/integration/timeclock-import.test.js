@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import { generatePayPeriods, calculatePayFromData, finalizePeriod, saveTimesheet } from '../../js/logic.js';
+import {
+  DEFAULT_TIME_CLOCK_PROFILE,
+  parseTimeClockHours,
+  resolvePayTypeBucket,
+  previewTimeClockImport,
+  applyTimeClockImport,
+  saveTimeClockProfile
+} from '../../js/timeclock.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Time-clock CSV import: 2024 bi-weekly periods start 1/1/2024, so
+ * period 1 runs 1/1–1/14 and period 2 runs 1/15–1/28.
+ */
+describe('Time Clock Import', () => {
+  let alice, bob;
+  const find = (emp, periodNum) => appData.payPeriods[emp.id].find(p => p.period === periodNum);
+
+  const csv = [
+    'Emp #,Work Date,Hours,Code',
+    'A100,01/02/2024,8,REG',
+    'A100,01/03/2024,8:30,REG',
+    'A100,01/04/2024,2,OT',
+    'A100,01/16/2024,8,PTO',
+    'B200,2024-01-02,7.5,',
+    'Z999,01/02/2024,8,REG',
+    'A100,02/20/2025,8,REG',
+    'A100,01/05/2024,abc,REG',
+    'A100,01/05/2024,4,BONUS'
+  ].join('\n');
+
+  const profile = {
+    ...DEFAULT_TIME_CLOCK_PROFILE,
+    columns: { employeeId: 'emp #', date: 'Work Date', hours: 'Hours', payType: 'Code' }
+  };
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01'
+    });
+
+    alice = createTestEmployee({ name: 'Alice', idNumber: 'A100', rate: 20 });
+    bob = createTestEmployee({ name: 'Bob', idNumber: 'B200', rate: 20 });
+    appData.employees.push(alice, bob);
+    generatePayPeriods();
+  });
+
+  it('reads decimal and hours:minutes', () => {
+    expect(parseTimeClockHours('7.25')).toBe(7.25);
+    expect(parseTimeClockHours('7:45')).toBe(7.75);
+    expect(parseTimeClockHours('')).toBeNaN();
+  });
+
+  it('maps pay type codes ignoring case, blank as regular', () => {
+    expect(resolvePayTypeBucket('ot', DEFAULT_TIME_CLOCK_PROFILE)).toBe('overtime');
+    expect(resolvePayTypeBucket('Vacation', DEFAULT_TIME_CLOCK_PROFILE)).toBe('pto');
+    expect(resolvePayTypeBucket('', DEFAULT_TIME_CLOCK_PROFILE)).toBe('regular');
+    expect(resolvePayTypeBucket('BONUS', DEFAULT_TIME_CLOCK_PROFILE)).toBeNull();
+  });
+
+  it('groups rows by employee and pay period', () => {
+    const preview = previewTimeClockImport(csv, profile);
+
+    expect(preview.error).toBeNull();
+    expect(preview.groups.map(g => [g.employee.name, g.period.period])).toEqual([['Alice', 1], ['Alice', 2], ['Bob', 1]]);
+    expect(preview.groups[0].imported).toEqual({ regular: 16.5, overtime: 2 });
+    expect(preview.groups[0].rows).toBe(3);
+    expect(preview.groups[1].imported).toEqual({ pto: 8 });
+    expect(preview.groups[2].imported).toEqual({ regular: 7.5 });
+  });
+
+  it('lists unmatched employees, out-of-range dates and unreadable rows', () => {
+    const preview = previewTimeClockImport(csv, profile);
+
+    expect(preview.unmatchedEmployees).toEqual([{ idNumber: 'Z999', rows: 1 }]);
+    expect(preview.outOfRange).toHaveLength(1);
+    expect(preview.outOfRange[0]).toMatchObject({ line: 8, date: '2025-02-20' });
+    expect(preview.invalidRows.map(r => r.line)).toEqual([9, 10]);
+    expect(preview.invalidRows[1].reason).toContain('BONUS');
+  });
+
+  it('reports mapped columns missing from the file', () => {
+    const preview = previewTimeClockImport(csv, DEFAULT_TIME_CLOCK_PROFILE);
+    expect(preview.error).toContain('Employee ID');
+    expect(preview.groups).toHaveLength(0);
+  });
+
+  it('does not change any data until applied', () => {
+    previewTimeClockImport(csv, profile);
+    expect(find(alice, 1).grossPay).toBe(0);
+  });
+
+  it('pays each period through calculatePayFromData', () => {
+    calculatePayFromData(alice.id, 1, { regular: 0, overtime: 0, pto: 0, holiday: 4 });
+    const applied = applyTimeClockImport(previewTimeClockImport(csv, profile));
+
+    expect(applied).toHaveLength(3);
+    // Imported buckets replace the period's; holiday hours are kept
+    expect(find(alice, 1).hours).toEqual({ regular: 16.5, overtime: 2, pto: 0, holiday: 4 });
+    expect(find(alice, 1).grossPay).toBeCloseTo(16.5 * 20 + 2 * 30 + 4 * 40, 2);
+    expect(find(alice, 2).hours.pto).toBe(8);
+    expect(find(bob, 1).grossPay).toBe(150);
+
+    // Importing the same file again gives the same hours
+    applyTimeClockImport(previewTimeClockImport(csv, profile));
+    expect(find(alice, 1).hours.regular).toBe(16.5);
+  });
+
+  it('skips finalized and timesheet periods', () => {
+    calculatePayFromData(bob.id, 1, { regular: 10, overtime: 0, pto: 0, holiday: 0 });
+    finalizePeriod(bob.id, 1);
+    saveTimesheet(alice.id, 1, { '2024-01-02': 8 });
+    const preview = previewTimeClockImport(csv, profile);
+
+    expect(preview.groups.find(g => g.employee === bob).issue).toContain('finalized');
+    expect(preview.groups.find(g => g.period.period === 1 && g.employee === alice).issue).toContain('timesheet');
+    expect(applyTimeClockImport(preview)).toHaveLength(1);
+    expect(find(bob, 1).hours.regular).toBe(10);
+  });
+
+  it('saves mapping profiles by name', () => {
+    expect(saveTimeClockProfile({ ...profile, name: '' })).toBe(false);
+    expect(saveTimeClockProfile({ ...profile, name: 'Kiosk' })).toBe(true);
+    saveTimeClockProfile({ ...profile, name: 'Kiosk', columns: { ...profile.columns, payType: '' } });
+
+    expect(appData.settings.timeClockProfiles).toHaveLength(1);
+    expect(appData.settings.timeClockProfiles[0].columns).toMatchObject({ employeeId: 'emp #', payType: '' });
+  });
+});
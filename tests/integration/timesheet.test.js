@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import {
+  generatePayPeriods,
+  calculatePayFromData,
+  saveTimesheet,
+  addOffCycleRun,
+  voidPeriod,
+  reissuePeriod,
+  recalculateAllPeriodsForEmployee
+} from '../../js/logic.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Daily timesheets: 2024 bi-weekly period 1 runs Monday 1/1 to
+ * Sunday 1/14, so its workweeks are 1/1–1/7 and 1/8–1/14.
+ */
+describe('Daily Timesheets', () => {
+  let employee;
+  const find = (periodNum) => appData.payPeriods[employee.id].find(p => p.period === periodNum);
+  const weekdays = (dates, hours) => Object.fromEntries(dates.map(d => [d, hours]));
+  const week1 = ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05'];
+  const week2 = ['2024-01-08', '2024-01-09', '2024-01-10', '2024-01-11', '2024-01-12'];
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01'
+    });
+
+    employee = createTestEmployee({ rate: 20, overtimeMultiplier: 1.5 });
+    appData.employees.push(employee);
+    generatePayPeriods();
+  });
+
+  it('fills the period hours from the workweek split and pays them', () => {
+    const period = saveTimesheet(employee.id, 1, { ...weekdays(week1, 9), ...weekdays(week2, 7) });
+
+    expect(period.hours.regular).toBe(75);
+    expect(period.hours.overtime).toBe(5);
+    // 75 × $20 + 5 × $30
+    expect(period.grossPay).toBe(1650);
+    expect(period.timesheet.days['2024-01-01']).toBe(9);
+  });
+
+  it('keeps PTO and holiday hours entered on the period', () => {
+    calculatePayFromData(employee.id, 1, { regular: 0, overtime: 0, pto: 8, holiday: 0 });
+    const period = saveTimesheet(employee.id, 1, weekdays(week1, 8));
+
+    expect(period.hours).toMatchObject({ regular: 40, overtime: 0, pto: 8 });
+    // Hand-typed regular hours give way to the timesheet
+    calculatePayFromData(employee.id, 1, { regular: 60, overtime: 0, pto: 8, holiday: 0 });
+    expect(find(1).hours.regular).toBe(40);
+  });
+
+  it('pays California double time as overtime hours of equal value', () => {
+    appData.settings.overtimeRule = 'california';
+    const period = saveTimesheet(employee.id, 1, { '2024-01-01': 13 });
+
+    expect(period.timesheet).toMatchObject({ regular: 8, overtime: 4, doubleTime: 1 });
+    // 8 × $20 + 4 × $30 + 1 × $40
+    expect(period.grossPay).toBeCloseTo(320, 2);
+  });
+
+  it('re-splits saved timesheets when the overtime rule changes', () => {
+    saveTimesheet(employee.id, 1, weekdays(week1, 10));
+    expect(find(1).hours).toMatchObject({ regular: 40, overtime: 10 });
+
+    appData.settings.overtimeRule = 'california';
+    saveTimesheet(employee.id, 1, { '2024-01-01': 10 });
+    expect(find(1).hours).toMatchObject({ regular: 8, overtime: 2 });
+  });
+
+  it('ignores days outside the period and clears an empty timesheet', () => {
+    saveTimesheet(employee.id, 1, { '2024-01-01': 8, '2024-01-20': 8 });
+    expect(find(1).timesheet.days).toEqual({ '2024-01-01': 8 });
+
+    const cleared = saveTimesheet(employee.id, 1, {});
+    expect(cleared.timesheet).toBeUndefined();
+    expect(cleared.grossPay).toBe(0);
+  });
+
+  it('does not apply to off-cycle runs', () => {
+    const run = addOffCycleRun(employee.id, { payDate: '2024-01-10', reason: 'bonus' });
+    expect(saveTimesheet(employee.id, run, { '2024-01-10': 8 })).toBeNull();
+  });
+
+  it('moves the timesheet with a voided check and restores it on reissue', () => {
+    saveTimesheet(employee.id, 1, weekdays(week1, 9));
+    voidPeriod(employee.id, 1, { voidDate: '2024-01-22', reason: 'Lost check' });
+    recalculateAllPeriodsForEmployee(employee.id);
+
+    expect(find(1).timesheet).toBeUndefined();
+    expect(find(1).grossPay).toBe(0);
+
+    reissuePeriod(employee.id, 1);
+    recalculateAllPeriodsForEmployee(employee.id);
+    expect(find(1).hours.overtime).toBe(5);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { appData, defaultAppData } from '../../js/state.js';
+import {
+  generatePayPeriods,
+  calculatePayFromData,
+  addGarnishment,
+  computeW2Data,
+  compute941Data,
+  getReportPayPeriods,
+  getPayStubData
+} from '../../js/logic.js';
+import { closeTaxYear, getYearCloseBlockers } from '../../js/year-end.js';
+import { createTestEmployee } from '../fixtures/sample-employees.js';
+import { createTestSettings } from '../fixtures/sample-settings.js';
+
+/**
+ * Year-end close (v21): 2024 bi-weekly periods start 1/1/2024; the last
+ * period that ends in 2024 runs 12/16–12/29, so 2025 starts on 12/30/2024.
+ */
+describe('Year-End Close', () => {
+  let employee;
+  const standardHours = { regular: 80, overtime: 0, pto: 0, holiday: 0 };
+
+  beforeEach(() => {
+    Object.assign(appData, JSON.parse(JSON.stringify(defaultAppData)));
+    appData.settings = createTestSettings({
+      taxYear: 2024,
+      payFrequency: 'bi-weekly',
+      firstPayPeriodStartDate: '2024-01-01'
+    });
+
+    // $25 × 80 = $2,000 per period
+    employee = createTestEmployee({ rate: 25, fedTaxRate: 12, ptoStartingBalance: 10, ptoAccrualRate: 26 });
+    appData.employees.push(employee);
+    generatePayPeriods();
+    calculatePayFromData(employee.id, 1, standardHours);
+    calculatePayFromData(employee.id, 2, standardHours);
+  });
+
+  it('archives the year and opens the next one', () => {
+    const paidPeriods = appData.payPeriods[employee.id].filter(p => p.grossPay > 0).length;
+    const result = closeTaxYear();
+
+    expect(result.year).toBe(2024);
+    expect(result.newYear).toBe(2025);
+
+    const archive = appData.archivedYears[2024];
+    expect(archive.settings.taxYear).toBe(2024);
+    expect(archive.employees[0].id).toBe(employee.id);
+    expect(archive.payPeriods[employee.id].filter(p => p.grossPay > 0)).toHaveLength(paidPeriods);
+
+    expect(appData.settings.taxYear).toBe(2025);
+    expect(appData.settings.firstPayPeriodStartDate).toBe('2024-12-30');
+    const periods = appData.payPeriods[employee.id];
+    expect(periods[0].startDate).toBe('2024-12-30');
+    expect(periods.every(p => p.grossPay === 0)).toBe(true);
+  });
+
+  it('archives the bank register state without splitting the register', () => {
+    const transactions = appData.bankRegister.length;
+    closeTaxYear();
+
+    const bank = appData.archivedYears[2024].bankRegister;
+    expect(bank.transactions).toHaveLength(transactions);
+    expect(bank.closingBalance).toBeCloseTo(-bank.transactions.reduce((sum, t) => sum + t.debit, 0), 2);
+    expect(appData.bankRegister).toHaveLength(transactions);
+  });
+
+  it('carries PTO forward up to the carry-over limit', () => {
+    // 10 + 2 periods × 1 hour accrued
+    expect(employee.ptoBalance).toBe(12);
+    appData.settings.ptoCarryOverLimit = 11;
+    const result = closeTaxYear();
+
+    expect(result.pto[0]).toMatchObject({ balance: 12, carried: 11 });
+    expect(employee.ptoStartingBalance).toBe(11);
+    expect(employee.ptoBalance).toBe(11);
+  });
+
+  it('resets the tax remainders and seeds the rates on January 1', () => {
+    employee.rateHistories.rate.push({ effectiveDate: '2024-06-01', value: 27 });
+    closeTaxYear();
+
+    expect(Object.values(employee.taxRemainders).every(r => r === 0)).toBe(true);
+    expect(employee.rateHistories.rate.find(e => e.effectiveDate === '2025-01-01').value).toBe(27);
+    expect(appData.settings.sutaRateHistory.find(e => e.effectiveDate === '2025-01-01')).toBeDefined();
+  });
+
+  it('carries garnishment payments into the order balance', () => {
+    addGarnishment(employee.id, { payee: 'Creditor LLC', orderType: 'creditor', amount: 100, balance: 1000, priorPaid: 50 });
+    calculatePayFromData(employee.id, 1, standardHours);
+    closeTaxYear();
+
+    expect(employee.garnishments[0].priorPaid).toBe(250);
+  });
+
+  it('keeps the closed year available to reports', () => {
+    const w2Before = computeW2Data('2024');
+    closeTaxYear();
+
+    expect(computeW2Data('2024').employees[0].box1).toBe(w2Before.employees[0].box1);
+    expect(compute941Data('Q1 2024').line2).toBe(4000);
+    expect(getReportPayPeriods()[employee.id].length).toBeGreaterThan(appData.payPeriods[employee.id].length);
+  });
+
+  it('reports closed-year employees who are no longer on the roster', () => {
+    closeTaxYear();
+    appData.employees = [];
+    delete appData.payPeriods[employee.id];
+
+    expect(computeW2Data('2024').employees[0].employee.name).toBe(employee.name);
+  });
+
+  it('counts the closed year\'s last period, paid in January, toward the new year', () => {
+    // Period 26 (12/16–12/29/2024) is paid 1/3/2025: $7,500 uses up the FUTA base
+    calculatePayFromData(employee.id, 26, { ...standardHours, regular: 300 });
+    closeTaxYear();
+
+    const first2025 = calculatePayFromData(employee.id, 1, standardHours);
+    expect(first2025.payDate).toBe('2025-01-17');
+    expect(first2025.taxes.futa).toBe(0);
+    expect(first2025.taxableWages.futa).toBe(2000);
+
+    const { ytd } = getPayStubData(employee.id, 1);
+    expect(ytd.gross).toBe(9500);
+  });
+
+  it('refuses to close a year twice', () => {
+    closeTaxYear();
+    appData.settings.taxYear = 2024;
+
+    expect(getYearCloseBlockers()).toContain('2024 has already been closed.');
+    expect(closeTaxYear()).toBeNull();
+  });
+});
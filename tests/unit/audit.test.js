@@ -66,6 +66,15 @@ describe('audit.js', () => {
       expect(Array.isArray(appData.auditLog)).toBe(true);
       expect(appData.auditLog).toHaveLength(1);
     });
+
+    it('should record before/after values when given', () => {
+      logAudit('Check Voided', 'Period 1', { before: { grossPay: 2000 }, after: { grossPay: 0 } });
+      logAudit('Employee Added', 'John Doe');
+
+      expect(appData.auditLog[1].before).toEqual({ grossPay: 2000 });
+      expect(appData.auditLog[1].after).toEqual({ grossPay: 0 });
+      expect(appData.auditLog[0]).not.toHaveProperty('before');
+    });
   });
 
   describe('getAuditLog()', () => {
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateDisposableEarnings,
+  calculateGarnishments,
+  supportCapPercent,
+  sortGarnishmentsByPriority
+} from '../../js/garnishments.js';
+
+/**
+ * CCPA Title III limits. Bi-weekly examples: the 30× floor is
+ * 30 × $7.25 × 2 weeks = $435 of disposable earnings (DE).
+ */
+describe('garnishments.js', () => {
+  const order = (overrides) => ({
+    id: 'g1', payee: 'Payee', orderType: 'creditor', amountType: 'fixed', amount: 100,
+    priority: 1, balance: 0, priorPaid: 0, supportsOtherFamily: false, arrearsOver12Weeks: false,
+    ...overrides
+  });
+  const context = (de, overrides = {}) => ({ disposableEarnings: de, payFrequency: 'bi-weekly', availableNet: de, ...overrides });
+
+  describe('calculateDisposableEarnings()', () => {
+    it('subtracts only the taxes required by law', () => {
+      const taxes = { federal: 240, state: 100, local: 40, fica: 124, medicare: 29 };
+      expect(calculateDisposableEarnings(2000, taxes)).toBe(1467);
+    });
+
+    it('never goes below zero', () => {
+      expect(calculateDisposableEarnings(100, { federal: 150 })).toBe(0);
+    });
+  });
+
+  describe('calculateGarnishments()', () => {
+    it('caps a creditor garnishment at 25% of DE', () => {
+      const { garnishments, total } = calculateGarnishments([order({ amount: 400 })], context(1000));
+      expect(garnishments[0].calculatedAmount).toBe(250);
+      expect(garnishments[0].requestedAmount).toBe(400);
+      expect(garnishments[0].capApplied).toBe(true);
+      expect(total).toBe(250);
+    });
+
+    it('protects 30× the minimum wage for low earners', () => {
+      // DE − 435 = 65 is less than 25% of 500
+      const { garnishments } = calculateGarnishments([order({ amount: 400 })], context(500));
+      expect(garnishments[0].calculatedAmount).toBe(65);
+    });
+
+    it('withholds nothing for ordinary garnishments at or below the floor', () => {
+      const { garnishments } = calculateGarnishments([order({ amount: 100 })], context(400));
+      expect(garnishments[0].calculatedAmount).toBe(0);
+      expect(garnishments[0].capApplied).toBe(true);
+    });
+
+    it('scales the floor by pay frequency', () => {
+      // Weekly floor 217.50: DE − floor = 32.50 < 25% of 250
+      const { garnishments } = calculateGarnishments([order({ amount: 400 })], context(250, { payFrequency: 'weekly' }));
+      expect(garnishments[0].calculatedAmount).toBe(32.5);
+    });
+
+    it('caps a federal student loan at 15% of DE', () => {
+      const { garnishments } = calculateGarnishments([order({ orderType: 'student-loan', amount: 200 })], context(1000));
+      expect(garnishments[0].calculatedAmount).toBe(150);
+    });
+
+    it('applies the 50/60% support limits, +5% for old arrears, without the floor', () => {
+      const support = { orderType: 'child-support', amount: 900 };
+      expect(calculateGarnishments([order(support)], context(1000)).garnishments[0].calculatedAmount).toBe(600);
+      expect(calculateGarnishments([order({ ...support, supportsOtherFamily: true })], context(1000)).garnishments[0].calculatedAmount).toBe(500);
+      expect(calculateGarnishments([order({ ...support, arrearsOver12Weeks: true })], context(1000)).garnishments[0].calculatedAmount).toBe(650);
+      // Below the 30× floor, support is still withheld
+      expect(calculateGarnishments([order(support)], context(400)).garnishments[0].calculatedAmount).toBe(240);
+    });
+
+    it('withholds support first and counts it toward the 25% ceiling', () => {
+      const orders = [
+        order({ id: 'c', orderType: 'creditor', amount: 300, priority: 1 }),
+        order({ id: 's', orderType: 'child-support', amount: 200, priority: 2 })
+      ];
+      const { garnishments, total } = calculateGarnishments(orders, context(1000));
+      expect(garnishments.map(g => g.id)).toEqual(['s', 'c']);
+      expect(garnishments[0].calculatedAmount).toBe(200);
+      expect(garnishments[1].calculatedAmount).toBe(50);
+      expect(total).toBe(250);
+    });
+
+    it('splits the ordinary ceiling between creditors by priority', () => {
+      const orders = [
+        order({ id: 'second', amount: 200, priority: 2 }),
+        order({ id: 'first', amount: 200, priority: 1 })
+      ];
+      const { garnishments } = calculateGarnishments(orders, context(1000));
+      expect(garnishments.find(g => g.id === 'first').calculatedAmount).toBe(200);
+      expect(garnishments.find(g => g.id === 'second').calculatedAmount).toBe(50);
+    });
+
+    it('computes a percentage order from DE', () => {
+      const { garnishments } = calculateGarnishments([order({ amountType: 'percent', amount: 10 })], context(1000));
+      expect(garnishments[0].calculatedAmount).toBe(100);
+      expect(garnishments[0].capApplied).toBe(false);
+    });
+
+    it('stops at the remaining balance', () => {
+      const o = order({ amount: 200, balance: 500, priorPaid: 100 });
+      const { garnishments } = calculateGarnishments([o], context(1000, { paidToDate: { g1: 350 } }));
+      expect(garnishments[0].calculatedAmount).toBe(50);
+      expect(garnishments[0].balanceRemaining).toBe(0);
+      expect(garnishments[0].capApplied).toBe(false);
+    });
+
+    it('never withholds more than the net pay available', () => {
+      const { garnishments } = calculateGarnishments(
+        [order({ orderType: 'child-support', amount: 600 })], context(1000, { availableNet: 300 }));
+      expect(garnishments[0].calculatedAmount).toBe(300);
+    });
+
+    it('returns nothing when there are no orders', () => {
+      expect(calculateGarnishments([], context(1000))).toEqual({ garnishments: [], total: 0 });
+    });
+  });
+
+  describe('supportCapPercent() / sortGarnishmentsByPriority()', () => {
+    it('picks the support limit from the order flags', () => {
+      expect(supportCapPercent({})).toBe(60);
+      expect(supportCapPercent({ supportsOtherFamily: true, arrearsOver12Weeks: true })).toBe(55);
+    });
+
+    it('sorts support first, then by priority, then by date added', () => {
+      const sorted = sortGarnishmentsByPriority([
+        { id: 'a', orderType: 'creditor', priority: 1, createdDate: '2024-02-01' },
+        { id: 'b', orderType: 'creditor', priority: 1, createdDate: '2024-01-01' },
+        { id: 'c', orderType: 'child-support', priority: 5 }
+      ]);
+      expect(sorted.map(o => o.id)).toEqual(['c', 'b', 'a']);
+    });
+  });
+});
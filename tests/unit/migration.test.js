@@ -5,14 +5,14 @@ import testDataV6 from '../fixtures/test-data-v6.json';
 
 describe('migration.js', () => {
   describe('migrateData() - Full Migration Chain', () => {
-    it('should migrate v1 data to v13', () => {
+    it('should migrate v1 data to v30', () => {
       // Create a deep copy to avoid mutating the fixture
       const v1Data = JSON.parse(JSON.stringify(testDataV1));
 
       const migrated = migrateData(v1Data);
 
       // Should be at v9
-      expect(migrated.version).toBe(13);
+      expect(migrated.version).toBe(30);
 
       // v2 additions
       expect(migrated.settings.employeeIdPrefix).toBeDefined();
@@ -51,13 +51,13 @@ describe('migration.js', () => {
       expect(migrated.settings.minimumWeeklyHours).toBe(20);
     });
 
-    it('should migrate v6 data to v13', () => {
+    it('should migrate v6 data to v30', () => {
       const v6Data = JSON.parse(JSON.stringify(testDataV6));
 
       const migrated = migrateData(v6Data);
 
       // Should be at v9
-      expect(migrated.version).toBe(13);
+      expect(migrated.version).toBe(30);
 
       // v7 additions - autoSubtraction
       expect(migrated.settings.autoSubtraction).toBe(true);
@@ -68,7 +68,7 @@ describe('migration.js', () => {
       expect(migrated.employees[0].deductions[1].createdDate).toBe('2000-01-01');
     });
 
-    it('should migrate v7 data to v13 adding sutaWageBase and converting dates', () => {
+    it('should migrate v7 data to v30 adding sutaWageBase and converting dates', () => {
       const v7Data = {
         version: 7,
         settings: { companyName: 'Test', autoSubtraction: false },
@@ -79,12 +79,12 @@ describe('migration.js', () => {
 
       const migrated = migrateData(JSON.parse(JSON.stringify(v7Data)));
 
-      expect(migrated.version).toBe(13);
+      expect(migrated.version).toBe(30);
       expect(migrated.settings.autoSubtraction).toBe(false); // Should not be changed
       expect(migrated.settings.sutaWageBase).toBe(25000); // v8 addition
     });
 
-    it('should migrate v8 data to v13 converting date formats', () => {
+    it('should migrate v8 data to v30 converting date formats', () => {
       const v8Data = {
         version: 8,
         settings: { companyName: 'Test', autoSubtraction: false, sutaWageBase: 30000 },
@@ -101,7 +101,7 @@ describe('migration.js', () => {
 
       const migrated = migrateData(JSON.parse(JSON.stringify(v8Data)));
 
-      expect(migrated.version).toBe(13);
+      expect(migrated.version).toBe(30);
       expect(migrated.settings.sutaWageBase).toBe(30000); // Should not be changed
 
       // v9: dates converted to YYYY-MM-DD
@@ -111,7 +111,7 @@ describe('migration.js', () => {
       expect(migrated.bankRegister[0].date).toBe('2024-01-15');
     });
 
-    it('should migrate v9 data to v13 adding quarterly earnings settings', () => {
+    it('should migrate v9 data to v30 adding quarterly earnings settings', () => {
       const v9Data = {
         version: 9,
         settings: { companyName: 'Test', autoSubtraction: true, sutaWageBase: 25000 },
@@ -122,7 +122,7 @@ describe('migration.js', () => {
 
       const migrated = migrateData(JSON.parse(JSON.stringify(v9Data)));
 
-      expect(migrated.version).toBe(13);
+      expect(migrated.version).toBe(30);
       expect(migrated.settings.quarterlyEarningsTarget).toBe(1890);
       expect(migrated.settings.minimumWeeklyHours).toBe(20);
       expect(migrated.settings.autoSubtraction).toBe(true); // Preserved
@@ -144,12 +144,12 @@ describe('migration.js', () => {
 
       const migrated = migrateData(JSON.parse(JSON.stringify(v9Data)));
 
-      expect(migrated.version).toBe(13);
+      expect(migrated.version).toBe(30);
       expect(migrated.settings.quarterlyEarningsTarget).toBe(0);
       expect(migrated.settings.minimumWeeklyHours).toBe(15);
     });
 
-    it('should migrate v10 data to v13 adding auditLog', () => {
+    it('should migrate v10 data to v30 adding auditLog', () => {
       const v10Data = {
         version: 10,
         settings: { companyName: 'Test', quarterlyEarningsTarget: 2000, minimumWeeklyHours: 25 },
@@ -160,14 +160,14 @@ describe('migration.js', () => {
 
       const migrated = migrateData(JSON.parse(JSON.stringify(v10Data)));
 
-      expect(migrated.version).toBe(13);
+      expect(migrated.version).toBe(30);
       expect(migrated.settings.quarterlyEarningsTarget).toBe(2000);
       expect(migrated.settings.minimumWeeklyHours).toBe(25);
       expect(Array.isArray(migrated.auditLog)).toBe(true);
       expect(migrated.auditLog).toEqual([]);
     });
 
-    it('should migrate v11 data to v13 adding ptoStartingBalance from ptoBalance', () => {
+    it('should migrate v11 data to v30 adding ptoStartingBalance from ptoBalance', () => {
       const v11Data = {
         version: 11,
         settings: { companyName: 'Test', quarterlyEarningsTarget: 2000, minimumWeeklyHours: 25 },
@@ -182,7 +182,7 @@ describe('migration.js', () => {
 
       const migrated = migrateData(JSON.parse(JSON.stringify(v11Data)));
 
-      expect(migrated.version).toBe(13);
+      expect(migrated.version).toBe(30);
       // Pre-v12 calcs never changed ptoBalance, so it is adopted as the starting balance
       expect(migrated.employees[0].ptoStartingBalance).toBe(25);
       expect(migrated.employees[1].ptoStartingBalance).toBe(0);
@@ -190,7 +190,7 @@ describe('migration.js', () => {
       expect(migrated.auditLog[0].action).toBe('Test');
     });
 
-    it('should migrate v12 data to v13 adding rate histories from scalar rates', () => {
+    it('should migrate v12 data to v30 adding rate histories from scalar rates', () => {
       const v12Data = {
         version: 12,
         settings: { companyName: 'Test', sutaRate: 2.7, quarterlyEarningsTarget: 2000, minimumWeeklyHours: 25 },
@@ -205,7 +205,7 @@ describe('migration.js', () => {
 
       const migrated = migrateData(JSON.parse(JSON.stringify(v12Data)));
 
-      expect(migrated.version).toBe(13);
+      expect(migrated.version).toBe(30);
       expect(migrated.employees[0].ptoStartingBalance).toBe(10); // v12 field not overwritten
 
       // Histories seeded from the scalar values, effective from the beginning
@@ -217,15 +217,382 @@ describe('migration.js', () => {
       expect(migrated.settings.sutaRateHistory).toEqual([{ effectiveDate: '2000-01-01', value: 2.7 }]);
     });
 
-    it('should not modify data already at v13', () => {
+    it('should migrate v13 data to v30 defaulting every employee to hourly pay', () => {
       const v13Data = {
         version: 13,
+        settings: { companyName: 'Test', sutaRate: 2.7, sutaRateHistory: [{ effectiveDate: '2000-01-01', value: 2.7 }] },
+        employees: [
+          { id: 'emp-1', name: 'John', rate: 25, rateHistories: { rate: [{ effectiveDate: '2000-01-01', value: 25 }] } },
+          { id: 'emp-2', name: 'Jane', rate: 0, payType: 'salary', annualSalary: 52000, hireDate: '2024-03-04' }
+        ],
+        payPeriods: {},
+        bankRegister: [],
+        auditLog: []
+      };
+
+      const migrated = migrateData(JSON.parse(JSON.stringify(v13Data)));
+
+      expect(migrated.version).toBe(30);
+      expect(migrated.employees[0].payType).toBe('hourly');
+      expect(migrated.employees[0].annualSalary).toBe(0);
+      expect(migrated.employees[0].rateHistories.annualSalary).toEqual([{ effectiveDate: '2000-01-01', value: 0 }]);
+      expect(migrated.employees[0].hireDate).toBe('');
+      expect(migrated.employees[0].terminationDate).toBe('');
+      // Existing values are never overwritten
+      expect(migrated.employees[1].payType).toBe('salary');
+      expect(migrated.employees[1].annualSalary).toBe(52000);
+      expect(migrated.employees[1].hireDate).toBe('2024-03-04');
+    });
+
+    it('should migrate v14 data to v30 keeping flat federal withholding', () => {
+      const v14Data = {
+        version: 14,
+        settings: { companyName: 'Test' },
+        employees: [
+          { id: 'emp-1', name: 'John', rate: 25, fedTaxRate: 12, payType: 'hourly' },
+          { id: 'emp-2', name: 'Jane', rate: 30, federalWithholdingMethod: 'w4', w4: { filingStatus: 'married', multipleJobs: true } }
+        ],
+        payPeriods: {},
+        bankRegister: [],
+        auditLog: []
+      };
+
+      const migrated = migrateData(JSON.parse(JSON.stringify(v14Data)));
+
+      expect(migrated.version).toBe(30);
+      expect(migrated.employees[0].federalWithholdingMethod).toBe('flat');
+      expect(migrated.employees[0].fedTaxRate).toBe(12);
+      expect(migrated.employees[0].w4).toEqual({
+        filingStatus: 'single', multipleJobs: false, dependentsAmount: 0, otherIncome: 0, deductions: 0, extraWithholding: 0
+      });
+      // Existing values are never overwritten
+      expect(migrated.employees[1].federalWithholdingMethod).toBe('w4');
+      expect(migrated.employees[1].w4.filingStatus).toBe('married');
+    });
+
+    it('should migrate v15 data to v30 treating existing deductions as post-tax', () => {
+      const v15Data = {
+        version: 15,
+        settings: { companyName: 'Test' },
+        employees: [
+          { id: 'emp-1', name: 'John', rate: 25, deductions: [{ id: 'd1', name: 'Health', amount: 50, type: 'fixed' }] },
+          { id: 'emp-2', name: 'Jane', rate: 30, deductions: [{ id: 'd2', name: '401k', amount: 5, type: 'percent', taxTreatment: '401k' }] },
+          { id: 'emp-3', name: 'Bob', rate: 20 }
+        ],
+        payPeriods: {},
+        bankRegister: [],
+        auditLog: []
+      };
+
+      const migrated = migrateData(JSON.parse(JSON.stringify(v15Data)));
+
+      expect(migrated.version).toBe(30);
+      expect(migrated.employees[0].deductions[0].taxTreatment).toBe('post-tax');
+      expect(migrated.employees[1].deductions[0].taxTreatment).toBe('401k'); // not overwritten
+      expect(migrated.employees[2].deductions).toBeUndefined();
+    });
+
+    it('should migrate v16 data to v30 adding empty employer contributions', () => {
+      const v16Data = {
+        version: 16,
+        settings: { companyName: 'Test' },
+        employees: [
+          { id: 'emp-1', name: 'John', rate: 25, deductions: [] },
+          { id: 'emp-2', name: 'Jane', rate: 30, employerContributions: [{ id: 'c1', name: 'Match', kind: '401k-match', type: 'match', amount: 0, matchTiers: [{ matchPercent: 100, ofPayPercent: 3 }] }] }
+        ],
+        payPeriods: {},
+        bankRegister: [],
+        auditLog: []
+      };
+
+      const migrated = migrateData(JSON.parse(JSON.stringify(v16Data)));
+
+      expect(migrated.version).toBe(30);
+      expect(migrated.employees[0].employerContributions).toEqual([]);
+      expect(migrated.employees[1].employerContributions).toHaveLength(1); // not overwritten
+    });
+
+    it('should migrate v17 data to v30 adding unlimited deduction limits and dateOfBirth', () => {
+      const v17Data = {
+        version: 17,
+        settings: { companyName: 'Test' },
+        employees: [
+          { id: 'emp-1', name: 'John', rate: 25, deductions: [{ id: 'd1', name: '401k', amount: 5, type: 'percent', taxTreatment: '401k' }] },
+          { id: 'emp-2', name: 'Jane', rate: 30, dateOfBirth: '1970-05-01', deductions: [{ id: 'd2', name: 'HSA', amount: 100, type: 'fixed', limitType: 'fixed', limitAmount: 4150 }] }
+        ],
+        payPeriods: {},
+        bankRegister: [],
+        auditLog: []
+      };
+
+      const migrated = migrateData(JSON.parse(JSON.stringify(v17Data)));
+
+      expect(migrated.version).toBe(30);
+      expect(migrated.employees[0].dateOfBirth).toBe('');
+      expect(migrated.employees[0].deductions[0].limitType).toBe('none');
+      expect(migrated.employees[0].deductions[0].limitAmount).toBe(0);
+      // Existing values are never overwritten
+      expect(migrated.employees[1].dateOfBirth).toBe('1970-05-01');
+      expect(migrated.employees[1].deductions[0].limitAmount).toBe(4150);
+    });
+
+    it('should migrate v18 data to v30 adding empty garnishments', () => {
+      const v18Data = {
+        version: 18,
+        settings: { companyName: 'Test' },
+        employees: [
+          { id: 'emp-1', name: 'John', rate: 25, deductions: [] },
+          { id: 'emp-2', name: 'Jane', rate: 30, garnishments: [{ id: 'g1', payee: 'SDU', orderType: 'child-support', amount: 200 }] }
+        ],
+        payPeriods: {},
+        bankRegister: [],
+        auditLog: []
+      };
+
+      const migrated = migrateData(JSON.parse(JSON.stringify(v18Data)));
+
+      expect(migrated.version).toBe(30);
+      expect(migrated.employees[0].garnishments).toEqual([]);
+      expect(migrated.employees[1].garnishments).toHaveLength(1);
+    });
+
+    it('should migrate v19 data to v30 adding empty supplemental earnings', () => {
+      const v19Data = {
+        version: 19,
+        settings: { companyName: 'Test' },
+        employees: [{ id: 'emp-1', name: 'John', rate: 25 }],
+        payPeriods: {
+          'emp-1': [
+            { period: 1, hours: { regular: 80, overtime: 0, pto: 0, holiday: 0 }, earnings: { regular: 2000, overtime: 0, pto: 0, holiday: 0 }, grossPay: 2000 },
+            { period: 2, hours: { regular: 80, overtime: 0, pto: 0, holiday: 0 }, earnings: { regular: 2000, overtime: 0, pto: 0, holiday: 0, supplemental: 500 }, supplementalEarnings: [{ id: 'e1', code: 'bonus', amount: 500 }], grossPay: 2500 }
+          ]
+        },
+        bankRegister: [],
+        auditLog: []
+      };
+
+      const migrated = migrateData(JSON.parse(JSON.stringify(v19Data)));
+
+      expect(migrated.version).toBe(30);
+      expect(migrated.payPeriods['emp-1'][0].supplementalEarnings).toEqual([]);
+      expect(migrated.payPeriods['emp-1'][0].earnings.supplemental).toBe(0);
+      expect(migrated.payPeriods['emp-1'][1].supplementalEarnings).toHaveLength(1);
+      expect(migrated.payPeriods['emp-1'][1].earnings.supplemental).toBe(500);
+    });
+
+    it('should migrate v20 data to v30 adding an empty year archive', () => {
+      const v20Data = {
+        version: 20,
+        settings: { companyName: 'Test', taxYear: 2024 },
+        employees: [{ id: 'emp-1', name: 'John', rate: 25 }],
+        payPeriods: {},
+        bankRegister: [],
+        auditLog: []
+      };
+
+      const migrated = migrateData(JSON.parse(JSON.stringify(v20Data)));
+
+      expect(migrated.version).toBe(30);
+      expect(migrated.archivedYears).toEqual({});
+    });
+
+    it('should migrate v21 data to v30 seeding the tax constants table', () => {
+      const v21Data = {
+        version: 21,
+        settings: {
+          companyName: 'Test', taxYear: 2025,
+          socialSecurity: 6.2, medicare: 1.45, futaRate: 0.6,
+          ssWageBase: 176100, futaWageBase: 7000, sutaWageBase: 25000,
+          additionalMedicareThreshold: 200000, additionalMedicareRate: 0.9
+        },
+        employees: [],
+        payPeriods: {},
+        bankRegister: [],
+        auditLog: [],
+        archivedYears: { 2024: { settings: { taxYear: 2024, socialSecurity: 6.2, ssWageBase: 168600 } } }
+      };
+
+      const migrated = migrateData(JSON.parse(JSON.stringify(v21Data)));
+
+      expect(migrated.version).toBe(30);
+      expect(migrated.settings.taxConstants[2025].ssWageBase).toBe(176100);
+      expect(migrated.settings.taxConstants[2025].additionalMedicareRate).toBe(0.9);
+      expect(migrated.settings.taxConstants[2024]).toEqual({ socialSecurity: 6.2, ssWageBase: 168600 });
+      // The scalars stay as the open year's values
+      expect(migrated.settings.ssWageBase).toBe(176100);
+    });
+
+    it('should migrate v22 data to v30 adding employment status', () => {
+      const v22Data = {
+        version: 22,
+        settings: { companyName: 'Test', taxYear: 2024, taxConstants: {} },
+        employees: [
+          { id: 'emp-1', name: 'John', rate: 25, terminationDate: '' },
+          { id: 'emp-2', name: 'Jane', rate: 25, terminationDate: '2024-03-01' }
+        ],
+        payPeriods: {},
+        bankRegister: [],
+        auditLog: [],
+        archivedYears: {}
+      };
+
+      const migrated = migrateData(JSON.parse(JSON.stringify(v22Data)));
+
+      expect(migrated.version).toBe(30);
+      expect(migrated.employees[0].status).toBe('active');
+      expect(migrated.employees[1].status).toBe('terminated');
+    });
+
+    it('should migrate v23 data to v30 adding direct deposit accounts and ACH settings', () => {
+      const v23Data = {
+        version: 23,
+        settings: { companyName: 'Test', taxYear: 2024, taxConstants: {} },
+        employees: [{ id: 'emp-1', name: 'John', rate: 25, status: 'active' }],
+        payPeriods: {},
+        bankRegister: [],
+        auditLog: [],
+        archivedYears: {}
+      };
+
+      const migrated = migrateData(JSON.parse(JSON.stringify(v23Data)));
+
+      expect(migrated.version).toBe(30);
+      expect(migrated.employees[0].bankAccounts).toEqual([]);
+      expect(migrated.settings.ach).toMatchObject({ companyId: '', bankRoutingNumber: '' });
+      expect(migrated.achBatches).toEqual([]);
+    });
+
+    it('should migrate v24 data to v30 adding the check number sequence and layout', () => {
+      const v24Data = {
+        version: 24,
+        settings: { companyName: 'Test', taxYear: 2024, taxConstants: {}, ach: {} },
+        employees: [{ id: 'emp-1', name: 'John', rate: 25, status: 'active', bankAccounts: [] }],
+        payPeriods: {},
+        bankRegister: [],
+        auditLog: [],
+        archivedYears: {},
+        achBatches: []
+      };
+
+      const migrated = migrateData(JSON.parse(JSON.stringify(v24Data)));
+
+      expect(migrated.version).toBe(30);
+      expect(migrated.settings.nextCheckNumber).toBe(1001);
+      expect(migrated.settings.checkLayout).toBe('top');
+    });
+
+    it('should migrate v25 data to v30 adding the Positive Pay settings', () => {
+      const v25Data = {
+        version: 25,
+        settings: { companyName: 'Test', taxYear: 2024, taxConstants: {}, ach: {}, nextCheckNumber: 2001, checkLayout: 'middle' },
+        employees: [{ id: 'emp-1', name: 'John', rate: 25, status: 'active', bankAccounts: [] }],
+        payPeriods: {},
+        bankRegister: [],
+        auditLog: [],
+        archivedYears: {},
+        achBatches: []
+      };
+
+      const migrated = migrateData(JSON.parse(JSON.stringify(v25Data)));
+
+      expect(migrated.version).toBe(30);
+      expect(migrated.settings.positivePay).toEqual({ accountNumber: '', layout: 'csv', issueIndicator: 'I', voidIndicator: 'V' });
+      expect(migrated.settings.nextCheckNumber).toBe(2001);
+    });
+
+    it('should migrate v26 data to v30 adding an empty tax deposit ledger', () => {
+      const v26Data = {
+        version: 26,
+        settings: { companyName: 'Test', taxYear: 2024, taxConstants: {}, ach: {}, nextCheckNumber: 1001, checkLayout: 'top', positivePay: { accountNumber: '123', layout: 'csv', issueIndicator: 'I', voidIndicator: 'V' } },
+        employees: [],
+        payPeriods: {},
+        bankRegister: [{ id: 't1', date: '2024-02-15', description: 'EFTPS', debit: 500, credit: 0, reconciled: true }],
+        auditLog: [],
+        archivedYears: {},
+        achBatches: []
+      };
+
+      const migrated = migrateData(JSON.parse(JSON.stringify(v26Data)));
+
+      expect(migrated.version).toBe(30);
+      expect(migrated.taxDeposits).toEqual([]);
+      expect(migrated.bankRegister).toEqual(v26Data.bankRegister);
+    });
+
+    it('should migrate v27 data to v30 leaving the lookback deposit schedule off', () => {
+      const v27Data = {
+        version: 27,
+        settings: { companyName: 'Test', taxYear: 2024, taxConstants: {}, taxFrequencies: { federal: 'semiweekly', futa: 'quarterly', suta: 'quarterly', state: 'monthly', local: 'monthly' } },
+        employees: [],
+        payPeriods: {},
+        bankRegister: [],
+        auditLog: [],
+        archivedYears: {},
+        achBatches: [],
+        taxDeposits: []
+      };
+
+      const migrated = migrateData(JSON.parse(JSON.stringify(v27Data)));
+
+      expect(migrated.version).toBe(30);
+      expect(migrated.settings.lookbackDepositSchedule).toBe(false);
+      expect(migrated.settings.taxFrequencies).toEqual(v27Data.settings.taxFrequencies);
+    });
+
+    it('should migrate v28 data to v30 adding an empty filed 941 list', () => {
+      const v28Data = {
+        version: 28,
+        settings: { companyName: 'Test', taxYear: 2024, taxConstants: {}, lookbackDepositSchedule: false },
+        employees: [],
+        payPeriods: {},
+        bankRegister: [],
+        auditLog: [],
+        archivedYears: {},
+        achBatches: [],
+        taxDeposits: []
+      };
+
+      const migrated = migrateData(JSON.parse(JSON.stringify(v28Data)));
+
+      expect(migrated.version).toBe(30);
+      expect(migrated.filed941s).toEqual({});
+    });
+
+    it('should migrate v29 data to v30 keeping Section 125 deductions on Box 12 DD', () => {
+      const v29Data = {
+        version: 29,
+        settings: { companyName: 'Test', taxYear: 2024, taxConstants: {}, lookbackDepositSchedule: false },
+        employees: [{
+          id: 'emp-1', name: 'John', deductions: [
+            { id: 'd1', name: 'Health', amount: 50, type: 'fixed', taxTreatment: 'section125' },
+            { id: 'd2', name: '401k', amount: 5, type: 'percent', taxTreatment: '401k' }
+          ]
+        }],
+        payPeriods: {},
+        bankRegister: [],
+        auditLog: [],
+        archivedYears: {},
+        achBatches: [],
+        taxDeposits: [],
+        filed941s: {}
+      };
+
+      const migrated = migrateData(JSON.parse(JSON.stringify(v29Data)));
+
+      expect(migrated.version).toBe(30);
+      expect(migrated.employees[0].deductions[0].box12Code).toBe('DD');
+      expect(migrated.employees[0].deductions[1].box12Code).toBeUndefined();
+    });
+
+    it('should not modify data already at v30', () => {
+      const v30Data = {
+        version: 30,
         settings: {
           companyName: 'Test', sutaRate: 3.0,
           sutaRateHistory: [{ effectiveDate: '2000-01-01', value: 2.7 }, { effectiveDate: '2026-07-01', value: 3.0 }]
         },
         employees: [{
-          id: 'emp-1', name: 'John', rate: 30, ptoBalance: 30, ptoStartingBalance: 10,
+          id: 'emp-1', name: 'John', rate: 30, ptoBalance: 30, ptoStartingBalance: 10, payType: 'hourly', annualSalary: 0,
           rateHistories: { rate: [{ effectiveDate: '2000-01-01', value: 25 }, { effectiveDate: '2026-06-01', value: 30 }] }
         }],
         payPeriods: {},
@@ -233,9 +600,9 @@ describe('migration.js', () => {
         auditLog: [{ timestamp: '2026-01-01T00:00:00Z', action: 'Test', details: 'existing' }]
       };
 
-      const migrated = migrateData(JSON.parse(JSON.stringify(v13Data)));
+      const migrated = migrateData(JSON.parse(JSON.stringify(v30Data)));
 
-      expect(migrated.version).toBe(13);
+      expect(migrated.version).toBe(30);
       expect(migrated.employees[0].rateHistories.rate).toHaveLength(2); // not re-seeded
       expect(migrated.settings.sutaRateHistory).toHaveLength(2);        // not re-seeded
       expect(migrated.auditLog).toHaveLength(1);
@@ -553,7 +920,7 @@ describe('migration.js', () => {
 
       const migrated = migrateData(unversionedData);
 
-      expect(migrated.version).toBe(13);
+      expect(migrated.version).toBe(30);
       expect(migrated.settings.employeeIdPrefix).toBeDefined(); // v2 addition
       expect(migrated.settings.autoSubtraction).toBeDefined(); // v7 addition
       expect(migrated.settings.sutaWageBase).toBe(25000); // v8 addition
@@ -571,7 +938,7 @@ describe('migration.js', () => {
       const migrated = migrateData(v1Data);
 
       expect(migrated.employees).toEqual([]);
-      expect(migrated.version).toBe(13);
+      expect(migrated.version).toBe(30);
     });
 
     it('should handle empty bank register', () => {
@@ -586,7 +953,7 @@ describe('migration.js', () => {
       const migrated = migrateData(v3Data);
 
       expect(migrated.bankRegister).toEqual([]);
-      expect(migrated.version).toBe(13);
+      expect(migrated.version).toBe(30);
     });
 
     it('should preserve all existing data during migration', () => {
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  splitTimesheetHours,
+  getWorkweekStart,
+  getWorkweekStartDay,
+  getPeriodDates
+} from '../../js/timesheet.js';
+
+/**
+ * Workweek overtime splitting. 2024-01-01 is a Monday; with Monday
+ * workweeks (startDay 1) a 1/1–1/14 bi-weekly period is two workweeks.
+ */
+describe('timesheet.js', () => {
+  const fill = (dates, hours) => Object.fromEntries(dates.map(d => [d, hours]));
+  const week1 = ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05'];
+  const week2 = ['2024-01-08', '2024-01-09', '2024-01-10', '2024-01-11', '2024-01-12'];
+
+  describe('splitTimesheetHours() — FLSA', () => {
+    it('pays hours over 40 in a workweek as overtime', () => {
+      const split = splitTimesheetHours(fill(week1, 9), '2024-01-01', '2024-01-07', 1, 'flsa');
+      expect(split.regular).toBe(40);
+      expect(split.overtime).toBe(5);
+      expect(split.daily[4]).toMatchObject({ date: '2024-01-05', regular: 4, overtime: 5 });
+    });
+
+    it('splits a bi-weekly period into its two workweeks', () => {
+      const days = { ...fill(week1, 9), ...fill(week2, 7) };
+      const split = splitTimesheetHours(days, '2024-01-01', '2024-01-14', 1, 'flsa');
+      // 80 hours in total, but 45 in the first week
+      expect(split.regular).toBe(75);
+      expect(split.overtime).toBe(5);
+      expect(split.daily).toHaveLength(14);
+    });
+
+    it('has no daily overtime', () => {
+      const split = splitTimesheetHours({ '2024-01-01': 14 }, '2024-01-01', '2024-01-07', 1, 'flsa');
+      expect(split).toMatchObject({ regular: 14, overtime: 0, doubleTime: 0 });
+    });
+
+    it('counts earlier days of a workweek that began before the period', () => {
+      // Sunday workweek; Sun–Tue (previous period) already has 30 hours
+      const days = { '2023-12-31': 10, '2024-01-01': 10, '2024-01-02': 10, '2024-01-03': 10, '2024-01-04': 10 };
+      const split = splitTimesheetHours(days, '2024-01-03', '2024-01-15', 0, 'flsa');
+      expect(split.regular).toBe(10);
+      expect(split.overtime).toBe(10);
+      expect(split.daily[0].date).toBe('2024-01-03');
+    });
+  });
+
+  describe('splitTimesheetHours() — California', () => {
+    it('pays over 8 a day as overtime and over 12 as double time', () => {
+      const split = splitTimesheetHours({ '2024-01-01': 13 }, '2024-01-01', '2024-01-07', 1, 'california');
+      expect(split).toMatchObject({ regular: 8, overtime: 4, doubleTime: 1 });
+    });
+
+    it('does not count daily overtime again toward the weekly 40', () => {
+      const split = splitTimesheetHours(fill(week1, 10), '2024-01-01', '2024-01-07', 1, 'california');
+      expect(split.regular).toBe(40);
+      expect(split.overtime).toBe(10);
+    });
+
+    it('still applies the weekly 40 to regular daily hours', () => {
+      const days = fill([...week1, '2024-01-06'], 8);
+      const split = splitTimesheetHours(days, '2024-01-01', '2024-01-07', 1, 'california');
+      expect(split.regular).toBe(40);
+      expect(split.overtime).toBe(8);
+    });
+  });
+
+  describe('workweeks', () => {
+    it('finds the start of the workweek containing a date', () => {
+      expect(getWorkweekStart('2024-01-10', 1)).toBe('2024-01-08');
+      expect(getWorkweekStart('2024-01-08', 1)).toBe('2024-01-08');
+      expect(getWorkweekStart('2024-01-10', 0)).toBe('2024-01-07');
+    });
+
+    it('starts weekly and bi-weekly workweeks with the pay periods, others on Sunday', () => {
+      expect(getWorkweekStartDay({ payFrequency: 'bi-weekly', firstPayPeriodStartDate: '2024-01-01' })).toBe(1);
+      expect(getWorkweekStartDay({ payFrequency: 'semi-monthly', firstPayPeriodStartDate: '2024-01-01' })).toBe(0);
+    });
+
+    it('lists a period\'s dates', () => {
+      expect(getPeriodDates({ startDate: '2024-02-27', endDate: '2024-03-02' }))
+        .toEqual(['2024-02-27', '2024-02-28', '2024-02-29', '2024-03-01', '2024-03-02']);
+    });
+  });
+});
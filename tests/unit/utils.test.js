@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach } from 'vitest';
-import { formatDate, parseDateInput, toStorageDate, fromStorageDate, toDisplayDate, fromLegacyDate, getQuarterForDate, escapeHtml, resolveRate } from '../../js/utils.js';
+import { formatDate, parseDateInput, toStorageDate, fromStorageDate, toDisplayDate, fromLegacyDate, getQuarterForDate, escapeHtml, parseCsvLine, normalizeCsvDate, resolveRate, resolveTaxConstants, getFederalHolidays, nextBusinessDay } from '../../js/utils.js';
 import { appData } from '../../js/state.js';
 
 describe('utils.js', () => {
@@ -295,6 +295,33 @@ describe('utils.js', () => {
     });
   });
 
+  describe('parseCsvLine()', () => {
+    it('splits and trims fields', () => {
+      expect(parseCsvLine('a, b ,c')).toEqual(['a', 'b', 'c']);
+    });
+
+    it('keeps commas and doubled quotes inside quoted fields', () => {
+      expect(parseCsvLine('"Smith, Jo","say ""hi""",3')).toEqual(['Smith, Jo', 'say "hi"', '3']);
+    });
+  });
+
+  describe('normalizeCsvDate()', () => {
+    it('converts M/D/YYYY and pads YYYY-M-D', () => {
+      expect(normalizeCsvDate('1/5/2024')).toBe('2024-01-05');
+      expect(normalizeCsvDate('2024-1-5')).toBe('2024-01-05');
+    });
+
+    it('drops a time of day', () => {
+      expect(normalizeCsvDate('01/05/2024 08:30')).toBe('2024-01-05');
+      expect(normalizeCsvDate('2024-01-05T08:30:00')).toBe('2024-01-05');
+    });
+
+    it('returns null for an unrecognized date', () => {
+      expect(normalizeCsvDate('Jan 5')).toBeNull();
+      expect(normalizeCsvDate('')).toBeNull();
+    });
+  });
+
   describe('resolveRate()', () => {
     const history = [
       { effectiveDate: '2026-01-01', value: 25 },
@@ -339,4 +366,69 @@ describe('utils.js', () => {
       expect(resolveRate(single, '2026-06-12', 0)).toBe(22.5);
     });
   });
+
+  describe('resolveTaxConstants()', () => {
+    const settings = {
+      socialSecurity: 6.2, medicare: 1.45, ssWageBase: 184500, futaRate: 0.6,
+      futaWageBase: 7000, sutaWageBase: 25000, additionalMedicareThreshold: 200000, additionalMedicareRate: 0.9,
+      taxConstants: {
+        2024: { ssWageBase: 168600 },
+        2025: { ssWageBase: 176100 }
+      }
+    };
+
+    it('returns the scalars when there is no table', () => {
+      expect(resolveTaxConstants({ ...settings, taxConstants: undefined }, 2024).ssWageBase).toBe(184500);
+    });
+
+    it('returns the year\'s entry, filling missing fields from the scalars', () => {
+      const constants = resolveTaxConstants(settings, 2024);
+      expect(constants.ssWageBase).toBe(168600);
+      expect(constants.socialSecurity).toBe(6.2);
+    });
+
+    it('uses the most recent earlier year, or the earliest year', () => {
+      expect(resolveTaxConstants(settings, 2027).ssWageBase).toBe(176100);
+      expect(resolveTaxConstants(settings, 2020).ssWageBase).toBe(168600);
+    });
+
+    it('accepts the year as a string', () => {
+      expect(resolveTaxConstants(settings, '2025').ssWageBase).toBe(176100);
+    });
+  });
+
+  describe('getFederalHolidays()', () => {
+    it('lists the observed legal holidays of a year', () => {
+      expect(getFederalHolidays(2024)).toEqual([
+        '2024-01-01', '2024-01-15', '2024-02-19', '2024-04-16', '2024-05-27', '2024-06-19',
+        '2024-07-04', '2024-09-02', '2024-10-14', '2024-11-11', '2024-11-28', '2024-12-25'
+      ]);
+    });
+
+    it('observes Saturday holidays on Friday and Sunday holidays on Monday', () => {
+      const holidays2021 = getFederalHolidays(2021);
+      expect(holidays2021).toContain('2021-07-05');  // July 4 was a Sunday
+      expect(holidays2021).toContain('2021-12-24');  // Christmas was a Saturday
+      expect(holidays2021).toContain('2021-12-31');  // New Year's Day 2022 was a Saturday
+      expect(getFederalHolidays(2022)).not.toContain('2022-01-01');
+    });
+
+    it('includes DC Emancipation Day, which the IRS observes', () => {
+      expect(getFederalHolidays(2028)).toContain('2028-04-17');  // April 16 is a Sunday
+      expect(getFederalHolidays(2027)).toContain('2027-04-16');
+    });
+  });
+
+  describe('nextBusinessDay()', () => {
+    it('keeps a business day', () => {
+      expect(nextBusinessDay('2024-04-30')).toBe('2024-04-30');
+    });
+
+    it('moves past weekends and holidays', () => {
+      expect(nextBusinessDay('2024-12-15')).toBe('2024-12-16');  // Sunday
+      expect(nextBusinessDay('2024-01-13')).toBe('2024-01-16');  // Saturday before MLK Day
+      expect(nextBusinessDay('2022-12-31')).toBe('2023-01-03');  // into the observed New Year's Day
+      expect(nextBusinessDay('2028-04-15')).toBe('2028-04-18');  // past Emancipation Day observed
+    });
+  });
 });
@@ -8,7 +8,14 @@ import {
   validateHours,
   validateSettings,
   validateTransaction,
-  validateDeduction
+  validateDeduction,
+  validateSupplementalEarning,
+  validateCheckVoid,
+  isValidRoutingNumber,
+  validateBankAccounts,
+  validateAchSettings,
+  validatePositivePaySettings,
+  validateTaxDeposit
 } from '../../js/validation.js';
 
 describe('validation.js', () => {
@@ -173,6 +180,28 @@ describe('validation.js', () => {
       expect(errors.some(e => e.field === 'Hourly Rate')).toBe(true);
     });
 
+    it('should require an annual salary instead of an hourly rate for salaried employees', () => {
+      const salaried = { ...validEmployee, payType: 'salary', rate: 0, annualSalary: 52000 };
+      expect(validateEmployee(salaried)).toHaveLength(0);
+
+      const errors = validateEmployee({ ...salaried, annualSalary: 0 });
+      expect(errors.some(e => e.field === 'Annual Salary')).toBe(true);
+      expect(errors.some(e => e.field === 'Hourly Rate')).toBe(false);
+    });
+
+    it('should return error for termination date before hire date', () => {
+      const errors = validateEmployee({ ...validEmployee, hireDate: '2024-06-01', terminationDate: '2024-05-31' });
+      expect(errors.some(e => e.field === 'Termination Date')).toBe(true);
+      expect(validateEmployee({ ...validEmployee, hireDate: '2024-06-01', terminationDate: '2024-06-01' })).toHaveLength(0);
+    });
+
+    it('should require a termination date for a terminated employee', () => {
+      const errors = validateEmployee({ ...validEmployee, status: 'terminated', terminationDate: '' });
+      expect(errors.some(e => e.field === 'Termination Date')).toBe(true);
+      expect(validateEmployee({ ...validEmployee, status: 'terminated', terminationDate: '2024-06-01' })).toHaveLength(0);
+      expect(validateEmployee({ ...validEmployee, status: 'leave' })).toHaveLength(0);
+    });
+
     it('should return error for overtime multiplier < 1', () => {
       const errors = validateEmployee({ ...validEmployee, overtimeMultiplier: 0.5 });
       expect(errors.length).toBeGreaterThan(0);
@@ -313,6 +342,12 @@ describe('validation.js', () => {
       expect(errors.length).toBeGreaterThan(0);
       expect(errors[0].field).toBe('Social Security Rate');
     });
+
+    it('should require a whole, positive next check number', () => {
+      expect(validateSettings({ ...validSettings, nextCheckNumber: 1001 })).toHaveLength(0);
+      expect(validateSettings({ ...validSettings, nextCheckNumber: 0 })[0].field).toBe('Next Check Number');
+      expect(validateSettings({ ...validSettings, nextCheckNumber: 1001.5 })[0].message).toContain('whole number');
+    });
   });
 
   describe('validateTransaction()', () => {
@@ -402,5 +437,115 @@ describe('validation.js', () => {
       const errors = validateDeduction(deduction);
       expect(errors.length).toBeGreaterThan(0);
     });
+
+    it('should accept each known tax treatment and reject unknown ones', () => {
+      ['post-tax', '401k', 'section125', 'roth'].forEach(taxTreatment => {
+        expect(validateDeduction({ ...validFixedDeduction, taxTreatment })).toHaveLength(0);
+      });
+      const errors = validateDeduction({ ...validFixedDeduction, taxTreatment: 'hsa-magic' });
+      expect(errors.some(e => e.field === 'Tax Treatment')).toBe(true);
+    });
+  });
+
+  describe('validateSupplementalEarning()', () => {
+    const validLine = { code: 'bonus', description: 'Q3 Bonus', amount: 500, withholding: 'flat' };
+
+    it('should accept a valid line', () => {
+      expect(validateSupplementalEarning(validLine)).toHaveLength(0);
+    });
+
+    it('should reject an unknown code, a zero amount, or unknown withholding', () => {
+      expect(validateSupplementalEarning({ ...validLine, code: 'tips' }).some(e => e.field === 'Earning Code')).toBe(true);
+      expect(validateSupplementalEarning({ ...validLine, amount: 0 }).some(e => e.field === 'Earnings Amount')).toBe(true);
+      expect(validateSupplementalEarning({ ...validLine, withholding: 'none' }).some(e => e.field === 'Federal Withholding')).toBe(true);
+    });
+  });
+
+  describe('validateCheckVoid()', () => {
+    const period = { payDate: '2024-01-19' };
+
+    it('should accept a void on or after the pay date with a reason', () => {
+      expect(validateCheckVoid({ voidDate: '2024-01-19', reason: 'Lost check' }, period)).toHaveLength(0);
+    });
+
+    it('should reject a void before the pay date or without a reason', () => {
+      expect(validateCheckVoid({ voidDate: '2024-01-18', reason: 'Lost check' }, period).some(e => e.field === 'Void Date')).toBe(true);
+      expect(validateCheckVoid({ voidDate: '2024-01-22', reason: ' ' }, period).some(e => e.field === 'Void Reason')).toBe(true);
+    });
+  });
+
+  describe('isValidRoutingNumber()', () => {
+    it('should accept nine digits with a valid ABA checksum', () => {
+      expect(isValidRoutingNumber('021000021')).toBe(true);
+      expect(isValidRoutingNumber('011000015')).toBe(true);
+    });
+
+    it('should reject a bad checksum, wrong length or non-digits', () => {
+      expect(isValidRoutingNumber('021000022')).toBe(false);
+      expect(isValidRoutingNumber('02100002')).toBe(false);
+      expect(isValidRoutingNumber('02100002A')).toBe(false);
+      expect(isValidRoutingNumber(undefined)).toBe(false);
+    });
+  });
+
+  describe('validateBankAccounts()', () => {
+    const primary = { routingNumber: '021000021', accountNumber: '123456789', accountType: 'checking', splitType: 'remainder', splitValue: 0 };
+
+    it('should accept no accounts, or one remainder account with splits', () => {
+      expect(validateBankAccounts([])).toHaveLength(0);
+      expect(validateBankAccounts([primary, { ...primary, accountType: 'savings', splitType: 'percent', splitValue: 10 }])).toHaveLength(0);
+    });
+
+    it('should reject bad routing numbers, account numbers and split values', () => {
+      const errors = validateBankAccounts([{ ...primary, routingNumber: '021000022', accountNumber: '12 34' }]);
+      expect(errors.map(e => e.field)).toEqual(['Direct Deposit Account Routing Number', 'Direct Deposit Account Account Number']);
+      expect(validateBankAccounts([primary, { ...primary, splitType: 'percent', splitValue: 120 }])).not.toHaveLength(0);
+    });
+
+    it('should require exactly one remainder account', () => {
+      const split = { ...primary, splitType: 'amount', splitValue: 100 };
+      expect(validateBankAccounts([split])[0].message).toContain('remainder');
+      expect(validateBankAccounts([primary, primary])[0].message).toContain('remainder');
+    });
+  });
+
+  describe('validateAchSettings()', () => {
+    it('should require the company ID and routing number only when generating', () => {
+      expect(validateAchSettings({}, false)).toHaveLength(0);
+      expect(validateAchSettings({}).map(e => e.field)).toEqual(['ACH Company ID', 'ACH Bank Routing Number']);
+      expect(validateAchSettings({ companyId: '1234567890', bankRoutingNumber: '021000021' })).toHaveLength(0);
+      expect(validateSettings({ companyName: 'Test', ach: { bankRoutingNumber: '123456789' } }).some(e => e.field === 'ACH Bank Routing Number')).toBe(true);
+    });
+  });
+
+  describe('validatePositivePaySettings()', () => {
+    it('should require the account number only when exporting', () => {
+      const positivePay = { accountNumber: '', layout: 'csv', issueIndicator: 'I', voidIndicator: 'V' };
+      expect(validatePositivePaySettings(positivePay, false)).toHaveLength(0);
+      expect(validatePositivePaySettings(positivePay)[0].field).toBe('Positive Pay Account Number');
+      expect(validatePositivePaySettings({ ...positivePay, accountNumber: '12-34' }, false)[0].field).toBe('Positive Pay Account Number');
+    });
+
+    it('should require two different single-character indicators', () => {
+      const positivePay = { accountNumber: '123456789', layout: 'csv', issueIndicator: 'I', voidIndicator: 'V' };
+      expect(validatePositivePaySettings({ ...positivePay, voidIndicator: '' })[0].field).toBe('Void Indicator');
+      expect(validatePositivePaySettings({ ...positivePay, voidIndicator: 'I' })[0].message).toContain('different');
+      expect(validateSettings({ companyName: 'Test', positivePay: { ...positivePay, issueIndicator: 'II' } }).some(e => e.field === 'Issue Indicator')).toBe(true);
+    });
+  });
+
+  describe('validateTaxDeposit()', () => {
+    const deposit = { taxType: 'federal', periodStart: '2024-01-01', periodEnd: '2024-01-31', amount: 1250.5, datePaid: '2024-02-15', confirmationNumber: '27040' };
+
+    it('should accept a complete deposit', () => {
+      expect(validateTaxDeposit(deposit)).toHaveLength(0);
+      expect(validateTaxDeposit({ ...deposit, confirmationNumber: '' })).toHaveLength(0);
+    });
+
+    it('should reject an unknown tax type, a reversed period and a zero amount', () => {
+      expect(validateTaxDeposit({ ...deposit, taxType: 'fica' })[0].field).toBe('Tax Type');
+      expect(validateTaxDeposit({ ...deposit, periodEnd: '2023-12-31' })[0].field).toBe('Period End');
+      expect(validateTaxDeposit({ ...deposit, amount: 0 })[0].field).toBe('Deposit Amount');
+    });
   });
 });
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateFederalWithholding,
+  getFederalWithholdingTable,
+  FEDERAL_WITHHOLDING_TABLES,
+  DEFAULT_W4
+} from '../../js/withholding.js';
+
+/**
+ * Pub 15-T Worksheet 1A (percentage method, 2020+ Form W-4).
+ * Expected values are worked by hand from the annual tables:
+ * $2,000 bi-weekly = $52,000 annualized.
+ */
+describe('withholding.js', () => {
+  describe('calculateFederalWithholding()', () => {
+    it('single, standard: (52,000 − 8,600) → 1,160 + 12% over 17,600', () => {
+      // 1,160 + (43,400 − 17,600) × 0.12 = 4,256 / 26
+      expect(calculateFederalWithholding(2000, 26, DEFAULT_W4, 2024)).toBeCloseTo(4256 / 26, 6);
+    });
+
+    it('married filing jointly, standard: (52,000 − 12,900) → 10% over 16,300', () => {
+      // (39,100 − 16,300) × 0.10 = 2,280 / 26
+      const w4 = { ...DEFAULT_W4, filingStatus: 'married' };
+      expect(calculateFederalWithholding(2000, 26, w4, 2024)).toBeCloseTo(2280 / 26, 6);
+    });
+
+    it('head of household, standard: (52,000 − 8,600) → 1,655 + 12% over 29,850', () => {
+      // 1,655 + (43,400 − 29,850) × 0.12 = 3,281 / 26
+      const w4 = { ...DEFAULT_W4, filingStatus: 'headOfHousehold' };
+      expect(calculateFederalWithholding(2000, 26, w4, 2024)).toBeCloseTo(3281 / 26, 6);
+    });
+
+    it('Step 2 checkbox uses the higher schedule and no line 1g allowance', () => {
+      // 2,713 + (52,000 − 30,875) × 0.22 = 7,360.50 / 26
+      const w4 = { ...DEFAULT_W4, multipleJobs: true };
+      expect(calculateFederalWithholding(2000, 26, w4, 2024)).toBeCloseTo(7360.5 / 26, 6);
+    });
+
+    it('Step 3 credits reduce and Step 4(c) adds per period', () => {
+      const w4 = { ...DEFAULT_W4, dependentsAmount: 2000, extraWithholding: 25 };
+      // 4,256/26 − 2,000/26 + 25
+      expect(calculateFederalWithholding(2000, 26, w4, 2024)).toBeCloseTo((4256 - 2000) / 26 + 25, 6);
+    });
+
+    it('Step 4(a) other income and 4(b) deductions adjust the annual wage', () => {
+      const w4 = { ...DEFAULT_W4, otherIncome: 10000, deductions: 5000 };
+      // 52,000 + 10,000 − 5,000 − 8,600 = 48,400 → 1,160 + 30,800 × 0.12 = 4,856
+      expect(calculateFederalWithholding(2000, 26, w4, 2024)).toBeCloseTo(4856 / 26, 6);
+    });
+
+    it('credits never push withholding below zero (before Step 4c)', () => {
+      const w4 = { ...DEFAULT_W4, dependentsAmount: 10000, extraWithholding: 10 };
+      expect(calculateFederalWithholding(2000, 26, w4, 2024)).toBe(10);
+    });
+
+    it('wages below the allowance withhold nothing', () => {
+      expect(calculateFederalWithholding(200, 26, DEFAULT_W4, 2024)).toBe(0);
+      expect(calculateFederalWithholding(0, 26, DEFAULT_W4, 2024)).toBe(0);
+    });
+
+    it('annualizes by the pay frequency', () => {
+      // Monthly $4,333.33 ≈ the same $52,000 annual wage
+      const monthly = calculateFederalWithholding(52000 / 12, 12, DEFAULT_W4, 2024);
+      expect(monthly * 12).toBeCloseTo(4256, 6);
+    });
+
+    it('uses the table for the pay date year', () => {
+      // 2025: 1,192.50 + (43,400 − 18,325) × 0.12 = 4,201.50
+      expect(calculateFederalWithholding(2000, 26, DEFAULT_W4, 2025)).toBeCloseTo(4201.5 / 26, 6);
+    });
+
+    it('falls back to an unknown filing status as single', () => {
+      const w4 = { ...DEFAULT_W4, filingStatus: 'bogus' };
+      expect(calculateFederalWithholding(2000, 26, w4, 2024)).toBeCloseTo(4256 / 26, 6);
+    });
+  });
+
+  describe('getFederalWithholdingTable()', () => {
+    it('returns the exact year when published', () => {
+      expect(getFederalWithholdingTable(2024)).toBe(FEDERAL_WITHHOLDING_TABLES[2024]);
+    });
+
+    it('uses the most recent earlier table for later years', () => {
+      const latest = Math.max(...Object.keys(FEDERAL_WITHHOLDING_TABLES).map(Number));
+      expect(getFederalWithholdingTable(latest + 5)).toBe(FEDERAL_WITHHOLDING_TABLES[latest]);
+    });
+
+    it('uses the earliest table for years before it', () => {
+      expect(getFederalWithholdingTable(2019)).toBe(FEDERAL_WITHHOLDING_TABLES[2024]);
+    });
+  });
+});